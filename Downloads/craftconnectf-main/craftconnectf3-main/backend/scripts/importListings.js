@@ -0,0 +1,42 @@
+/**
+ * Load comparable marketplace listings used by /api/quotation/compare
+ *
+ * Usage:
+ *   node scripts/importListings.js <file.csv|file.json> [--source etsy]
+ *   node scripts/importListings.js --fixtures
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { importFile, FIXTURE_PATH } = require('../src/utils/listingImporter');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const sourceIndex = args.indexOf('--source');
+  const source = sourceIndex >= 0 ? args[sourceIndex + 1] : undefined;
+  const filePath = args.includes('--fixtures')
+    ? FIXTURE_PATH
+    : args.find((arg, index) => !arg.startsWith('--') && index !== sourceIndex + 1);
+
+  if (!filePath) {
+    console.error('Usage: node scripts/importListings.js <file.csv|file.json> [--source name] | --fixtures');
+    process.exit(1);
+  }
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+  try {
+    const result = await importFile(filePath, { source });
+    console.log(`✅ ${result.received} rows read from ${filePath}`);
+    result.rejected.forEach(({ row, error }) => console.warn(`⚠️ Row ${row}: ${error}`));
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
@@ -9,10 +9,16 @@ const app = express();
 app.use(cors({ 
   origin: process.env.CLIENT_URL || "*", 
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json({ limit: "10mb" }));
+app.use(express.json({
+  limit: "10mb",
+  // WhatsApp webhooks are signed over the exact bytes received
+  verify: (req, _res, buf) => {
+    if (req.originalUrl.startsWith("/api/whatsapp/webhook")) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Add request logging for debugging
@@ -91,6 +97,9 @@ const PORT = Number(process.env.PORT) || 8080;
       console.log('✅ All required environment variables present');
     }
 
+    // Refuse to run with sessions anyone could forge
+    require("./src/middleware/auth").assertAuthConfig();
+
     // MongoDB connection with detailed logging
     console.log("🔌 Connecting to MongoDB...");
     await mongoose.connect(process.env.MONGODB_URI, {
@@ -103,6 +112,14 @@ const PORT = Number(process.env.PORT) || 8080;
     console.log("✅ MongoDB connected successfully");
     console.log(`📍 Database: ${mongoose.connection.name}`);
 
+    // Jobs that were running when the server stopped lost their in-memory audio
+    const transcriptionController = require("./src/controllers/transcriptionController");
+    await transcriptionController.recoverInterruptedJobs();
+
+    // Bulk WhatsApp sends live in MongoDB, so queued campaigns pick up where they left off
+    const campaignController = require("./src/controllers/campaignController");
+    await campaignController.resumeCampaigns();
+
     // Start server
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server listening on http://0.0.0.0:${PORT}`);
@@ -4,14 +4,12 @@
 const speech = require("@google-cloud/speech");
 const BusinessAnalysis = require("../models/BusinessAnalysis");
 const Ajv = require("ajv");
-
-// Lazy import VertexAI to avoid hard failure during static analysis
-let VertexAI;
-try {
-  VertexAI = require("@google-cloud/vertexai").VertexAI;
-} catch (e) {
-  VertexAI = null;
-}
+const ai = require("../utils/aiProvider");
+const {
+  sanitizeRawText,
+  aggressivelyRepairRawJson,
+  fillMissingWithTemplate,
+} = require("../utils/structuredOutput");
 
 /* ---------------------------
    Compact schema + template
@@ -57,147 +55,6 @@ const COMPACT_AJV_SCHEMA = {
   additionalProperties: true,
 };
 
-/* ---------------------------
-   Sanitizer: extract likely JSON chunk
-   --------------------------- */
-function sanitizeRawText(raw) {
-  if (!raw) return "";
-
-  let s = String(raw);
-
-  // If there's a fenced block, pick its content
-  const fenceMatch = s.match(/```(?:json|js|text|txt)?\s*([\s\S]*?)\s*```/i);
-  if (fenceMatch && fenceMatch[1]) {
-    s = fenceMatch[1].trim();
-  }
-
-  // Remove common leading phrases
-  s = s.replace(
-    /^[\s\n\r\t]*(?:here is the json|here's the json|here is the json requested|output:|answer:|here is the output)[:\s-]*/i,
-    ""
-  );
-
-  // Remove leading backticks if any remain and trailing backticks
-  s = s.replace(/^[`]+/, "").replace(/[`]+$/, "");
-
-  // Remove everything before the first { or [
-  const firstBrace = s.indexOf("{");
-  const firstBracket = s.indexOf("[");
-  let startPos = -1;
-  if (firstBrace !== -1 && firstBracket !== -1)
-    startPos = Math.min(firstBrace, firstBracket);
-  else startPos = Math.max(firstBrace, firstBracket);
-
-  if (startPos > 0) s = s.slice(startPos);
-
-  // Remove leading "json:" words
-  s = s.replace(/^[\s\n\r\t]*json[:\s-]*/i, "");
-
-  s = s.trim();
-
-  // If there's still a long block with JSON later, attempt to extract the longest balanced JSON chunk
-  function extractLongestBalanced(text) {
-    let best = null;
-    for (let i = 0; i < text.length; i++) {
-      if (text[i] !== "{" && text[i] !== "[") continue;
-      const openChar = text[i];
-      const closeChar = openChar === "{" ? "}" : "]";
-      let depth = 0;
-      for (let j = i; j < text.length; j++) {
-        if (text[j] === openChar) depth++;
-        else if (text[j] === closeChar) depth--;
-        if (depth === 0) {
-          const cand = text.slice(i, j + 1);
-          if (!best || cand.length > best.length) best = cand;
-          break;
-        }
-      }
-    }
-    return best;
-  }
-
-  const candidate = extractLongestBalanced(s);
-  if (candidate) s = candidate.trim();
-
-  return s.trim();
-}
-
-/* ---------------------------
-   Aggressive JSON repair
-   --------------------------- */
-function aggressivelyRepairRawJson(raw) {
-  if (typeof raw !== "string") raw = String(raw || "");
-  let s = raw.replace(/[\u0000-\u001F]+/g, "").trim();
-
-  // Trim leading non-json characters (defensive)
-  const firstBrace = s.indexOf("{");
-  const firstBracket = s.indexOf("[");
-  if (firstBrace > 0 || firstBracket > 0) {
-    const startPos =
-      firstBrace === -1
-        ? firstBracket
-        : firstBracket === -1
-        ? firstBrace
-        : Math.min(firstBrace, firstBracket);
-    if (startPos > 0) s = s.slice(startPos);
-  }
-
-  let prev = null;
-  const maxPasses = 8;
-  let pass = 0;
-  while (s !== prev && pass < maxPasses) {
-    prev = s;
-
-    // keys with missing values -> provide empty string
-    s = s.replace(/"([A-Za-z0-9 _-]+)"\s*:\s*(?=[}\]])/g, '"$1": ""');
-    s = s.replace(/"([A-Za-z0-9 _-]+)"\s*:\s*,/g, '"$1": "" ,');
-    s = s.replace(/:\s*,\s*,+/g, ': "" ,');
-
-    // trailing commas
-    s = s.replace(/,\s*([}\]])/g, "$1");
-
-    // remove dangling open string
-    s = s.replace(/"[^"]*$/g, "");
-
-    pass++;
-  }
-
-  // Balance braces & brackets
-  const openCurly = (s.match(/{/g) || []).length;
-  const closeCurly = (s.match(/}/g) || []).length;
-  if (openCurly > closeCurly) s += "}".repeat(openCurly - closeCurly);
-
-  const openSq = (s.match(/\[/g) || []).length;
-  const closeSq = (s.match(/]/g) || []).length;
-  if (openSq > closeSq) s += "]".repeat(openSq - closeSq);
-
-  return s.trim();
-}
-
-/* ---------------------------
-   Fill missing fields from template
-   --------------------------- */
-function fillMissingWithTemplate(target, template) {
-  if (!template || typeof template !== "object") return target;
-  if (!target || typeof target !== "object")
-    return JSON.parse(JSON.stringify(template));
-  const out = JSON.parse(JSON.stringify(template));
-  for (const k of Object.keys(target)) {
-    if (k in out) {
-      if (Array.isArray(out[k])) {
-        out[k] = Array.isArray(target[k]) ? target[k] : out[k];
-      } else if (typeof out[k] === "object" && out[k] !== null) {
-        out[k] = fillMissingWithTemplate(target[k] || {}, out[k]);
-      } else {
-        out[k] = target[k];
-      }
-    } else {
-      out[k] = target[k];
-    }
-  }
-  return out;
-}
-
 /* ---------------------------
    Synthesize solutions when parsing fails or partial
    --------------------------- */
@@ -309,30 +166,10 @@ function normalizeSolutions(data) {
 class AIBusinessAnalyzer {
   constructor() {
     this.speechClient = new speech.SpeechClient();
-    if (VertexAI) {
-      this.vertexAI = new VertexAI({
-        project: process.env.GOOGLE_PROJECT_ID,
-        location: process.env.VERTEX_LOCATION || "us-central1",
-      });
-      this.model = null;
-    } else {
-      this.vertexAI = null;
-      this.model = null;
-    }
     this.ajv = new Ajv({ allErrors: true, strict: false });
     this.validateCompact = this.ajv.compile(COMPACT_AJV_SCHEMA);
   }
 
-  async getModel() {
-    if (!this.vertexAI) throw new Error("Vertex AI SDK not configured");
-    if (!this.model) {
-      this.model = this.vertexAI.getGenerativeModel({
-        model: process.env.VERTEX_MODEL || "gemini-2.5-flash",
-      });
-    }
-    return this.model;
-  }
-
   /* ---------------------------
      Main controller: analyzeBusinessFromVoice
      --------------------------- */
@@ -355,7 +192,7 @@ class AIBusinessAnalyzer {
         });
       }
 
-      const analysisResult = await this.analyzeBusinessWithVertexAI(
+      const analysisResult = await this.analyzeBusinessWithAI(
         transcription.text
       );
 
@@ -381,7 +218,7 @@ class AIBusinessAnalyzer {
         }
         return res
           .status(500)
-          .json({ error: analysisResult.error || "Vertex AI analysis failed" });
+          .json({ error: analysisResult.error || "AI analysis failed" });
       }
 
       // Save to DB always (store partials too) - keeps audit trail
@@ -599,19 +436,16 @@ class AIBusinessAnalyzer {
   }
 
   /* ---------------------------
-     Analyze using Vertex AI (Gemini 2.5 Flash)
+     Analyze using the configured AI provider
      --------------------------- */
-  async analyzeBusinessWithVertexAI(transcript) {
+  async analyzeBusinessWithAI(transcript) {
     try {
-      if (!this.vertexAI) {
-        throw new Error("Vertex AI not configured");
+      if (!ai.isAvailable()) {
+        throw new Error("AI provider not configured");
       }
 
-      const model = await this.getModel();
-      console.log(
-        "Using Vertex AI model:",
-        process.env.VERTEX_MODEL || "gemini-2.5-flash"
-      );
+      const { provider, model } = ai.getStatus();
+      console.log("Using AI provider:", provider, model);
       console.log("Transcript for analysis:", transcript);
 
       const prompt = `
@@ -635,40 +469,15 @@ Business Description: ${transcript}
 CRITICAL: Return ONLY the JSON object. No introductory text, no explanations, no markdown formatting.
 `;
 
-      const genConfig = {
-        temperature: 0.0,
-        maxOutputTokens: Number(process.env.MAX_OUTPUT_TOKENS) || 1024,
-        responseMimeType: "application/json",
-      };
-
-      const result = await model.generateContent({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: genConfig,
+      const { text: rawText } = await ai.generate({
+        prompt,
+        schema: COMPACT_AJV_SCHEMA,
+        generationConfig: {
+          temperature: 0.0,
+          maxOutputTokens: Number(process.env.MAX_OUTPUT_TOKENS) || 1024,
+        },
       });
 
-      // Extract raw text robustly
-      let rawText = "";
-
-      if (result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        rawText = result.response.candidates[0].content.parts[0].text;
-      } else if (result?.response?.candidates?.[0]?.text) {
-        rawText = result.response.candidates[0].text;
-      } else if (typeof result?.response?.text === "function") {
-        rawText = result.response.text();
-      } else if (result?.response?.text) {
-        rawText = result.response.text;
-      } else if (result?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        rawText = result.candidates[0].content.parts[0].text;
-      } else {
-        console.error(
-          "No response text found from Vertex AI. Keys:",
-          Object.keys(result || {})
-        );
-        if (result?.response)
-          console.error("Response keys:", Object.keys(result.response));
-        throw new Error("No response text from Vertex AI");
-      }
-
       // Sanitize and repair
       const sanitized = sanitizeRawText(rawText);
       const repaired = aggressivelyRepairRawJson(sanitized);
@@ -720,7 +529,7 @@ CRITICAL: Return ONLY the JSON object. No introductory text, no explanations, no
         partial: true,
       };
     } catch (err) {
-      console.error("Vertex AI analysis error:", err);
+      console.error("AI analysis error:", err);
       return { success: false, error: err.message || String(err) };
     }
   }
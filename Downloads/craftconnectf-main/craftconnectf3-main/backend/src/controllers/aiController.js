@@ -1,162 +1,23 @@
 // Import dependencies
-const { SpeechClient } = require("@google-cloud/speech");
-const { VertexAI } = require("@google-cloud/vertexai");
-
-// Initialize clients with proper error handling and environment validation
-let speechClient = null;
-let vertexAI = null;
-let generativeAI = null;
-
-// Environment validation
-function validateEnvironment() {
-  const required = ['GOOGLE_PROJECT_ID'];
-  const missing = required.filter(key => !process.env[key]);
-  
-  if (missing.length > 0) {
-    console.error(`❌ Missing required environment variables: ${missing.join(', ')}`);
-    return false;
-  }
-  return true;
-}
-
-// Initialize Google AI clients with proper error handling
-function initializeGoogleAI() {
-  if (!validateEnvironment()) {
-    console.error('❌ Environment validation failed - Google AI clients not initialized');
-    return false;
-  }
-
-  try {
-    // Initialize Speech client
-    speechClient = new SpeechClient({
-      projectId: process.env.GOOGLE_PROJECT_ID,
-      keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS || undefined
-    });
-    console.log("✅ Speech client initialized successfully");
-  } catch (e) {
-    console.error("❌ Failed to initialize Speech client:", e.message);
-    speechClient = null;
-  }
-
-  try {
-    // Initialize Vertex AI client
-    vertexAI = new VertexAI({
-      project: process.env.GOOGLE_PROJECT_ID,
-      location: process.env.GOOGLE_LOCATION || "us-central1",
-    });
-    
-    // Get generative model
-    generativeAI = vertexAI.getGenerativeModel({
-      model: process.env.VERTEX_MODEL || "gemini-1.5-flash",
-      generationConfig: {
-        temperature: 0.3,
-        topP: 0.8,
-        maxOutputTokens: 2048,
-      },
-    });
-    
-    console.log("✅ Vertex AI initialized successfully");
-    return true;
-  } catch (e) {
-    console.error("❌ Failed to initialize Vertex AI:", e.message);
-    vertexAI = null;
-    generativeAI = null;
-    return false;
-  }
-}
-
-// Initialize on module load
-const aiInitialized = initializeGoogleAI();
+const ai = require("../utils/aiProvider");
+const speech = require("../utils/speechProvider");
 
 /**
- * Enhanced transcription with multiple format support and better error handling
+ * Transcribe audio with the configured speech provider (Google Speech, local engine or mock)
  */
 async function transcribeAudio(audioBuffer) {
   console.log("🎤 Starting audio transcription...");
   console.log(`📊 Audio buffer size: ${audioBuffer.length} bytes`);
-  
-  if (!speechClient) {
-    console.error('❌ Speech client not initialized');
-    throw new Error("Speech recognition service not available");
-  }
 
-  // Enhanced encoding detection with priority order
-  const encodingConfigs = [
-    { encoding: "WEBM_OPUS", sampleRateHertz: 48000 },
-    { encoding: "MP3", sampleRateHertz: 44100 },
-    { encoding: "WAV", sampleRateHertz: 16000 },
-    { encoding: "OGG_OPUS", sampleRateHertz: 48000 },
-  ];
-
-  let lastError = null;
-
-  for (const { encoding, sampleRateHertz } of encodingConfigs) {
-    try {
-      console.log(`🔄 Attempting transcription with ${encoding} @ ${sampleRateHertz}Hz`);
-      
-      const audio = {
-        content: audioBuffer.toString("base64"),
-      };
-      
-      const config = {
-        encoding,
-        sampleRateHertz,
-        languageCode: "en-US",
-        alternativeLanguageCodes: ["hi-IN", "en-IN"],
-        enableAutomaticPunctuation: true,
-        model: "latest_long",
-        speechContexts: [{
-          phrases: [
-            "business", "craft", "artisan", "pottery", "textile", "jewelry",
-            "marketplace", "customers", "products", "pricing", "handmade",
-            "traditional", "online", "website", "social media", "WhatsApp"
-          ],
-          boost: 15.0
-        }],
-        enableWordConfidence: true,
-        enableWordTimeOffsets: true
-      };
-      
-      const request = { audio, config };
-      const [response] = await speechClient.recognize(request);
-      
-      if (response.results && response.results.length > 0) {
-        const transcription = response.results
-          .map((result) => result.alternatives[0].transcript)
-          .join(" ")
-          .trim();
-          
-        if (transcription.length > 10) { // Minimum viable transcription
-          console.log(`✅ Transcription successful with ${encoding}`);
-          console.log(`📝 Transcript length: ${transcription.length} characters`);
-          
-          // Calculate confidence score
-          const avgConfidence = response.results.reduce((acc, result) => {
-            return acc + (result.alternatives[0].confidence || 0.8);
-          }, 0) / response.results.length;
-          
-          return { 
-            success: true, 
-            text: transcription,
-            confidence: Math.round(avgConfidence * 100),
-            encoding: encoding
-          };
-        }
-      }
-      
-      console.log(`⚠️ No viable transcription with ${encoding}`);
-    } catch (err) {
-      console.log(`❌ Failed with ${encoding}:`, err.message);
-      lastError = err;
-      continue;
-    }
+  const result = await speech.transcribe(audioBuffer, {
+    minLength: 11 // Minimum viable transcription
+  });
+
+  if (result.success) {
+    console.log(`📝 Transcript length: ${result.text.length} characters`);
   }
 
-  console.error("❌ All transcription attempts failed");
-  return {
-    success: false,
-    error: `Speech recognition failed with all formats. Last error: ${lastError?.message || "Unknown"}`
-  };
+  return result;
 }
 
 /**
@@ -293,18 +154,18 @@ function createFallbackAnalysis(reason = 'AI processing unavailable') {
 }
 
 /**
- * Enhanced Vertex AI analysis with better prompt and error handling
+ * Enhanced AI analysis with better prompt and error handling
  */
-async function analyzeTranscriptWithVertexAI(transcript) {
-  console.log("🤖 Starting Vertex AI analysis...");
+async function analyzeTranscriptWithAI(transcript) {
+  console.log("🤖 Starting AI analysis...");
   console.log(`📝 Transcript length: ${transcript.length} characters`);
   
-  if (!generativeAI) {
-    console.error('❌ Vertex AI not initialized');
+  if (!ai.isAvailable()) {
+    console.error('❌ AI provider not available');
     return {
       success: false,
-      error: "Vertex AI not initialized",
-      fallbackAnalysis: createFallbackAnalysis('Vertex AI unavailable')
+      error: "AI provider not available",
+      fallbackAnalysis: createFallbackAnalysis('AI provider unavailable')
     };
   }
 
@@ -338,34 +199,19 @@ IMPORTANT:
 - Keep reasons brief but compelling`;
 
   try {
-    console.log('📤 Sending request to Vertex AI...');
+    console.log('📤 Sending request to AI provider...');
     
-    const request = {
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
+    const { text: responseText } = await ai.generate({
+      prompt,
       generationConfig: {
         temperature: 0.1, // Lower for more consistent JSON
         topP: 0.8,
         maxOutputTokens: 1024,
         candidateCount: 1
       }
-    };
-    
-    const result = await generativeAI.generateContent(request);
-    
-    // Extract response text with multiple fallbacks
-    let responseText = null;
-    
-    if (result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      responseText = result.response.candidates[0].content.parts[0].text;
-    } else if (result?.response?.text) {
-      responseText = result.response.text;
-    } else if (result?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      responseText = result.candidates[0].content.parts[0].text;
-    } else {
-      throw new Error('No valid response text found in Vertex AI result');
-    }
+    });
 
-    console.log('📥 Received response from Vertex AI');
+    console.log('📥 Received response from AI provider');
     console.log(`📄 Response length: ${responseText.length} characters`);
     console.log('🔍 Raw response preview:', responseText.substring(0, 200) + '...');
     
@@ -381,14 +227,14 @@ IMPORTANT:
     };
     
   } catch (error) {
-    console.error("❌ Vertex AI analysis error:", error.message);
+    console.error("❌ AI analysis error:", error.message);
     console.error('🔍 Error details:', error);
     
     // Return fallback analysis with error context
     return { 
       success: false, 
       error: error.message,
-      fallbackAnalysis: createFallbackAnalysis(`Vertex AI error: ${error.message}`)
+      fallbackAnalysis: createFallbackAnalysis(`AI provider error: ${error.message}`)
     };
   }
 }
@@ -439,7 +285,7 @@ exports.analyzeBusinessAudio = async (req, res) => {
     
     // Step 2: AI Analysis
     console.log("\n🤖 === AI ANALYSIS PHASE ===");
-    const analysisResult = await analyzeTranscriptWithVertexAI(transcript);
+    const analysisResult = await analyzeTranscriptWithAI(transcript);
     
     if (!analysisResult.success) {
       console.warn("⚠️ AI analysis failed, returning transcript with fallback");
@@ -466,7 +312,7 @@ exports.analyzeBusinessAudio = async (req, res) => {
       analysis: analysisResult.data,
       processingTime: {
         transcription: transcriptionResult.encoding,
-        analysis: 'vertex-ai-success'
+        analysis: `${ai.getStatus().provider}-success`
       }
     });
     
@@ -488,8 +334,8 @@ exports.analyzeBusinessAudio = async (req, res) => {
 exports.generateWhatsAppMessage = async (req, res) => {
   console.log("\n💬 === WHATSAPP MESSAGE GENERATION ===");
   
-  if (!generativeAI) {
-    console.warn('⚠️ Vertex AI not available, using fallback message');
+  if (!ai.isAvailable()) {
+    console.warn('⚠️ AI provider not available, using fallback message');
     const fallbackMessage = `👋 Hello! Thank you for your interest in our handmade crafts.\n\n🎨 We create beautiful, authentic products with traditional techniques.\n\n✨ Key features:\n• Handmade with care\n• Traditional craftsmanship\n• Custom orders available\n• Fast delivery\n\n📞 Reply to this message to place your order or ask questions!\n\n🙏 Thank you for supporting local artisans!`;
     
     return res.status(200).json({ 
@@ -530,22 +376,13 @@ Create a message that:
 Return only the message text, no quotes or formatting.`;
 
   try {
-    const request = {
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
+    const { text: message } = await ai.generate({
+      prompt,
       generationConfig: {
         temperature: 0.7,
         maxOutputTokens: 400,
       }
-    };
-    
-    const result = await generativeAI.generateContent(request);
-    
-    let message = "";
-    if (result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      message = result.response.candidates[0].content.parts[0].text.trim();
-    } else {
-      throw new Error("Invalid response format from Vertex AI");
-    }
+    });
 
     console.log('✅ WhatsApp message generated successfully');
     console.log(`📝 Message length: ${message.length} characters`);
@@ -588,15 +425,17 @@ Thank you for your interest in our ${businessType || "craft business"}! We speci
 
 // Export initialization status for health checks
 exports.getAIStatus = () => {
+  const providerStatus = ai.getStatus();
   return {
-    initialized: aiInitialized,
-    speechClient: !!speechClient,
-    vertexAI: !!vertexAI,
-    generativeAI: !!generativeAI,
+    initialized: speech.isAvailable(),
+    speechClient: speech.isAvailable(),
+    speech: speech.getStatus(),
+    generativeAI: providerStatus.available,
+    provider: providerStatus,
     environment: {
       projectId: !!process.env.GOOGLE_PROJECT_ID,
       location: process.env.GOOGLE_LOCATION || 'us-central1',
-      model: process.env.VERTEX_MODEL || 'gemini-1.5-flash'
+      model: providerStatus.model
     }
   };
 };
\ No newline at end of file
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OtpChallenge = require('../models/OtpChallenge');
+const otp = require('../utils/otpProvider');
+const { signToken } = require('../middleware/auth');
+const { normalizeLanguage, AUTO_DETECT } = require('../utils/languages');
+
+const OTP_LENGTH = 6;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+
+/**
+ * Normalize user input to E.164; bare 10-digit numbers are treated as Indian mobiles
+ * @returns {string|null}
+ */
+function normalizePhone(input) {
+  if (typeof input !== 'string' && typeof input !== 'number') return null;
+  const raw = String(input).trim();
+  const digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+  if (digits.length === 10) return `+91${digits}`;
+  if (digits.length === 12 && digits.startsWith('91')) return `+${digits}`;
+  return null;
+}
+
+function hashCode(phone, code) {
+  return crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+}
+
+// POST /api/auth/request-otp
+exports.requestOtp = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Invalid phone number', message: 'Enter a mobile number like 9876543210 or +919876543210' });
+    }
+
+    const recent = await OtpChallenge.findOne({ phone, consumedAt: null }).sort({ createdAt: -1 });
+    if (recent && Date.now() - recent.createdAt.getTime() < OTP_RESEND_SECONDS * 1000) {
+      const retryAfter = Math.ceil(OTP_RESEND_SECONDS - (Date.now() - recent.createdAt.getTime()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, error: 'Too many requests', message: `Please wait ${retryAfter}s before requesting another code` });
+    }
+
+    const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+    const ttl = otp.otpTtlSeconds();
+
+    await OtpChallenge.create({
+      phone,
+      codeHash: hashCode(phone, code),
+      expiresAt: new Date(Date.now() + ttl * 1000)
+    });
+
+    const delivery = await otp.sendOtp(phone, code);
+    console.log(`📲 OTP issued for ${phone.slice(0, -4)}****`);
+
+    res.json({
+      success: true,
+      phone,
+      expiresIn: ttl,
+      ...(delivery.devCode && { devCode: delivery.devCode })
+    });
+  } catch (error) {
+    console.error('❌ OTP request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send code', message: error.message });
+  }
+};
+
+// POST /api/auth/verify-otp
+exports.verifyOtp = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    const code = String(req.body?.code || '').trim();
+    if (!phone || !/^\d+$/.test(code)) {
+      return res.status(400).json({ success: false, error: 'Phone and code required' });
+    }
+
+    const challenge = await OtpChallenge.findOne({
+      phone,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    if (!challenge) {
+      return res.status(401).json({ success: false, error: 'Invalid code', message: 'Code expired or not found, request a new one' });
+    }
+
+    // Claim the attempt before comparing so parallel guesses cannot share one count
+    const claimed = await OtpChallenge.findOneAndUpdate(
+      { _id: challenge._id, consumedAt: null, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      const used = await OtpChallenge.exists({ _id: challenge._id, consumedAt: { $ne: null } });
+      return used
+        ? res.status(401).json({ success: false, error: 'Invalid code', message: 'Code already used, request a new one' })
+        : res.status(429).json({ success: false, error: 'Too many attempts', message: 'Request a new code' });
+    }
+
+    const expected = Buffer.from(claimed.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(phone, code), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid code',
+        attemptsRemaining: Math.max(0, OTP_MAX_ATTEMPTS - claimed.attempts)
+      });
+    }
+
+    // Only one request can redeem a code
+    const consumed = await OtpChallenge.updateOne({ _id: claimed._id, consumedAt: null }, { $set: { consumedAt: new Date() } });
+    if (consumed.modifiedCount === 0) {
+      return res.status(401).json({ success: false, error: 'Invalid code', message: 'Code already used, request a new one' });
+    }
+
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      { phone },
+      { $set: { lastLoginAt: now }, $setOnInsert: { phone, phoneVerifiedAt: now } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    if (!user.isActive) {
+      return res.status(403).json({ success: false, error: 'Account disabled' });
+    }
+
+    console.log(`✅ User signed in: ${user._id}`);
+    res.json({ success: true, token: signToken(user), user: user.toProfile() });
+  } catch (error) {
+    console.error('❌ OTP verify error:', error);
+    res.status(500).json({ success: false, error: 'Verification failed', message: error.message });
+  }
+};
+
+// GET /api/auth/me
+exports.getMe = async (req, res) => {
+  res.json({ success: true, user: req.user.toProfile() });
+};
+
+// PATCH /api/auth/me
+exports.updateMe = async (req, res) => {
+  try {
+    const { name, preferredLanguage } = req.body || {};
+
+    if (name !== undefined) req.user.name = String(name).trim().slice(0, 100);
+    if (preferredLanguage !== undefined) {
+      const language = preferredLanguage === AUTO_DETECT ? AUTO_DETECT : normalizeLanguage(preferredLanguage);
+      if (!language) {
+        return res.status(400).json({ success: false, error: 'Unsupported language', message: `Language "${preferredLanguage}" is not supported` });
+      }
+      req.user.preferredLanguage = language;
+    }
+
+    await req.user.save();
+    res.json({ success: true, user: req.user.toProfile() });
+  } catch (error) {
+    console.error('❌ Profile update error:', error);
+    res.status(500).json({ success: false, error: 'Profile update failed', message: error.message });
+  }
+};
+
+exports.normalizePhone = normalizePhone;
@@ -1,99 +1,100 @@
-const { SpeechClient } = require('@google-cloud/speech');
-const { VertexAI } = require('@google-cloud/vertexai');
 const mongoose = require('mongoose');
 const BusinessSession = require('../models/BusinessSession');
-
-// Initialize Google Cloud clients
-const speechClient = new SpeechClient();
-let vertexAI = null;
-let generativeModel = null;
-
-try {
-  vertexAI = new VertexAI({
-    project: process.env.GOOGLE_PROJECT_ID,
-    location: process.env.GOOGLE_LOCATION || 'us-central1',
-  });
-  generativeModel = vertexAI.preview.getGenerativeModel({
-    model: process.env.VERTEX_MODEL || 'gemini-2.5-flash',
-  });
-  console.log('✅ Business Controller Vertex AI initialized');
-} catch (e) {
-  console.error('❌ Failed to initialize Vertex AI in business controller:', e.message);
-}
-
-// Utility: extract JSON from text
-function extractJson(text) {
-  const match = text.match(/\{[\s\S]*\}/);
-  if (!match) return null;
-  try {
-    return JSON.parse(match[0]);
-  } catch {
-    return null;
-  }
-}
+const ai = require('../utils/aiProvider');
+const speech = require('../utils/speechProvider');
+const { resolveTranscriptionJob } = require('./transcriptionController');
+const { generateStructured, summarizeOutcome } = require('../utils/structuredOutput');
+const {
+  SUPPORTED_LANGUAGES,
+  AUTO_DETECT,
+  normalizeLanguage,
+  recognitionOptions,
+  describeLanguage,
+  responseLanguageInstruction
+} = require('../utils/languages');
+const { translateToEnglish } = require('../utils/translation');
+const { applySessionPatch } = require('../utils/sessionPatch');
+const { INITIAL_STEP, FINAL_STEP, allowedNextSteps, checkTransition, applyTransition, transitionConflict } = require('../utils/sessionFlow');
 
 // Step 1: Analyze Business Overview
 exports.analyzeBusinessOverview = async (req, res) => {
   try {
     console.log('📢 Starting business overview analysis...');
 
-    if (!req.file) {
+    // Long recordings are transcribed ahead of time as a job (POST /api/transcriptions)
+    const { transcriptionJobId } = req.body;
+    if (!req.file && !transcriptionJobId) {
       return res.status(400).json({ error: 'No audio file provided' });
     }
 
+    // Language chosen in the wizard, or auto-detected when omitted
+    const requestedLanguage = req.body.language ? normalizeLanguage(req.body.language) : AUTO_DETECT;
+    if (!requestedLanguage) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        details: `Supported: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}, auto`
+      });
+    }
+    const recognition = recognitionOptions(requestedLanguage);
+
     // Speech-to-Text
-    const audioBytes = req.file.buffer.toString('base64');
-    const [response] = await speechClient.recognize({
-      audio: { content: audioBytes },
-      config: {
-        encoding: 'WEBM_OPUS',
-        sampleRateHertz: 48000,
-        languageCode: 'en-US',
-        enableAutomaticPunctuation: true,
-        model: 'latest_long',
-      },
-    });
-    
-    const transcript = response.results
-      ?.map(result => result.alternatives[0]?.transcript)
-      .join(' ') || '';
+    const transcription = transcriptionJobId
+      ? await resolveTranscriptionJob(transcriptionJobId, req.userId)
+      : await speech.transcribe(req.file.buffer, recognition);
+    const transcript = transcription.success ? transcription.text : '';
 
     console.log('🎤 Transcript:', transcript);
     if (!transcript) {
-      return res.status(400).json({ error: 'Could not transcribe audio' });
+      return res.status(400).json({
+        error: 'Could not transcribe audio',
+        details: transcription.error
+      });
     }
 
-    // Vertex AI Analysis
-    if (!generativeModel) {
-      return res.status(500).json({ error: 'Vertex AI not initialized' });
+    // AI Analysis
+    if (!ai.isAvailable()) {
+      return res.status(500).json({ error: 'AI provider not available' });
     }
 
+    // Keep the original transcript and analyze an English translation of it
+    const language = describeLanguage(
+      transcription.languageCode || recognition.languageCode,
+      !transcriptionJobId && recognition.autoDetect
+    );
+    const translation = await translateToEnglish(transcript, language.code);
+    const transcriptEnglish = translation.text || transcript;
+    console.log(`🌐 Language: ${language.name}${language.detected ? ' (detected)' : ''}, translation: ${translation.status}`);
+
     const prompt = `Analyze this craft business description and provide a structured JSON summary:
 
-"${transcript}"
+"${transcriptEnglish}"
 
-Provide JSON with: businessType, businessName, experience, location, mainChallenges[], currentStatus, goals[], hasOnlinePresence, targetMarket, keyStrengths[]`;
+Provide JSON with: businessType, businessName, experience, location, mainChallenges[], currentStatus, goals[], hasOnlinePresence, targetMarket, keyStrengths[]${responseLanguageInstruction(language)}`;
 
-    const result = await generativeModel.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    const summaryResult = await generateStructured({
+      prompt,
+      schema: 'businessSummary',
       generationConfig: {
         temperature: 0.3,
         maxOutputTokens: 2048,
       },
     });
-
-    const aiText = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    const businessSummary = extractJson(aiText) || { rawResponse: aiText };
+    const businessSummary = summaryResult.data;
 
     // Save session
     const sessionId = new mongoose.Types.ObjectId();
-    await new BusinessSession({
+    const createdAt = new Date();
+    const session = await new BusinessSession({
       _id: sessionId,
+      owner: req.userId,
       transcript,
+      transcriptEnglish: translation.text || undefined,
+      language,
       businessSummary,
-      step: 'business_overview_complete',
-      createdAt: new Date(),
-      updatedAt: new Date()
+      step: INITIAL_STEP,
+      transitions: [{ from: null, to: INITIAL_STEP, at: createdAt, by: req.userId, secondsInPreviousStep: 0 }],
+      createdAt,
+      updatedAt: createdAt
     }).save();
 
     console.log('✅ Business overview complete');
@@ -101,7 +102,13 @@ Provide JSON with: businessType, businessName, experience, location, mainChallen
       success: true,
       sessionId: sessionId.toString(),
       transcript,
+      transcriptEnglish: translation.text,
+      language,
+      audioFormat: transcription.sourceFormat,
       businessSummary,
+      structuredOutput: summarizeOutcome(summaryResult),
+      step: session.step,
+      allowedNextSteps: allowedNextSteps(session.step),
       nextStep: 'validate_summary'
     });
 
@@ -120,16 +127,31 @@ exports.validateBusinessSummary = async (req, res) => {
     const { sessionId, corrections, isApproved } = req.body;
     if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
 
-    const session = await BusinessSession.findById(sessionId);
+    const session = await BusinessSession.findOwned(sessionId, req.userId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
 
-    if (isApproved) {
-      session.step = 'ready_for_product_analysis';
-      session.businessSummaryApproved = true;
-    } else if (corrections) {
-      session.businessSummary = { ...session.businessSummary, ...corrections };
-      session.step = 'ready_for_product_analysis';
+    const approving = isApproved || corrections;
+    if (approving) {
+      const check = checkTransition(session, 'ready_for_product_analysis');
+      if (!check.ok) return transitionConflict(res, check);
+    }
+
+    // Corrections go through the same whitelist and type checks as the summary patch API
+    // (the wizard echoes the whole AI summary back, so keys the schema does not store are dropped here)
+    const knownCorrections = corrections && typeof corrections === 'object'
+      ? Object.fromEntries(Object.entries(corrections).filter(([key]) => BusinessSession.schema.path(`businessSummary.${key}`)))
+      : {};
+    if (Object.keys(knownCorrections).length > 0) {
+      const patch = applySessionPatch(session, 'summary', { businessSummary: knownCorrections }, { by: req.userId, source: 'validate-summary' });
+      if (!patch.ok) {
+        return res.status(patch.status).json({ success: false, error: patch.error, details: patch.details });
+      }
+    }
+
+    if (approving) {
       session.businessSummaryApproved = true;
+      const transition = applyTransition(session, 'ready_for_product_analysis', { by: req.userId });
+      if (!transition.ok) return transitionConflict(res, transition);
     }
 
     session.updatedAt = new Date();
@@ -139,6 +161,8 @@ exports.validateBusinessSummary = async (req, res) => {
       success: true,
       sessionId,
       updatedSummary: session.businessSummary,
+      step: session.step,
+      allowedNextSteps: allowedNextSteps(session.step),
       nextStep: 'product_analysis'
     });
   } catch (error) {
@@ -153,11 +177,15 @@ exports.generateRecommendations = async (req, res) => {
     const { sessionId } = req.body;
     if (!sessionId) return res.status(400).json({ error: 'Session ID required' });
 
-    const session = await BusinessSession.findById(sessionId);
+    const session = await BusinessSession.findOwned(sessionId, req.userId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
 
-    if (!generativeModel) {
-      return res.status(500).json({ error: 'Vertex AI not initialized' });
+    // Recommendations need an approved product analysis
+    const check = checkTransition(session, 'complete');
+    if (!check.ok) return transitionConflict(res, check);
+
+    if (!ai.isAvailable()) {
+      return res.status(500).json({ error: 'AI provider not available' });
     }
 
     const prompt = `Based on this analysis, provide JSON recommendations:
@@ -165,21 +193,21 @@ exports.generateRecommendations = async (req, res) => {
 BUSINESS: ${JSON.stringify(session.businessSummary, null, 2)}
 PRODUCT: ${JSON.stringify(session.productAnalysis, null, 2)}
 
-Provide JSON with: primaryRecommendations[], contentStrategy{}, marketingMessages{}, nextSteps[]`;
+Provide JSON with: primaryRecommendations[{platform,priority,reason,implementation,expectedOutcome}], contentStrategy{focusAreas[],contentTypes[],postingFrequency}, marketingMessages{whatsapp,instagram,general}, nextSteps[]${responseLanguageInstruction(session.language)}`;
 
-    const result = await generativeModel.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    const recommendationsResult = await generateStructured({
+      prompt,
+      schema: 'recommendations',
       generationConfig: {
         temperature: 0.4,
         maxOutputTokens: 3072,
       },
     });
-
-    const aiText = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    const recommendations = extractJson(aiText) || { rawResponse: aiText };
+    const recommendations = recommendationsResult.data;
 
     session.finalRecommendations = recommendations;
-    session.step = 'complete';
+    const transition = applyTransition(session, 'complete', { by: req.userId });
+    if (!transition.ok) return transitionConflict(res, transition);
     session.updatedAt = new Date();
     await session.save();
 
@@ -187,6 +215,8 @@ Provide JSON with: primaryRecommendations[], contentStrategy{}, marketingMessage
       success: true,
       sessionId,
       recommendations,
+      language: session.language,
+      structuredOutput: summarizeOutcome(recommendationsResult),
       businessSummary: session.businessSummary,
       productAnalysis: session.productAnalysis
     });
@@ -197,9 +227,111 @@ Provide JSON with: primaryRecommendations[], contentStrategy{}, marketingMessage
 };
 
 // Session Management
+
+const SESSION_LIST_FILTERS = {
+  in_progress: { isActive: true, step: { $ne: FINAL_STEP } },
+  completed: { isActive: true, step: FINAL_STEP },
+  archived: { isActive: false },
+  all: {}
+};
+
+/**
+ * Compact view of a session for the "continue where you left off" list
+ */
+function summarizeSession(session) {
+  return {
+    sessionId: session._id.toString(),
+    step: session.step,
+    allowedNextSteps: session.isActive ? allowedNextSteps(session.step) : [],
+    completionRate: session.completionRate,
+    businessName: session.businessSummary?.businessName || '',
+    businessType: session.businessSummary?.businessType || '',
+    productName: session.productAnalysis?.productSummary?.name || '',
+    language: session.language,
+    isActive: session.isActive,
+    archivedAt: session.archivedAt,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+// GET /api/sessions?status=in_progress|completed|archived|all
+exports.listSessions = async (req, res) => {
+  try {
+    const status = req.query.status || 'in_progress';
+    const filter = SESSION_LIST_FILTERS[status];
+    if (!filter) {
+      return res.status(400).json({ error: 'Invalid status', details: `Use one of: ${Object.keys(SESSION_LIST_FILTERS).join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    const sessions = await BusinessSession.find({ owner: req.userId, ...filter })
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .select('step completionRate businessSummary.businessName businessSummary.businessType productAnalysis.productSummary.name language isActive archivedAt createdAt updatedAt expiresAt');
+
+    res.json({ success: true, status, sessions: sessions.map(summarizeSession) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list sessions', details: error.message });
+  }
+};
+
+// POST /api/session/:sessionId/archive
+exports.archiveSession = async (req, res) => {
+  try {
+    const session = await BusinessSession.findOwned(req.params.sessionId, req.userId);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    if (session.isActive) {
+      session.isActive = false;
+      session.archivedAt = new Date();
+      await session.save();
+      console.log(`🗄️ Session ${session._id} archived`);
+    }
+    res.json({ success: true, session: summarizeSession(session) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to archive session', details: error.message });
+  }
+};
+
+// POST /api/session/:sessionId/restore
+exports.restoreSession = async (req, res) => {
+  try {
+    const session = await BusinessSession.findOwned(req.params.sessionId, req.userId);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    if (!session.isActive) {
+      session.isActive = true;
+      session.archivedAt = undefined;
+      await session.save();
+      console.log(`♻️ Session ${session._id} restored`);
+    }
+    res.json({ success: true, session: summarizeSession(session) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to restore session', details: error.message });
+  }
+};
+
+// DELETE /api/session/:sessionId discards a draft permanently
+exports.discardSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const result = await BusinessSession.deleteOne({ _id: req.params.sessionId, owner: req.userId });
+    if (result.deletedCount === 0) return res.status(404).json({ error: 'Session not found' });
+
+    console.log(`🗑️ Session ${req.params.sessionId} discarded`);
+    res.json({ success: true, sessionId: req.params.sessionId, discarded: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to discard session', details: error.message });
+  }
+};
+
 exports.getSession = async (req, res) => {
   try {
-    const session = await BusinessSession.findById(req.params.sessionId);
+    const session = await BusinessSession.findOwned(req.params.sessionId, req.userId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
     res.json({ success: true, session });
   } catch (error) {
@@ -207,16 +339,40 @@ exports.getSession = async (req, res) => {
   }
 };
 
-exports.updateSession = async (req, res) => {
+// Stage patch: PATCH /api/session/:sessionId/:stage (body = changes)
+exports.patchSession = async (req, res) => {
   try {
-    const session = await BusinessSession.findByIdAndUpdate(
-      req.params.sessionId,
-      { ...req.body, updatedAt: new Date() },
-      { new: true }
-    );
+    const session = await BusinessSession.findOwned(req.params.sessionId, req.userId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
-    res.json({ success: true, session });
+
+    const stage = req.params.stage || req.body?.stage;
+    const changes = req.params.stage ? req.body : req.body?.changes;
+
+    const patch = applySessionPatch(session, stage, changes, { by: req.userId });
+    if (!patch.ok) {
+      return res.status(patch.status).json({ success: false, error: patch.error, details: patch.details });
+    }
+
+    if (patch.changes.length > 0) {
+      await session.save();
+      console.log(`✏️ Session ${session._id} ${stage} edited: ${patch.changes.map(change => change.path).join(', ')}`);
+    }
+
+    res.json({ success: true, session, changes: patch.changes });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update session', details: error.message });
   }
 };
+
+// POST /api/session/:sessionId/update is kept for older clients; body = { stage, changes }
+exports.updateSession = exports.patchSession;
+
+exports.getSessionHistory = async (req, res) => {
+  try {
+    const session = await BusinessSession.findOwned(req.params.sessionId, req.userId);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true, step: session.step, history: session.editHistory });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get session history', details: error.message });
+  }
+};
@@ -0,0 +1,368 @@
+const mongoose = require('mongoose');
+const WhatsAppCampaign = require('../models/WhatsAppCampaign');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const Contact = require('../models/Contact');
+const whatsapp = require('../utils/whatsappCloud');
+const { serviceWindowOpen, outboundMessage } = require('../utils/whatsappTemplates');
+const { createRateLimiter } = require('../utils/concurrency');
+const { normalizePhone } = require('../utils/contacts');
+const { recordOutbound } = require('./conversationController');
+
+// Cloud API throughput is 80 messages/second per number; stay well below it by default
+const SEND_RATE_PER_SECOND = Number(process.env.WHATSAPP_SEND_RATE_PER_SECOND) || 10;
+// Messaging tier: unique customers the business number may start conversations with per rolling 24h (0 = no cap);
+// replies inside a customer's 24-hour window do not count
+const DAILY_RECIPIENT_LIMIT = Number(process.env.WHATSAPP_DAILY_RECIPIENT_LIMIT ?? 1000);
+const MAX_ATTEMPTS = Number(process.env.WHATSAPP_SEND_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.WHATSAPP_RETRY_BASE_MS) || 30000;
+// A claim held this long is taken to belong to a worker that stopped; its recipient goes back in the queue
+const CLAIM_TIMEOUT_MS = Number(process.env.WHATSAPP_CLAIM_TIMEOUT_MS) || 10 * 60 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIER_WINDOW_REFRESH_MS = 5 * 60 * 1000;
+
+// Cloud API error codes that clear up on their own (rate limits, temporary outages)
+const RETRYABLE_CODES = new Set([1, 2, 4, 80007, 130429, 131000, 131016, 131048, 131056, 133004]);
+
+// Message types only sent inside a customer's window, so they never open a new conversation
+const FREE_FORM_TYPES = ['text', 'image', 'interactive', 'document'];
+
+const ACTIVE = ['queued', 'sending'];
+const UNSETTLED = ['pending', 'sending'];
+
+const limiter = createRateLimiter({ perMinute: SEND_RATE_PER_SECOND * 60 });
+
+let running = false;
+let wakeTimer = null;
+
+// Recipients messaged in the last 24h (phone -> first send), shared by every campaign on this number
+let tierWindow = null;
+
+/**
+ * Progress summary of a campaign, with per-recipient detail on request
+ */
+function campaignView(campaign, { includeRecipients = false } = {}) {
+  const counts = Object.fromEntries(WhatsAppCampaign.RECIPIENT_STATUSES.map(status => [status, 0]));
+  campaign.recipients.forEach(recipient => { counts[recipient.status] += 1; });
+  const total = campaign.recipients.length;
+  const settled = total - counts.pending - counts.sending;
+  const waiting = campaign.recipients
+    .filter(recipient => recipient.status === 'pending')
+    .map(recipient => recipient.nextAttemptAt)
+    .sort((a, b) => a - b);
+
+  return {
+    id: campaign._id,
+    status: campaign.status,
+    message: campaign.message,
+    messageType: campaign.rich?.kind || 'text',
+    template: campaign.template,
+    forceTemplate: campaign.forceTemplate,
+    total,
+    counts,
+    progress: total > 0 ? Math.round((settled / total) * 100) : 100,
+    nextAttemptAt: campaign.status === 'cancelled' ? undefined : waiting[0],
+    createdAt: campaign.createdAt,
+    startedAt: campaign.startedAt,
+    completedAt: campaign.completedAt,
+    ...(includeRecipients && {
+      recipients: campaign.recipients.map(recipient => ({
+        phone: recipient.phone,
+        name: recipient.name,
+        status: recipient.status,
+        messageType: recipient.messageType,
+        attempts: recipient.attempts,
+        nextAttemptAt: recipient.status === 'pending' ? recipient.nextAttemptAt : undefined,
+        waMessageId: recipient.waMessageId,
+        sentAt: recipient.sentAt,
+        deliveredAt: recipient.deliveredAt,
+        readAt: recipient.readAt,
+        error: recipient.error?.title ? recipient.error : undefined
+      }))
+    })
+  };
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!error.response) return true; // network error or timeout
+  if (status === 429 || status >= 500) return true;
+  return RETRYABLE_CODES.has(error.response.data?.error?.code);
+}
+
+async function loadTierWindow() {
+  const since = new Date(Date.now() - DAY_MS);
+  const rows = await WhatsAppCampaign.aggregate([
+    { $match: { 'recipients.sentAt': { $gte: since } } },
+    { $unwind: '$recipients' },
+    { $match: { 'recipients.sentAt': { $gte: since }, 'recipients.messageType': { $nin: FREE_FORM_TYPES } } },
+    { $group: { _id: '$recipients.phone', firstSentAt: { $min: '$recipients.sentAt' } } }
+  ]);
+  tierWindow = { loadedAt: Date.now(), phones: new Map(rows.map(row => [row._id, row.firstSentAt])) };
+}
+
+/**
+ * When a new recipient may be messaged under the daily tier limit (null = now)
+ */
+async function tierDelay(phone) {
+  if (!(DAILY_RECIPIENT_LIMIT > 0)) return null;
+  if (!tierWindow || Date.now() - tierWindow.loadedAt > TIER_WINDOW_REFRESH_MS) await loadTierWindow();
+
+  const since = Date.now() - DAY_MS;
+  for (const [knownPhone, firstSentAt] of tierWindow.phones) {
+    if (firstSentAt.getTime() < since) tierWindow.phones.delete(knownPhone);
+  }
+  if (tierWindow.phones.has(phone) || tierWindow.phones.size < DAILY_RECIPIENT_LIMIT) return null;
+
+  const oldest = Math.min(...[...tierWindow.phones.values()].map(date => date.getTime()));
+  return new Date(oldest + DAY_MS);
+}
+
+/**
+ * Atomically take the next due recipient of the oldest active campaign
+ * @returns {Promise<{campaign: Object, recipient: Object}|null>}
+ */
+async function claimNext() {
+  const now = new Date();
+  const claimToken = new mongoose.Types.ObjectId();
+  const campaign = await WhatsAppCampaign.findOneAndUpdate(
+    {
+      status: { $in: ACTIVE },
+      recipients: { $elemMatch: { status: 'pending', nextAttemptAt: { $lte: now } } }
+    },
+    {
+      $set: { status: 'sending', 'recipients.$.status': 'sending', 'recipients.$.claimedAt': now, 'recipients.$.claimToken': claimToken },
+      $inc: { 'recipients.$.attempts': 1 },
+      $min: { startedAt: now }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+  if (!campaign) return null;
+
+  const recipient = campaign.recipients.find(entry => entry.claimToken?.equals(claimToken));
+  return recipient ? { campaign, recipient } : null;
+}
+
+// Only while this worker still holds the claim; a requeued and reclaimed recipient belongs to the new claim
+function updateRecipient(campaign, recipient, fields, extra = {}) {
+  const $set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`recipients.$.${key}`, value]));
+  return WhatsAppCampaign.updateOne(
+    { _id: campaign._id, recipients: { $elemMatch: { _id: recipient._id, status: 'sending', claimToken: recipient.claimToken } } },
+    { $set, ...extra }
+  );
+}
+
+/**
+ * Put recipients whose claim timed out back in the queue
+ * A recipient claimed by a worker that stopped may already have received the message.
+ */
+async function requeueStaleClaims() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - CLAIM_TIMEOUT_MS);
+  const result = await WhatsAppCampaign.updateMany(
+    { status: { $in: ACTIVE }, recipients: { $elemMatch: { status: 'sending', claimedAt: { $lt: staleBefore } } } },
+    {
+      $set: { 'recipients.$[stale].status': 'pending', 'recipients.$[stale].nextAttemptAt': now },
+      $unset: { 'recipients.$[stale].claimToken': '' }
+    },
+    { arrayFilters: [{ 'stale.status': 'sending', 'stale.claimedAt': { $lt: staleBefore } }] }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`⚠️ Requeued timed-out sends in ${result.modifiedCount} WhatsApp campaign(s)`);
+  }
+}
+
+async function completeIfSettled(campaignId) {
+  const result = await WhatsAppCampaign.updateOne(
+    { _id: campaignId, status: 'sending', recipients: { $not: { $elemMatch: { status: { $in: UNSETTLED } } } } },
+    { $set: { status: 'completed', completedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) console.log(`✅ WhatsApp campaign ${campaignId} completed`);
+}
+
+/**
+ * Send one claimed recipient, then record the outcome or schedule a retry
+ */
+async function deliver({ campaign, recipient }) {
+  // Customers can opt out (e.g. reply STOP) while a campaign is still working through its list
+  if (await Contact.exists({ owner: campaign.owner, phone: normalizePhone(recipient.phone) || recipient.phone, 'consent.status': 'opted_out' })) {
+    await updateRecipient(campaign, recipient, { status: 'cancelled', error: { title: 'Contact opted out' } });
+    console.log(`🚫 WhatsApp send to ${recipient.phone} skipped: contact opted out`);
+    await completeIfSettled(campaign._id);
+    return;
+  }
+
+  const windowOpen = !campaign.forceTemplate && await serviceWindowOpen(recipient.phone);
+  const template = !windowOpen && campaign.template
+    ? await WhatsAppTemplate.findOne({ _id: campaign.template, status: 'approved' })
+    : null;
+  const outbound = outboundMessage({
+    windowOpen,
+    text: campaign.message,
+    rich: campaign.rich,
+    template,
+    parameters: recipient.templateParameters,
+    forceTemplate: campaign.forceTemplate
+  });
+  if (!outbound.kind) {
+    await updateRecipient(campaign, recipient, { status: 'failed', error: { title: outbound.reason } });
+    console.warn(`⚠️ WhatsApp send to ${recipient.phone} skipped: ${outbound.reason}`);
+    await completeIfSettled(campaign._id);
+    return;
+  }
+
+  const deferUntil = outbound.kind === 'template' ? await tierDelay(recipient.phone) : null;
+  if (deferUntil) {
+    // Not a failed attempt: hand the claim back until the tier window has room
+    await updateRecipient(campaign, recipient, { status: 'pending', nextAttemptAt: deferUntil }, { $inc: { 'recipients.$.attempts': -1 } });
+    console.log(`⏳ WhatsApp daily limit of ${DAILY_RECIPIENT_LIMIT} recipients reached; deferring until ${deferUntil.toISOString()}`);
+    return;
+  }
+
+  await limiter.acquire();
+  try {
+    const { messageId } = await whatsapp.sendMessage(recipient.phone, outbound.content);
+    const sentAt = new Date();
+    await updateRecipient(campaign, recipient, { status: 'sent', messageType: outbound.kind, waMessageId: messageId, sentAt }, { $unset: { 'recipients.$.error': '' } });
+    if (outbound.kind === 'template') tierWindow?.phones.set(recipient.phone, tierWindow.phones.get(recipient.phone) || sentAt);
+    await recordOutbound({ owner: campaign.owner, to: recipient.phone, waMessageId: messageId, type: outbound.kind, text: outbound.text, media: outbound.media, sentBy: campaign.owner });
+  } catch (error) {
+    const details = whatsapp.apiError(error);
+    if (recipient.attempts < MAX_ATTEMPTS && isRetryable(error)) {
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (recipient.attempts - 1), MAX_RETRY_MS);
+      await updateRecipient(campaign, recipient, { status: 'pending', nextAttemptAt: new Date(Date.now() + delay), error: details });
+      console.log(`🔁 WhatsApp send to ${recipient.phone} failed (attempt ${recipient.attempts}), retrying in ${Math.round(delay / 1000)}s:`, details.title);
+    } else {
+      await updateRecipient(campaign, recipient, { status: 'failed', error: details });
+      console.warn(`⚠️ WhatsApp send to ${recipient.phone} failed after ${recipient.attempts} attempt(s):`, details.title);
+    }
+  }
+  await completeIfSettled(campaign._id);
+}
+
+/**
+ * Wake the worker when the earliest waiting recipient falls due
+ */
+async function scheduleWake() {
+  clearTimeout(wakeTimer);
+  let delay = 60 * 1000;
+  try {
+    // Claims still out fall due when they time out
+    const [next] = await WhatsAppCampaign.aggregate([
+      { $match: { status: { $in: ACTIVE }, 'recipients.status': { $in: UNSETTLED } } },
+      { $unwind: '$recipients' },
+      { $match: { 'recipients.status': { $in: UNSETTLED } } },
+      {
+        $group: {
+          _id: null,
+          at: {
+            $min: {
+              $cond: [
+                { $eq: ['$recipients.status', 'pending'] },
+                '$recipients.nextAttemptAt',
+                { $add: ['$recipients.claimedAt', CLAIM_TIMEOUT_MS] }
+              ]
+            }
+          }
+        }
+      }
+    ]);
+    if (!next) return;
+    delay = Math.min(Math.max(next.at.getTime() - Date.now(), 1000), MAX_RETRY_MS);
+  } catch (error) {
+    console.error('❌ WhatsApp campaign queue could not check for due sends:', error.message);
+  }
+  wakeTimer = setTimeout(kickQueue, delay);
+  wakeTimer.unref();
+}
+
+async function runQueue() {
+  if (running) return;
+  running = true;
+  clearTimeout(wakeTimer);
+  try {
+    await requeueStaleClaims();
+    for (let claimed = await claimNext(); claimed; claimed = await claimNext()) {
+      await deliver(claimed);
+    }
+  } catch (error) {
+    console.error('❌ WhatsApp campaign queue error:', error);
+  } finally {
+    running = false;
+    await scheduleWake();
+  }
+}
+
+function kickQueue() {
+  if (!whatsapp.isConfigured()) return;
+  setImmediate(runQueue);
+}
+
+/**
+ * Queue a bulk send; the worker sends it in the background
+ * @param {Object} campaign - { owner, message, rich, template, forceTemplate, recipients: [{ phone, name, templateParameters }] }
+ */
+exports.enqueueCampaign = async ({ owner, message, rich, template, forceTemplate = false, recipients }) => {
+  const campaign = await new WhatsAppCampaign({ owner, message, rich, template, forceTemplate, recipients }).save();
+  console.log(`📥 WhatsApp campaign ${campaign._id} queued for ${recipients.length} recipient(s)`);
+  kickQueue();
+  return campaign;
+};
+
+/**
+ * Start the worker after a restart. Sends still claimed by another instance are left alone;
+ * claims that time out (e.g. from the instance that stopped) are requeued by the worker.
+ */
+exports.resumeCampaigns = async () => {
+  kickQueue();
+};
+
+exports.campaignView = campaignView;
+
+// GET /api/whatsapp/campaigns?limit=20
+exports.listCampaigns = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const campaigns = await WhatsAppCampaign.find({ owner: req.userId }).sort({ createdAt: -1 }).limit(limit);
+    res.json({ success: true, campaigns: campaigns.map(campaign => campaignView(campaign)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list campaigns', details: error.message });
+  }
+};
+
+// GET /api/whatsapp/campaigns/:campaignId - progress with per-recipient status
+exports.getCampaign = async (req, res) => {
+  try {
+    const campaign = await WhatsAppCampaign.findOwned(req.params.campaignId, req.userId);
+    if (!campaign) return res.status(404).json({ success: false, error: 'Campaign not found' });
+    res.json({ success: true, campaign: campaignView(campaign, { includeRecipients: true }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to get campaign', details: error.message });
+  }
+};
+
+// POST /api/whatsapp/campaigns/:campaignId/cancel - stops recipients not yet sent
+exports.cancelCampaign = async (req, res) => {
+  try {
+    const campaign = await WhatsAppCampaign.findOwned(req.params.campaignId, req.userId);
+    if (!campaign) return res.status(404).json({ success: false, error: 'Campaign not found' });
+    if (!ACTIVE.includes(campaign.status)) {
+      return res.status(409).json({ success: false, error: `Campaign is already ${campaign.status}` });
+    }
+
+    // A recipient being sent right now finishes; everything still pending is dropped
+    const updated = await WhatsAppCampaign.findOneAndUpdate(
+      { _id: campaign._id, status: { $in: ACTIVE } },
+      {
+        $set: { status: 'cancelled', completedAt: new Date(), 'recipients.$[waiting].status': 'cancelled' }
+      },
+      { arrayFilters: [{ 'waiting.status': 'pending' }], new: true }
+    );
+    if (!updated) return res.status(409).json({ success: false, error: 'Campaign already finished' });
+
+    console.log(`🛑 WhatsApp campaign ${campaign._id} cancelled`);
+    res.json({ success: true, campaign: campaignView(updated, { includeRecipients: true }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to cancel campaign', details: error.message });
+  }
+};
@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const {
+  normalizeTags,
+  parseConsent,
+  pickContactFields,
+  parseContactFile,
+  segmentFilter
+} = require('../utils/contacts');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_IMPORT_ROWS = Number(process.env.CONTACTS_IMPORT_MAX_ROWS) || 5000;
+const MAX_REPORTED_SKIPS = 50;
+
+function contactView(contact, { purchases = 5 } = {}) {
+  return {
+    id: contact._id,
+    name: contact.name,
+    phone: `+${contact.phone}`,
+    email: contact.email,
+    tags: contact.tags,
+    language: contact.language,
+    notes: contact.notes,
+    consent: contact.consent,
+    purchaseCount: contact.purchaseCount,
+    totalSpent: contact.totalSpent,
+    lastPurchaseAt: contact.lastPurchaseAt,
+    purchases: (contact.purchases || []).slice(-purchases).reverse(),
+    createdAt: contact.createdAt,
+    updatedAt: contact.updatedAt
+  };
+}
+
+const consentFields = (status, source, note) => ({
+  status,
+  source,
+  at: new Date(),
+  ...(note && { note: String(note).slice(0, 200) })
+});
+
+/**
+ * Resolve bulk-send recipients from a segment or explicit contact ids; opted-out contacts never match
+ * @param {string} ownerId
+ * @param {Object} target - { segment, contactIds }
+ * @param {number} limit - Stop after this many (callers pass their batch limit + 1 to detect overflow)
+ * @returns {Promise<{recipients?: Array<{phone: string, name: string}>, errors?: Array}>}
+ */
+exports.segmentRecipients = async (ownerId, { segment, contactIds }, limit) => {
+  const { filter, errors } = segmentFilter(ownerId, segment || {});
+  if (contactIds !== undefined) {
+    if (!Array.isArray(contactIds) || contactIds.length === 0 || contactIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      errors.push({ path: 'contactIds', message: 'must be an array of contact ids' });
+    } else filter._id = { $in: contactIds };
+  }
+  if (errors.length > 0) return { errors };
+
+  const contacts = await Contact.find(filter).select('phone name').sort({ createdAt: 1 }).limit(limit).lean();
+  return { recipients: contacts.map(contact => ({ phone: contact.phone, name: contact.name })) };
+};
+
+// GET /api/contacts?search=&tags=&language=&consent=&purchasedCategory=&purchasedWithinDays=&page=1&limit=50
+exports.listContacts = async (req, res) => {
+  try {
+    const { consent } = req.query;
+    if (consent && !Contact.CONSENT_STATUSES.includes(consent)) {
+      return res.status(400).json({ success: false, error: 'Invalid consent', details: `Use one of: ${Contact.CONSENT_STATUSES.join(', ')}` });
+    }
+    // The book lists everyone, opted-out contacts included
+    const { filter, errors } = segmentFilter(req.userId, req.query, { includeOptedOut: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid segment', details: errors });
+    }
+    if (consent) filter['consent.status'] = consent;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [contacts, total] = await Promise.all([
+      Contact.find(filter).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit).slice('purchases', -5),
+      Contact.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      contacts: contacts.map(contact => contactView(contact)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list contacts', details: error.message });
+  }
+};
+
+// GET /api/contacts/tags - tags in use, for building segments
+exports.listContactTags = async (req, res) => {
+  try {
+    const tags = await Contact.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(req.userId) } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+    res.json({ success: true, tags: tags.map(tag => ({ tag: tag._id, count: tag.count })) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list tags', details: error.message });
+  }
+};
+
+// POST /api/contacts { name, phone, email, tags, language, notes, consent }
+exports.createContact = async (req, res) => {
+  try {
+    const { fields, errors } = pickContactFields(req.body);
+    const consent = req.body.consent === undefined ? undefined : parseConsent(req.body.consent);
+    if (req.body.consent !== undefined && !consent) {
+      errors.push({ path: 'consent', message: `must be one of ${Contact.CONSENT_STATUSES.join(', ')}` });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid contact', details: errors });
+    }
+    if (await Contact.exists({ owner: req.userId, phone: fields.phone })) {
+      return res.status(409).json({ success: false, error: `A contact with +${fields.phone} already exists` });
+    }
+
+    const contact = await Contact.create({
+      ...fields,
+      owner: req.userId,
+      ...(consent && { consent: consentFields(consent, 'manual', req.body.consentNote) })
+    });
+    res.status(201).json({ success: true, contact: contactView(contact) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to create contact', details: error.message });
+  }
+};
+
+// GET /api/contacts/:contactId - with the full purchase history
+exports.getContact = async (req, res) => {
+  try {
+    const contact = await Contact.findOwned(req.params.contactId, req.userId);
+    if (!contact) return res.status(404).json({ success: false, error: 'Contact not found' });
+    res.json({ success: true, contact: contactView(contact, { purchases: Contact.MAX_PURCHASES }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch contact', details: error.message });
+  }
+};
+
+// PUT /api/contacts/:contactId { name, phone, email, tags, language, notes }
+exports.updateContact = async (req, res) => {
+  try {
+    const contact = await Contact.findOwned(req.params.contactId, req.userId);
+    if (!contact) return res.status(404).json({ success: false, error: 'Contact not found' });
+
+    const { fields, errors } = pickContactFields(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid contact', details: errors });
+    }
+    if (fields.phone && fields.phone !== contact.phone &&
+        await Contact.exists({ owner: req.userId, phone: fields.phone })) {
+      return res.status(409).json({ success: false, error: `A contact with +${fields.phone} already exists` });
+    }
+
+    contact.set(fields);
+    await contact.save();
+    res.json({ success: true, contact: contactView(contact) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to update contact', details: error.message });
+  }
+};
+
+// POST /api/contacts/:contactId/consent { status: opted_in|opted_out|unknown, note }
+exports.updateContactConsent = async (req, res) => {
+  try {
+    const status = parseConsent(req.body.status);
+    if (!status) {
+      return res.status(400).json({ success: false, error: 'Invalid status', details: `Use one of: ${Contact.CONSENT_STATUSES.join(', ')}` });
+    }
+    const contact = await Contact.findOwned(req.params.contactId, req.userId);
+    if (!contact) return res.status(404).json({ success: false, error: 'Contact not found' });
+
+    contact.consent = consentFields(status, 'manual', req.body.note);
+    await contact.save();
+    console.log(`📇 Contact +${contact.phone} is now ${status}`);
+    res.json({ success: true, contact: contactView(contact) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to update consent', details: error.message });
+  }
+};
+
+// DELETE /api/contacts/:contactId
+exports.deleteContact = async (req, res) => {
+  try {
+    const contact = await Contact.findOwned(req.params.contactId, req.userId);
+    if (!contact) return res.status(404).json({ success: false, error: 'Contact not found' });
+    // The opt-out record is what keeps them out of future bulk sends
+    if (contact.consent?.status === 'opted_out') {
+      return res.status(409).json({
+        success: false,
+        error: 'Contact opted out',
+        message: 'Opted-out contacts are kept so they are never messaged again'
+      });
+    }
+    await contact.deleteOne();
+    res.json({ success: true, deleted: contact._id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to delete contact', details: error.message });
+  }
+};
+
+// POST /api/contacts/segment/preview { segment } - who a bulk send to this segment would reach
+exports.previewSegment = async (req, res) => {
+  try {
+    const segment = req.body.segment || {};
+    const { filter, errors } = segmentFilter(req.userId, segment);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid segment', details: errors });
+    }
+    const { filter: everyone } = segmentFilter(req.userId, { ...segment, optedInOnly: false }, { includeOptedOut: true });
+
+    const [sample, matched, total] = await Promise.all([
+      Contact.find(filter).sort({ createdAt: 1 }).limit(20).slice('purchases', -5),
+      Contact.countDocuments(filter),
+      Contact.countDocuments(everyone)
+    ]);
+    res.json({
+      success: true,
+      matched,
+      excluded: total - matched, // opted out, or not opted in when optedInOnly is set
+      sample: sample.map(contact => contactView(contact))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to preview segment', details: error.message });
+  }
+};
+
+// POST /api/contacts/import - CSV or vCard as multipart "file", or { text, format }; optional tags and consent for every row
+exports.importContacts = async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : typeof req.body.text === 'string' ? req.body.text : '';
+    if (!text.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Contact file required',
+        details: 'Upload a CSV or vCard (.vcf) file as "file", or send its contents as "text"'
+      });
+    }
+    const defaultTags = normalizeTags(req.body.tags);
+    const defaultConsent = req.body.consent ? parseConsent(req.body.consent) : undefined;
+    if (req.body.consent && !defaultConsent) {
+      return res.status(400).json({ success: false, error: 'Invalid consent', details: `Use one of: ${Contact.CONSENT_STATUSES.join(', ')}` });
+    }
+
+    const { format, rows } = parseContactFile(text, {
+      filename: req.file?.originalname,
+      mimetype: req.file?.mimetype || (req.body.format === 'vcard' ? 'text/vcard' : '')
+    });
+    if (rows.length === 0) {
+      return res.status(400).json({ success: false, error: 'No contacts found', details: `Could not read any ${format === 'vcard' ? 'vCards' : 'CSV rows with a header'}` });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ success: false, error: `Maximum ${MAX_IMPORT_ROWS} contacts per import` });
+    }
+
+    // Rows for the same number are merged; later rows win except for tags, which add up
+    const skipped = [];
+    const byPhone = new Map();
+    rows.forEach((row, index) => {
+      const { fields, errors } = pickContactFields({
+        phone: row.phone,
+        ...['name', 'email', 'notes', 'language'].reduce((picked, key) => (row[key] ? { ...picked, [key]: row[key] } : picked), {}),
+        tags: [...defaultTags, ...(row.tags || [])]
+      });
+      if (!fields.phone) {
+        skipped.push({ entry: index + 1, phone: row.phone || null, error: errors[0].message });
+        return;
+      }
+      // Bad optional cells are dropped rather than losing the contact
+      for (const error of errors) delete fields[error.path];
+      const consent = parseConsent(row.consent) || defaultConsent;
+      const merged = byPhone.get(fields.phone);
+      byPhone.set(fields.phone, {
+        ...merged,
+        ...fields,
+        tags: [...new Set([...(merged?.tags || []), ...(fields.tags || [])])],
+        consent: consent || merged?.consent
+      });
+    });
+
+    const existing = await Contact.find({ owner: req.userId, phone: { $in: [...byPhone.keys()] } }).select('phone consent').lean();
+    const current = new Map(existing.map(contact => [contact.phone, contact]));
+    let consentKept = 0;
+    const operations = [...byPhone.values()].map(({ tags, consent, ...fields }) => {
+      const found = current.get(fields.phone);
+      if (!found) {
+        return {
+          insertOne: {
+            document: { ...fields, tags, owner: req.userId, ...(consent && { consent: consentFields(consent, 'import') }) }
+          }
+        };
+      }
+      // An opt-out the customer gave us is never undone by a spreadsheet
+      const keepOptOut = found.consent?.status === 'opted_out' && consent && consent !== 'opted_out';
+      if (keepOptOut) consentKept += 1;
+      return {
+        updateOne: {
+          filter: { _id: found._id },
+          update: {
+            $set: { ...fields, ...(consent && !keepOptOut && { consent: consentFields(consent, 'import') }) },
+            ...(tags.length > 0 && { $addToSet: { tags: { $each: tags } } })
+          }
+        }
+      };
+    });
+    if (operations.length > 0) await Contact.bulkWrite(operations, { ordered: false });
+
+    const created = operations.filter(operation => operation.insertOne).length;
+    console.log(`📇 Imported ${format} contacts: ${created} new, ${operations.length - created} updated, ${skipped.length} skipped`);
+    res.json({
+      success: true,
+      format,
+      created,
+      updated: operations.length - created,
+      skipped: skipped.length,
+      skippedRows: skipped.slice(0, MAX_REPORTED_SKIPS),
+      ...(consentKept > 0 && { consentKept, note: `${consentKept} contact(s) stayed opted out despite the import` })
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to import contacts', details: error.message });
+  }
+};
@@ -0,0 +1,261 @@
+const Conversation = require('../models/Conversation');
+const Quotation = require('../models/Quotation');
+const WhatsAppCampaign = require('../models/WhatsAppCampaign');
+const User = require('../models/User');
+const whatsapp = require('../utils/whatsappCloud');
+const {
+  SERVICE_WINDOW_MS,
+  resolveTemplate,
+  loadTemplateContext,
+  resolveParameters,
+  outboundMessage
+} = require('../utils/whatsappTemplates');
+const { buildRichMessage } = require('../utils/whatsappMessages');
+const { applyConsentKeyword, normalizePhone } = require('../utils/contacts');
+const { applyTemplateStatus } = require('./templateController');
+
+const MAX_REPLY_LENGTH = 4096;
+
+/**
+ * Artisan an inbound message belongs to: whoever already talks to this buyer, then whoever quoted them,
+ * then the account that owns the business number (WHATSAPP_INBOX_OWNER_PHONE)
+ */
+async function resolveOwner(customerPhone) {
+  const existing = await Conversation.findOne({ customerPhone, owner: { $ne: null } }).sort({ lastMessageAt: -1 }).select('owner');
+  if (existing) return existing.owner;
+
+  const phone = normalizePhone(customerPhone);
+  const quote = phone && await Quotation.findOne({ 'customer.phone': phone }).sort({ updatedAt: -1 }).select('owner');
+  if (quote) return quote.owner;
+
+  if (process.env.WHATSAPP_INBOX_OWNER_PHONE) {
+    const user = await User.findOne({ phone: process.env.WHATSAPP_INBOX_OWNER_PHONE }).select('_id');
+    if (user) return user._id;
+  }
+  return null;
+}
+
+/**
+ * Thread summary for the inbox list
+ */
+function conversationView(conversation, { includeMessages = false } = {}) {
+  const last = conversation.messages[conversation.messages.length - 1];
+  return {
+    id: conversation._id,
+    customerPhone: conversation.customerPhone,
+    customerName: conversation.customerName,
+    unreadCount: conversation.unreadCount,
+    lastMessageAt: conversation.lastMessageAt,
+    lastInboundAt: conversation.lastInboundAt,
+    // Free-form replies are allowed until then; afterwards only templates
+    windowClosesAt: conversation.lastInboundAt && new Date(conversation.lastInboundAt.getTime() + SERVICE_WINDOW_MS),
+    lastMessage: last && { direction: last.direction, type: last.type, text: last.text, status: last.status, at: last.at },
+    ...(includeMessages && {
+      messages: conversation.messages.map(message => ({
+        id: message._id,
+        waMessageId: message.waMessageId,
+        direction: message.direction,
+        type: message.type,
+        text: message.text,
+        media: message.media?.id || message.media?.url ? message.media : undefined,
+        replyTo: message.replyTo,
+        status: message.status,
+        statusAt: message.statusAt,
+        error: message.error?.title ? message.error : undefined,
+        at: message.at
+      }))
+    })
+  };
+}
+
+/**
+ * Record an artisan's outbound message so the inbox shows both sides and delivery statuses
+ */
+exports.recordOutbound = async ({ owner, to, waMessageId, type = 'text', text, media, sentBy }) => {
+  try {
+    await Conversation.appendMessage(
+      { owner, customerPhone: whatsapp.normalizePhone(to), phoneNumberId: process.env.WHATSAPP_PHONE_ID },
+      { waMessageId, direction: 'out', type, text, media, status: 'sent', statusAt: { sent: new Date() }, sentBy: sentBy && String(sentBy) }
+    );
+  } catch (error) {
+    console.warn('⚠️ Could not record outbound WhatsApp message:', error.message);
+  }
+};
+
+// GET /api/whatsapp/webhook - Meta subscription check (hub.mode, hub.verify_token, hub.challenge)
+exports.verifyWebhook = (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode === 'subscribe' && process.env.WHATSAPP_VERIFY_TOKEN && token === process.env.WHATSAPP_VERIFY_TOKEN) {
+    console.log('✅ WhatsApp webhook verified');
+    return res.status(200).type('text/plain').send(String(challenge));
+  }
+  console.warn('⚠️ WhatsApp webhook verification rejected');
+  res.status(403).json({ success: false, error: 'Webhook verification failed' });
+};
+
+// POST /api/whatsapp/webhook - inbound messages and delivery statuses
+exports.receiveWebhook = async (req, res) => {
+  const signature = whatsapp.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'));
+  if (!signature.ok) {
+    console.warn(`⚠️ WhatsApp webhook rejected: ${signature.reason}`);
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+
+  try {
+    const { messages, statuses, templateStatuses } = whatsapp.parseWebhook(req.body);
+    let stored = 0;
+    for (const message of messages) {
+      // Meta redelivers webhooks until it gets a 200
+      if (await Conversation.exists({ 'messages.waMessageId': message.waMessageId })) continue;
+
+      const owner = await resolveOwner(message.from);
+      // Messages that arrived before the buyer could be matched join the artisan's thread
+      if (owner) await Conversation.assignUnowned(owner, message.from);
+      await Conversation.appendMessage(
+        { owner, customerPhone: message.from, customerName: message.name, phoneNumberId: message.phoneNumberId },
+        {
+          waMessageId: message.waMessageId,
+          direction: 'in',
+          type: message.type,
+          text: message.text?.slice(0, 4096),
+          media: message.media,
+          replyTo: message.replyTo,
+          status: 'received',
+          at: message.at
+        }
+      );
+      stored += 1;
+      // STOP / START replies update the contact book so bulk sends respect them
+      const consent = ['text', 'button'].includes(message.type) && await applyConsentKeyword(owner, message.from, message.text, message.name);
+      if (consent) console.log(`📇 WhatsApp contact ${message.from} is now ${consent}`);
+      if (!owner) console.warn(`⚠️ WhatsApp message from ${message.from} has no matching artisan; set WHATSAPP_INBOX_OWNER_PHONE`);
+    }
+
+    let updated = 0;
+    for (const status of statuses) {
+      // Campaign sends are also tracked per recipient for the progress endpoint
+      const [inThread, inCampaign] = await Promise.all([
+        Conversation.applyMessageStatus(status),
+        WhatsAppCampaign.applyRecipientStatus(status)
+      ]);
+      if (inThread || inCampaign) updated += 1;
+      if (status.status === 'failed') console.warn(`⚠️ WhatsApp message ${status.waMessageId} failed:`, status.error?.title);
+    }
+
+    for (const templateStatus of templateStatuses) {
+      if (await applyTemplateStatus(templateStatus)) updated += 1;
+    }
+
+    if (stored || updated) console.log(`📥 WhatsApp webhook: ${stored} message(s) stored, ${updated} status update(s)`);
+    res.status(200).json({ success: true });
+  } catch (error) {
+    // A non-200 makes Meta retry; stored messages are skipped on the retry
+    console.error('❌ WhatsApp webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to process webhook' });
+  }
+};
+
+// GET /api/whatsapp/conversations?unread=true&limit=50
+exports.listConversations = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const conversations = await Conversation.find({
+      owner: req.userId,
+      ...(req.query.unread === 'true' && { unreadCount: { $gt: 0 } })
+    })
+      .sort({ lastMessageAt: -1 })
+      .limit(limit)
+      .slice('messages', -1);
+
+    res.json({
+      success: true,
+      conversations: conversations.map(conversation => conversationView(conversation)),
+      unread: conversations.reduce((sum, conversation) => sum + conversation.unreadCount, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list conversations', details: error.message });
+  }
+};
+
+// GET /api/whatsapp/conversations/:conversationId - full thread; opening it marks it read
+exports.getConversation = async (req, res) => {
+  try {
+    const conversation = await Conversation.findOwned(req.params.conversationId, req.userId);
+    if (!conversation) return res.status(404).json({ success: false, error: 'Conversation not found' });
+
+    if (conversation.unreadCount > 0) {
+      await Conversation.updateOne({ _id: conversation._id }, { $set: { unreadCount: 0 } });
+      conversation.unreadCount = 0;
+    }
+    res.json({ success: true, conversation: conversationView(conversation, { includeMessages: true }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to get conversation', details: error.message });
+  }
+};
+
+// POST /api/whatsapp/conversations/:conversationId/reply
+// { text }, { messageType: image|buttons|list|document, productId, productIds, quotationId, ... } or { templateId, sessionId, productId }
+exports.replyToConversation = async (req, res) => {
+  try {
+    const conversation = await Conversation.findOwned(req.params.conversationId, req.userId);
+    if (!conversation) return res.status(404).json({ success: false, error: 'Conversation not found' });
+
+    const { templateId, sessionId, productId, messageType = 'text' } = req.body;
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!templateId && messageType === 'text' && (!text || text.length > MAX_REPLY_LENGTH)) {
+      return res.status(400).json({ success: false, error: 'Reply text required', details: `1 to ${MAX_REPLY_LENGTH} characters` });
+    }
+    const rich = templateId ? { message: null } : await buildRichMessage(req.userId, { ...req.body, text: text || undefined }, req);
+    if (rich.error) return res.status(rich.status).json({ success: false, error: rich.error, details: rich.details });
+
+    if (!whatsapp.isConfigured()) {
+      return res.status(200).json({
+        success: false,
+        mode: 'demo',
+        waLink: `https://wa.me/${conversation.customerPhone}?text=${encodeURIComponent(rich.message ? [rich.message.text, rich.message.media?.url].filter(Boolean).join('\n') : text)}`,
+        note: 'To reply from the inbox, configure FACEBOOK_ACCESS_TOKEN and WHATSAPP_PHONE_ID'
+      });
+    }
+
+    let template = null;
+    let parameters;
+    if (templateId) {
+      const resolved = await resolveTemplate(req.userId, templateId);
+      if (resolved.error) return res.status(400).json({ success: false, error: resolved.error });
+      template = resolved.template;
+      const context = await loadTemplateContext(req.userId, { sessionId, productId, customerName: conversation.customerName });
+      const values = resolveParameters(template, context);
+      if (values.missing.length > 0) {
+        return res.status(400).json({ success: false, error: 'Template variables missing', details: values.missing });
+      }
+      parameters = values.parameters;
+    }
+
+    const windowOpen = !!conversation.lastInboundAt && Date.now() - conversation.lastInboundAt.getTime() < SERVICE_WINDOW_MS;
+    const outbound = outboundMessage({ windowOpen, text, rich: rich.message, template, parameters, forceTemplate: !!templateId });
+    if (!outbound.kind) {
+      return res.status(409).json({ success: false, error: 'Template required', details: outbound.reason, windowOpen });
+    }
+
+    let sent;
+    try {
+      sent = await whatsapp.sendMessage(conversation.customerPhone, outbound.content);
+    } catch (error) {
+      const details = whatsapp.apiError(error);
+      console.error('❌ WhatsApp reply failed:', details);
+      return res.status(502).json({ success: false, error: 'WhatsApp reply failed', details });
+    }
+
+    const updated = await Conversation.appendMessage(
+      { owner: req.userId, customerPhone: conversation.customerPhone },
+      { waMessageId: sent.messageId, direction: 'out', type: outbound.kind, text: outbound.text?.slice(0, MAX_REPLY_LENGTH), media: outbound.media, status: 'sent', statusAt: { sent: new Date() }, sentBy: String(req.userId) }
+    );
+    console.log(`📤 WhatsApp ${outbound.kind} reply sent to ${conversation.customerPhone}`);
+    res.status(201).json({ success: true, messageId: sent.messageId, messageType: outbound.kind, conversation: conversationView(updated, { includeMessages: true }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to send reply', details: error.message });
+  }
+};
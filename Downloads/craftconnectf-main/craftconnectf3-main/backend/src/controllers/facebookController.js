@@ -1,39 +1,15 @@
 const axios = require('axios');
-const { VertexAI } = require('@google-cloud/vertexai');
 const FormData = require('form-data');
+const ai = require('../utils/aiProvider');
 
 // Facebook Graph API configuration
 const FACEBOOK_API_URL = 'https://graph.facebook.com/v18.0';
 
-// Initialize Vertex AI for content generation
-let vertexAI = null;
-let contentModel = null;
-
-try {
-  if (process.env.GOOGLE_PROJECT_ID) {
-    vertexAI = new VertexAI({
-      project: process.env.GOOGLE_PROJECT_ID,
-      location: process.env.GOOGLE_LOCATION || 'us-central1',
-    });
-    
-    contentModel = vertexAI.getGenerativeModel({
-      model: process.env.VERTEX_MODEL || 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.6,
-        topP: 0.9,
-        maxOutputTokens: 800,
-      },
-    });
-  }
-} catch (error) {
-  console.error('❌ Facebook controller - Vertex AI initialization failed:', error.message);
-}
-
 /**
  * Generate Facebook post caption using AI
  */
 async function generateFacebookCaption(businessData, productData, postType = 'product') {
-  if (contentModel) {
+  if (ai.isAvailable()) {
     const prompt = `Create an engaging Facebook post caption for this craft business:
 
 Business: ${businessData.businessType || 'Craft Business'}
@@ -58,12 +34,17 @@ Create a caption that:
 Return only the caption text with hashtags.`;
     
     try {
-      const result = await contentModel.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }]
+      const { text } = await ai.generate({
+        prompt,
+        generationConfig: {
+          temperature: 0.6,
+          topP: 0.9,
+          maxOutputTokens: 800,
+        }
       });
       
-      if (result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        return result.response.candidates[0].content.parts[0].text.trim();
+      if (text) {
+        return text;
       }
     } catch (error) {
       console.log('AI caption generation failed, using template:', error.message);
@@ -371,6 +352,7 @@ exports.getPageInsights = async (req, res) => {
 exports.getFacebookStatus = (req, res) => {
   const hasToken = !!process.env.FACEBOOK_ACCESS_TOKEN;
   const hasPageId = !!process.env.FACEBOOK_PAGE_ID;
+  const providerStatus = ai.getStatus();
   
   const status = {
     available: true,
@@ -382,8 +364,9 @@ exports.getFacebookStatus = (req, res) => {
         features: ['post_creation', 'image_upload', 'page_insights']
       },
       contentGeneration: {
-        available: !!contentModel,
-        model: 'gemini-1.5-flash',
+        available: providerStatus.available,
+        provider: providerStatus.provider,
+        model: providerStatus.model,
         features: ['caption_generation', 'hashtag_optimization', 'engagement_optimization']
       }
     },
@@ -397,7 +380,7 @@ exports.getFacebookStatus = (req, res) => {
       createPost: hasToken && hasPageId,
       uploadImage: hasToken && hasPageId,
       pageInsights: hasToken && hasPageId,
-      captionGeneration: !!contentModel
+      captionGeneration: providerStatus.available
     },
     limits: {
       maxImageSize: '10MB',
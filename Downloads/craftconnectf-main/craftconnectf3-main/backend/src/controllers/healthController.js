@@ -1,4 +1,7 @@
 // Health check controller for debugging deployment issues
+const ai = require('../utils/aiProvider');
+const speech = require('../utils/speechProvider');
+const otp = require('../utils/otpProvider');
 
 exports.healthCheck = (req, res) => {
   const health = {
@@ -14,9 +17,12 @@ exports.healthCheck = (req, res) => {
     services: {
       mongodb: false,
       googleAI: false,
+      aiProvider: ai.getStatus(),
+      speechProvider: speech.getStatus(),
+      otpProvider: otp.getStatus(),
       apis: {
         speechToText: false,
-        vertexAI: false,
+        generativeAI: false,
         vision: false
       }
     }
@@ -28,12 +34,9 @@ exports.healthCheck = (req, res) => {
 
   // Check Google AI initialization
   try {
-    const { SpeechClient } = require('@google-cloud/speech');
-    const { VertexAI } = require('@google-cloud/vertexai');
-    
-    health.services.apis.speechToText = !!process.env.GOOGLE_PROJECT_ID;
-    health.services.apis.vertexAI = !!process.env.GOOGLE_PROJECT_ID;
-    health.services.googleAI = health.services.apis.speechToText && health.services.apis.vertexAI;
+    health.services.apis.speechToText = health.services.speechProvider.available;
+    health.services.apis.generativeAI = health.services.aiProvider.available;
+    health.services.googleAI = health.services.apis.speechToText && health.services.apis.generativeAI;
   } catch (error) {
     health.services.googleAI = false;
     health.error = error.message;
@@ -72,10 +75,42 @@ exports.envCheck = (req, res) => {
   const optionalEnvVars = [
     'GOOGLE_LOCATION',
     'VERTEX_MODEL',
+    'AI_PROVIDER',
+    'OPENAI_BASE_URL',
+    'OPENAI_API_KEY',
+    'OPENAI_MODEL',
+    'AI_REQUESTS_PER_MINUTE',
+    'SPEECH_PROVIDER',
+    'LOCAL_STT_ENGINE',
+    'LOCAL_STT_BINARY',
+    'LOCAL_STT_MODEL',
+    'FFMPEG_PATH',
+    'MAX_LONG_AUDIO_MB',
+    'TRANSCRIPTION_CHUNK_SECONDS',
+    'SESSION_RETENTION_DAYS',
+    'PRICING_DEFAULT_HOURLY_RATE',
+    'PRICING_DEFAULT_GST_RATE',
+    'MARKET_MIN_COMPARABLES',
+    'QUOTATION_VALIDITY_DAYS',
+    'QUOTATION_BULK_CONCURRENCY',
+    'PUBLIC_API_URL',
+    'QUOTATION_PDF_FONT',
+    'EXCHANGE_RATES_PROVIDER',
+    'EXCHANGE_RATES_URL',
+    'JWT_SECRET',
+    'OTP_PROVIDER',
+    'OTP_EXPOSE_CODE',
+    'TWILIO_ACCOUNT_SID',
     'CLOUDINARY_CLOUD_NAME',
     'FACEBOOK_ACCESS_TOKEN',
     'WHATSAPP_TOKEN',
-    'SHOPIFY_ACCESS_TOKEN'
+    'WHATSAPP_BUSINESS_ACCOUNT_ID',
+    'WHATSAPP_VERIFY_TOKEN',
+    'WHATSAPP_APP_SECRET',
+    'WHATSAPP_DAILY_RECIPIENT_LIMIT',
+    'SHOPIFY_ACCESS_TOKEN',
+    'SHOPIFY_LOCATION_ID',
+    'LOW_STOCK_THRESHOLD'
   ];
 
   optionalEnvVars.forEach(varName => {
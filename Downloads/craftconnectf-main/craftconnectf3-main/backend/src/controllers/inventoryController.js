@@ -0,0 +1,95 @@
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const { normalizeMovement, stockLevels, recordMovement, reconcileWithShopify } = require('../utils/inventory');
+
+const MAX_PRODUCTS = 200;
+
+// GET /api/inventory?lowStock=true - stock for every active catalog product
+exports.listInventory = async (req, res) => {
+  try {
+    const products = await Product.find({ userId: req.userId, status: { $ne: 'archived' } })
+      .sort({ name: 1 })
+      .limit(MAX_PRODUCTS);
+
+    const levels = products.flatMap(product => stockLevels(product).map(level => ({ ...level, productName: product.name })));
+    const lowStock = levels.filter(level => level.low);
+    res.json({
+      success: true,
+      levels: req.query.lowStock === 'true' ? lowStock : levels,
+      lowStockCount: lowStock.length
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list inventory', details: error.message });
+  }
+};
+
+// GET /api/inventory/:productId?limit=50 - levels and the latest ledger entries
+exports.getProductInventory = async (req, res) => {
+  try {
+    const product = await Product.findOwned(req.params.productId, req.userId);
+    if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const movements = await InventoryMovement.find({ owner: req.userId, product: product._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({
+      success: true,
+      product: { id: product._id, name: product.name },
+      levels: stockLevels(product),
+      movements
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to get inventory', details: error.message });
+  }
+};
+
+// POST /api/inventory/:productId/movements { type, quantity, variantId, channel, externalId, note }
+exports.recordInventoryMovement = async (req, res) => {
+  try {
+    const product = await Product.findOwned(req.params.productId, req.userId);
+    if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+
+    const { movement, errors } = normalizeMovement(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid stock movement', details: errors });
+    }
+
+    const result = await recordMovement(product, movement, { by: req.userId });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error, ...(result.level && { level: result.level }) });
+    }
+    res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      movement: result.movement,
+      level: result.level,
+      ...(result.duplicate && { duplicate: true }),
+      ...(result.sync && { sync: result.sync })
+    });
+  } catch (error) {
+    console.error('❌ Stock movement error:', error);
+    res.status(500).json({ success: false, error: 'Failed to record stock movement', details: error.message });
+  }
+};
+
+// POST /api/inventory/:productId/reconcile { apply } - compare with Shopify, fix differences when apply is true
+exports.reconcileInventory = async (req, res) => {
+  try {
+    const product = await Product.findOwned(req.params.productId, req.userId);
+    if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+
+    const result = await reconcileWithShopify(product, { apply: req.body.apply === true, by: req.userId });
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+    console.log(`🔄 Shopify stock ${result.inSync ? 'in sync' : result.applied ? 'reconciled' : 'differs'} for ${product.name}`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Shopify reconciliation error:', error);
+    res.status(502).json({
+      success: false,
+      error: 'Shopify reconciliation failed',
+      details: error.response?.data?.errors || error.message
+    });
+  }
+};
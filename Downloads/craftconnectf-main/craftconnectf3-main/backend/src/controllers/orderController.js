@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const inventory = require('../utils/inventory');
+const contacts = require('../utils/contacts');
+const { TRANSITIONS, checkStatusChange, statusConflict } = require('../utils/orderFlow');
+
+function orderNumber() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `ORD-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Create the order for an accepted quotation from its current version
+ * @param {Object} quotation - Quotation document (status accepted)
+ * @param {string} by - User id or 'customer'
+ * @returns {Promise<Object>} Order document
+ */
+exports.createOrderFromQuotation = async (quotation, by) => {
+  const version = quotation.latestVersion();
+  const order = await Order.create({
+    owner: quotation.owner,
+    orderNumber: orderNumber(),
+    source: 'quotation',
+    quotation: quotation._id,
+    quotationVersion: version.version,
+    customer: quotation.customer,
+    items: [{
+      product: quotation.product,
+      productName: quotation.productName,
+      quantity: version.terms.quantity,
+      unitPrice: version.terms.unitPrice,
+      discountPercent: version.terms.discountPercent,
+      total: version.terms.total
+    }],
+    total: version.terms.total,
+    currency: quotation.currency,
+    statusHistory: [{ to: 'pending', by: String(by) }]
+  });
+  console.log(`🧾 Order ${order.orderNumber} created from quotation ${quotation.quoteNumber}`);
+
+  // Stock problems never block the order; the artisan sees them on the inventory page
+  try {
+    await inventory.reserveForOrder(order);
+  } catch (error) {
+    console.warn(`⚠️ Could not reserve stock for ${order.orderNumber}:`, error.message);
+  }
+  // Purchase history drives contact-book segments; it never blocks the order either
+  try {
+    await contacts.recordOrderPurchase(order);
+  } catch (error) {
+    console.warn(`⚠️ Could not add ${order.orderNumber} to the customer's contact:`, error.message);
+  }
+  return order;
+};
+
+// GET /api/orders?status=pending&limit=20
+exports.listOrders = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !Order.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status', details: `Use one of: ${Order.STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const orders = await Order.find({ owner: req.userId, ...(status && { status }) })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, orders });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list orders', details: error.message });
+  }
+};
+
+// GET /api/orders/:orderId
+exports.getOrder = async (req, res) => {
+  try {
+    const order = await Order.findOwned(req.params.orderId, req.userId);
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+    res.json({ success: true, order });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch order', details: error.message });
+  }
+};
+
+// Shipping turns the reservation into a sale (once); cancelling gives it back; a return restocks what was sold
+const STOCK_ON_STATUS = {
+  shipped: inventory.fulfilOrder,
+  delivered: inventory.fulfilOrder,
+  cancelled: inventory.releaseOrder,
+  returned: inventory.returnOrder
+};
+
+// PATCH /api/orders/:orderId/status { status, note }
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!Order.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status', details: `Use one of: ${Order.STATUSES.join(', ')}` });
+    }
+
+    const order = await Order.findOwned(req.params.orderId, req.userId);
+    if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+    if (TRANSITIONS[order.status].length === 0) {
+      return res.status(409).json({ success: false, error: 'Order is closed', message: `Order is already ${order.status}` });
+    }
+    const changing = order.status !== status;
+    if (!changing && typeof note !== 'string') return res.json({ success: true, order });
+    if (changing) {
+      const check = checkStatusChange(order, status);
+      if (!check.ok) return statusConflict(res, check);
+    }
+
+    // Conditional on the status we checked, so two changes at once cannot both apply their stock effects
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: { ...(changing && { status }), ...(typeof note === 'string' && { notes: note.slice(0, 1000) }) },
+        ...(changing && { $push: { statusHistory: { from: order.status, to: status, at: new Date(), by: String(req.userId) } } })
+      },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await Order.findById(order._id) || order;
+      const check = checkStatusChange(current, status);
+      return statusConflict(res, check.ok ? { ...check, ok: false, message: 'Order changed while updating, try again' } : check);
+    }
+    if (!changing) return res.json({ success: true, order: updated });
+
+    console.log(`📦 Order ${updated.orderNumber} is now ${updated.status}`);
+    const stock = STOCK_ON_STATUS[updated.status] ? await STOCK_ON_STATUS[updated.status](updated) : [];
+    if (['cancelled', 'returned'].includes(updated.status)) {
+      await contacts.removeOrderPurchase(updated).catch(error => console.warn(`⚠️ Could not remove ${updated.orderNumber} from the customer's contact:`, error.message));
+    }
+    res.json({ success: true, order: updated, ...(stock.length > 0 && { inventory: stock }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to update order', details: error.message });
+  }
+};
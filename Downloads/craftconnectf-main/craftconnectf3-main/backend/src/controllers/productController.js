@@ -1,77 +1,74 @@
-const { SpeechClient } = require('@google-cloud/speech');
-const { VertexAI } = require('@google-cloud/vertexai');
 const { ImageAnnotatorClient } = require('@google-cloud/vision');
 const mongoose = require('mongoose');
 const BusinessSession = require('../models/BusinessSession');
 const Product = require('../models/Product');
+const Quotation = require('../models/Quotation');
+const ai = require('../utils/aiProvider');
+const speech = require('../utils/speechProvider');
+const { resolveTranscriptionJob } = require('./transcriptionController');
+const { generateStructured, summarizeOutcome } = require('../utils/structuredOutput');
+const { recognitionOptions, describeLanguage, responseLanguageInstruction } = require('../utils/languages');
+const { translateToEnglish } = require('../utils/translation');
+const { allowedNextSteps, checkTransition, applyTransition, transitionConflict } = require('../utils/sessionFlow');
+const { isStorageConfigured, uploadImage, generateFilename } = require('../utils/storage');
+const { CATALOG_FIELDS, variantLabel, pickProductFields, catalogFromSession } = require('../utils/catalog');
+const { levelOf, stockLevels, logStockEdits, applyVariantEdits } = require('../utils/inventory');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1 },
+  updated: { updatedAt: -1 },
+  name: { name: 1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 }
+};
 
 // Initialize Google Cloud clients
-const speechClient = new SpeechClient();
 const visionClient = new ImageAnnotatorClient();
-let vertexAI = null;
-let generativeModel = null;
-
-try {
-  vertexAI = new VertexAI({
-    project: process.env.GOOGLE_PROJECT_ID,
-    location: process.env.GOOGLE_LOCATION || 'us-central1',
-  });
-  generativeModel = vertexAI.preview.getGenerativeModel({
-    model: process.env.VERTEX_MODEL || 'gemini-2.5-flash',
-  });
-  console.log('✅ Product Controller Vertex AI initialized');
-} catch (e) {
-  console.error('❌ Failed to initialize Vertex AI in product controller:', e.message);
-}
-
-// Utility: extract JSON from text
-function extractJson(text) {
-  const match = text.match(/\{[\s\S]*\}/);
-  if (!match) return null;
-  try {
-    return JSON.parse(match[0]);
-  } catch {
-    return null;
-  }
-}
 
 // Step 3: Comprehensive Product Analysis
 exports.analyzeComprehensive = async (req, res) => {
   try {
     console.log('🎨 Starting comprehensive product analysis...');
 
-    const { sessionId } = req.body;
+    const { sessionId, transcriptionJobId } = req.body;
     if (!sessionId) {
       return res.status(400).json({ error: 'Session ID required' });
     }
 
-    const session = await BusinessSession.findById(sessionId);
+    const session = await BusinessSession.findOwned(sessionId, req.userId);
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    // Product analysis only runs once the business summary has been approved
+    const check = checkTransition(session, 'product_analysis_complete');
+    if (!check.ok) return transitionConflict(res, check);
+
+    // Product audio is recorded in the language identified in step 1
+    const language = session.language?.code ? session.language : describeLanguage(null);
+
     let productTranscript = '';
+    let productTranscriptEnglish = '';
     let imageAnalyses = [];
+    const productImages = [];
 
-    // Process audio if provided
-    if (req.files && req.files.audio && req.files.audio[0]) {
+    // Process audio (or a finished long-audio transcription job) if provided
+    const audioFile = req.files && req.files.audio && req.files.audio[0];
+    if (audioFile || transcriptionJobId) {
       console.log('🎤 Processing product audio...');
       
-      const audioBytes = req.files.audio[0].buffer.toString('base64');
-      const [response] = await speechClient.recognize({
-        audio: { content: audioBytes },
-        config: {
-          encoding: 'WEBM_OPUS',
-          sampleRateHertz: 48000,
-          languageCode: 'en-US',
-          enableAutomaticPunctuation: true,
-          model: 'latest_long',
-        },
-      });
-      
-      productTranscript = response.results
-        ?.map(result => result.alternatives[0]?.transcript)
-        .join(' ') || '';
+      const transcription = audioFile
+        ? await speech.transcribe(audioFile.buffer, recognitionOptions(language.code))
+        : await resolveTranscriptionJob(transcriptionJobId, req.userId);
+      if (transcription.success) {
+        productTranscript = transcription.text;
+        const translation = await translateToEnglish(productTranscript, language.code);
+        productTranscriptEnglish = translation.text || '';
+      } else {
+        console.log('⚠️ Product audio transcription failed:', transcription.error);
+      }
 
       console.log('📝 Product transcript:', productTranscript);
     }
@@ -109,6 +106,16 @@ exports.analyzeComprehensive = async (req, res) => {
 
           imageAnalyses.push(analysis);
           console.log(`✅ Image ${i + 1} analyzed`);
+
+          // Keep the photo for the catalog when storage is set up; analysis does not depend on it
+          if (isStorageConfigured()) {
+            try {
+              const url = await uploadImage(imageFile.buffer, generateFilename(imageFile.originalname, 'product'), 'products/originals');
+              productImages.push({ imageIndex: i + 1, url });
+            } catch (uploadError) {
+              console.warn(`⚠️ Image ${i + 1} upload failed:`, uploadError.message);
+            }
+          }
         } catch (error) {
           console.error(`❌ Image ${i + 1} failed:`, error.message);
           imageAnalyses.push({
@@ -120,34 +127,38 @@ exports.analyzeComprehensive = async (req, res) => {
     }
 
     // AI Analysis
-    if (!generativeModel) {
-      return res.status(500).json({ error: 'Vertex AI not initialized' });
+    if (!ai.isAvailable()) {
+      return res.status(500).json({ error: 'AI provider not available' });
     }
 
     const prompt = `Analyze this product with business context:
 
 BUSINESS: ${JSON.stringify(session.businessSummary, null, 2)}
-PRODUCT DESCRIPTION: "${productTranscript}"
+PRODUCT DESCRIPTION: "${productTranscriptEnglish || productTranscript}"
 IMAGE ANALYSIS: ${JSON.stringify(imageAnalyses, null, 2)}
 
-Provide JSON with: productSummary{name,category,materials[],techniques[],uniqueFeatures[],qualityLevel,timeToMake}, marketingInsights{targetAudience,pricingRange,sellingPoints[],competitiveAdvantage}, recommendations{immediate[],shortTerm[],longTerm[]}`;
+Provide JSON with: productSummary{name,category,materials[],techniques[],uniqueFeatures[],qualityLevel,timeToMake}, marketingInsights{targetAudience[],pricingRange,sellingPoints[],competitiveAdvantage[]}, recommendations{immediate[],shortTerm[],longTerm[]}${responseLanguageInstruction(language)}`;
 
-    const result = await generativeModel.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    const analysisResult = await generateStructured({
+      prompt,
+      schema: 'productAnalysis',
       generationConfig: {
         temperature: 0.4,
         maxOutputTokens: 4096,
       },
     });
-
-    const aiText = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    const productAnalysis = extractJson(aiText) || { rawResponse: aiText };
+    const productAnalysis = analysisResult.data;
 
     // Update session
     session.productTranscript = productTranscript;
+    session.productTranscriptEnglish = productTranscriptEnglish || undefined;
     session.imageAnalyses = imageAnalyses;
+    if (productImages.length > 0) session.productImages = productImages;
     session.productAnalysis = productAnalysis;
-    session.step = 'product_analysis_complete';
+    // A fresh analysis needs a fresh approval
+    session.productApproved = false;
+    const transition = applyTransition(session, 'product_analysis_complete', { by: req.userId });
+    if (!transition.ok) return transitionConflict(res, transition);
     session.updatedAt = new Date();
     await session.save();
 
@@ -156,8 +167,13 @@ Provide JSON with: productSummary{name,category,materials[],techniques[],uniqueF
       success: true,
       sessionId,
       productTranscript,
+      productTranscriptEnglish,
+      language,
       imageAnalyses,
       productAnalysis,
+      structuredOutput: summarizeOutcome(analysisResult),
+      step: session.step,
+      allowedNextSteps: allowedNextSteps(session.step),
       nextStep: 'generate_recommendations'
     });
 
@@ -175,34 +191,254 @@ exports.processProduct = async (req, res) => {
   res.json({ success: true, message: 'Use /api/products/analyze-comprehensive' });
 };
 
+/**
+ * Catalog view of a product
+ */
+function productView(product) {
+  const variants = product.variants.map(variant => {
+    const level = levelOf(product, variant);
+    return {
+      id: variant._id,
+      label: variantLabel(variant.options),
+      options: variant.options,
+      sku: variant.sku,
+      price: variant.price ?? product.price,
+      stock: variant.stock,
+      reserved: level.reserved,
+      available: level.available,
+      lowStockThreshold: variant.lowStockThreshold,
+      lowStock: level.low,
+      weightKg: variant.weightKg,
+      images: variant.images
+    };
+  });
+  const prices = variants.map(variant => variant.price).filter(price => price !== undefined && price !== null);
+  const level = variants.length === 0 ? levelOf(product) : null;
+  return {
+    id: product._id,
+    name: product.name,
+    description: product.description,
+    category: product.category,
+    materials: product.materials,
+    tags: product.tags,
+    price: product.price,
+    currency: product.currency,
+    priceSource: product.priceSource,
+    images: product.images,
+    variants,
+    ...(prices.length > 0 && { priceRange: { min: Math.min(...prices), max: Math.max(...prices) } }),
+    ...(variants.length > 0 && { totalStock: variants.reduce((sum, variant) => sum + (variant.stock || 0), 0) }),
+    ...(level && { stock: level.onHand, reserved: level.reserved, available: level.available }),
+    lowStockThreshold: product.lowStockThreshold,
+    lowStock: stockLevels(product).some(level => level.low),
+    status: product.status,
+    approved: product.approved,
+    approvedAt: product.approvedAt,
+    source: product.source,
+    sessionId: product.sessionId,
+    ai: product.ai,
+    channels: product.channels,
+    createdAt: product.createdAt,
+    updatedAt: product.updatedAt
+  };
+}
+
+/**
+ * Create or refresh the catalog product for an approved session
+ * Fields the artisan has edited in the catalog are left as they are.
+ */
+async function upsertCatalogProduct(session, { images, userId }) {
+  const quote = await Quotation.findOne({ owner: userId, session: session._id }).sort({ updatedAt: -1 });
+  const { fields, ai, errors } = catalogFromSession(session, { quote, images });
+  if (errors.length > 0) return { errors };
+
+  const existing = await Product.findOne({ userId, sessionId: String(session._id), source: 'session' });
+  const product = existing || new Product({ userId, sessionId: String(session._id), source: 'session' });
+  const edited = (field) => product.manualEdits.includes(field === 'priceSource' ? 'price' : field);
+  for (const [field, value] of Object.entries(fields)) {
+    if (!edited(field)) product.set(field, value);
+  }
+  product.ai = ai;
+  product.transcript = session.productTranscriptEnglish || session.productTranscript;
+  product.approved = true;
+  product.approvedAt = new Date();
+  if (product.status !== 'published') product.status = 'approved';
+  product.archivedAt = undefined;
+  await product.save();
+
+  console.log(`🗂️ Catalog product ${existing ? 'updated' : 'created'} from session ${session._id}: ${product.name}`);
+  return { product, created: !existing };
+}
+
+// GET /api/products/:id - catalog product by id, or the product created from a session id
 exports.getProduct = async (req, res) => {
   try {
-    const product = await BusinessSession.findById(req.params.id) || await Product.findById(req.params.id);
-    if (!product) return res.status(404).json({ error: 'Product not found' });
-    res.json({ success: true, product });
+    const product = await Product.findOwned(req.params.id, req.userId)
+      || await Product.findOne({ userId: req.userId, sessionId: req.params.id, source: 'session' });
+    if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+    res.json({ success: true, product: productView(product) });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get product', details: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get product', details: error.message });
   }
 };
 
+// POST /api/products/:id/approve { approved, feedback, images } - id is a wizard session (or a legacy product)
 exports.approveProduct = async (req, res) => {
   try {
     const { approved, feedback } = req.body;
-    let product = await BusinessSession.findById(req.params.id);
-    
-    if (product) {
-      product.productApproved = approved;
-      product.productFeedback = feedback;
-      product.step = approved ? 'ready_for_recommendations' : 'product_needs_revision';
-      product.updatedAt = new Date();
-      await product.save();
-    } else {
-      product = await Product.findByIdAndUpdate(req.params.id, { approved, feedback, updatedAt: new Date() }, { new: true });
+    const session = await BusinessSession.findOwned(req.params.id, req.userId);
+
+    if (session) {
+      const target = approved ? 'ready_for_recommendations' : 'product_needs_revision';
+      const check = checkTransition(session, target);
+      if (!check.ok) return transitionConflict(res, check);
+
+      let catalog = {};
+      if (approved) {
+        catalog = await upsertCatalogProduct(session, { images: req.body.images, userId: req.userId });
+        if (catalog.errors) {
+          return res.status(400).json({ success: false, error: 'Invalid product images', details: catalog.errors });
+        }
+      }
+
+      session.productApproved = !!approved;
+      session.productFeedback = feedback;
+      const transition = applyTransition(session, target, { by: req.userId });
+      if (!transition.ok) return transitionConflict(res, transition);
+      session.updatedAt = new Date();
+      await session.save();
+
+      return res.json({
+        success: true,
+        product: session,
+        ...(catalog.product && { catalogProduct: productView(catalog.product), catalogProductCreated: catalog.created }),
+        nextStep: approved ? 'generate_recommendations' : 'revise_product'
+      });
     }
-    
-    if (!product) return res.status(404).json({ error: 'Product not found' });
-    res.json({ success: true, product, nextStep: approved ? 'generate_recommendations' : 'revise_product' });
+
+    const product = await Product.findOwned(req.params.id, req.userId);
+    if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+    product.approved = !!approved;
+    product.approvedAt = approved ? new Date() : null;
+    if (approved && ['draft', 'ready_for_approval'].includes(product.status)) product.status = 'approved';
+    await product.save();
+    res.json({ success: true, product: productView(product), nextStep: approved ? 'generate_recommendations' : 'revise_product' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to approve product', details: error.message });
+  }
+};
+
+// GET /api/products?q=&category=&tag=&status=&sort=newest&page=1&limit=20
+exports.listProducts = async (req, res) => {
+  try {
+    const { q, category, tag, status } = req.query;
+    const sort = req.query.sort || 'newest';
+    if (status && !Product.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status', details: `Use one of: ${Product.STATUSES.join(', ')}` });
+    }
+    if (!PRODUCT_SORTS[sort]) {
+      return res.status(400).json({ success: false, error: 'Invalid sort', details: `Use one of: ${Object.keys(PRODUCT_SORTS).join(', ')}` });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const escape = (text) => String(text).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const filter = {
+      userId: req.userId,
+      // Archived products only show up when asked for
+      status: status || { $ne: 'archived' },
+      ...(category && { category: new RegExp(`^${escape(category)}$`, 'i') }),
+      ...(tag && { tags: String(tag).replace(/^#/, '').toLowerCase() })
+    };
+    if (q && String(q).trim()) {
+      const pattern = new RegExp(escape(q), 'i');
+      filter.$or = [{ name: pattern }, { description: pattern }, { category: pattern }, { tags: pattern }, { materials: pattern }];
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(filter).sort(PRODUCT_SORTS[sort]).skip((page - 1) * limit).limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      products: products.map(productView),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list products', details: error.message });
+  }
+};
+
+// POST /api/products { name, description, category, materials, tags, price, images }
+exports.createProduct = async (req, res) => {
+  try {
+    const { fields, errors } = pickProductFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid product', details: errors });
+    }
+
+    const product = await Product.create({
+      ...fields,
+      userId: req.userId,
+      source: 'manual',
+      ...(fields.price !== undefined && { priceSource: 'manual' }),
+      manualEdits: CATALOG_FIELDS.filter(field => fields[field] !== undefined)
+    });
+    await logStockEdits(product, new Map(), { by: req.userId, note: 'Opening stock' });
+    console.log(`🗂️ Catalog product created: ${product.name}`);
+    res.status(201).json({ success: true, product: productView(product) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to create product', details: error.message });
+  }
+};
+
+// PATCH /api/products/:id - edit listing fields or status
+exports.updateProduct = async (req, res) => {
+  try {
+    const product = await Product.findOwned(req.params.id, req.userId);
+    if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+
+    const { fields, errors } = pickProductFields(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid product', details: errors });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, error: 'No changes', details: `Editable fields: ${CATALOG_FIELDS.join(', ')}, status` });
+    }
+
+    // Variants are edited in place (keeping their Shopify link and counts); the rest of the listing saves as usual
+    const { variants, ...listing } = fields;
+    product.set(listing);
+    if (fields.price !== undefined) product.priceSource = 'manual';
+    if (fields.status) product.archivedAt = undefined;
+    const edited = CATALOG_FIELDS.filter(field => fields[field] !== undefined);
+    product.manualEdits = [...new Set([...product.manualEdits, ...edited])];
+    await product.save();
+
+    if (variants) {
+      const { product: updated, stockErrors } = await applyVariantEdits(product, variants, { by: req.userId });
+      return res.json({ success: true, product: productView(updated), ...(stockErrors.length > 0 && { stockErrors }) });
+    }
+
+    res.json({ success: true, product: productView(product) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to update product', details: error.message });
+  }
+};
+
+// DELETE /api/products/:id - archive; quotations and orders keep pointing at it
+exports.deleteProduct = async (req, res) => {
+  try {
+    const product = await Product.findOwned(req.params.id, req.userId);
+    if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+
+    product.status = 'archived';
+    product.archivedAt = new Date();
+    await product.save();
+    console.log(`🗄️ Catalog product archived: ${product.name}`);
+    res.json({ success: true, message: 'Product archived', product: productView(product) });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to approve product', details: error.message });
+    res.status(500).json({ success: false, error: 'Failed to archive product', details: error.message });
   }
 };
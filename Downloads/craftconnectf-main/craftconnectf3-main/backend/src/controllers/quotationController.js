@@ -1,50 +1,229 @@
-const { VertexAI } = require('@google-cloud/vertexai');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Quotation = require('../models/Quotation');
+const BusinessSession = require('../models/BusinessSession');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const orderController = require('./orderController');
+const ai = require('../utils/aiProvider');
+const { generateStructured, summarizeOutcome } = require('../utils/structuredOutput');
+const {
+  POSITIONING_TIERS,
+  GST_RATES,
+  normalizeCostInput,
+  calculateCost,
+  priceRangeFor,
+  derivedPricing,
+  defaultPositioning
+} = require('../utils/pricingEngine');
+const { compareWithMarket, MIN_COMPARABLES } = require('../utils/marketComparison');
+const { runPool } = require('../utils/concurrency');
+const exchangeRates = require('../utils/exchangeRates');
+const { normalizeTradeInput, isExport, quoteForDestination, listDestinations } = require('../utils/internationalPricing');
+const {
+  QUOTATION_STATUSES,
+  TRANSITIONS,
+  REVISABLE,
+  VALIDITY_DAYS,
+  validUntilFrom,
+  checkStatusChange,
+  applyStatus,
+  termsFor,
+  diffVersions,
+  statusConflict
+} = require('../utils/quotationFlow');
+const { PDF_TYPES, DEFAULT_PAYMENT_TERMS, renderQuotationPdf, pdfFileName, documentLinks } = require('../utils/quotationPdf');
+const { MAX_PRICE_POINTS, normalizeSimulationInput, simulatePrices } = require('../utils/priceSimulator');
+const { variantPricingFor } = require('../utils/catalog');
+const { normalizePhone } = require('../utils/contacts');
 
-// Initialize Vertex AI for pricing analysis
-let vertexAI = null;
-let pricingModel = null;
+// Positioning calls use a low temperature for consistent tiers
+const PRICING_GENERATION_CONFIG = {
+  temperature: 0.2,
+  topP: 0.9,
+  maxOutputTokens: 1024,
+};
 
-try {
-  if (process.env.GOOGLE_PROJECT_ID) {
-    vertexAI = new VertexAI({
-      project: process.env.GOOGLE_PROJECT_ID,
-      location: process.env.GOOGLE_LOCATION || 'us-central1',
-    });
-    
-    pricingModel = vertexAI.getGenerativeModel({
-      model: process.env.VERTEX_MODEL || 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.2, // Lower for consistent pricing
-        topP: 0.9,
-        maxOutputTokens: 1024,
-      },
-    });
-    
-    console.log('✅ AI Quotation system - Vertex AI initialized');
+// Cost fields that may be shared across a bulk batch via businessData
+const SHARED_COST_FIELDS = ['overhead', 'packaging', 'platform', 'profitMarginPercent', 'gstRate', 'roundTo'];
+
+// Bulk pricing pool; AI request rate is capped globally by AI_REQUESTS_PER_MINUTE
+const MAX_BULK_PRODUCTS = 20;
+const BULK_CONCURRENCY = Number(process.env.QUOTATION_BULK_CONCURRENCY) || 4;
+const BULK_RETRIES = Number(process.env.QUOTATION_BULK_RETRIES ?? 2);
+const BULK_BACKOFF_MS = 1000;
+
+// Request fields that turn a quote into an export/foreign-currency quote
+const TRADE_FIELDS = ['destination', 'currency', 'shipping', 'includeDestinationTax'];
+
+// Saved price scenarios kept per quotation (oldest dropped first)
+const MAX_SCENARIOS = 20;
+
+/**
+ * Template positioning used when the AI provider is unavailable or its output is invalid
+ */
+function fallbackPositioning({ complexity }) {
+  const positioning = defaultPositioning(complexity);
+  return {
+    positioning,
+    rationale: `${POSITIONING_TIERS[positioning].label} positioning based on ${complexity || 'moderate'} craftsmanship`,
+    marketComparison: {
+      localMarket: 'Priced from actual material, labor and overhead costs',
+      onlineMarket: 'Covers platform fees and GST without eating into the artisan margin',
+      premiumJustification: 'Handmade with traditional techniques'
+    },
+    confidence: 70
+  };
+}
+
+/**
+ * Combine the deterministic costing with a market positioning into the quotation response
+ */
+function buildQuotation(costing, positioning, { fallback = false, assumptions = [] } = {}) {
+  const breakdown = Object.fromEntries(costing.lineItems.map(item => [item.key, item.amount]));
+  return {
+    basePrice: costing.total,
+    currency: costing.currency,
+    priceRange: priceRangeFor(costing, positioning.positioning),
+    breakdown,
+    lineItems: costing.lineItems,
+    materials: costing.materials,
+    subtotals: costing.subtotals,
+    breakEvenPrice: costing.breakEvenPrice,
+    ...derivedPricing(costing),
+    positioning: positioning.positioning,
+    positioningRationale: positioning.rationale,
+    marketComparison: positioning.marketComparison || fallbackPositioning({}).marketComparison,
+    confidence: Math.max(0, Math.min(100, Number(positioning.confidence) || 70)),
+    assumptions,
+    notes: 'Price computed from your bill of materials, labor, overhead, packaging, platform fees and GST',
+    fallback
+  };
+}
+
+/**
+ * Ask the AI provider for a market positioning tier; it never supplies prices
+ */
+async function suggestPositioning(product, costing, { maxRetries } = {}) {
+  const defaults = fallbackPositioning(product);
+  if (!ai.isAvailable()) {
+    return { data: defaults, status: 'defaulted', errors: ['AI provider not available'] };
+  }
+
+  const prompt = `You are an expert in the Indian handmade products market. A handmade product has already been priced from its real costs. Suggest how it should be positioned in the market.
+
+Product Details:
+- Name: ${product.productName}
+- Type: ${product.productType || product.businessType || 'craft product'}
+- Materials: ${costing.materials.map(item => item.material).join(', ')}
+- Making time: ${costing.inputs.labor.hours} hours
+- Complexity: ${product.complexity || 'moderate'}
+- Region: ${product.region || 'India'}
+- Custom options: ${product.customization || 'standard'}
+- Description: ${product.description || 'handmade with traditional techniques'}
+- Cost-based price: ₹${costing.total} (production cost ₹${costing.subtotals.productionCost})
+
+Business Context:
+- Business focus: ${product.detectedFocus || 'handmade crafts'}
+- Craft category: ${product.businessType || 'traditional crafts'}
+
+Return a JSON object with this exact structure:
+{
+  "positioning": "budget" | "mid-range" | "premium" | "luxury",
+  "rationale": "one or two sentences on why",
+  "marketComparison": {
+    "localMarket": "how this compares with local artisan prices",
+    "onlineMarket": "how this compares with online handmade listings",
+    "premiumJustification": "what justifies the price to a buyer"
+  },
+  "confidence": 85
+}
+
+Do not return any prices or numbers other than confidence. Return only the JSON object.`;
+
+  return generateStructured({
+    prompt,
+    schema: 'pricePositioning',
+    defaults,
+    generationConfig: PRICING_GENERATION_CONFIG,
+    ...(maxRetries !== undefined && { maxRetries })
+  });
+}
+
+/**
+ * Validate cost inputs; exported goods are zero-rated for GST unless the artisan sets a rate
+ */
+function costInputFor(body) {
+  const zeroRated = isExport(body.destination) && body.gstRate === undefined;
+  const result = normalizeCostInput(zeroRated ? { ...body, gstRate: 0 } : body);
+  if (zeroRated) result.assumptions.push('GST 0%: exports are zero-rated when shipped under a Letter of Undertaking');
+  return result;
+}
+
+/**
+ * Validate destination, currency and shipping options; domestic INR quotes skip the rate lookup
+ */
+async function resolveTrade(body) {
+  if (!TRADE_FIELDS.some(field => body[field] !== undefined)) return {};
+  const exchange = await exchangeRates.getRates();
+  const { trade, errors, assumptions } = normalizeTradeInput(body, exchange.rates);
+  if (errors.length > 0) return { errors };
+  return { trade, exchange, assumptions };
+}
+
+/**
+ * Price a product from its cost inputs and attach a market positioning
+ * @param {Object} body - Product details, cost inputs and optional destination/currency
+ * @param {Object} [options] - { positioning } reuse a previous positioning instead of asking the AI;
+ *   { variants } catalog variant surcharges to offer alongside the add-ons
+ * @returns {Promise<{errors?: Array, error?: string, quotation?: Object, outcome?: Object, trade?: Object, exchange?: Object}>}
+ */
+async function priceProduct(body, { positioning, variants } = {}) {
+  const { trade, exchange, assumptions: tradeAssumptions = [], errors: tradeErrors } = await resolveTrade(body);
+  if (tradeErrors) return { errors: tradeErrors, error: 'Invalid destination or currency' };
+
+  const { input, errors, assumptions } = costInputFor(body);
+  if (errors.length > 0) return { errors };
+  assumptions.push(...tradeAssumptions);
+
+  console.log(`🎨 Generating quotation for: ${body.productName} (${body.productType || 'craft'})`);
+
+  const costing = calculateCost(input);
+  console.log(`🧮 Cost-based price: ₹${costing.total} (production ₹${costing.subtotals.productionCost})`);
+
+  let outcome;
+  if (positioning) {
+    outcome = { data: positioning, status: 'reused', errors: [] };
+  } else {
+    console.log(`⚙️ Using ${ai.getStatus().provider} for market positioning...`);
+    outcome = await suggestPositioning(body, costing);
+    if (outcome.status === 'defaulted') {
+      console.log('📄 Using template positioning:', outcome.errors.join(' | '));
+    } else {
+      console.log(`✅ AI positioning suggested: ${outcome.data.positioning} (${outcome.status})`);
+    }
   }
-} catch (error) {
-  console.error('❌ AI Quotation system - Vertex AI initialization failed:', error.message);
+
+  const quotation = buildQuotation(costing, outcome.data, {
+    fallback: outcome.status === 'defaulted' || (outcome.status === 'reused' && positioning.fallback === true),
+    assumptions
+  });
+  if (variants) quotation.customizationPricing.variants = variants;
+  if (trade) {
+    quotation.international = await quoteForDestination({ priceInr: quotation.basePrice, trade, exchange });
+    console.log(`🌍 ${trade.destination} quote: ${quotation.international.total} ${trade.currency} per piece incl. shipping`);
+  }
+  return { quotation, outcome, trade, exchange };
 }
 
 /**
- * Generate AI-powered pricing quotation
+ * Generate a cost-based pricing quotation with an AI-suggested market positioning
  */
 exports.generateQuotation = async (req, res) => {
   try {
     console.log('\n💰 === AI QUOTATION GENERATION ==>');
     
-    const {
-      businessType,
-      detectedFocus, 
-      productName,
-      productType,
-      materials,
-      timeToMake,
-      complexity,
-      region,
-      customization,
-      description
-    } = req.body;
+    const { productName } = req.body;
     
     if (!productName) {
       return res.status(400).json({
@@ -53,110 +232,26 @@ exports.generateQuotation = async (req, res) => {
         message: 'Please provide a product name for quotation'
       });
     }
-    
-    console.log(`🎨 Generating quotation for: ${productName} (${productType || 'craft'})`);
-    
-    let quotation = null;
-    
-    if (pricingModel) {
-      console.log('⚙️ Using Vertex AI for intelligent pricing...');
-      
-      const pricingPrompt = `You are an expert craft business pricing consultant. Generate a fair, competitive quotation for this handmade product.
-
-Product Details:
-- Name: ${productName}
-- Type: ${productType || businessType || 'craft product'}
-- Materials: ${materials || 'traditional materials'}
-- Making time: ${timeToMake || 'standard crafting time'}
-- Complexity: ${complexity || 'moderate'}
-- Region: ${region || 'India'}
-- Custom options: ${customization || 'standard'}
-- Description: ${description || 'handmade with traditional techniques'}
-
-Business Context:
-- Business focus: ${detectedFocus || 'handmade crafts'}
-- Craft category: ${businessType || 'traditional crafts'}
-
-Return a JSON object with this exact structure:
-{
-  "basePrice": 850,
-  "priceRange": {
-    "min": 700,
-    "max": 1200
-  },
-  "breakdown": {
-    "materials": 200,
-    "labor": 400,
-    "artisanSkill": 150,
-    "profit": 100
-  },
-  "customizationPricing": {
-    "colorVariation": 50,
-    "sizeIncrease": 100,
-    "personalEngraving": 150,
-    "rushDelivery": 200
-  },
-  "marketComparison": {
-    "localMarket": "15-20% below average local prices",
-    "onlineMarket": "competitive with handmade category",
-    "premiumJustification": "authentic traditional techniques + quality materials"
-  },
-  "bulkDiscounts": {
-    "quantity5": 10,
-    "quantity10": 18,
-    "quantity25": 25
-  },
-  "confidence": 87,
-  "notes": "Pricing based on Indian handcraft market analysis and material costs"
-}
 
-Ensure:
-- Prices in Indian Rupees (₹)
-- Realistic for Indian handcraft market
-- Accounts for material costs, labor, skill premium
-- Competitive but sustainable for artisan
-- Confidence score 80-95
-
-Return only the JSON object.`;
-      
-      try {
-        const result = await pricingModel.generateContent({
-          contents: [{ role: 'user', parts: [{ text: pricingPrompt }] }]
-        });
-        
-        if (result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-          const responseText = result.response.candidates[0].content.parts[0].text.trim();
-          
-          // Parse AI response
-          let cleanedResponse = responseText.replace(/```json\s*|\s*```/g, '').trim();
-          const jsonStart = cleanedResponse.indexOf('{');
-          const jsonEnd = cleanedResponse.lastIndexOf('}') + 1;
-          
-          if (jsonStart >= 0 && jsonEnd > jsonStart) {
-            const jsonStr = cleanedResponse.substring(jsonStart, jsonEnd);
-            quotation = JSON.parse(jsonStr);
-            console.log('✅ AI quotation generated successfully');
-          }
-        }
-      } catch (aiError) {
-        console.log('⚠️ AI quotation failed, using template:', aiError.message);
-      }
+    let variants;
+    if (req.body.productId) {
+      const product = await Product.findOwned(req.body.productId, req.userId);
+      if (!product) return res.status(404).json({ success: false, error: 'Product not found' });
+      variants = variantPricingFor(product);
     }
-    
-    // Fallback quotation if AI fails
-    if (!quotation) {
-      console.log('📄 Using template-based quotation');
-      quotation = generateFallbackQuotation({
-        productName,
-        productType,
-        complexity,
-        materials,
-        region
+
+    const priced = await priceProduct(req.body, { variants });
+    if (priced.errors) {
+      return res.status(400).json({
+        success: false,
+        error: priced.error || 'Invalid cost inputs',
+        message: priced.error
+          ? 'Use a supported destination country and currency (see GET /api/quotation/currencies)'
+          : 'Provide a bill of materials and labor hours to price this product',
+        details: priced.errors
       });
     }
-    
-    // Validate and sanitize quotation
-    quotation = validateQuotation(quotation);
+    const { quotation, outcome: outputResult } = priced;
     
     console.log(`💵 Final quotation - Base price: ₹${quotation.basePrice}`);
     
@@ -164,7 +259,8 @@ Return only the JSON object.`;
       success: true,
       productName: productName,
       quotation: quotation,
-      generatedBy: pricingModel ? 'vertex-ai' : 'template',
+      generatedBy: quotation.fallback ? 'template' : ai.getStatus().provider,
+      structuredOutput: summarizeOutcome(outputResult),
       generatedAt: new Date().toISOString()
     });
     
@@ -179,175 +275,105 @@ Return only the JSON object.`;
 };
 
 /**
- * Generate fallback quotation using business logic
+ * Run a price simulation; costing and quote details come from the caller
+ * @returns {{errors?: Array, simulation?: Object}}
  */
-function generateFallbackQuotation({ productName, productType, complexity, materials, region }) {
-  // Base pricing matrix for Indian handcraft market
-  const basePrices = {
-    pottery: 500,
-    textile: 800,
-    jewelry: 1200,
-    woodwork: 600,
-    metalwork: 900,
-    craft: 650
-  };
-  
-  const basePrice = basePrices[productType?.toLowerCase()] || basePrices.craft;
-  
-  // Complexity multipliers
-  const complexityMultipliers = {
-    simple: 0.8,
-    moderate: 1.0,
-    complex: 1.4,
-    intricate: 1.8
-  };
-  
-  const complexityFactor = complexityMultipliers[complexity?.toLowerCase()] || 1.0;
-  
-  // Regional adjustments (simplified)
-  const regionalMultipliers = {
-    'urban': 1.2,
-    'metro': 1.3,
-    'rural': 0.9,
-    'tier1': 1.2,
-    'tier2': 1.0,
-    'tier3': 0.9
-  };
-  
-  const regionalFactor = regionalMultipliers[region?.toLowerCase()] || 1.0;
-  
-  const finalBasePrice = Math.round(basePrice * complexityFactor * regionalFactor);
-  
+function runSimulation(costing, body, { referencePrice, breakEvenPrice, bulkDiscounts }) {
+  const { input, errors, assumptions } = normalizeSimulationInput(body);
+  if (errors.length > 0) return { errors };
   return {
-    basePrice: finalBasePrice,
-    priceRange: {
-      min: Math.round(finalBasePrice * 0.8),
-      max: Math.round(finalBasePrice * 1.5)
-    },
-    breakdown: {
-      materials: Math.round(finalBasePrice * 0.35),
-      labor: Math.round(finalBasePrice * 0.45),
-      artisanSkill: Math.round(finalBasePrice * 0.15),
-      profit: Math.round(finalBasePrice * 0.15)
-    },
-    customizationPricing: {
-      colorVariation: Math.round(finalBasePrice * 0.1),
-      sizeIncrease: Math.round(finalBasePrice * 0.15),
-      personalEngraving: Math.round(finalBasePrice * 0.2),
-      rushDelivery: Math.round(finalBasePrice * 0.25)
-    },
-    marketComparison: {
-      localMarket: '10-15% competitive with local artisans',
-      onlineMarket: 'fair pricing for handmade quality',
-      premiumJustification: 'authentic craftsmanship + quality materials'
-    },
-    bulkDiscounts: {
-      quantity5: 8,
-      quantity10: 15,
-      quantity25: 22
-    },
-    confidence: 82,
-    notes: 'Template-based pricing with Indian market considerations',
-    fallback: true
+    input,
+    simulation: {
+      ...simulatePrices(costing, { input, referencePrice, breakEvenPrice, bulkDiscounts }),
+      breakEvenPrice,
+      assumptions
+    }
   };
 }
 
-/**
- * Validate and sanitize quotation object
- */
-function validateQuotation(quotation) {
-  const validated = {
-    basePrice: Math.max(50, Math.min(50000, Number(quotation.basePrice) || 500)),
-    priceRange: {
-      min: Math.max(50, Number(quotation.priceRange?.min) || 400),
-      max: Math.min(50000, Number(quotation.priceRange?.max) || 1500)
-    },
-    breakdown: {
-      materials: Math.max(0, Number(quotation.breakdown?.materials) || 0),
-      labor: Math.max(0, Number(quotation.breakdown?.labor) || 0),
-      artisanSkill: Math.max(0, Number(quotation.breakdown?.artisanSkill) || 0),
-      profit: Math.max(0, Number(quotation.breakdown?.profit) || 0)
-    },
-    customizationPricing: {
-      colorVariation: Number(quotation.customizationPricing?.colorVariation) || 50,
-      sizeIncrease: Number(quotation.customizationPricing?.sizeIncrease) || 100,
-      personalEngraving: Number(quotation.customizationPricing?.personalEngraving) || 150,
-      rushDelivery: Number(quotation.customizationPricing?.rushDelivery) || 200
-    },
-    marketComparison: quotation.marketComparison || {
-      localMarket: 'competitive pricing',
-      onlineMarket: 'fair for handmade quality',
-      premiumJustification: 'authentic craftsmanship'
-    },
-    bulkDiscounts: {
-      quantity5: Math.max(0, Math.min(50, Number(quotation.bulkDiscounts?.quantity5) || 10)),
-      quantity10: Math.max(0, Math.min(50, Number(quotation.bulkDiscounts?.quantity10) || 15)),
-      quantity25: Math.max(0, Math.min(50, Number(quotation.bulkDiscounts?.quantity25) || 25))
-    },
-    confidence: Math.max(50, Math.min(100, Number(quotation.confidence) || 80)),
-    notes: quotation.notes || 'AI-generated pricing analysis',
-    fallback: quotation.fallback || false
-  };
-  
-  // Ensure min < max
-  if (validated.priceRange.min >= validated.priceRange.max) {
-    validated.priceRange.max = validated.priceRange.min * 1.5;
+// POST /api/quotation/simulate { billOfMaterials, labor, ..., referencePrice, monthlyVolume, pricePoints | priceChanges, elasticity, fixedMonthlyCosts }
+exports.simulatePricing = async (req, res) => {
+  try {
+    const { input, errors, assumptions } = costInputFor(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid cost inputs', details: errors });
+    }
+    const costing = calculateCost(input);
+
+    const referencePrice = req.body.referencePrice === undefined ? costing.total : Number(req.body.referencePrice);
+    if (!(Number.isFinite(referencePrice) && referencePrice > 0)) {
+      return res.status(400).json({ success: false, error: 'Invalid simulation', details: [{ path: 'referencePrice', message: 'must be a number greater than 0' }] });
+    }
+
+    const result = runSimulation(costing, req.body, {
+      referencePrice,
+      breakEvenPrice: costing.breakEvenPrice,
+      bulkDiscounts: derivedPricing(costing).bulkDiscounts
+    });
+    if (result.errors) {
+      return res.status(400).json({ success: false, error: 'Invalid simulation', details: result.errors });
+    }
+
+    result.simulation.assumptions.unshift(...assumptions);
+    res.json({ success: true, simulation: result.simulation });
+  } catch (error) {
+    console.error('❌ Price simulation error:', error);
+    res.status(500).json({ success: false, error: 'Price simulation failed', message: error.message });
   }
-  
-  return validated;
-}
+};
 
 /**
- * Compare with market prices
+ * Compare a price with comparable marketplace listings
  */
 exports.compareMarketPrices = async (req, res) => {
   try {
-    const { productType, productName, basePrice, region } = req.body;
+    const { productType, category, productName, materials, basePrice, region } = req.body;
     
-    if (!productName || !basePrice) {
+    if (!productName || !(category || productType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Product name and category required',
+        message: 'Provide productName and category (or productType)'
+      });
+    }
+
+    const price = basePrice !== undefined ? Number(basePrice) : undefined;
+    if (price !== undefined && !(Number.isFinite(price) && price > 0)) {
       return res.status(400).json({
         success: false,
-        error: 'Product name and base price required'
+        error: 'Invalid base price'
       });
     }
     
-    // Simulated market comparison (in real app, would integrate with marketplace APIs)
-    const marketData = {
-      productName,
-      basePrice: Number(basePrice),
-      marketAnalysis: {
-        amazonHandmade: {
-          averagePrice: Math.round(basePrice * 1.3),
-          priceRange: [Math.round(basePrice * 0.9), Math.round(basePrice * 2.1)],
-          competition: 'moderate'
-        },
-        etsy: {
-          averagePrice: Math.round(basePrice * 1.5),
-          priceRange: [Math.round(basePrice * 1.1), Math.round(basePrice * 2.8)],
-          competition: 'high'
-        },
-        localMarket: {
-          averagePrice: Math.round(basePrice * 0.85),
-          priceRange: [Math.round(basePrice * 0.6), Math.round(basePrice * 1.4)],
-          competition: 'low'
-        }
-      },
-      recommendations: {
-        suggestedPrice: Math.round(basePrice * 1.1),
-        positioning: basePrice > 1000 ? 'premium' : basePrice > 500 ? 'mid-range' : 'affordable',
-        competitiveAdvantage: [
-          'Authentic traditional techniques',
-          'Direct from artisan - no middlemen',
-          'Customization available',
-          'Supporting local crafts community'
-        ]
-      },
-      generated: new Date().toISOString()
-    };
+    const market = await compareWithMarket({ category: category || productType, materials, region, price });
+    console.log(`📊 Market comparison for ${productName}: ${market.comparablesUsed} comparables (${market.matchedOn.join(' + ') || 'none'})`);
+
+    const { overall } = market;
+    let positioning = null;
+    if (price !== undefined && overall.count > 0) {
+      positioning = price < overall.p25 ? 'affordable' : price > overall.p75 ? 'premium' : 'mid-range';
+    }
     
     res.status(200).json({
       success: true,
-      comparison: marketData
+      comparison: {
+        productName,
+        basePrice: price ?? null,
+        comparablesUsed: market.comparablesUsed,
+        sufficientData: market.sufficient,
+        matchedOn: market.matchedOn,
+        criteria: market.criteria,
+        percentiles: overall.count > 0 ? {
+          p10: overall.p10, p25: overall.p25, p50: overall.p50, p75: overall.p75, p90: overall.p90
+        } : null,
+        range: overall.count > 0 ? { min: overall.min, max: overall.max, mean: overall.mean } : null,
+        bySource: market.bySource,
+        pricePercentile: market.pricePercentile,
+        positioning,
+        dataRange: market.dataRange,
+        ...(overall.count === 0 && { message: 'No comparable listings found for this category yet' }),
+        generated: new Date().toISOString()
+      }
     });
     
   } catch (error) {
@@ -360,8 +386,54 @@ exports.compareMarketPrices = async (req, res) => {
   }
 };
 
+/**
+ * Price one bulk item; throws a retryable error while the AI positioning keeps failing
+ */
+async function priceBulkItem(product, businessData, attempt) {
+  // Shared cost settings from businessData, overridden per product
+  const shared = Object.fromEntries(SHARED_COST_FIELDS
+    .filter(field => businessData?.[field] !== undefined)
+    .map(field => [field, businessData[field]]));
+  const { input, errors, assumptions } = normalizeCostInput({
+    ...shared,
+    ...product,
+    labor: { ...businessData?.labor, ...product.labor }
+  });
+  if (errors.length > 0) {
+    const error = new Error(`Invalid cost inputs: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const costing = calculateCost(input);
+  const context = {
+    productName: product.name || product.productName,
+    productType: product.type || product.productType,
+    complexity: product.complexity,
+    region: product.region || businessData?.region,
+    description: product.description,
+    customization: product.customization,
+    businessType: businessData?.businessType,
+    detectedFocus: businessData?.detectedFocus
+  };
+
+  // Retries happen in the pool (with backoff and the shared rate limit), not inside the structured call
+  const outcome = await suggestPositioning(context, costing, { maxRetries: 0 });
+  const lastAttempt = attempt > BULK_RETRIES;
+  if (outcome.status === 'defaulted' && ai.isAvailable() && !lastAttempt) {
+    throw new Error(`Positioning failed: ${outcome.errors.join(' | ')}`);
+  }
+
+  return {
+    quotation: buildQuotation(costing, outcome.data, { fallback: outcome.status === 'defaulted', assumptions }),
+    structuredOutput: summarizeOutcome(outcome)
+  };
+}
+
 /**
  * Generate bulk pricing for multiple products
+ * Items are priced by a bounded pool; send `Accept: application/x-ndjson` (or ?stream=1)
+ * to receive each result as a line as soon as it is ready, followed by a summary line.
  */
 exports.generateBulkQuotations = async (req, res) => {
   try {
@@ -374,84 +446,110 @@ exports.generateBulkQuotations = async (req, res) => {
       });
     }
     
-    if (products.length > 20) {
+    if (products.length > MAX_BULK_PRODUCTS) {
       return res.status(400).json({
         success: false,
-        error: 'Maximum 20 products per batch'
+        error: `Maximum ${MAX_BULK_PRODUCTS} products per batch`
       });
     }
+
+    const stream = req.query.stream === '1' || req.query.stream === 'true' ||
+      (req.get('Accept') || '').includes('application/x-ndjson');
+    const startedAt = Date.now();
+    const provider = ai.getStatus().provider;
     
-    console.log(`📋 Generating bulk quotations for ${products.length} products`);
-    
-    const quotations = [];
-    
-    for (let i = 0; i < products.length; i++) {
-      const product = products[i];
-      console.log(`💰 Processing quotation ${i + 1}/${products.length}: ${product.name}`);
-      
-      try {
-        // Generate individual quotation
-        const quotationData = {
-          ...businessData,
-          productName: product.name,
-          productType: product.type,
-          materials: product.materials,
-          timeToMake: product.timeToMake,
-          complexity: product.complexity,
-          description: product.description
-        };
-        
-        let singleQuotation = null;
-        
-        if (pricingModel) {
-          // Use AI for each product (with rate limiting consideration)
-          // Implementation would include proper rate limiting
-          singleQuotation = generateFallbackQuotation(quotationData);
-        } else {
-          singleQuotation = generateFallbackQuotation(quotationData);
-        }
-        
-        quotations.push({
-          productId: product.id || i,
-          productName: product.name,
-          success: true,
-          quotation: validateQuotation(singleQuotation)
-        });
-        
-      } catch (productError) {
-        console.error(`❌ Failed to quote ${product.name}:`, productError.message);
-        quotations.push({
-          productId: product.id || i,
-          productName: product.name,
-          success: false,
-          error: productError.message
-        });
+    console.log(`📋 Generating bulk quotations for ${products.length} products (concurrency ${BULK_CONCURRENCY}, ${provider})`);
+
+    // Stop scheduling new items if the client goes away mid-stream
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    const toItem = (result) => {
+      const product = products[result.index];
+      const base = { index: result.index, productId: product.id ?? result.index, productName: product.name, attempts: result.attempts };
+      if (!result.ok) return { ...base, success: false, error: result.error.message };
+      return {
+        ...base,
+        success: true,
+        generatedBy: result.value.quotation.fallback ? 'template' : provider,
+        quotation: result.value.quotation,
+        structuredOutput: result.value.structuredOutput
+      };
+    };
+
+    if (stream) {
+      res.status(200).set({
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+    }
+
+    const results = await runPool(products, (product, index, attempt) => {
+      console.log(`💰 Processing quotation ${index + 1}/${products.length}: ${product.name}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+      return priceBulkItem(product, businessData, attempt);
+    }, {
+      concurrency: BULK_CONCURRENCY,
+      retries: BULK_RETRIES,
+      backoffMs: BULK_BACKOFF_MS,
+      shouldRetry: error => error.retryable !== false,
+      signal: controller.signal,
+      onSettled: result => {
+        if (!result.ok) console.error(`❌ Failed to quote ${products[result.index].name}:`, result.error.message);
+        if (stream) res.write(`${JSON.stringify({ type: 'item', ...toItem(result) })}\n`);
       }
+    });
+
+    if (controller.signal.aborted) {
+      console.log('⚠️ Bulk quotation client disconnected; remaining products skipped');
+      return;
     }
-    
+
+    const quotations = results.map(toItem);
     const successful = quotations.filter(q => q.success).length;
     const totalValue = quotations
       .filter(q => q.success)
       .reduce((sum, q) => sum + q.quotation.basePrice, 0);
+    const summary = {
+      successful: successful,
+      failed: products.length - successful,
+      aiPositioned: quotations.filter(q => q.success && !q.quotation.fallback).length,
+      totalPortfolioValue: totalValue,
+      averagePrice: successful > 0 ? Math.round(totalValue / successful) : 0,
+      durationMs: Date.now() - startedAt
+    };
     
-    console.log(`✅ Bulk quotations completed: ${successful}/${products.length}`);
+    console.log(`✅ Bulk quotations completed: ${successful}/${products.length} in ${summary.durationMs}ms`);
     console.log(`💵 Total portfolio value: ₹${totalValue.toLocaleString()}`);
+
+    if (stream) {
+      res.end(`${JSON.stringify({ type: 'summary', success: true, batchSize: products.length, summary })}\n`);
+      return;
+    }
     
     res.status(200).json({
       success: true,
       batchSize: products.length,
       quotations: quotations,
-      summary: {
-        successful: successful,
-        failed: products.length - successful,
-        totalPortfolioValue: totalValue,
-        averagePrice: successful > 0 ? Math.round(totalValue / successful) : 0
+      summary,
+      processing: {
+        provider,
+        concurrency: BULK_CONCURRENCY,
+        retries: BULK_RETRIES,
+        requestsPerMinute: ai.getStatus().requestsPerMinute
       },
       businessContext: businessData
     });
     
   } catch (error) {
     console.error('❌ Bulk quotation error:', error);
+    if (res.headersSent) {
+      res.end(`${JSON.stringify({ type: 'error', success: false, error: 'Bulk quotation failed', message: error.message })}\n`);
+      return;
+    }
     res.status(500).json({
       success: false,
       error: 'Bulk quotation failed',
@@ -460,34 +558,765 @@ exports.generateBulkQuotations = async (req, res) => {
   }
 };
 
+// === STORED QUOTATIONS ===
+
+// Product details and cost inputs kept with each version, so a revision can re-price from them
+const QUOTE_REQUEST_FIELDS = [
+  'productName', 'productType', 'businessType', 'complexity', 'region', 'description', 'customization', 'detectedFocus',
+  'billOfMaterials', 'labor', 'overhead', 'packaging', 'platform', 'profitMarginPercent', 'gstRate', 'roundTo',
+  ...TRADE_FIELDS
+];
+// Nested inputs a revision merges into the previous values instead of replacing
+const MERGED_REQUEST_FIELDS = ['labor', 'overhead', 'platform', 'shipping'];
+
+function pickRequest(body) {
+  return Object.fromEntries(QUOTE_REQUEST_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]]));
+}
+
+function pickCustomer(customer = {}) {
+  return {
+    name: typeof customer.name === 'string' ? customer.name.trim() : undefined,
+    // Stored like contacts and WhatsApp senders so inbound messages find the quote by equality
+    phone: typeof customer.phone === 'string' ? normalizePhone(customer.phone) || customer.phone.trim() : undefined,
+    email: typeof customer.email === 'string' ? customer.email.trim() : undefined
+  };
+}
+
+function quoteNumber() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `Q-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+function customerLink(token) {
+  if (!token) return null;
+  // CLIENT_URL is the frontend origin (also used for CORS)
+  const base = /^https?:\/\//.test(process.env.CLIENT_URL || '') ? process.env.CLIENT_URL.replace(/\/$/, '') : '';
+  return `${base}/quote/${token}`;
+}
+
+function pickPaymentTerms(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, 500) : undefined;
+}
+
+// Positioning of a stored version, so revisions that only change costs keep the same tier
+function positioningOf(quotation) {
+  return {
+    positioning: quotation.positioning,
+    rationale: quotation.positioningRationale,
+    marketComparison: quotation.marketComparison,
+    confidence: quotation.confidence,
+    fallback: quotation.fallback
+  };
+}
+
+/**
+ * Artisan view of a stored quotation
+ */
+function quotationView(quote, { includeVersions = false } = {}) {
+  const latest = quote.latestVersion();
+  return {
+    id: quote._id,
+    quoteNumber: quote.quoteNumber,
+    status: quote.status,
+    allowedNextStatuses: TRANSITIONS[quote.status],
+    canRevise: REVISABLE.includes(quote.status),
+    productName: quote.productName,
+    session: quote.session,
+    product: quote.product,
+    customer: quote.customer,
+    currency: quote.currency,
+    validUntil: quote.validUntil,
+    sentAt: quote.sentAt,
+    respondedAt: quote.respondedAt,
+    customerNote: quote.customerNote,
+    customerLink: customerLink(quote.publicToken),
+    paymentTerms: quote.paymentTerms || DEFAULT_PAYMENT_TERMS,
+    order: quote.order,
+    currentVersion: quote.currentVersion,
+    latest,
+    ...(includeVersions && {
+      versions: quote.versions.map(({ version, createdAt, note, terms, positioningSource, international }) => ({
+        version, createdAt, note, terms, positioningSource,
+        ...(international && { buyerTotal: { amount: international.total, currency: international.currency } })
+      })),
+      statusHistory: quote.statusHistory,
+      scenarios: quote.scenarios.map(scenario => scenarioView(scenario, { includeResult: false })).reverse()
+    }),
+    createdAt: quote.createdAt,
+    updatedAt: quote.updatedAt
+  };
+}
+
+/**
+ * What the customer sees: price, add-ons and validity, without the artisan's cost breakdown
+ */
+function customerView(quote, artisan) {
+  const { quotation, terms, international } = quote.latestVersion();
+  return {
+    quoteNumber: quote.quoteNumber,
+    artisan: artisan?.name || 'Craft Connect artisan',
+    productName: quote.productName,
+    description: quote.latestVersion().request.description,
+    customer: { name: quote.customer?.name },
+    currency: quote.currency,
+    terms,
+    gstIncluded: !international?.export,
+    international,
+    customizationPricing: quotation.customizationPricing,
+    bulkDiscounts: quotation.bulkDiscounts,
+    status: quote.status,
+    validUntil: quote.validUntil,
+    canRespond: quote.status === 'sent',
+    version: quote.currentVersion,
+    issuedAt: quote.sentAt
+  };
+}
+
+/**
+ * Fill product details from the linked session or catalog product
+ */
+async function resolveQuoteContext(body, ownerId) {
+  const context = {};
+  const defaults = {};
+  let variants;
+
+  if (body.sessionId) {
+    const session = await BusinessSession.findOwned(body.sessionId, ownerId);
+    if (!session) return { error: 'Session not found' };
+    context.session = session._id;
+    const summary = session.productAnalysis?.productSummary;
+    Object.assign(defaults, {
+      productName: summary?.name,
+      productType: summary?.category,
+      businessType: session.businessSummary?.businessType,
+      region: session.businessSummary?.location
+    });
+  }
+
+  if (body.productId) {
+    const product = await Product.findOwned(body.productId, ownerId);
+    if (!product) return { error: 'Product not found' };
+    context.product = product._id;
+    variants = variantPricingFor(product);
+    Object.assign(defaults, {
+      productName: product.name || product.ai?.productName || defaults.productName,
+      productType: product.category || product.ai?.category || defaults.productType,
+      description: product.description || product.ai?.description
+    });
+  }
+
+  const request = pickRequest(body);
+  for (const [field, value] of Object.entries(defaults)) {
+    if (request[field] === undefined && value) request[field] = value;
+  }
+  return { context, request, variants };
+}
+
+/**
+ * What the buyer pays for the agreed order in their currency, including shipping and import tax
+ */
+function internationalTerms(priced, terms) {
+  if (!priced.trade) return undefined;
+  return quoteForDestination({
+    priceInr: terms.total,
+    quantity: terms.quantity,
+    trade: priced.trade,
+    exchange: priced.exchange
+  });
+}
+
+/**
+ * Load an owned quotation after expiring it if its validity has passed
+ */
+async function loadQuotation(req) {
+  if (mongoose.Types.ObjectId.isValid(req.params.quotationId)) {
+    await Quotation.expireDue({ _id: req.params.quotationId, owner: req.userId });
+  }
+  return Quotation.findOwned(req.params.quotationId, req.userId);
+}
+
+// POST /api/quotations - price and save a quote as draft version 1
+exports.createQuotation = async (req, res) => {
+  try {
+    const { context, request, variants, error } = await resolveQuoteContext(req.body, req.userId);
+    if (error) return res.status(404).json({ success: false, error });
+
+    if (!request.productName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Product name required',
+        message: 'Provide productName, or a sessionId/productId with an analyzed product'
+      });
+    }
+
+    const priced = await priceProduct(request, { variants });
+    if (priced.errors) {
+      return res.status(400).json({ success: false, error: priced.error || 'Invalid cost inputs', details: priced.errors });
+    }
+    const { terms, errors: termErrors } = termsFor(priced.quotation, req.body);
+    if (termErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid quote terms', details: termErrors });
+    }
+
+    const quote = await Quotation.create({
+      owner: req.userId,
+      quoteNumber: quoteNumber(),
+      ...context,
+      productName: request.productName,
+      customer: pickCustomer(req.body.customer),
+      paymentTerms: pickPaymentTerms(req.body.paymentTerms),
+      validUntil: validUntilFrom(req.body.validForDays),
+      statusHistory: [{ to: 'draft', by: String(req.userId) }],
+      versions: [{
+        version: 1,
+        createdBy: req.userId,
+        note: typeof req.body.note === 'string' ? req.body.note.slice(0, 500) : undefined,
+        request,
+        quotation: priced.quotation,
+        positioningSource: priced.quotation.fallback ? 'template' : ai.getStatus().provider,
+        terms,
+        international: await internationalTerms(priced, terms)
+      }]
+    });
+
+    console.log(`🗂️ Quotation ${quote.quoteNumber} saved for ${quote.productName} (₹${terms.total})`);
+    res.status(201).json({
+      success: true,
+      quotation: quotationView(quote),
+      structuredOutput: summarizeOutcome(priced.outcome)
+    });
+  } catch (error) {
+    console.error('❌ Quotation save error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save quotation', message: error.message });
+  }
+};
+
+// GET /api/quotations?status=sent&sessionId=&limit=20
+exports.listQuotations = async (req, res) => {
+  try {
+    const { status, sessionId } = req.query;
+    if (status && !QUOTATION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status', details: `Use one of: ${QUOTATION_STATUSES.join(', ')}` });
+    }
+    if (sessionId && !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ success: false, error: 'Invalid sessionId' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    await Quotation.expireDue({ owner: req.userId });
+    const quotes = await Quotation.find({
+      owner: req.userId,
+      ...(status && { status }),
+      ...(sessionId && { session: sessionId })
+    })
+      .sort({ updatedAt: -1 })
+      .limit(limit);
+
+    res.json({ success: true, quotations: quotes.map(quote => quotationView(quote)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list quotations', message: error.message });
+  }
+};
+
+// GET /api/quotations/:quotationId
+exports.getQuotation = async (req, res) => {
+  try {
+    const quote = await loadQuotation(req);
+    if (!quote) return res.status(404).json({ success: false, error: 'Quotation not found' });
+    res.json({
+      success: true,
+      quotation: quotationView(quote, { includeVersions: true }),
+      documents: documentLinks(quote, req)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch quotation', message: error.message });
+  }
+};
+
+// POST /api/quotations/:quotationId/revise { changes, quotedPrice, quantity, customer, validForDays, note, reposition }
+exports.reviseQuotation = async (req, res) => {
+  try {
+    const quote = await loadQuotation(req);
+    if (!quote) return res.status(404).json({ success: false, error: 'Quotation not found' });
+    if (!REVISABLE.includes(quote.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Quotation cannot be revised',
+        message: `A quotation that is ${quote.status} is final`,
+        currentStatus: quote.status
+      });
+    }
+
+    const previous = quote.latestVersion();
+    const changes = pickRequest(req.body.changes || {});
+    const request = { ...previous.request, ...changes };
+    for (const field of MERGED_REQUEST_FIELDS) {
+      if (changes[field] && typeof changes[field] === 'object' && !Array.isArray(changes[field])) {
+        request[field] = { ...previous.request[field], ...changes[field] };
+      }
+    }
+
+    // Keep the market positioning unless the product itself changed or a new one was asked for
+    const productChanged = ['productName', 'productType', 'complexity', 'region', 'description']
+      .some(field => changes[field] !== undefined && changes[field] !== previous.request[field]);
+    const reposition = req.body.reposition === true || productChanged;
+
+    // Variant prices and stock may have changed since the last version
+    const product = quote.product ? await Product.findOwned(quote.product, req.userId) : null;
+    const priced = await priceProduct(request, {
+      positioning: reposition ? undefined : positioningOf(previous.quotation),
+      variants: variantPricingFor(product)
+    });
+    if (priced.errors) {
+      return res.status(400).json({ success: false, error: priced.error || 'Invalid cost inputs', details: priced.errors });
+    }
+    const { terms, errors: termErrors } = termsFor(priced.quotation, {
+      quotedPrice: req.body.quotedPrice,
+      quantity: req.body.quantity ?? previous.terms.quantity
+    });
+    if (termErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid quote terms', details: termErrors });
+    }
+
+    const version = {
+      version: quote.currentVersion + 1,
+      createdBy: req.userId,
+      note: typeof req.body.note === 'string' ? req.body.note.slice(0, 500) : undefined,
+      request,
+      quotation: priced.quotation,
+      positioningSource: reposition
+        ? (priced.quotation.fallback ? 'template' : ai.getStatus().provider)
+        : previous.positioningSource,
+      terms,
+      international: await internationalTerms(priced, terms)
+    };
+    const diff = diffVersions(previous, version);
+
+    quote.versions.push(version);
+    quote.currentVersion = version.version;
+    quote.productName = request.productName;
+    if (req.body.customer) quote.customer = { ...quote.customer, ...pickCustomer(req.body.customer) };
+    quote.paymentTerms = pickPaymentTerms(req.body.paymentTerms) || quote.paymentTerms;
+    quote.validUntil = validUntilFrom(req.body.validForDays);
+    if (quote.status !== 'draft') {
+      quote.statusHistory.push({ from: quote.status, to: 'draft', by: String(req.userId) });
+      quote.status = 'draft';
+      quote.respondedAt = undefined;
+      quote.customerNote = undefined;
+    }
+    await quote.save();
+
+    console.log(`✏️ Quotation ${quote.quoteNumber} revised to v${version.version} (${diff.length} changes)`);
+    res.json({ success: true, quotation: quotationView(quote), changes: diff });
+  } catch (error) {
+    console.error('❌ Quotation revision error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revise quotation', message: error.message });
+  }
+};
+
+// GET /api/quotations/:quotationId/diff?from=1&to=2 (defaults to the last two versions)
+exports.diffQuotationVersions = async (req, res) => {
+  try {
+    const quote = await loadQuotation(req);
+    if (!quote) return res.status(404).json({ success: false, error: 'Quotation not found' });
+
+    const to = Number(req.query.to) || quote.currentVersion;
+    const from = Number(req.query.from) || to - 1;
+    const versionFrom = quote.versions.find(version => version.version === from);
+    const versionTo = quote.versions.find(version => version.version === to);
+    if (!versionFrom || !versionTo) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid versions',
+        details: `Versions available: ${quote.versions.map(version => version.version).join(', ')}`
+      });
+    }
+
+    res.json({ success: true, from, to, changes: diffVersions(versionFrom, versionTo) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to compare versions', message: error.message });
+  }
+};
+
+// POST /api/quotations/:quotationId/send - issue the customer link
+exports.sendQuotation = async (req, res) => {
+  try {
+    const quote = await loadQuotation(req);
+    if (!quote) return res.status(404).json({ success: false, error: 'Quotation not found' });
+
+    const result = applyStatus(quote, 'sent', req.userId);
+    if (!result.ok) return statusConflict(res, result);
+
+    if (req.body?.customer) quote.customer = { ...quote.customer, ...pickCustomer(req.body.customer) };
+    quote.paymentTerms = pickPaymentTerms(req.body?.paymentTerms) || quote.paymentTerms;
+    quote.publicToken = quote.publicToken || crypto.randomBytes(16).toString('hex');
+    quote.sentAt = new Date();
+    await quote.save();
+
+    console.log(`📨 Quotation ${quote.quoteNumber} v${quote.currentVersion} sent`);
+    res.json({ success: true, quotation: quotationView(quote), documents: documentLinks(quote, req) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to send quotation', message: error.message });
+  }
+};
+
+/**
+ * Record the customer's answer; accepting creates the order unless createOrder is false.
+ * The status moves with a conditional update, so of two answers racing only one wins and orders.
+ * @returns {Promise<{result: Object, quote: Object}>} quote is the updated document (the input when nothing changed)
+ */
+async function respondToQuotation(quote, decision, { by, note, createOrder = true }) {
+  const to = decision === 'accept' ? 'accepted' : 'rejected';
+  const check = checkStatusChange(quote, to);
+  if (!check.ok) return { result: check, quote };
+
+  const now = new Date();
+  const updated = await Quotation.findOneAndUpdate(
+    { _id: quote._id, status: quote.status, currentVersion: quote.currentVersion },
+    {
+      $set: {
+        status: to,
+        respondedAt: now,
+        ...(typeof note === 'string' && note.trim() && { customerNote: note.trim().slice(0, 1000) })
+      },
+      $push: { statusHistory: { from: quote.status, to, at: now, by: by ? String(by) : undefined } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    // Someone else answered (or revised) first; report the status they left it in
+    const current = await Quotation.findById(quote._id) || quote;
+    const result = checkStatusChange(current, to);
+    return {
+      result: result.ok ? { ...result, ok: false, message: 'Quotation changed while answering, try again' } : result,
+      quote: current
+    };
+  }
+
+  if (to === 'accepted' && createOrder) {
+    try {
+      const order = await orderController.createOrderFromQuotation(updated, by);
+      updated.order = order._id;
+      await Quotation.updateOne({ _id: updated._id }, { $set: { order: order._id } });
+    } catch (error) {
+      // Reopen the quote so the acceptance can be retried
+      await Quotation.updateOne(
+        { _id: updated._id, status: to, order: null },
+        { $set: { status: quote.status }, $unset: { respondedAt: '' }, $pop: { statusHistory: 1 } }
+      );
+      throw error;
+    }
+  }
+  console.log(`🤝 Quotation ${updated.quoteNumber} ${to}`);
+  return { result: { ok: true, currentStatus: to, allowedNextStatuses: TRANSITIONS[to] }, quote: updated };
+}
+
+// POST /api/quotations/:quotationId/respond { decision: accept|reject, note, createOrder } - artisan records the answer
+exports.recordQuotationResponse = async (req, res) => {
+  try {
+    const { decision, note, createOrder } = req.body;
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, error: 'Invalid decision', details: 'Use accept or reject' });
+    }
+
+    const quote = await loadQuotation(req);
+    if (!quote) return res.status(404).json({ success: false, error: 'Quotation not found' });
+
+    const { result, quote: answered } = await respondToQuotation(quote, decision, { by: req.userId, note, createOrder: createOrder !== false });
+    if (!result.ok) return statusConflict(res, result);
+
+    res.json({ success: true, quotation: quotationView(answered) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to record response', message: error.message });
+  }
+};
+
+async function loadPublicQuotation(token) {
+  if (!/^[a-f0-9]{32}$/.test(token)) return null;
+  const quote = await Quotation.findOne({ publicToken: token });
+  if (!quote) return null;
+  await Quotation.expireDue({ _id: quote._id });
+  return Quotation.findById(quote._id).populate('owner', 'name phone');
+}
+
+// GET /api/quotes/:token - customer-facing quote (no login)
+exports.getPublicQuotation = async (req, res) => {
+  try {
+    const quote = await loadPublicQuotation(req.params.token);
+    if (!quote || quote.status === 'draft') {
+      return res.status(404).json({ success: false, error: 'Quotation not found', message: 'This quotation link is not active' });
+    }
+    res.json({ success: true, quote: customerView(quote, quote.owner) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch quotation', message: error.message });
+  }
+};
+
+// POST /api/quotes/:token/respond { decision: accept|reject, note } - customer answers from the link
+exports.respondToPublicQuotation = async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, error: 'Invalid decision', details: 'Use accept or reject' });
+    }
+
+    const quote = await loadPublicQuotation(req.params.token);
+    if (!quote || quote.status === 'draft') {
+      return res.status(404).json({ success: false, error: 'Quotation not found', message: 'This quotation link is not active' });
+    }
+
+    const owner = quote.owner;
+    quote.depopulate('owner');
+    const { result, quote: answered } = await respondToQuotation(quote, decision, { by: 'customer', note });
+    if (!result.ok) {
+      return res.status(409).json({
+        success: false,
+        error: 'Quotation can no longer be answered',
+        message: `This quotation is ${result.currentStatus}`,
+        currentStatus: result.currentStatus
+      });
+    }
+
+    res.json({ success: true, quote: customerView(answered, owner) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to record response', message: error.message });
+  }
+};
+
+/**
+ * Artisan details printed on PDFs: account name and phone, business name from the linked session
+ */
+async function artisanDetails(quote, owner) {
+  const user = owner?.phone ? owner : await User.findById(quote.owner).select('name phone');
+  const session = quote.session
+    ? await BusinessSession.findById(quote.session).select('businessSummary.businessName')
+    : null;
+  return {
+    name: user?.name,
+    phone: user?.phone,
+    businessName: session?.businessSummary?.businessName
+  };
+}
+
+async function sendQuotationPdf(req, res, quote, owner) {
+  const type = req.query.type || 'quotation';
+  if (!PDF_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, error: 'Invalid document type', details: `Use one of: ${PDF_TYPES.join(', ')}` });
+  }
+  if (type === 'proforma' && !['sent', 'accepted'].includes(quote.status)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Proforma invoice not available',
+      message: 'A proforma invoice can be issued once the quotation has been sent or accepted',
+      currentStatus: quote.status
+    });
+  }
+
+  const pdf = await renderQuotationPdf(quote, { type, artisan: await artisanDetails(quote, owner) });
+  const disposition = req.query.download === 'true' || req.query.download === '1' ? 'attachment' : 'inline';
+  console.log(`📄 Rendered ${type} PDF for ${quote.quoteNumber} v${quote.currentVersion} (${pdf.length} bytes)`);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `${disposition}; filename="${pdfFileName(quote, type)}"`
+  });
+  res.send(pdf);
+}
+
+// GET /api/quotations/:quotationId/pdf?type=quotation|proforma&download=1
+exports.downloadQuotationPdf = async (req, res) => {
+  try {
+    const quote = await loadQuotation(req);
+    if (!quote) return res.status(404).json({ success: false, error: 'Quotation not found' });
+    await sendQuotationPdf(req, res, quote);
+  } catch (error) {
+    console.error('❌ Quotation PDF error:', error);
+    res.status(500).json({ success: false, error: 'Failed to render quotation PDF', message: error.message });
+  }
+};
+
+// GET /api/quotes/:token/pdf?type=quotation|proforma - customer copy, also the link used for message attachments
+exports.downloadPublicQuotationPdf = async (req, res) => {
+  try {
+    const quote = await loadPublicQuotation(req.params.token);
+    if (!quote || quote.status === 'draft') {
+      return res.status(404).json({ success: false, error: 'Quotation not found', message: 'This quotation link is not active' });
+    }
+    const owner = quote.owner;
+    quote.depopulate('owner');
+    await sendQuotationPdf(req, res, quote, owner);
+  } catch (error) {
+    console.error('❌ Quotation PDF error:', error);
+    res.status(500).json({ success: false, error: 'Failed to render quotation PDF', message: error.message });
+  }
+};
+
+function scenarioView(scenario, { includeResult = true } = {}) {
+  return {
+    id: scenario._id,
+    name: scenario.name,
+    version: scenario.version,
+    createdAt: scenario.createdAt,
+    input: scenario.input,
+    best: scenario.result?.best,
+    ...(includeResult && { result: scenario.result, assumptions: scenario.assumptions })
+  };
+}
+
+// POST /api/quotations/:quotationId/scenarios { name, monthlyVolume, pricePoints | priceChanges, elasticity, fixedMonthlyCosts, save }
+exports.simulateQuotation = async (req, res) => {
+  try {
+    const quote = await loadQuotation(req);
+    if (!quote) return res.status(404).json({ success: false, error: 'Quotation not found' });
+
+    // Costing is deterministic, so re-running it on the stored request gives the version's breakdown
+    const latest = quote.latestVersion();
+    const { input, errors } = costInputFor(latest.request);
+    if (errors.length > 0) {
+      return res.status(422).json({ success: false, error: 'Stored cost inputs are no longer valid', details: errors });
+    }
+
+    const result = runSimulation(calculateCost(input), req.body, {
+      referencePrice: latest.terms.unitPrice,
+      breakEvenPrice: latest.quotation.breakEvenPrice,
+      bulkDiscounts: latest.quotation.bulkDiscounts
+    });
+    if (result.errors) {
+      return res.status(400).json({ success: false, error: 'Invalid simulation', details: result.errors });
+    }
+
+    if (req.body.save === false) {
+      return res.json({ success: true, simulation: result.simulation });
+    }
+
+    const name = typeof req.body.name === 'string' && req.body.name.trim()
+      ? req.body.name.trim().slice(0, 100)
+      : `Scenario ${quote.scenarios.length + 1}`;
+    const { assumptions, ...simulation } = result.simulation;
+    quote.scenarios.push({
+      name,
+      version: quote.currentVersion,
+      createdBy: req.userId,
+      input: result.input,
+      assumptions,
+      result: simulation
+    });
+    if (quote.scenarios.length > MAX_SCENARIOS) quote.scenarios.splice(0, quote.scenarios.length - MAX_SCENARIOS);
+    await quote.save();
+
+    const scenario = quote.scenarios[quote.scenarios.length - 1];
+    console.log(`📈 Scenario "${name}" saved on ${quote.quoteNumber} v${quote.currentVersion} (${simulation.points.length} price points)`);
+    res.status(201).json({ success: true, scenario: scenarioView(scenario) });
+  } catch (error) {
+    console.error('❌ Price simulation error:', error);
+    res.status(500).json({ success: false, error: 'Price simulation failed', message: error.message });
+  }
+};
+
+// GET /api/quotations/:quotationId/scenarios
+exports.listScenarios = async (req, res) => {
+  try {
+    const quote = await loadQuotation(req);
+    if (!quote) return res.status(404).json({ success: false, error: 'Quotation not found' });
+    res.json({
+      success: true,
+      currentVersion: quote.currentVersion,
+      scenarios: quote.scenarios.map(scenario => scenarioView(scenario)).reverse()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list scenarios', message: error.message });
+  }
+};
+
+// DELETE /api/quotations/:quotationId/scenarios/:scenarioId
+exports.deleteScenario = async (req, res) => {
+  try {
+    const quote = await loadQuotation(req);
+    if (!quote) return res.status(404).json({ success: false, error: 'Quotation not found' });
+
+    const scenario = mongoose.Types.ObjectId.isValid(req.params.scenarioId) && quote.scenarios.id(req.params.scenarioId);
+    if (!scenario) return res.status(404).json({ success: false, error: 'Scenario not found' });
+
+    scenario.deleteOne();
+    await quote.save();
+    res.json({ success: true, message: 'Scenario deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to delete scenario', message: error.message });
+  }
+};
+
+// GET /api/quotation/currencies - exchange rates and supported destinations for quoting abroad
+exports.getCurrencies = async (req, res) => {
+  try {
+    const { rates, asOf, source, stale } = await exchangeRates.getRates();
+    res.json({
+      success: true,
+      baseCurrency: exchangeRates.BASE_CURRENCY,
+      rates,
+      asOf,
+      source,
+      ...(stale && { stale: true }),
+      destinations: listDestinations()
+    });
+  } catch (error) {
+    console.error('❌ Exchange rate error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load exchange rates', message: error.message });
+  }
+};
+
 /**
  * Get quotation service status
  */
 exports.getQuotationStatus = (req, res) => {
+  const providerStatus = ai.getStatus();
+  const ratesStatus = exchangeRates.getStatus();
   const status = {
     available: true,
-    aiPowered: !!pricingModel,
+    aiPowered: providerStatus.available,
     services: {
-      vertexAI: {
-        available: !!pricingModel,
-        model: process.env.VERTEX_MODEL || 'gemini-1.5-flash',
-        features: ['intelligent_pricing', 'market_analysis', 'cost_breakdown']
+      aiProvider: {
+        available: providerStatus.available,
+        provider: providerStatus.provider,
+        model: providerStatus.model,
+        features: ['market_positioning', 'market_analysis']
       },
-      templatePricing: {
+      costingEngine: {
         available: true,
-        features: ['base_calculations', 'regional_adjustments', 'bulk_discounts']
+        features: ['bill_of_materials', 'labor', 'overhead', 'packaging', 'platform_fees', 'gst', 'bulk_discounts']
+      },
+      marketData: {
+        available: true,
+        minComparables: MIN_COMPARABLES,
+        features: ['percentiles', 'per_source_stats', 'category_material_region_matching']
+      },
+      exchangeRates: {
+        ...ratesStatus,
+        features: ['multi_currency', 'destination_tax', 'shipping_estimates']
       }
     },
     capabilities: {
       singleProduct: true,
       bulkQuotations: true,
+      bulkStreaming: true,
       marketComparison: true,
+      storedQuotations: true,
+      pdfDocuments: PDF_TYPES,
+      internationalQuotes: true,
+      priceSimulation: true,
       customizationPricing: true,
       bulkDiscounts: true
     },
     limits: {
-      maxBulkProducts: 20,
-      priceRange: '₹50 - ₹50,000',
+      maxBulkProducts: MAX_BULK_PRODUCTS,
+      maxSimulationPricePoints: MAX_PRICE_POINTS,
+      maxSavedScenarios: MAX_SCENARIOS,
+      bulkConcurrency: BULK_CONCURRENCY,
+      aiRequestsPerMinute: providerStatus.requestsPerMinute,
+      gstRates: GST_RATES,
+      destinations: listDestinations().map(destination => destination.code),
+      defaultValidityDays: VALIDITY_DAYS,
       regions: ['India', 'custom']
     },
     timestamp: new Date().toISOString()
@@ -1,35 +1,14 @@
 const axios = require('axios');
-const { VertexAI } = require('@google-cloud/vertexai');
-
-// Initialize Vertex AI for product content generation
-let vertexAI = null;
-let contentModel = null;
-
-try {
-  if (process.env.GOOGLE_PROJECT_ID) {
-    vertexAI = new VertexAI({
-      project: process.env.GOOGLE_PROJECT_ID,
-      location: process.env.GOOGLE_LOCATION || 'us-central1',
-    });
-    
-    contentModel = vertexAI.getGenerativeModel({
-      model: process.env.VERTEX_MODEL || 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.4,
-        topP: 0.8,
-        maxOutputTokens: 1500,
-      },
-    });
-  }
-} catch (error) {
-  console.error('❌ Shopify controller - Vertex AI initialization failed:', error.message);
-}
+const Product = require('../models/Product');
+const ai = require('../utils/aiProvider');
+const { pickProductFields, shopifyListing } = require('../utils/catalog');
+const { levelOf, recordMovement, syncStockLevels } = require('../utils/inventory');
 
 /**
  * Generate Shopify product description using AI
  */
 async function generateShopifyDescription(businessData, productData, enhancementData) {
-  if (contentModel) {
+  if (ai.isAvailable()) {
     const prompt = `Create a compelling Shopify product description for this handmade craft:
 
 Business: ${businessData.businessType || 'Craft Business'}
@@ -55,12 +34,17 @@ Create a description that:
 Return only the product description text.`;
     
     try {
-      const result = await contentModel.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }]
+      const { text } = await ai.generate({
+        prompt,
+        generationConfig: {
+          temperature: 0.4,
+          topP: 0.8,
+          maxOutputTokens: 1500,
+        }
       });
       
-      if (result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        return result.response.candidates[0].content.parts[0].text.trim();
+      if (text) {
+        return text;
       }
     } catch (error) {
       console.log('AI description generation failed, using template:', error.message);
@@ -106,8 +90,30 @@ function getDefaultCareInstructions(productType) {
   return instructions[productType?.toLowerCase()] || instructions.craft;
 }
 
+/**
+ * Link each variant to its photo once Shopify has assigned image ids
+ */
+async function linkVariantImages(createdProduct, variantImages) {
+  for (const { variantIndex, imageIndex } of variantImages) {
+    const variant = createdProduct.variants[variantIndex];
+    const image = createdProduct.images[imageIndex];
+    if (!variant || !image) continue;
+    try {
+      await axios.put(
+        `https://${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/variants/${variant.id}.json`,
+        { variant: { id: variant.id, image_id: image.id } },
+        { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN, 'Content-Type': 'application/json' }, timeout: 15000 }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not link image to variant ${variant.id}:`, error.response?.data?.errors || error.message);
+    }
+  }
+}
+
 /**
  * Create Shopify product
+ * Send productId (a catalog product, or the wizard session it was approved from) to list it with its
+ * variants (size, colour, material); otherwise productData (optionally with variants) is listed as given.
  */
 exports.createShopifyProduct = async (req, res) => {
   try {
@@ -115,12 +121,28 @@ exports.createShopifyProduct = async (req, res) => {
     
     const {
       businessData,
-      productData,
       enhancementData,
       imageUrls,
       quotation,
+      productId,
       inventory = 10
     } = req.body;
+
+    let catalogProduct = null;
+    if (productId) {
+      catalogProduct = await Product.findOwned(productId, req.userId)
+        || (typeof productId === 'string' && await Product.findOne({ userId: req.userId, sessionId: productId, source: 'session' }));
+      if (!catalogProduct) {
+        return res.status(404).json({ success: false, error: 'Product not found' });
+      }
+    }
+    const productData = req.body.productData || (catalogProduct && {
+      name: catalogProduct.name,
+      type: catalogProduct.category,
+      materials: catalogProduct.materials.join(', '),
+      description: catalogProduct.description,
+      price: catalogProduct.price
+    });
     
     if (!businessData || !productData) {
       return res.status(400).json({
@@ -128,6 +150,26 @@ exports.createShopifyProduct = async (req, res) => {
         error: 'Business and product data required'
       });
     }
+
+    let listingSource = catalogProduct;
+    if (!listingSource) {
+      const { fields, errors } = pickProductFields({ variants: productData.variants }, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid variants', details: errors });
+      }
+      listingSource = { name: productData.name, price: productData.price, images: [], variants: fields.variants || [] };
+    }
+    const listing = shopifyListing({
+      ...(listingSource.toObject ? listingSource.toObject() : listingSource),
+      // Photos sent with the request (e.g. enhanced shots) come after the catalog ones
+      images: [...(listingSource.images || []), ...(imageUrls || []).map(url => ({ url }))]
+        .filter((image, index, all) => all.findIndex(other => other.url === image.url) === index)
+    }, {
+      price: quotation?.basePrice || productData.price || '500.00',
+      // Catalog products list what the stock ledger says is available
+      inventory: catalogProduct ? Math.max(0, levelOf(catalogProduct).available) : inventory,
+      weightKg: productData.weight || 0.5
+    });
     
     console.log(`🎯 Creating Shopify listing: ${productData.name}`);
     
@@ -144,23 +186,17 @@ exports.createShopifyProduct = async (req, res) => {
         product_type: enhancementData?.productType || productData.type || 'Handmade',
         tags: generateProductTags(businessData, productData, enhancementData),
         status: 'draft', // Start as draft for review
-        variants: [{
-          price: quotation?.basePrice || productData.price || '500.00',
-          inventory_quantity: inventory,
-          inventory_management: 'shopify',
-          inventory_policy: 'deny', // Don't oversell
-          requires_shipping: true,
-          weight: productData.weight || 0.5,
-          weight_unit: 'kg'
-        }],
-        options: [{
-          name: 'Title',
-          values: ['Default Title']
-        }],
-        images: imageUrls && imageUrls.length > 0 ? 
-          imageUrls.map(url => ({ src: url })) : []
+        variants: listing.variants, // inventory_policy 'deny' so nothing oversells
+        options: listing.options,
+        images: listing.images
       }
     };
+    const variantSummary = listing.variants.map(variant => ({
+      title: [variant.option1, variant.option2, variant.option3].filter(Boolean).join(' / ') || 'Default Title',
+      price: variant.price,
+      sku: variant.sku,
+      inventory: variant.inventory_quantity
+    }));
     
     // Check if Shopify is configured
     const hasShopifyConfig = process.env.SHOPIFY_STORE_URL && process.env.SHOPIFY_ACCESS_TOKEN;
@@ -175,9 +211,10 @@ exports.createShopifyProduct = async (req, res) => {
           title: shopifyProduct.product.title,
           description: description,
           price: shopifyProduct.product.variants[0].price,
-          images: imageUrls || [],
+          images: listing.images.map(image => image.src),
           tags: shopifyProduct.product.tags,
-          inventory: inventory
+          inventory: variantSummary.reduce((sum, variant) => sum + variant.inventory, 0),
+          variants: variantSummary
         },
         shopifyPreview: {
           storeUrl: 'your-store.myshopify.com',
@@ -203,7 +240,26 @@ exports.createShopifyProduct = async (req, res) => {
     });
     
     const createdProduct = response.data.product;
-    console.log(`✅ Shopify product created: ID ${createdProduct.id}`);
+    console.log(`✅ Shopify product created: ID ${createdProduct.id} with ${createdProduct.variants.length} variant(s)`);
+    await linkVariantImages(createdProduct, listing.variantImages);
+
+    // Remember the Shopify ids on the catalog product; variants come back in the order they were sent
+    if (catalogProduct) {
+      catalogProduct.channels.shopify = {
+        synced: true,
+        syncedAt: new Date(),
+        shopifyProductId: String(createdProduct.id),
+        shopifyVariantId: String(createdProduct.variants[0].id)
+      };
+      catalogProduct.variants.forEach((variant, index) => {
+        if (createdProduct.variants[index]) variant.shopifyVariantId = String(createdProduct.variants[index].id);
+      });
+      await catalogProduct.save();
+      // Set each variant's level at the stock location from the ledger; the create call alone does not place stock there
+      const stockSync = await syncStockLevels(catalogProduct);
+      const failed = stockSync.filter(level => level.sync.shopify === 'failed');
+      if (failed.length > 0) console.warn(`⚠️ ${failed.length} Shopify stock level(s) not set for ${catalogProduct.name}; reconcile from the inventory page`);
+    }
     
     res.status(200).json({
       success: true,
@@ -214,8 +270,15 @@ exports.createShopifyProduct = async (req, res) => {
         handle: createdProduct.handle,
         status: createdProduct.status,
         price: createdProduct.variants[0].price,
-        inventory: createdProduct.variants[0].inventory_quantity,
-        images: createdProduct.images.length
+        inventory: createdProduct.variants.reduce((sum, variant) => sum + (variant.inventory_quantity || 0), 0),
+        images: createdProduct.images.length,
+        variants: createdProduct.variants.map(variant => ({
+          id: variant.id,
+          title: variant.title,
+          price: variant.price,
+          sku: variant.sku,
+          inventory: variant.inventory_quantity
+        }))
       },
       urls: {
         product: `https://${process.env.SHOPIFY_STORE_URL}/products/${createdProduct.handle}`,
@@ -296,6 +359,41 @@ exports.updateShopifyInventory = async (req, res) => {
         error: 'Product ID, variant ID, and quantity required'
       });
     }
+
+    // Listings made from the catalog go through the stock ledger, which pushes the count to Shopify
+    const product = await Product.findOne({
+      userId: req.userId,
+      $or: [{ 'channels.shopify.shopifyVariantId': String(variantId) }, { 'variants.shopifyVariantId': String(variantId) }]
+    });
+    if (product) {
+      const count = Number(quantity);
+      if (!(Number.isInteger(count) && count >= 0)) {
+        return res.status(400).json({ success: false, error: 'Quantity must be a whole number ≥ 0' });
+      }
+      const variant = product.variants.find(entry => entry.shopifyVariantId === String(variantId));
+      const change = count - levelOf(product, variant).available;
+      const result = change === 0 ? { level: levelOf(product, variant) } : await recordMovement(product, {
+        type: 'adjusted',
+        quantity: change,
+        variantId: variant && String(variant._id),
+        note: 'Set from Shopify inventory update'
+      }, { by: req.userId });
+      if (result.error) {
+        return res.status(result.status || 400).json({ success: false, error: result.error, level: result.level });
+      }
+      return res.status(200).json({
+        success: true,
+        mode: result.sync?.shopify === 'updated' ? 'production' : 'local',
+        updated: {
+          productId: productId,
+          variantId: variantId,
+          newQuantity: result.level.available,
+          updatedAt: new Date().toISOString()
+        },
+        inventory: result.level,
+        ...(result.sync && { sync: result.sync })
+      });
+    }
     
     if (!process.env.SHOPIFY_STORE_URL || !process.env.SHOPIFY_ACCESS_TOKEN) {
       return res.status(200).json({
@@ -557,6 +655,7 @@ exports.createBulkShopifyProducts = async (req, res) => {
 exports.getShopifyStatus = (req, res) => {
   const hasStoreUrl = !!process.env.SHOPIFY_STORE_URL;
   const hasAccessToken = !!process.env.SHOPIFY_ACCESS_TOKEN;
+  const providerStatus = ai.getStatus();
   
   const status = {
     available: true,
@@ -568,8 +667,9 @@ exports.getShopifyStatus = (req, res) => {
         features: ['product_creation', 'inventory_management', 'store_info']
       },
       contentGeneration: {
-        available: !!contentModel,
-        model: 'gemini-1.5-flash',
+        available: providerStatus.available,
+        provider: providerStatus.provider,
+        model: providerStatus.model,
         features: ['product_descriptions', 'seo_optimization', 'tag_generation']
       }
     },
@@ -583,7 +683,7 @@ exports.getShopifyStatus = (req, res) => {
       createProduct: hasStoreUrl && hasAccessToken,
       updateInventory: hasStoreUrl && hasAccessToken,
       bulkOperations: hasStoreUrl && hasAccessToken,
-      descriptionGeneration: !!contentModel
+      descriptionGeneration: providerStatus.available
     },
     limits: {
       bulkCreateLimit: 50,
@@ -1,31 +1,14 @@
-const { VertexAI } = require('@google-cloud/vertexai');
 const { ImageAnnotatorClient } = require('@google-cloud/vision');
 const { v2: cloudinary } = require('cloudinary');
 const axios = require('axios');
+const ai = require('../utils/aiProvider');
+const { generateStructured, summarizeOutcome } = require('../utils/structuredOutput');
 
 // Initialize Google AI clients
-let vertexAI = null;
 let visionClient = null;
-let imageGenerationModel = null;
 
 try {
   if (process.env.GOOGLE_PROJECT_ID) {
-    // Vertex AI for Gemini 2.5 Flash + Nano Banana Image Model
-    vertexAI = new VertexAI({
-      project: process.env.GOOGLE_PROJECT_ID,
-      location: process.env.GOOGLE_LOCATION || 'us-central1',
-    });
-    
-    // Gemini 2.5 Flash with Nano Banana for image enhancement
-    imageGenerationModel = vertexAI.getGenerativeModel({
-      model: 'gemini-2.5-flash', // Note: Nano Banana is accessed through Gemini 2.5 Flash
-      generationConfig: {
-        temperature: 0.3,
-        topP: 0.8,
-        maxOutputTokens: 1024,
-      },
-    });
-    
     // Vision API client
     visionClient = new ImageAnnotatorClient({
       projectId: process.env.GOOGLE_PROJECT_ID,
@@ -147,13 +130,13 @@ function calculateImageQuality(visionResult) {
 }
 
 /**
- * Enhance image using Gemini 2.5 Flash (accessing Nano Banana model)
+ * Enhance image using the configured multimodal AI provider
  */
-async function enhanceImageWithGemini(imageBuffer, visionAnalysis) {
-  if (!imageGenerationModel) {
+async function enhanceImageWithAI(imageBuffer, visionAnalysis, mimeType = 'image/jpeg') {
+  if (!ai.isAvailable()) {
     return {
       success: false,
-      error: 'Gemini 2.5 Flash not available',
+      error: 'AI provider not available',
       fallback: {
         enhanced: false,
         recommendations: [
@@ -167,11 +150,7 @@ async function enhanceImageWithGemini(imageBuffer, visionAnalysis) {
   }
   
   try {
-    console.log('✨ Enhancing image with Gemini 2.5 Flash (Nano Banana model)...');
-    
-    // Convert image to base64 for Gemini
-    const base64Image = imageBuffer.toString('base64');
-    const mimeType = 'image/jpeg'; // Assuming JPEG, could be detected
+    console.log(`✨ Enhancing image with ${ai.getStatus().provider} (${ai.getStatus().model})...`);
     
     // Craft-specific enhancement prompt for Nano Banana model
     const enhancementPrompt = `You are the Nano Banana image model specialized in product photography enhancement. Analyze this handmade craft product image and provide specific enhancement recommendations.
@@ -210,58 +189,31 @@ Provide a JSON response with:
 
 Return only the JSON object.`;
     
-    const request = {
-      contents: [{
-        role: 'user',
-        parts: [
-          {
-            inline_data: {
-              mime_type: mimeType,
-              data: base64Image
-            }
-          },
-          { text: enhancementPrompt }
-        ]
-      }],
+    const enhancementResult = await generateStructured({
+      prompt: enhancementPrompt,
+      schema: 'enhancement',
+      defaults: createFallbackEnhancement(visionAnalysis),
+      images: [{ data: imageBuffer, mimeType }],
       generationConfig: {
         temperature: 0.2, // Lower for more consistent JSON
+        topP: 0.8,
         maxOutputTokens: 1024
       }
-    };
-    
-    const result = await imageGenerationModel.generateContent(request);
-    
-    let responseText = '';
-    if (result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      responseText = result.response.candidates[0].content.parts[0].text;
-    } else {
-      throw new Error('No valid response from Gemini');
-    }
+    });
     
-    // Parse JSON response
-    let enhancement = null;
-    try {
-      // Clean up response text
-      const cleanedResponse = responseText.replace(/```json\s*|\s*```/g, '').trim();
-      const jsonStart = cleanedResponse.indexOf('{');
-      const jsonEnd = cleanedResponse.lastIndexOf('}') + 1;
-      
-      if (jsonStart >= 0 && jsonEnd > jsonStart) {
-        const jsonStr = cleanedResponse.substring(jsonStart, jsonEnd);
-        enhancement = JSON.parse(jsonStr);
-      } else {
-        throw new Error('No valid JSON found in response');
-      }
-    } catch (parseError) {
-      console.log('⚠️ Gemini JSON parsing failed, creating fallback enhancement');
-      enhancement = createFallbackEnhancement(visionAnalysis);
+    if (enhancementResult.status === 'defaulted') {
+      console.log('⚠️ AI JSON validation failed, using fallback enhancement');
     }
     
-    console.log('✅ Gemini image enhancement analysis completed');
-    return { success: true, data: enhancement };
+    console.log('✅ AI image enhancement analysis completed');
+    return {
+      success: true,
+      data: enhancementResult.data,
+      structuredOutput: summarizeOutcome(enhancementResult)
+    };
     
   } catch (error) {
-    console.error('❌ Gemini image enhancement failed:', error.message);
+    console.error('❌ AI image enhancement failed:', error.message);
     return {
       success: false,
       error: error.message,
@@ -425,9 +377,9 @@ exports.enhanceProduct = async (req, res) => {
     const visionData = visionResult.success ? visionResult.data : visionResult.fallback;
     console.log(`⚙️ Vision analysis - Quality: ${visionData.quality}/100`);
     
-    // Step 2: Gemini Enhancement Analysis (Nano Banana model)
-    console.log('\n✨ === GEMINI 2.5 FLASH (NANO BANANA) ANALYSIS ===');
-    const geminiResult = await enhanceImageWithGemini(req.file.buffer, visionData);
+    // Step 2: AI Enhancement Analysis
+    console.log('\n✨ === AI ENHANCEMENT ANALYSIS ===');
+    const geminiResult = await enhanceImageWithAI(req.file.buffer, visionData, req.file.mimetype);
     
     const enhancementData = geminiResult.success ? geminiResult.data : geminiResult.fallback;
     console.log(`🎨 Enhancement analysis - Product: ${enhancementData.productType}`);
@@ -450,7 +402,8 @@ exports.enhanceProduct = async (req, res) => {
       },
       analysis: {
         vision: visionData,
-        enhancement: enhancementData
+        enhancement: enhancementData,
+        structuredOutput: geminiResult.structuredOutput || null
       },
       images: {
         original: imageUrls.originalUrl,
@@ -515,8 +468,8 @@ exports.enhanceBatch = async (req, res) => {
         const visionResult = await analyzeImageWithVision(file.buffer);
         const visionData = visionResult.success ? visionResult.data : visionResult.fallback;
         
-        // Gemini enhancement
-        const geminiResult = await enhanceImageWithGemini(file.buffer, visionData);
+        // AI enhancement
+        const geminiResult = await enhanceImageWithAI(file.buffer, visionData, file.mimetype);
         const enhancementData = geminiResult.success ? geminiResult.data : geminiResult.fallback;
         
         // Upload with enhancements
@@ -528,6 +481,7 @@ exports.enhanceBatch = async (req, res) => {
           filename: file.originalname,
           success: true,
           analysis: enhancementData,
+          structuredOutput: geminiResult.structuredOutput || null,
           images: imageUrls,
           scores: {
             originalQuality: visionData.quality,
@@ -576,13 +530,14 @@ exports.enhanceBatch = async (req, res) => {
  * Get enhancement service status
  */
 exports.getEnhancerStatus = (req, res) => {
+  const providerStatus = ai.getStatus();
   const status = {
     available: true,
     services: {
       gemini: {
-        available: !!imageGenerationModel,
-        model: 'gemini-2.5-flash',
-        nanoBanana: !!imageGenerationModel,
+        available: providerStatus.available,
+        provider: providerStatus.provider,
+        model: providerStatus.model,
         features: ['image_analysis', 'enhancement_recommendations', 'quality_scoring']
       },
       vision: {
@@ -0,0 +1,260 @@
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const whatsapp = require('../utils/whatsappCloud');
+const {
+  TEMPLATE_SOURCES,
+  pickTemplateFields,
+  metaTemplatePayload,
+  fromMetaStatus,
+  fromMetaTemplate,
+  loadTemplateContext,
+  resolveParameters,
+  renderTemplate
+} = require('../utils/whatsappTemplates');
+
+// Message text can only change before Meta approves it
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+const CONTENT_FIELDS = ['name', 'language', 'category', 'headerText', 'bodyText', 'footerText'];
+
+function templateView(template) {
+  return {
+    id: template._id,
+    name: template.name,
+    language: template.language,
+    category: template.category,
+    headerText: template.headerText,
+    bodyText: template.bodyText,
+    footerText: template.footerText,
+    variables: template.variables,
+    isDefault: template.isDefault,
+    status: template.status,
+    rejectedReason: template.rejectedReason,
+    waTemplateId: template.waTemplateId,
+    submittedAt: template.submittedAt,
+    lastSyncedAt: template.lastSyncedAt,
+    updatedAt: template.updatedAt
+  };
+}
+
+/**
+ * Only one default template per artisan
+ */
+async function clearOtherDefaults(template) {
+  if (!template.isDefault) return;
+  await WhatsAppTemplate.updateMany({ owner: template.owner, _id: { $ne: template._id } }, { $set: { isDefault: false } });
+}
+
+/**
+ * Send a draft to Meta for review; the template stays a draft if that fails
+ * @returns {Promise<Object|null>} Cloud API error details on failure
+ */
+async function submitForReview(template) {
+  try {
+    const created = await whatsapp.createTemplate(metaTemplatePayload(template));
+    template.waTemplateId = created.id;
+    template.status = fromMetaStatus(created.status);
+    template.rejectedReason = undefined;
+    template.submittedAt = new Date();
+    await template.save();
+    console.log(`📝 WhatsApp template ${template.name} (${template.language}) submitted: ${template.status}`);
+    return null;
+  } catch (error) {
+    const details = whatsapp.apiError(error);
+    console.error(`❌ WhatsApp template ${template.name} submission failed:`, details);
+    return details;
+  }
+}
+
+/**
+ * Apply a template review webhook (message_template_status_update)
+ */
+exports.applyTemplateStatus = async ({ waTemplateId, name, language, event, reason }) => {
+  const filter = waTemplateId ? { waTemplateId } : { name, language };
+  const result = await WhatsAppTemplate.updateMany(filter, {
+    $set: { status: fromMetaStatus(event), lastSyncedAt: new Date(), ...(reason && { rejectedReason: reason }) }
+  });
+  if (result.modifiedCount > 0) console.log(`📝 WhatsApp template ${name || waTemplateId} is now ${fromMetaStatus(event)}`);
+  return result.modifiedCount > 0;
+};
+
+// GET /api/whatsapp/templates - registry plus the fields variables can be mapped to
+exports.listTemplates = async (req, res) => {
+  try {
+    const templates = await WhatsAppTemplate.find({ owner: req.userId }).sort({ updatedAt: -1 });
+    res.json({
+      success: true,
+      templates: templates.map(templateView),
+      sources: Object.entries(TEMPLATE_SOURCES).map(([id, { label }]) => ({ id, label })),
+      canSubmit: whatsapp.canManageTemplates()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list templates', details: error.message });
+  }
+};
+
+// POST /api/whatsapp/templates { name, language, category, headerText, bodyText, footerText, variables, isDefault, submit }
+exports.createTemplate = async (req, res) => {
+  try {
+    const { fields, errors } = pickTemplateFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid template', details: errors });
+    }
+
+    const language = fields.language || 'en';
+    if (await WhatsAppTemplate.exists({ owner: req.userId, name: fields.name, language })) {
+      return res.status(409).json({ success: false, error: `Template ${fields.name} (${language}) already exists` });
+    }
+
+    const template = await WhatsAppTemplate.create({ ...fields, language, owner: req.userId });
+    await clearOtherDefaults(template);
+
+    let submitError = null;
+    if (req.body.submit !== false && whatsapp.canManageTemplates()) {
+      submitError = await submitForReview(template);
+    }
+
+    res.status(201).json({
+      success: true,
+      template: templateView(template),
+      ...(submitError && { submitError }),
+      ...(!whatsapp.canManageTemplates() && {
+        note: 'Saved as a draft. Configure WHATSAPP_BUSINESS_ACCOUNT_ID to submit templates for approval'
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to create template', details: error.message });
+  }
+};
+
+// PUT /api/whatsapp/templates/:templateId - variable mappings and default flag any time, text while draft or rejected
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await WhatsAppTemplate.findOwned(req.params.templateId, req.userId);
+    if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+    const { fields, errors } = pickTemplateFields(req.body, { partial: true, existing: template });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid template', details: errors });
+    }
+    const contentChanges = CONTENT_FIELDS.filter(key => fields[key] !== undefined && fields[key] !== template[key]);
+    if (contentChanges.length > 0 && !EDITABLE_STATUSES.includes(template.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot change ${contentChanges.join(', ')} of a ${template.status} template`,
+        details: 'Create a new template instead'
+      });
+    }
+    template.set(fields);
+    // Edited text has to be reviewed again
+    if (contentChanges.length > 0) {
+      template.status = 'draft';
+      template.waTemplateId = undefined;
+    }
+    await template.save();
+    await clearOtherDefaults(template);
+
+    let submitError = null;
+    if (contentChanges.length > 0 && req.body.submit !== false && whatsapp.canManageTemplates()) {
+      submitError = await submitForReview(template);
+    }
+    res.json({ success: true, template: templateView(template), ...(submitError && { submitError }) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A template with that name and language already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update template', details: error.message });
+  }
+};
+
+// POST /api/whatsapp/templates/:templateId/submit - send a draft for review
+exports.submitTemplate = async (req, res) => {
+  try {
+    const template = await WhatsAppTemplate.findOwned(req.params.templateId, req.userId);
+    if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+    if (!EDITABLE_STATUSES.includes(template.status)) {
+      return res.status(409).json({ success: false, error: `Template is already ${template.status}` });
+    }
+    if (!whatsapp.canManageTemplates()) {
+      return res.status(503).json({ success: false, error: 'Template submission not configured', details: 'Set FACEBOOK_ACCESS_TOKEN and WHATSAPP_BUSINESS_ACCOUNT_ID' });
+    }
+
+    const submitError = await submitForReview(template);
+    if (submitError) return res.status(502).json({ success: false, error: 'WhatsApp rejected the template', details: submitError });
+    res.json({ success: true, template: templateView(template) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to submit template', details: error.message });
+  }
+};
+
+// POST /api/whatsapp/templates/sync - pull review statuses and templates created in WhatsApp Manager
+exports.syncTemplates = async (req, res) => {
+  try {
+    if (!whatsapp.canManageTemplates()) {
+      return res.status(503).json({ success: false, error: 'Template sync not configured', details: 'Set FACEBOOK_ACCESS_TOKEN and WHATSAPP_BUSINESS_ACCOUNT_ID' });
+    }
+
+    let remote;
+    try {
+      remote = await whatsapp.listTemplates();
+    } catch (error) {
+      const details = whatsapp.apiError(error);
+      console.error('❌ WhatsApp template sync failed:', details);
+      return res.status(502).json({ success: false, error: 'Could not fetch templates from WhatsApp', details });
+    }
+
+    const now = new Date();
+    let updated = 0;
+    let imported = 0;
+    for (const entry of remote) {
+      const fields = fromMetaTemplate(entry);
+      // Review status belongs to the business account, so every artisan's copy follows it
+      const result = await WhatsAppTemplate.updateMany(
+        { $or: [{ waTemplateId: fields.waTemplateId }, { name: fields.name, language: fields.language }] },
+        { $set: { status: fields.status, waTemplateId: fields.waTemplateId, rejectedReason: fields.rejectedReason, lastSyncedAt: now } }
+      );
+      updated += result.modifiedCount;
+
+      if (!fields.bodyText || await WhatsAppTemplate.exists({ owner: req.userId, name: fields.name, language: fields.language })) continue;
+      // Imported templates still need their variables mapped before they can be sent
+      await WhatsAppTemplate.create({ ...fields, owner: req.userId, variables: [], lastSyncedAt: now });
+      imported += 1;
+    }
+
+    const templates = await WhatsAppTemplate.find({ owner: req.userId }).sort({ updatedAt: -1 });
+    console.log(`🔄 WhatsApp templates synced: ${remote.length} remote, ${updated} updated, ${imported} imported`);
+    res.json({ success: true, remote: remote.length, updated, imported, templates: templates.map(templateView) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to sync templates', details: error.message });
+  }
+};
+
+// POST /api/whatsapp/templates/:templateId/preview { sessionId, productId, customerName, businessData, productData }
+exports.previewTemplate = async (req, res) => {
+  try {
+    const template = await WhatsAppTemplate.findOwned(req.params.templateId, req.userId);
+    if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+    const context = await loadTemplateContext(req.userId, req.body);
+    const { parameters, missing } = resolveParameters(template, context);
+    res.json({
+      success: true,
+      text: renderTemplate(template, parameters),
+      parameters,
+      missing,
+      sendable: template.status === 'approved' && missing.length === 0
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to preview template', details: error.message });
+  }
+};
+
+// DELETE /api/whatsapp/templates/:templateId - removes it from the registry only; WhatsApp Manager keeps its copy
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await WhatsAppTemplate.findOwned(req.params.templateId, req.userId);
+    if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+    await template.deleteOne();
+    res.json({ success: true, deleted: template._id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to delete template', details: error.message });
+  }
+};
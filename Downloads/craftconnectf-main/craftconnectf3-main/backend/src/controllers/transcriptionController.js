@@ -0,0 +1,403 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const TranscriptionJob = require('../models/TranscriptionJob');
+const BusinessSession = require('../models/BusinessSession');
+const speech = require('../utils/speechProvider');
+const { CANONICAL_SAMPLE_RATE, detectAudioFormat, isFfmpegAvailable, splitAudio } = require('../utils/audioProcessing');
+const { SUPPORTED_LANGUAGES, AUTO_DETECT, normalizeLanguage, recognitionOptions } = require('../utils/languages');
+
+// Chunks stay under the ~60s limit of synchronous recognition
+const CHUNK_SECONDS = Number(process.env.TRANSCRIPTION_CHUNK_SECONDS) || 50;
+const MAX_CONCURRENT_JOBS = Number(process.env.TRANSCRIPTION_MAX_CONCURRENT_JOBS) || 2;
+
+// In-process job updates for SSE subscribers
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Jobs waiting for a free worker slot; audio buffers only live in memory
+const pendingJobs = [];
+let activeJobs = 0;
+
+/**
+ * Client-facing view of a transcription job
+ */
+function serializeJob(job, { includeWords = true } = {}) {
+  return {
+    jobId: job._id.toString(),
+    status: job.status,
+    progress: job.progress,
+    provider: job.provider,
+    strategy: job.strategy,
+    languageCode: job.languageCode,
+    detectedLanguageCode: job.detectedLanguageCode,
+    sourceFormat: job.sourceFormat,
+    durationSeconds: job.durationSeconds,
+    transcript: job.transcript || '',
+    confidence: job.confidence,
+    words: includeWords ? job.words : undefined,
+    chunks: job.chunks.map(chunk => ({
+      index: chunk.index,
+      startTime: chunk.startTime,
+      endTime: chunk.endTime,
+      status: chunk.status,
+      text: chunk.text,
+      confidence: chunk.confidence,
+      words: includeWords ? chunk.words : undefined,
+      error: chunk.error
+    })),
+    error: job.error,
+    sessionId: job.sessionId,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+
+async function publish(job) {
+  job.markModified('chunks');
+  await job.save();
+  jobEvents.emit(job._id.toString(), serializeJob(job, { includeWords: false }));
+}
+
+/**
+ * Merge completed chunks into one transcript with recording-relative word times
+ */
+function mergeChunks(chunks) {
+  const completed = chunks.filter(chunk => chunk.status === 'completed');
+
+  const words = completed.flatMap(chunk => (chunk.words || []).map(word => ({
+    word: word.word,
+    startTime: Number((word.startTime + chunk.startTime).toFixed(3)),
+    endTime: Number((word.endTime + chunk.startTime).toFixed(3)),
+    confidence: word.confidence
+  })));
+
+  // Weight chunk confidence by chunk length so short tail chunks do not skew the score
+  const totalDuration = completed.reduce((acc, chunk) => acc + (chunk.endTime - chunk.startTime || 1), 0);
+  const confidence = completed.length > 0
+    ? Math.round(completed.reduce((acc, chunk) => acc + chunk.confidence * (chunk.endTime - chunk.startTime || 1), 0) / totalDuration)
+    : 0;
+
+  return {
+    transcript: completed.map(chunk => chunk.text).join(' ').replace(/\s+/g, ' ').trim(),
+    confidence,
+    words
+  };
+}
+
+/**
+ * Split, transcribe and merge a job's audio in the background
+ */
+async function processJob(jobId, audioBuffer) {
+  const job = await TranscriptionJob.findById(jobId);
+  if (!job) return;
+
+  try {
+    console.log(`🎧 Transcription job ${jobId} started`);
+    job.status = 'processing';
+    job.startedAt = new Date();
+    job.provider = speech.getStatus().provider;
+
+    // Without ffmpeg the whole recording goes through long-running recognition
+    let pieces;
+    if (await isFfmpegAvailable()) {
+      job.strategy = 'chunked';
+      pieces = await splitAudio(audioBuffer, { chunkSeconds: CHUNK_SECONDS });
+    } else {
+      job.strategy = 'single';
+      pieces = [{ index: 0, startTime: 0, endTime: null, buffer: audioBuffer }];
+    }
+
+    if (pieces.length === 0) {
+      throw new Error('Audio contains no decodable samples');
+    }
+
+    job.durationSeconds = pieces[pieces.length - 1].endTime;
+    job.chunks = pieces.map(({ index, startTime, endTime }) => ({ index, startTime, endTime: endTime || 0, status: 'pending' }));
+    await publish(job);
+
+    // Once the first chunk reveals the language, later chunks are recognized in it directly
+    let recognition = recognitionOptions(job.languageCode);
+
+    for (const [position, piece] of pieces.entries()) {
+      const result = await speech.transcribe(piece.buffer, {
+        ...recognition,
+        ...(job.strategy === 'chunked'
+          ? { encoding: 'LINEAR16', sampleRateHertz: CANONICAL_SAMPLE_RATE }
+          : { longRunning: true })
+      });
+
+      const chunk = job.chunks[position];
+      if (result.success) {
+        chunk.status = 'completed';
+        chunk.text = result.text;
+        chunk.confidence = result.confidence;
+        chunk.words = result.words || [];
+
+        if (!job.detectedLanguageCode && result.languageCode) {
+          job.detectedLanguageCode = result.languageCode;
+          recognition = recognitionOptions(normalizeLanguage(result.languageCode) || job.languageCode);
+        }
+      } else {
+        chunk.status = 'failed';
+        chunk.error = result.error;
+      }
+
+      job.progress = Math.round(((position + 1) / pieces.length) * 100);
+      console.log(`📊 Job ${jobId}: chunk ${position + 1}/${pieces.length} ${chunk.status}`);
+      await publish(job);
+    }
+
+    const merged = mergeChunks(job.chunks);
+    if (!merged.transcript) {
+      const firstError = job.chunks.find(chunk => chunk.error)?.error;
+      throw new Error(firstError || 'No speech detected in audio');
+    }
+
+    job.transcript = merged.transcript;
+    job.confidence = merged.confidence;
+    job.words = merged.words;
+    job.status = 'completed';
+    job.completedAt = new Date();
+    console.log(`✅ Transcription job ${jobId} completed (${job.chunks.length} chunks)`);
+  } catch (error) {
+    console.error(`❌ Transcription job ${jobId} failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+    job.completedAt = new Date();
+  }
+
+  await publish(job);
+}
+
+function runNextJob() {
+  while (activeJobs < MAX_CONCURRENT_JOBS && pendingJobs.length > 0) {
+    const { jobId, audioBuffer } = pendingJobs.shift();
+    activeJobs++;
+
+    processJob(jobId, audioBuffer)
+      .catch(error => console.error(`❌ Transcription worker error for ${jobId}:`, error.message))
+      .finally(() => {
+        activeJobs--;
+        runNextJob();
+      });
+  }
+}
+
+// Create a long-audio transcription job
+exports.createTranscriptionJob = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No audio file provided',
+        message: 'Upload the recording in the "audio" field'
+      });
+    }
+
+    if (!speech.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Speech recognition not available',
+        message: 'Configure SPEECH_PROVIDER before uploading recordings'
+      });
+    }
+
+    const { sessionId } = req.body;
+    if (sessionId && !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ success: false, error: 'Invalid session ID' });
+    }
+    if (sessionId && !(await BusinessSession.exists({ _id: sessionId, owner: req.userId }))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const languageCode = req.body.languageCode ? normalizeLanguage(req.body.languageCode) : AUTO_DETECT;
+    if (!languageCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported language',
+        message: `Supported: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}, auto`
+      });
+    }
+
+    // Reject undecodable uploads now rather than failing in the background
+    const sourceFormat = detectAudioFormat(req.file.buffer);
+    if (!sourceFormat.googleEncoding && !(await isFfmpegAvailable())) {
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported media type',
+        message: `Cannot decode ${sourceFormat.container}/${sourceFormat.codec} audio without ffmpeg`
+      });
+    }
+
+    const job = await new TranscriptionJob({
+      owner: req.userId,
+      originalName: req.file.originalname,
+      mimeType: sourceFormat.container === 'unknown' ? req.file.mimetype : sourceFormat.mimeType,
+      sourceFormat: { container: sourceFormat.container, codec: sourceFormat.codec },
+      sizeBytes: req.file.size,
+      languageCode,
+      sessionId: sessionId || undefined
+    }).save();
+
+    pendingJobs.push({ jobId: job._id, audioBuffer: req.file.buffer });
+    setImmediate(runNextJob);
+
+    const jobId = job._id.toString();
+    console.log(`📥 Transcription job ${jobId} queued (${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
+
+    res.status(202).json({
+      success: true,
+      jobId,
+      status: job.status,
+      statusUrl: `/api/transcriptions/${jobId}`,
+      eventsUrl: `/api/transcriptions/${jobId}/events`
+    });
+  } catch (error) {
+    console.error('❌ Error creating transcription job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create transcription job',
+      message: error.message
+    });
+  }
+};
+
+// Poll a transcription job
+exports.getTranscriptionJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ success: false, error: 'Invalid job ID' });
+    }
+
+    const job = await TranscriptionJob.findOwned(jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Transcription job not found' });
+    }
+
+    res.json({ success: true, job: serializeJob(job) });
+  } catch (error) {
+    console.error('❌ Error fetching transcription job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transcription job',
+      message: error.message
+    });
+  }
+};
+
+// Subscribe to job progress with Server-Sent Events
+exports.streamTranscriptionJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ success: false, error: 'Invalid job ID' });
+    }
+
+    const job = await TranscriptionJob.findOwned(jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Transcription job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    const send = (payload) => {
+      res.write(`event: ${payload.status}\n`);
+      res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const isFinished = (status) => status === 'completed' || status === 'failed';
+
+    if (isFinished(job.status)) {
+      send(serializeJob(job));
+      return res.end();
+    }
+
+    send(serializeJob(job, { includeWords: false }));
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      jobEvents.removeListener(jobId, onUpdate);
+    };
+
+    // Final event carries the full merged transcript with word timestamps
+    const onUpdate = async (payload) => {
+      if (!isFinished(payload.status)) {
+        return send(payload);
+      }
+      cleanup();
+      const finished = await TranscriptionJob.findById(jobId);
+      send(finished ? serializeJob(finished) : payload);
+      res.end();
+    };
+
+    jobEvents.on(jobId, onUpdate);
+    req.on('close', cleanup);
+  } catch (error) {
+    console.error('❌ Error streaming transcription job:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stream transcription job',
+        message: error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+};
+
+/**
+ * Transcript of a completed job, for wizard steps that accept a job id instead of audio
+ * @param {string} jobId
+ * @param {ObjectId} ownerId - Only jobs uploaded by this user resolve
+ * @returns {Promise<{success: boolean, text?: string, confidence?: number, languageCode?: string, error?: string}>}
+ */
+exports.resolveTranscriptionJob = async (jobId, ownerId) => {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return { success: false, error: 'Invalid transcription job ID' };
+  }
+
+  const job = await TranscriptionJob.findOwned(jobId, ownerId);
+  if (!job) {
+    return { success: false, error: 'Transcription job not found' };
+  }
+  if (job.status !== 'completed') {
+    return { success: false, error: `Transcription job is ${job.status}` };
+  }
+
+  return {
+    success: true,
+    text: job.transcript,
+    confidence: job.confidence,
+    languageCode: job.detectedLanguageCode || (job.languageCode !== AUTO_DETECT ? job.languageCode : null)
+  };
+};
+
+/**
+ * Mark jobs interrupted by a restart as failed (their audio was only held in memory)
+ */
+exports.recoverInterruptedJobs = async () => {
+  const result = await TranscriptionJob.updateMany(
+    { status: { $in: ['queued', 'processing'] } },
+    {
+      $set: {
+        status: 'failed',
+        error: 'Server restarted before the transcription finished. Please upload the recording again.',
+        completedAt: new Date(),
+        updatedAt: new Date()
+      }
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`⚠️ Marked ${result.modifiedCount} interrupted transcription jobs as failed`);
+  }
+};
@@ -1,32 +1,23 @@
 const axios = require('axios');
-const { VertexAI } = require('@google-cloud/vertexai');
+const ai = require('../utils/aiProvider');
+const { recordOutbound } = require('./conversationController');
+const { enqueueCampaign } = require('./campaignController');
+const { segmentRecipients } = require('./contactController');
+const {
+  resolveTemplate,
+  serviceWindowOpen,
+  loadTemplateContext,
+  resolveParameters,
+  outboundMessage
+} = require('../utils/whatsappTemplates');
+const { buildRichMessage } = require('../utils/whatsappMessages');
+const { excludeOptedOut } = require('../utils/contacts');
 
 // WhatsApp Business API configuration
 const WHATSAPP_API_URL = 'https://graph.facebook.com/v18.0';
 
-// Initialize Vertex AI for message generation
-let vertexAI = null;
-let generativeAI = null;
-
-try {
-  if (process.env.GOOGLE_PROJECT_ID) {
-    vertexAI = new VertexAI({
-      project: process.env.GOOGLE_PROJECT_ID,
-      location: process.env.GOOGLE_LOCATION || 'us-central1',
-    });
-    
-    generativeAI = vertexAI.getGenerativeModel({
-      model: process.env.VERTEX_MODEL || 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.7,
-        topP: 0.8,
-        maxOutputTokens: 512,
-      },
-    });
-  }
-} catch (error) {
-  console.error('❌ WhatsApp controller - Vertex AI initialization failed:', error.message);
-}
+// Bulk sends are queued, so a batch can be larger than one request could send inline
+const MAX_BULK_RECIPIENTS = Number(process.env.WHATSAPP_BULK_MAX_RECIPIENTS) || 500;
 
 /**
  * Generate WhatsApp message using AI or template
@@ -34,7 +25,7 @@ try {
 async function generateWhatsAppMessage(businessData) {
   const { businessType, detectedFocus, transcript, productName, price, description } = businessData;
   
-  if (generativeAI) {
+  if (ai.isAvailable()) {
     const prompt = `Create a professional WhatsApp Business message for this craft business:
 
 Business Type: ${businessType || 'Craft Business'}
@@ -56,12 +47,17 @@ Create a message that:
 Return only the message text, no formatting or quotes.`;
 
     try {
-      const result = await generativeAI.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }]
+      const { text } = await ai.generate({
+        prompt,
+        generationConfig: {
+          temperature: 0.7,
+          topP: 0.8,
+          maxOutputTokens: 512,
+        }
       });
       
-      if (result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-        return result.response.candidates[0].content.parts[0].text.trim();
+      if (text) {
+        return text;
       }
     } catch (error) {
       console.log('AI message generation failed, using template:', error.message);
@@ -145,7 +141,7 @@ exports.previewWhatsAppMessage = async (req, res) => {
  */
 exports.sendWhatsAppMessage = async (req, res) => {
   try {
-    const { phoneNumber, businessData, productData } = req.body;
+    const { phoneNumber, businessData, productData, templateId, sessionId, productId, customerName } = req.body;
     
     // Validate required fields
     if (!phoneNumber) {
@@ -156,6 +152,12 @@ exports.sendWhatsAppMessage = async (req, res) => {
       });
     }
     
+    // Image, reply buttons, product list or quotation PDF instead of plain text (messageType)
+    const rich = await buildRichMessage(req.userId, req.body, req);
+    if (rich.error) {
+      return res.status(rich.status).json({ success: false, error: rich.error, details: rich.details });
+    }
+    
     // Check if WhatsApp Business API is configured
     const hasWhatsAppConfig = process.env.FACEBOOK_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_ID;
     
@@ -172,7 +174,10 @@ exports.sendWhatsAppMessage = async (req, res) => {
         description: productData?.description
       };
       
-      const message = await generateWhatsAppMessage(businessContextData);
+      // wa.me links carry text only, so rich messages fall back to their text with the media link
+      const message = rich.message
+        ? [rich.message.text, rich.message.media?.url].filter(Boolean).join('\n')
+        : await generateWhatsAppMessage(businessContextData);
       const cleanPhone = phoneNumber.replace(/[^\d]/g, '');
       const encodedMessage = encodeURIComponent(message);
       const waLink = `https://wa.me/${cleanPhone}?text=${encodedMessage}`;
@@ -200,18 +205,51 @@ exports.sendWhatsAppMessage = async (req, res) => {
       description: productData?.description
     };
     
-    const message = await generateWhatsAppMessage(businessContextData);
-    
     // Format phone number for WhatsApp API
     const formattedPhone = phoneNumber.replace(/[^\d]/g, '');
     
+    // Free-form text and rich messages only inside the customer's 24-hour window, otherwise an approved template
+    const { template, error: templateError } = await resolveTemplate(req.userId, templateId);
+    if (templateError) {
+      return res.status(400).json({ success: false, error: templateError });
+    }
+    const windowOpen = !templateId && await serviceWindowOpen(formattedPhone);
+    const message = rich.message
+      ? rich.message.text
+      : windowOpen || !template ? await generateWhatsAppMessage(businessContextData) : undefined;
+    
+    let parameters;
+    if (!windowOpen && template) {
+      const context = await loadTemplateContext(req.userId, { sessionId, productId, customerName, businessData, productData });
+      const resolved = resolveParameters(template, context);
+      if (resolved.missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Template variables missing',
+          message: `No value for ${resolved.missing.join(', ')}; pass sessionId/productId/customerName or set fallbacks`,
+          template: template.name
+        });
+      }
+      parameters = resolved.parameters;
+    }
+    
+    const outbound = outboundMessage({ windowOpen, text: message, rich: rich.message, template, parameters, forceTemplate: !!templateId });
+    if (!outbound.kind) {
+      return res.status(200).json({
+        success: false,
+        mode: 'fallback',
+        error: 'Template required',
+        message: message,
+        waLink: `https://wa.me/${formattedPhone}?text=${encodeURIComponent(message)}`,
+        phoneNumber: formattedPhone,
+        fallbackInstructions: `${outbound.reason}. Use the WhatsApp link to send manually, or set a default template.`
+      });
+    }
+    
     const whatsappPayload = {
       messaging_product: 'whatsapp',
       to: formattedPhone,
-      type: 'text',
-      text: {
-        body: message
-      }
+      ...outbound.content
     };
     
     // Send message with retry logic
@@ -233,12 +271,15 @@ exports.sendWhatsAppMessage = async (req, res) => {
         );
         
         console.log('✅ WhatsApp message sent successfully:', response.data);
+        await recordOutbound({ owner: req.userId, to: formattedPhone, waMessageId: response.data.messages[0].id, type: outbound.kind, text: outbound.text, media: outbound.media, sentBy: req.userId });
         
         return res.status(200).json({
           success: true,
           mode: 'production',
           messageId: response.data.messages[0].id,
-          message: message,
+          messageType: outbound.kind,
+          ...(outbound.kind === 'template' && { template: template.name }),
+          message: outbound.text,
           phoneNumber: formattedPhone,
           sentAt: new Date().toISOString(),
           status: 'sent'
@@ -260,14 +301,14 @@ exports.sendWhatsAppMessage = async (req, res) => {
     
     // Provide fallback wa.me link
     const cleanPhone = phoneNumber.replace(/[^\d]/g, '');
-    const encodedMessage = encodeURIComponent(message);
+    const encodedMessage = encodeURIComponent(outbound.text);
     const waLink = `https://wa.me/${cleanPhone}?text=${encodedMessage}`;
     
     return res.status(200).json({
       success: false,
       mode: 'fallback',
       error: 'WhatsApp Business API failed',
-      message: message,
+      message: outbound.text,
       waLink: waLink,
       phoneNumber: cleanPhone,
       fallbackInstructions: 'Please use the WhatsApp link to send manually',
@@ -298,11 +339,19 @@ exports.getWhatsAppStatus = (req, res) => {
       preview: true,
       copyMessage: true,
       waLink: true,
-      businessApiSend: hasToken && hasPhoneId
+      businessApiSend: hasToken && hasPhoneId,
+      inbox: !!process.env.WHATSAPP_VERIFY_TOKEN,
+      bulkQueue: hasToken && hasPhoneId,
+      richMessages: hasToken && hasPhoneId,
+      contactSegments: true, // bulk sends can target contact-book segments; opted-out contacts are always skipped
+      templates: hasToken && !!process.env.WHATSAPP_BUSINESS_ACCOUNT_ID
     },
     configuration: {
       hasAccessToken: hasToken,
       hasPhoneId: hasPhoneId,
+      hasBusinessAccountId: !!process.env.WHATSAPP_BUSINESS_ACCOUNT_ID,
+      webhookVerifyToken: !!process.env.WHATSAPP_VERIFY_TOKEN,
+      webhookSignatureCheck: !!process.env.WHATSAPP_APP_SECRET,
       apiUrl: WHATSAPP_API_URL
     },
     timestamp: new Date().toISOString()
@@ -334,78 +383,173 @@ function validatePhoneNumber(phone) {
 }
 
 /**
- * Bulk message sending (for future scaling)
+ * Bulk message sending: one message for every recipient, queued for throttled delivery in production
  */
 exports.sendBulkWhatsAppMessages = async (req, res) => {
   try {
-    const { recipients, businessData, productData } = req.body;
+    const { businessData, productData, templateId, sessionId, productId, segment, contactIds } = req.body;
+    let { recipients } = req.body;
+    
+    // A contact-book segment (or picked contacts) instead of a pasted list of numbers
+    if (segment || contactIds) {
+      const target = await segmentRecipients(req.userId, { segment, contactIds }, MAX_BULK_RECIPIENTS + 1);
+      if (target.errors) {
+        return res.status(400).json({ success: false, error: 'Invalid segment', details: target.errors });
+      }
+      if (target.recipients.length === 0) {
+        return res.status(400).json({ success: false, error: 'No contacts in this segment', details: 'Opted-out contacts are never included' });
+      }
+      recipients = target.recipients;
+    }
     
     if (!Array.isArray(recipients) || recipients.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Recipients array required'
+        error: 'Recipients array, segment or contactIds required'
       });
     }
     
-    if (recipients.length > 50) {
+    if (recipients.length > MAX_BULK_RECIPIENTS) {
       return res.status(400).json({
         success: false,
-        error: 'Maximum 50 recipients per batch'
+        error: `Maximum ${MAX_BULK_RECIPIENTS} recipients per batch`
       });
     }
     
     const results = [];
+    const valid = new Map();
     const hasWhatsAppConfig = process.env.FACEBOOK_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_ID;
     
     for (const recipient of recipients) {
-      const phoneValidation = validatePhoneNumber(recipient.phone);
+      const phoneValidation = validatePhoneNumber(String(recipient?.phone || ''));
       
       if (!phoneValidation.valid) {
         results.push({
-          phone: recipient.phone,
+          phone: recipient?.phone,
           success: false,
           error: phoneValidation.error
         });
         continue;
       }
+      // The same buyer listed twice gets one message
+      if (!valid.has(phoneValidation.cleaned)) {
+        valid.set(phoneValidation.cleaned, { phone: phoneValidation.cleaned, name: recipient.name });
+      }
+    }
+    
+    // Anyone who opted out in the contact book is dropped, however they were listed
+    const { allowed, optedOut } = await excludeOptedOut(req.userId, [...valid.values()]);
+    for (const recipient of optedOut) {
+      valid.delete(recipient.phone);
+      results.push({
+        phone: `+${recipient.phone}`,
+        success: false,
+        optedOut: true,
+        error: 'Contact opted out of WhatsApp messages'
+      });
+    }
+    
+    if (allowed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid recipients',
+        results: results
+      });
+    }
+    
+    const rich = await buildRichMessage(req.userId, req.body, req);
+    if (rich.error) {
+      return res.status(rich.status).json({ success: false, error: rich.error, details: rich.details });
+    }
+    
+    if (hasWhatsAppConfig) {
+      // Recipients outside their 24-hour window get the template (the chosen one, else the default)
+      const { template, error: templateError } = await resolveTemplate(req.userId, templateId);
+      if (templateError) {
+        return res.status(400).json({ success: false, error: templateError });
+      }
       
-      if (hasWhatsAppConfig) {
-        // Production sending logic here (similar to sendWhatsAppMessage)
+      // Same campaign text for everyone, so generate it once
+      const message = templateId ? template.bodyText : rich.message ? rich.message.text : await generateWhatsAppMessage({
+        ...businessData,
+        ...productData
+      });
+      
+      const context = template && await loadTemplateContext(req.userId, { sessionId, productId, businessData, productData });
+      const queued = [...valid.values()].map(recipient => {
+        if (!template) return recipient;
+        const { parameters, missing } = resolveParameters(template, { ...context, customer: { name: recipient.name } });
+        return { ...recipient, templateParameters: missing.length === 0 ? parameters : undefined };
+      });
+      
+      const campaign = await enqueueCampaign({
+        owner: req.userId,
+        message: message,
+        rich: templateId ? undefined : rich.message,
+        template: template?._id,
+        forceTemplate: !!templateId,
+        recipients: queued
+      });
+      
+      for (const recipient of queued) {
         results.push({
-          phone: phoneValidation.formatted,
+          phone: `+${recipient.phone}`,
           success: true,
           mode: 'production',
-          status: 'queued' // Would implement proper queue in production
-        });
-      } else {
-        // Demo mode - generate wa.me links
-        const message = await generateWhatsAppMessage({
-          ...businessData,
-          ...productData
-        });
-        
-        const encodedMessage = encodeURIComponent(message);
-        const waLink = `https://wa.me/${phoneValidation.cleaned}?text=${encodedMessage}`;
-        
-        results.push({
-          phone: phoneValidation.formatted,
-          success: true,
-          mode: 'demo',
-          waLink: waLink,
-          message: message
+          status: 'queued',
+          ...(template && !recipient.templateParameters && { warning: 'Template variables missing for this recipient' })
         });
       }
+      
+      return res.status(202).json({
+        success: true,
+        mode: 'production',
+        campaignId: campaign._id,
+        progressUrl: `/api/whatsapp/campaigns/${campaign._id}`,
+        message: message,
+        template: template ? template.name : null,
+        totalRecipients: recipients.length,
+        results: results,
+        summary: {
+          queued: valid.size,
+          failed: results.filter(r => !r.success && !r.optedOut).length,
+          optedOut: optedOut.length
+        },
+        ...(!template && {
+          note: 'No approved default template: recipients who have not messaged you in the last 24 hours will fail'
+        })
+      });
+    }
+    
+    // Demo mode - generate wa.me links (text only, so rich messages send their text and media link)
+    const message = rich.message
+      ? [rich.message.text, rich.message.media?.url].filter(Boolean).join('\n')
+      : await generateWhatsAppMessage({
+        ...businessData,
+        ...productData
+      });
+    const encodedMessage = encodeURIComponent(message);
+    for (const recipient of valid.values()) {
+      results.push({
+        phone: `+${recipient.phone}`,
+        success: true,
+        mode: 'demo',
+        waLink: `https://wa.me/${recipient.phone}?text=${encodedMessage}`
+      });
     }
     
     res.status(200).json({
       success: true,
-      mode: hasWhatsAppConfig ? 'production' : 'demo',
+      mode: 'demo',
+      message: message,
       totalRecipients: recipients.length,
       results: results,
       summary: {
         successful: results.filter(r => r.success).length,
-        failed: results.filter(r => !r.success).length
-      }
+        failed: results.filter(r => !r.success && !r.optedOut).length,
+        optedOut: optedOut.length
+      },
+      note: 'To send automatically, configure FACEBOOK_ACCESS_TOKEN and WHATSAPP_PHONE_ID'
     });
     
   } catch (error) {
@@ -416,4 +560,4 @@ exports.sendBulkWhatsAppMessages = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
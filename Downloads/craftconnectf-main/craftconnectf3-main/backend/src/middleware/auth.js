@@ -0,0 +1,78 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+// No built-in fallback: a known secret would let anyone forge session tokens
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error('JWT_SECRET is not set');
+  return secret;
+}
+
+/**
+ * Fail startup when sessions cannot be signed safely
+ */
+function assertAuthConfig() {
+  getSecret();
+}
+
+/**
+ * Issue a session token for a verified user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+function signToken(user) {
+  return jwt.sign({ sub: user._id.toString(), phone: user.phone }, getSecret(), {
+    expiresIn: JWT_EXPIRES_IN
+  });
+}
+
+function extractToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  // EventSource cannot send headers, so the SSE stream accepts the token as a query parameter
+  if (req.method === 'GET' && typeof req.query?.access_token === 'string') return req.query.access_token;
+  return null;
+}
+
+function unauthorized(res, message) {
+  return res.status(401).json({
+    success: false,
+    error: 'Authentication required',
+    message
+  });
+}
+
+/**
+ * Require a valid JWT and load the owning user onto req.user
+ */
+async function requireAuth(req, res, next) {
+  const token = extractToken(req);
+  if (!token) return unauthorized(res, 'Sign in with your phone number to continue');
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Session expired, please sign in again' : 'Invalid session token';
+    return unauthorized(res, message);
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+    if (!user || !user.isActive) return unauthorized(res, 'Account not found or disabled');
+
+    req.user = user;
+    req.userId = user._id;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  requireAuth,
+  signToken,
+  assertAuthConfig
+};
@@ -1,8 +1,24 @@
 const mongoose = require('mongoose');
+const { STEPS, INITIAL_STEP, FINAL_STEP, completionRate, timeSpentSeconds } = require('../utils/sessionFlow');
+
+// Retention in days; drafts slide forward on every save, 0 keeps sessions forever
+const DRAFT_RETENTION_DAYS = Number(process.env.SESSION_RETENTION_DAYS ?? 30);
+const ARCHIVE_RETENTION_DAYS = Number(process.env.SESSION_ARCHIVE_RETENTION_DAYS ?? 365);
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const BusinessSessionSchema = new mongoose.Schema({
+  // Owning artisan account
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
   // Step 1: Business Overview
   transcript: { type: String, required: true },
+  transcriptEnglish: { type: String },
+  language: {
+    code: { type: String, default: 'en-IN' },
+    name: { type: String, default: 'English' },
+    nativeName: String,
+    detected: { type: Boolean, default: false }
+  },
   businessSummary: {
     businessType: String,
     businessName: String,
@@ -19,6 +35,7 @@ const BusinessSessionSchema = new mongoose.Schema({
 
   // Step 2: Product Analysis
   productTranscript: { type: String },
+  productTranscriptEnglish: { type: String },
   imageAnalyses: [{
     imageIndex: Number,
     labels: [{ description: String, score: Number }],
@@ -28,6 +45,13 @@ const BusinessSessionSchema = new mongoose.Schema({
     error: String,
     details: String
   }],
+  // Product photos uploaded during analysis, copied to the catalog product on approval
+  productImages: [{
+    _id: false,
+    imageIndex: Number,
+    url: String,
+    uploadedAt: { type: Date, default: Date.now }
+  }],
   productAnalysis: {
     marketingInsights: {
       targetAudience: { type: [String], default: [] },
@@ -64,13 +88,24 @@ const BusinessSessionSchema = new mongoose.Schema({
   // Flow Management
   step: {
     type: String,
-    enum: ['business_overview_complete','ready_for_product_analysis','product_analysis_complete','ready_for_recommendations','complete','product_needs_revision'],
-    default: 'business_overview_complete'
+    enum: STEPS,
+    default: INITIAL_STEP
   },
 
-  // Session Management
+  // Every step change, in order (see utils/sessionFlow.js)
+  transitions: [{
+    _id: false,
+    from: String,
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    secondsInPreviousStep: Number
+  }],
+
+  // Session Management (isActive = false means archived)
   isActive: { type: Boolean, default: true },
-  expiresAt: { type: Date, default: Date.now },
+  archivedAt: Date,
+  expiresAt: Date,
 
   // Metadata
   createdAt: { type: Date, default: Date.now },
@@ -81,15 +116,50 @@ const BusinessSessionSchema = new mongoose.Schema({
 
   // Analytics
   completionRate: { type: Number, default: 0 },
-  timeSpent: { type: Number, default: 0 }
+  timeSpent: { type: Number, default: 0 }, // seconds from creation to the latest transition
+
+  // Audit trail of artisan edits made through the stage patch API
+  editHistory: [{
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    source: { type: String, enum: ['patch', 'validate-summary'], default: 'patch' },
+    stage: String,
+    step: String,
+    changes: [{
+      _id: false,
+      path: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }]
+  }]
 });
 
 // Indexes
+BusinessSessionSchema.index({ owner: 1, createdAt: -1 });
 BusinessSessionSchema.index({ createdAt: 1 });
 BusinessSessionSchema.index({ step: 1 });
-BusinessSessionSchema.index({ isActive: 1 });
+BusinessSessionSchema.index({ owner: 1, isActive: 1, updatedAt: -1 });
 BusinessSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
+/**
+ * Find a session only if it belongs to the given user; invalid ids resolve to null
+ */
+BusinessSessionSchema.statics.findOwned = function(id, ownerId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, owner: ownerId });
+};
+
+/**
+ * When a session should be removed by the TTL index (undefined = keep)
+ */
+function retentionExpiry(session, now = new Date()) {
+  const finished = !session.isActive || session.step === FINAL_STEP;
+  const days = finished ? ARCHIVE_RETENTION_DAYS : DRAFT_RETENTION_DAYS;
+  if (!Number.isFinite(days) || days <= 0) return undefined;
+  const from = finished && session.archivedAt ? session.archivedAt : now;
+  return new Date(from.getTime() + days * DAY_MS);
+}
+
 // Coercions and computed fields
 BusinessSessionSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -100,8 +170,9 @@ BusinessSessionSchema.pre('save', function(next) {
     else if (['false','no','n','0'].includes(v)) this.businessSummary.hasOnlinePresence = false;
     else this.businessSummary.hasOnlinePresence = false;
   }
-  const weights = { 'business_overview_complete':25,'ready_for_product_analysis':35,'product_analysis_complete':70,'ready_for_recommendations':85,'complete':100,'product_needs_revision':60 };
-  this.completionRate = weights[this.step] || 0;
+  this.completionRate = completionRate(this.step);
+  this.timeSpent = timeSpentSeconds(this);
+  this.expiresAt = retentionExpiry(this);
   next();
 });
 
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Marketplace listings used as price comparables for quotations (CSV imports and scraped snapshots)
+const ComparableListingSchema = new mongoose.Schema({
+  source: { type: String, required: true, lowercase: true, trim: true }, // e.g. amazon_handmade, etsy, local_market
+  externalId: { type: String, required: true, trim: true },
+  title: { type: String, required: true, trim: true },
+  url: String,
+
+  // Matching attributes, stored normalized (lowercase)
+  category: { type: String, required: true, lowercase: true, trim: true },
+  materials: { type: [String], default: [] },
+  region: { type: String, lowercase: true, trim: true },
+
+  price: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'INR', uppercase: true },
+
+  capturedAt: { type: Date, default: Date.now },
+  importBatch: String
+}, {
+  timestamps: true
+});
+
+ComparableListingSchema.index({ source: 1, externalId: 1 }, { unique: true });
+ComparableListingSchema.index({ category: 1, materials: 1, region: 1 });
+ComparableListingSchema.index({ importBatch: 1 });
+
+module.exports = mongoose.model('ComparableListing', ComparableListingSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const CONSENT_STATUSES = ['unknown', 'opted_in', 'opted_out'];
+const CONSENT_SOURCES = ['manual', 'import', 'whatsapp', 'order'];
+const MAX_PURCHASES = 200; // oldest purchases drop off; totals keep counting
+
+const PurchaseSchema = new mongoose.Schema({
+  _id: false,
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  productName: String,
+  category: String, // product category at the time of the purchase, lowercased
+  amount: { type: Number, min: 0 },
+  currency: { type: String, default: 'INR' },
+  at: { type: Date, default: Date.now }
+});
+
+// A buyer in an artisan's contact book; bulk sends target these through segments
+const ContactSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, trim: true, maxlength: 100 },
+  phone: { type: String, required: true, trim: true }, // digits only, with country code
+  email: { type: String, trim: true, lowercase: true, maxlength: 200 },
+  tags: { type: [String], default: [] }, // lowercased
+  language: String, // supported BCP-47 code, e.g. hi-IN
+  notes: { type: String, maxlength: 1000 },
+
+  // Marketing consent; opted-out contacts are never sent bulk messages
+  consent: {
+    status: { type: String, enum: CONSENT_STATUSES, default: 'unknown' },
+    source: { type: String, enum: CONSENT_SOURCES },
+    at: Date,
+    note: { type: String, maxlength: 200 }
+  },
+
+  purchases: [PurchaseSchema],
+  purchaseCount: { type: Number, default: 0 },
+  totalSpent: { type: Number, default: 0 },
+  lastPurchaseAt: Date
+}, {
+  timestamps: true
+});
+
+ContactSchema.index({ owner: 1, phone: 1 }, { unique: true });
+ContactSchema.index({ owner: 1, tags: 1 });
+ContactSchema.index({ owner: 1, 'purchases.category': 1, 'purchases.at': -1 });
+
+/**
+ * Find a contact only if it belongs to the given user; invalid ids resolve to null
+ */
+ContactSchema.statics.findOwned = function(id, ownerId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, owner: ownerId });
+};
+
+/**
+ * Phones (digits only) of the owner's contacts who opted out of messages
+ * @param {string} ownerId
+ * @param {string[]} phones
+ * @returns {Promise<Set<string>>}
+ */
+ContactSchema.statics.optedOutPhones = async function(ownerId, phones) {
+  if (phones.length === 0) return new Set();
+  const contacts = await this.find({ owner: ownerId, phone: { $in: phones }, 'consent.status': 'opted_out' }).select('phone').lean();
+  return new Set(contacts.map(contact => contact.phone));
+};
+
+ContactSchema.statics.CONSENT_STATUSES = CONSENT_STATUSES;
+ContactSchema.statics.CONSENT_SOURCES = CONSENT_SOURCES;
+ContactSchema.statics.MAX_PURCHASES = MAX_PURCHASES;
+
+module.exports = mongoose.model('Contact', ContactSchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const MESSAGE_STATUSES = ['received', 'sent', 'delivered', 'read', 'failed'];
+const MAX_MESSAGES = 500; // oldest messages drop off long threads
+
+// Delivery statuses only move forward; WhatsApp may deliver the callbacks out of order
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+const MessageSchema = new mongoose.Schema({
+  waMessageId: { type: String, trim: true }, // wamid from the Cloud API
+  direction: { type: String, enum: ['in', 'out'], required: true },
+  type: { type: String, default: 'text' }, // text, image, document, button, interactive, location, ...
+  text: { type: String, maxlength: 4096 },
+  media: {
+    id: String,
+    mimeType: String,
+    filename: String,
+    caption: String,
+    url: String
+  },
+  replyTo: String, // wamid the customer replied to
+  status: { type: String, enum: MESSAGE_STATUSES, required: true },
+  statusAt: {
+    sent: Date,
+    delivered: Date,
+    read: Date,
+    failed: Date
+  },
+  error: {
+    code: Number,
+    title: String,
+    details: String
+  },
+  sentBy: String, // user id for artisan replies
+  at: { type: Date, default: Date.now }
+});
+
+// One WhatsApp thread between an artisan and a buyer
+const ConversationSchema = new mongoose.Schema({
+  // Owning artisan account; unset until an inbound message can be matched to one
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  customerPhone: { type: String, required: true, trim: true }, // digits only, with country code
+  customerName: { type: String, trim: true, maxlength: 100 },
+  phoneNumberId: String, // business number the thread runs on
+
+  messages: [MessageSchema],
+  lastMessageAt: Date,
+  lastInboundAt: Date, // starts WhatsApp's 24-hour customer service window
+  unreadCount: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+ConversationSchema.index({ owner: 1, customerPhone: 1 }, { unique: true });
+ConversationSchema.index({ owner: 1, lastMessageAt: -1 });
+ConversationSchema.index({ 'messages.waMessageId': 1 });
+ConversationSchema.index({ customerPhone: 1, lastMessageAt: -1 }); // inbound messages look up who talks to the sender
+
+/**
+ * Find a conversation only if it belongs to the given user; invalid ids resolve to null
+ */
+ConversationSchema.statics.findOwned = function(id, ownerId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, owner: ownerId });
+};
+
+/**
+ * Append a message to the owner's thread with a customer, creating the thread if needed
+ * @param {Object} thread - { owner, customerPhone, customerName, phoneNumberId }
+ * @param {Object} message - MessageSchema fields
+ */
+ConversationSchema.statics.appendMessage = function(thread, message) {
+  const inbound = message.direction === 'in';
+  const at = message.at || new Date();
+  const details = {
+    ...(thread.customerName && { customerName: thread.customerName }),
+    ...(thread.phoneNumberId && { phoneNumberId: thread.phoneNumberId })
+  };
+  return this.findOneAndUpdate(
+    { owner: thread.owner ?? null, customerPhone: thread.customerPhone },
+    {
+      $push: { messages: { $each: [{ ...message, at }], $slice: -MAX_MESSAGES } },
+      $max: { lastMessageAt: at, ...(inbound && { lastInboundAt: at }) },
+      ...(inbound && { $inc: { unreadCount: 1 } }),
+      ...(Object.keys(details).length > 0 && { $set: details })
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Hand a buyer's unmatched thread (owner unset) to the artisan now known to own it. When the artisan
+ * already has a thread with the buyer, the earlier messages are merged into it.
+ * @returns {Promise<Object|null>} The artisan's thread, or null when there was nothing to move
+ */
+ConversationSchema.statics.assignUnowned = async function(owner, customerPhone) {
+  try {
+    return await this.findOneAndUpdate({ owner: null, customerPhone }, { $set: { owner } }, { new: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Taken off the unmatched thread first so a concurrent webhook cannot merge it twice
+  const unowned = await this.findOneAndDelete({ owner: null, customerPhone });
+  if (!unowned) return null;
+  const latest = {
+    ...(unowned.lastMessageAt && { lastMessageAt: unowned.lastMessageAt }),
+    ...(unowned.lastInboundAt && { lastInboundAt: unowned.lastInboundAt })
+  };
+  return this.findOneAndUpdate(
+    { owner, customerPhone },
+    {
+      $push: { messages: { $each: unowned.messages.map(message => message.toObject()), $sort: { at: 1 }, $slice: -MAX_MESSAGES } },
+      $inc: { unreadCount: unowned.unreadCount || 0 },
+      ...(Object.keys(latest).length > 0 && { $max: latest })
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Apply a delivery status callback to the message it refers to
+ * @returns {Promise<boolean>} Whether a message changed
+ */
+ConversationSchema.statics.applyMessageStatus = async function({ waMessageId, status, at = new Date(), error }) {
+  if (!MESSAGE_STATUSES.includes(status) || status === 'received') return false;
+  const earlier = status === 'failed'
+    ? ['sent', 'delivered']
+    : Object.keys(STATUS_RANK).filter(key => STATUS_RANK[key] < STATUS_RANK[status]);
+  const result = await this.updateOne(
+    { messages: { $elemMatch: { waMessageId, status: { $in: earlier } } } },
+    {
+      $set: {
+        'messages.$.status': status,
+        [`messages.$.statusAt.${status}`]: at,
+        ...(error && { 'messages.$.error': error })
+      }
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+ConversationSchema.statics.MESSAGE_STATUSES = MESSAGE_STATUSES;
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
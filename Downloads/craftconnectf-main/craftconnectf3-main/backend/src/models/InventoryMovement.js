@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['made', 'sold', 'reserved', 'released', 'returned', 'adjusted'];
+const SALES_CHANNELS = ['manual', 'quotation', 'whatsapp', 'shopify', 'instagram', 'facebook', 'market'];
+
+// One line of the stock ledger; product and variant stock are the running totals of these
+const InventoryMovementSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: mongoose.Schema.Types.ObjectId, // unset for products without variants
+  sku: String,
+
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  quantity: { type: Number, required: true }, // pieces moved; negative only for downward adjustments
+  channel: { type: String, enum: SALES_CHANNELS, default: 'manual' },
+
+  // Change applied to the counts and the counts afterwards
+  onHandChange: { type: Number, default: 0 },
+  reservedChange: { type: Number, default: 0 },
+  balance: {
+    onHand: Number,
+    reserved: Number
+  },
+
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  externalId: { type: String, trim: true }, // e.g. Shopify order id; recorded once per channel
+  note: { type: String, maxlength: 500 },
+  createdBy: String // user id, 'shopify' or 'system'
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+InventoryMovementSchema.index({ owner: 1, product: 1, createdAt: -1 });
+InventoryMovementSchema.index({ order: 1 });
+InventoryMovementSchema.index(
+  { owner: 1, channel: 1, externalId: 1, type: 1, product: 1, variant: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+
+InventoryMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+InventoryMovementSchema.statics.CHANNELS = SALES_CHANNELS;
+
+module.exports = mongoose.model('InventoryMovement', InventoryMovementSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../utils/orderFlow');
+
+const OrderSchema = new mongoose.Schema({
+  // Owning artisan account
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  orderNumber: { type: String, required: true, unique: true },
+
+  // Where the order came from
+  source: { type: String, enum: ['quotation', 'manual'], default: 'manual' },
+  quotation: { type: mongoose.Schema.Types.ObjectId, ref: 'Quotation' },
+  quotationVersion: Number,
+
+  customer: {
+    name: String,
+    phone: String,
+    email: String
+  },
+
+  items: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variant: mongoose.Schema.Types.ObjectId, // catalog variant, when the product has them
+    productName: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    discountPercent: { type: Number, default: 0 },
+    total: { type: Number, required: true, min: 0 }
+  }],
+  total: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'INR' },
+
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending' },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    by: String
+  }],
+  notes: { type: String, maxlength: 1000 }
+}, {
+  timestamps: true
+});
+
+OrderSchema.index({ owner: 1, createdAt: -1 });
+OrderSchema.index({ owner: 1, status: 1 });
+// One order per quotation, however many times an acceptance is submitted
+OrderSchema.index({ quotation: 1 }, { unique: true, partialFilterExpression: { quotation: { $exists: true } } });
+
+/**
+ * Find an order only if it belongs to the given user; invalid ids resolve to null
+ */
+OrderSchema.statics.findOwned = function(id, ownerId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, owner: ownerId });
+};
+
+OrderSchema.statics.STATUSES = ORDER_STATUSES;
+
+module.exports = mongoose.model('Order', OrderSchema);
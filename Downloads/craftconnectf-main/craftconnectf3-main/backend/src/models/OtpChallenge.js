@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// One-time login codes; only a hash of the code is stored
+const OtpChallengeSchema = new mongoose.Schema({
+  phone: { type: String, required: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  consumedAt: Date,
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+OtpChallengeSchema.index({ phone: 1, createdAt: -1 });
+OtpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpChallenge', OtpChallengeSchema);
@@ -1,27 +1,70 @@
 const mongoose = require('mongoose');
+const { skuFor } = require('../utils/catalog');
+
+const PRODUCT_STATUSES = ['draft', 'processing', 'ready_for_approval', 'approved', 'published', 'archived'];
+
+const ProductImageSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  kind: { type: String, enum: ['original', 'enhanced'], default: 'original' },
+  alt: { type: String, trim: true, maxlength: 200 }
+}, { _id: false });
+
+// One sellable version of a product (e.g. the red saree, the large pot)
+const ProductVariantSchema = new mongoose.Schema({
+  options: {
+    size: { type: String, trim: true, maxlength: 50 },
+    color: { type: String, trim: true, maxlength: 50 },
+    material: { type: String, trim: true, maxlength: 50 }
+  },
+  sku: { type: String, trim: true, maxlength: 64 },
+  price: { type: Number, min: 0 }, // falls back to the product price
+  stock: { type: Number, min: 0, default: 0 }, // on hand; change through inventory movements
+  reserved: { type: Number, min: 0, default: 0 }, // promised to open orders
+  lowStockThreshold: { type: Number, min: 0 }, // falls back to the product threshold
+  weightKg: { type: Number, min: 0 },
+  images: [ProductImageSchema],
+  shopifyVariantId: String
+});
 
 const ProductSchema = new mongoose.Schema({
-  // User reference
+  // Owning artisan account
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: false // Allow guest usage
+    required: true
   },
   sessionId: {
-    type: String, // For guest users
+    type: String, // Onboarding session the product came from
     required: false
   },
-
-  // Source data
-  transcript: {
-    type: String,
-    required: true
-  },
-  originalImageUrl: {
+  source: {
     type: String,
-    required: true
+    enum: ['session', 'manual', 'legacy'],
+    default: 'manual'
   },
 
+  // Catalog listing shown on every channel
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 5000 },
+  category: { type: String, trim: true, maxlength: 100 },
+  materials: [String],
+  tags: [String],
+  price: { type: Number, min: 0 },
+  currency: { type: String, default: 'INR' },
+  priceSource: { type: String, enum: ['quotation', 'analysis', 'manual'] },
+  images: [ProductImageSchema],
+  variants: [ProductVariantSchema],
+  // Stock for products without variants; with variants each variant keeps its own
+  stock: { type: Number, min: 0, default: 0 },
+  reserved: { type: Number, min: 0, default: 0 },
+  lowStockThreshold: { type: Number, min: 0 },
+  // Fields the artisan edited; re-approving the session no longer overwrites them
+  manualEdits: [String],
+
+  // Source data
+  transcript: String,
+  originalImageUrl: String,
+
   // AI Analysis results
   vision: {
     labels: [String],
@@ -39,35 +82,23 @@ const ProductSchema = new mongoose.Schema({
     text: String // OCR if any
   },
 
-  // AI-generated product info
+  // AI-generated product copy, kept as generated
   ai: {
-    productName: {
-      type: String,
-      required: true
-    },
-    description: {
-      type: String,
-      required: true
-    },
+    productName: String,
+    description: String,
     bulletPoints: [String],
-    priceSuggestion: {
-      type: Number,
-      required: true
-    },
+    priceSuggestion: Number,
     tags: [String],
     category: String
   },
 
   // Enhanced media
-  enhancedImageUrl: {
-    type: String,
-    required: true
-  },
+  enhancedImageUrl: String,
 
   // Workflow status
   status: {
     type: String,
-    enum: ['draft', 'processing', 'ready_for_approval', 'approved', 'published'],
+    enum: PRODUCT_STATUSES,
     default: 'draft'
   },
   approved: {
@@ -78,6 +109,7 @@ const ProductSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  archivedAt: Date,
 
   // Publishing history
   channels: {
@@ -115,8 +147,30 @@ const ProductSchema = new mongoose.Schema({
 
 // Indexes for performance
 ProductSchema.index({ userId: 1, createdAt: -1 });
+ProductSchema.index({ userId: 1, status: 1, updatedAt: -1 });
 ProductSchema.index({ status: 1 });
 ProductSchema.index({ approved: 1 });
 ProductSchema.index({ sessionId: 1 });
+// One catalog product per wizard session
+ProductSchema.index({ userId: 1, sessionId: 1 }, { unique: true, partialFilterExpression: { source: 'session' } });
+
+ProductSchema.pre('validate', function(next) {
+  // Products saved before the catalog fields existed only have the AI copy
+  if (!this.name && this.ai?.productName) this.name = this.ai.productName;
+  for (const variant of this.variants) {
+    if (!variant.sku) variant.sku = skuFor(this.name, variant.options);
+  }
+  next();
+});
+
+/**
+ * Find a product only if it belongs to the given user; invalid ids resolve to null
+ */
+ProductSchema.statics.findOwned = function(id, userId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, userId });
+};
+
+ProductSchema.statics.STATUSES = PRODUCT_STATUSES;
 
 module.exports = mongoose.model('Product', ProductSchema);
\ No newline at end of file
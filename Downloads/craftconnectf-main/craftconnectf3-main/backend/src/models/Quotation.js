@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { QUOTATION_STATUSES } = require('../utils/quotationFlow');
+
+const CustomerSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: 100 },
+  phone: { type: String, trim: true, maxlength: 20 }, // digits only, with country code, when it reads as a phone number
+  email: { type: String, trim: true, lowercase: true, maxlength: 200 }
+}, { _id: false });
+
+// One priced revision of a quote; versions are append-only
+const QuotationVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String, maxlength: 500 },
+
+  // Product details and cost inputs the version was priced from
+  request: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Output of buildQuotation() in quotationController
+  quotation: { type: mongoose.Schema.Types.Mixed, required: true },
+  positioningSource: String, // AI provider name or 'template'
+
+  // What the customer is offered
+  terms: {
+    unitPrice: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    discountPercent: { type: Number, default: 0 },
+    total: { type: Number, required: true }
+  },
+  // Destination, currency, shipping and import tax for the order (quoteForDestination), when quoted abroad
+  international: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Saved "what if" price simulation (priceSimulator) run against one version
+const PriceScenarioSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: 100 },
+  version: { type: Number, required: true },
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  input: { type: mongoose.Schema.Types.Mixed, required: true },
+  assumptions: [String],
+  result: { type: mongoose.Schema.Types.Mixed, required: true }
+});
+
+const QuotationSchema = new mongoose.Schema({
+  // Owning artisan account
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  quoteNumber: { type: String, required: true, unique: true },
+
+  // What the quote is for
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'BusinessSession' },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  productName: { type: String, required: true, trim: true },
+  customer: { type: CustomerSchema, default: () => ({}) },
+  currency: { type: String, default: 'INR' }, // prices and terms; a buyer currency lives in versions[].international
+
+  status: { type: String, enum: QUOTATION_STATUSES, default: 'draft' },
+  validUntil: { type: Date, required: true },
+  sentAt: Date,
+  respondedAt: Date,
+  customerNote: { type: String, maxlength: 1000 },
+  paymentTerms: { type: String, trim: true, maxlength: 500 }, // printed on PDFs; falls back to QUOTATION_PAYMENT_TERMS
+
+  // Customer-facing link, issued when the quote is first sent
+  publicToken: { type: String, index: { unique: true, sparse: true } },
+
+  currentVersion: { type: Number, default: 1 },
+  versions: { type: [QuotationVersionSchema], default: [] },
+
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    by: String // user id, 'customer' or 'system'
+  }],
+
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+
+  scenarios: { type: [PriceScenarioSchema], default: [] }
+}, {
+  timestamps: true
+});
+
+QuotationSchema.index({ owner: 1, status: 1, updatedAt: -1 });
+QuotationSchema.index({ owner: 1, session: 1 });
+QuotationSchema.index({ status: 1, validUntil: 1 });
+QuotationSchema.index({ 'customer.phone': 1, updatedAt: -1 });
+
+/**
+ * Find a quotation only if it belongs to the given user; invalid ids resolve to null
+ */
+QuotationSchema.statics.findOwned = function(id, ownerId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, owner: ownerId });
+};
+
+/**
+ * Mark open quotes past their validity date as expired
+ * @param {Object} [filter] - Narrows the quotes checked (e.g. { owner })
+ */
+QuotationSchema.statics.expireDue = function(filter = {}) {
+  const now = new Date();
+  return this.updateMany(
+    { ...filter, status: { $in: ['draft', 'sent'] }, validUntil: { $lt: now } },
+    [{
+      $set: {
+        statusHistory: { $concatArrays: ['$statusHistory', [{ from: '$status', to: 'expired', at: now, by: 'system' }]] },
+        status: 'expired'
+      }
+    }]
+  );
+};
+
+/**
+ * Latest version, which is the one the customer sees
+ */
+QuotationSchema.methods.latestVersion = function() {
+  return this.versions.find(version => version.version === this.currentVersion);
+};
+
+module.exports = mongoose.model('Quotation', QuotationSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const WordSchema = new mongoose.Schema({
+  word: String,
+  startTime: Number,
+  endTime: Number,
+  confidence: Number
+}, { _id: false });
+
+const ChunkSchema = new mongoose.Schema({
+  index: Number,
+  startTime: Number,
+  endTime: Number,
+  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' },
+  text: String,
+  confidence: Number,
+  words: [WordSchema],
+  error: String
+}, { _id: false });
+
+const TranscriptionJobSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+
+  // Source audio
+  originalName: String,
+  mimeType: String,
+  sourceFormat: { container: String, codec: String },
+  sizeBytes: Number,
+  durationSeconds: Number,
+  languageCode: { type: String, default: 'auto' },
+  detectedLanguageCode: String,
+
+  // Processing
+  provider: String,
+  strategy: { type: String, enum: ['chunked', 'single'] },
+  chunks: [ChunkSchema],
+  progress: { type: Number, default: 0 },
+
+  // Merged result (word times are relative to the start of the recording)
+  transcript: String,
+  confidence: Number,
+  words: [WordSchema],
+  error: String,
+
+  // Optional wizard session the transcript belongs to
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'BusinessSession' },
+
+  startedAt: Date,
+  completedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: () => new Date(Date.now() + 24 * 60 * 60 * 1000) }
+});
+
+TranscriptionJobSchema.index({ status: 1 });
+TranscriptionJobSchema.index({ owner: 1, createdAt: -1 });
+TranscriptionJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Find a job only if it belongs to the given user; invalid ids resolve to null
+ */
+TranscriptionJobSchema.statics.findOwned = function(id, ownerId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, owner: ownerId });
+};
+
+TranscriptionJobSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('TranscriptionJob', TranscriptionJobSchema);
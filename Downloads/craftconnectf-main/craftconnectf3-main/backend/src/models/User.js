@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const UserSchema = new mongoose.Schema({
+  // Login identity (E.164, e.g. +919876543210)
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^\+[1-9]\d{7,14}$/
+  },
+  phoneVerifiedAt: Date,
+
+  // Profile
+  name: { type: String, trim: true, maxlength: 100 },
+  preferredLanguage: { type: String, default: 'auto' },
+
+  isActive: { type: Boolean, default: true },
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+/**
+ * Public profile returned to clients
+ */
+UserSchema.methods.toProfile = function() {
+  return {
+    id: this._id.toString(),
+    phone: this.phone,
+    name: this.name || '',
+    preferredLanguage: this.preferredLanguage,
+    createdAt: this.createdAt,
+    lastLoginAt: this.lastLoginAt
+  };
+};
+
+module.exports = mongoose.model('User', UserSchema);
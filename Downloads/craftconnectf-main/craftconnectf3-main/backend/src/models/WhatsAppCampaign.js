@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const CAMPAIGN_STATUSES = ['queued', 'sending', 'completed', 'cancelled'];
+const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'delivered', 'read', 'failed', 'cancelled'];
+
+// Same forward-only rule as inbox messages; webhook callbacks can arrive out of order
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+const RecipientSchema = new mongoose.Schema({
+  phone: { type: String, required: true }, // digits only, with country code
+  name: { type: String, trim: true, maxlength: 100 },
+  status: { type: String, enum: RECIPIENT_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now }, // pushed back by retries and the daily tier limit
+  claimedAt: Date,
+  claimToken: mongoose.Schema.Types.ObjectId, // identifies the worker holding a 'sending' claim
+  // Template values resolved when queued; unset when a variable had no value
+  templateParameters: { type: [String], default: undefined },
+  messageType: { type: String, enum: ['text', 'image', 'interactive', 'document', 'template'] }, // what was actually sent
+  waMessageId: String,
+  sentAt: Date,
+  deliveredAt: Date,
+  readAt: Date,
+  error: {
+    code: Number,
+    title: String,
+    details: String
+  }
+});
+
+// A bulk WhatsApp send; recipients are worked off one at a time by the campaign queue
+const WhatsAppCampaignSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  message: { type: String, required: true, maxlength: 4096 },
+  // Image, buttons, list or document message built when queued ({ kind, content, text, media }); plain text when unset
+  rich: mongoose.Schema.Types.Mixed,
+  // Sent to recipients outside the 24-hour window, or to everyone when chosen explicitly
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'WhatsAppTemplate' },
+  forceTemplate: { type: Boolean, default: false },
+  status: { type: String, enum: CAMPAIGN_STATUSES, default: 'queued' },
+  recipients: [RecipientSchema],
+
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+WhatsAppCampaignSchema.index({ status: 1, 'recipients.status': 1, 'recipients.nextAttemptAt': 1 });
+WhatsAppCampaignSchema.index({ owner: 1, createdAt: -1 });
+WhatsAppCampaignSchema.index({ 'recipients.waMessageId': 1 });
+WhatsAppCampaignSchema.index({ 'recipients.sentAt': 1 });
+
+/**
+ * Find a campaign only if it belongs to the given user; invalid ids resolve to null
+ */
+WhatsAppCampaignSchema.statics.findOwned = function(id, ownerId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, owner: ownerId });
+};
+
+/**
+ * Apply a delivery status callback to the recipient it was sent to
+ * @returns {Promise<boolean>} Whether a recipient changed
+ */
+WhatsAppCampaignSchema.statics.applyRecipientStatus = async function({ waMessageId, status, at = new Date(), error }) {
+  if (!['delivered', 'read', 'failed'].includes(status)) return false;
+  const earlier = status === 'failed'
+    ? ['sent', 'delivered']
+    : Object.keys(STATUS_RANK).filter(key => STATUS_RANK[key] < STATUS_RANK[status]);
+  const result = await this.updateOne(
+    { recipients: { $elemMatch: { waMessageId, status: { $in: earlier } } } },
+    {
+      $set: {
+        'recipients.$.status': status,
+        ...(status === 'delivered' && { 'recipients.$.deliveredAt': at }),
+        ...(status === 'read' && { 'recipients.$.readAt': at }),
+        ...(error && { 'recipients.$.error': error })
+      }
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+WhatsAppCampaignSchema.statics.RECIPIENT_STATUSES = RECIPIENT_STATUSES;
+
+module.exports = mongoose.model('WhatsAppCampaign', WhatsAppCampaignSchema);
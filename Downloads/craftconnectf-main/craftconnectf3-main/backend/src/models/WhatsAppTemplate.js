@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['MARKETING', 'UTILITY'];
+// Meta review states, lowercased; 'draft' has not been submitted yet
+const TEMPLATE_STATUSES = ['draft', 'pending', 'approved', 'rejected', 'paused', 'disabled'];
+
+// Where the value of one {{n}} placeholder comes from when a message is sent
+const VariableSchema = new mongoose.Schema({
+  _id: false,
+  index: { type: Number, required: true, min: 1 },
+  source: { type: String, required: true }, // key of TEMPLATE_SOURCES, or 'static'
+  value: { type: String, trim: true, maxlength: 200 }, // text for 'static'
+  fallback: { type: String, trim: true, maxlength: 200 }, // used when the source is empty
+  example: { type: String, trim: true, maxlength: 200 } // sample Meta shows its reviewers
+});
+
+// An approved message shape for business-initiated WhatsApp messages
+const WhatsAppTemplateSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 512 }, // lowercase_with_underscores
+  language: { type: String, required: true, default: 'en' }, // Meta locale, e.g. en, en_US, hi
+  category: { type: String, enum: CATEGORIES, default: 'MARKETING' },
+
+  headerText: { type: String, trim: true, maxlength: 60 },
+  bodyText: { type: String, required: true, maxlength: 1024 }, // with {{1}}, {{2}}, ... placeholders
+  footerText: { type: String, trim: true, maxlength: 60 },
+  variables: [VariableSchema],
+
+  // Used for sends outside the 24-hour window when no template is chosen (once approved)
+  isDefault: { type: Boolean, default: false },
+
+  status: { type: String, enum: TEMPLATE_STATUSES, default: 'draft' },
+  waTemplateId: String,
+  rejectedReason: String,
+  submittedAt: Date,
+  lastSyncedAt: Date
+}, {
+  timestamps: true
+});
+
+WhatsAppTemplateSchema.index({ owner: 1, name: 1, language: 1 }, { unique: true });
+WhatsAppTemplateSchema.index({ waTemplateId: 1 });
+
+/**
+ * Find a template only if it belongs to the given user; invalid ids resolve to null
+ */
+WhatsAppTemplateSchema.statics.findOwned = function(id, ownerId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, owner: ownerId });
+};
+
+WhatsAppTemplateSchema.statics.CATEGORIES = CATEGORIES;
+WhatsAppTemplateSchema.statics.TEMPLATE_STATUSES = TEMPLATE_STATUSES;
+
+module.exports = mongoose.model('WhatsAppTemplate', WhatsAppTemplateSchema);
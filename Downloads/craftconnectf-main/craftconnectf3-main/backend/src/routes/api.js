@@ -14,6 +14,17 @@ const smartEnhancerController = require("../controllers/smartEnhancerController"
 const quotationController = require("../controllers/quotationController");
 const facebookController = require("../controllers/facebookController");
 const shopifyController = require("../controllers/shopifyController");
+const transcriptionController = require("../controllers/transcriptionController");
+const authController = require("../controllers/authController");
+const orderController = require("../controllers/orderController");
+const inventoryController = require("../controllers/inventoryController");
+const conversationController = require("../controllers/conversationController");
+const campaignController = require("../controllers/campaignController");
+const templateController = require("../controllers/templateController");
+const contactController = require("../controllers/contactController");
+const { requireAuth } = require("../middleware/auth");
+const ai = require("../utils/aiProvider");
+const speech = require("../utils/speechProvider");
 
 const router = express.Router();
 
@@ -30,7 +41,12 @@ const upload = multer({
       'image/jpeg', 'image/png', 'image/webp', 'image/gif'
     ];
     
-    if (allowedTypes.includes(file.mimetype)) {
+    // Browsers label voice notes inconsistently (audio/x-m4a, audio/mp4, octet-stream, ...);
+    // the real container is sniffed from the bytes before transcription
+    const isAudioField = file.fieldname === 'audio' &&
+      (file.mimetype.startsWith('audio/') || file.mimetype === 'video/webm' || file.mimetype === 'application/octet-stream');
+    
+    if (allowedTypes.includes(file.mimetype) || isAudioField) {
       cb(null, true);
     } else {
       cb(new Error(`Unsupported file type: ${file.mimetype}. Supported: ${allowedTypes.join(', ')}`), false);
@@ -38,15 +54,53 @@ const upload = multer({
   }
 });
 
+// Long recordings are transcribed as background jobs, so they get a larger, audio-only limit
+const LONG_AUDIO_LIMIT_MB = Number(process.env.MAX_LONG_AUDIO_MB) || 50;
+
+const longAudioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: LONG_AUDIO_LIMIT_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('audio/') || file.mimetype === 'video/webm' || file.mimetype === 'application/octet-stream') {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file type: ${file.mimetype}. Supported: audio/*`), false);
+    }
+  }
+});
+
+// Contact imports are small text files (CSV or vCard)
+const CONTACT_IMPORT_LIMIT_MB = 5;
+
+const contactUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: CONTACT_IMPORT_LIMIT_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'text/plain', 'text/vcard', 'text/x-vcard', 'text/directory', 'application/vnd.ms-excel', 'application/octet-stream'];
+    if (allowedTypes.includes(file.mimetype) || /\.(csv|vcf)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file type: ${file.mimetype}. Supported: .csv, .vcf`), false);
+    }
+  }
+});
+
 // Enhanced error handling for multer
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
+    const maxSizeMB = req.uploadLimitMB || 10;
     const errorResponses = {
       'LIMIT_FILE_SIZE': {
         status: 413,
         error: 'File too large',
-        message: 'File size must be less than 10MB',
-        maxSize: '10MB'
+        message: `File size must be less than ${maxSizeMB}MB`,
+        maxSize: `${maxSizeMB}MB`
       },
       'LIMIT_FILE_COUNT': {
         status: 413,
@@ -79,7 +133,7 @@ const handleMulterError = (error, req, res, next) => {
       success: false,
       error: 'Unsupported media type',
       message: error.message,
-      supportedTypes: ['audio/webm', 'audio/wav', 'audio/mp3', 'image/jpeg', 'image/png', 'image/webp']
+      supportedTypes: ['audio/*', 'image/jpeg', 'image/png', 'image/webp', 'image/gif']
     });
   }
   
@@ -110,6 +164,32 @@ router.use((req, res, next) => {
   next();
 });
 
+// Everything except health/status probes and the login endpoints needs a signed-in artisan
+const PUBLIC_ROUTES = [
+  /^\/health$/,
+  /^\/env-check$/,
+  /^\/test$/,
+  /^\/status\/all$/,
+  /^\/(whatsapp|enhance|quotation|facebook|shopify)\/status$/, // integration probes only; resource /status paths need a login
+  /^\/auth\/(request|verify)-otp$/,
+  /^\/whatsapp\/webhook$/, // Meta callbacks, verified by token and signature
+  /^\/quotes\/[a-f0-9]{32}(\/respond|\/pdf)?$/ // customer-facing quotation links
+];
+
+router.use((req, res, next) => {
+  if (req.method === 'OPTIONS' || PUBLIC_ROUTES.some(pattern => pattern.test(req.path))) {
+    return next();
+  }
+  requireAuth(req, res, next);
+});
+
+// === AUTHENTICATION ENDPOINTS ===
+
+router.post('/auth/request-otp', authController.requestOtp);
+router.post('/auth/verify-otp', authController.verifyOtp);
+router.get('/auth/me', authController.getMe);
+router.patch('/auth/me', authController.updateMe);
+
 // === HEALTH & STATUS ENDPOINTS ===
 
 router.get('/health', healthController.healthCheck);
@@ -121,10 +201,15 @@ router.get('/test', (req, res) => {
     correlationId: req.correlationId,
     timestamp: new Date().toISOString(),
     endpoints: {
+      auth: ['/auth/request-otp', '/auth/verify-otp', '/auth/me'],
       core: ['/analyze-business', '/generate-whatsapp-message'],
-      whatsapp: ['/whatsapp/preview', '/whatsapp/send', '/whatsapp/status'],
+      whatsapp: ['/whatsapp/preview', '/whatsapp/send', '/whatsapp/status', '/whatsapp/bulk-send', '/whatsapp/campaigns', '/whatsapp/templates', '/whatsapp/webhook', '/whatsapp/conversations'],
       enhancer: ['/enhance/product', '/enhance/batch', '/enhance/status'],
-      quotation: ['/quotation/generate', '/quotation/compare', '/quotation/status'],
+      quotation: ['/quotation/generate', '/quotation/compare', '/quotation/simulate', '/quotation/status', '/quotation/currencies', '/quotations', '/quotes/:token'],
+      products: ['/products', '/products/:id', '/products/:id/approve'],
+      orders: ['/orders', '/orders/:orderId'],
+      contacts: ['/contacts', '/contacts/:contactId', '/contacts/import', '/contacts/segment/preview'],
+      inventory: ['/inventory', '/inventory/:productId', '/inventory/:productId/movements', '/inventory/:productId/reconcile'],
       facebook: ['/facebook/create-post', '/facebook/preview', '/facebook/status'],
       shopify: ['/shopify/create-product', '/shopify/store', '/shopify/status']
     }
@@ -137,6 +222,21 @@ router.get('/whatsapp/status', whatsappController.getWhatsAppStatus);
 router.post('/whatsapp/preview', whatsappController.previewWhatsAppMessage);
 router.post('/whatsapp/send', whatsappController.sendWhatsAppMessage);
 router.post('/whatsapp/bulk-send', whatsappController.sendBulkWhatsAppMessages);
+router.get('/whatsapp/campaigns', campaignController.listCampaigns);
+router.get('/whatsapp/campaigns/:campaignId', campaignController.getCampaign);
+router.post('/whatsapp/campaigns/:campaignId/cancel', campaignController.cancelCampaign);
+router.get('/whatsapp/templates', templateController.listTemplates);
+router.post('/whatsapp/templates', templateController.createTemplate);
+router.post('/whatsapp/templates/sync', templateController.syncTemplates);
+router.put('/whatsapp/templates/:templateId', templateController.updateTemplate);
+router.delete('/whatsapp/templates/:templateId', templateController.deleteTemplate);
+router.post('/whatsapp/templates/:templateId/submit', templateController.submitTemplate);
+router.post('/whatsapp/templates/:templateId/preview', templateController.previewTemplate);
+router.get('/whatsapp/webhook', conversationController.verifyWebhook);
+router.post('/whatsapp/webhook', conversationController.receiveWebhook);
+router.get('/whatsapp/conversations', conversationController.listConversations);
+router.get('/whatsapp/conversations/:conversationId', conversationController.getConversation);
+router.post('/whatsapp/conversations/:conversationId/reply', conversationController.replyToConversation);
 
 // === SMART PRODUCT ENHANCER ENDPOINTS ===
 
@@ -155,10 +255,64 @@ router.post('/enhance/batch',
 // === AI QUOTATION ENDPOINTS ===
 
 router.get('/quotation/status', quotationController.getQuotationStatus);
+router.get('/quotation/currencies', quotationController.getCurrencies);
 router.post('/quotation/generate', quotationController.generateQuotation);
 router.post('/quotation/compare', quotationController.compareMarketPrices);
+router.post('/quotation/simulate', quotationController.simulatePricing);
 router.post('/quotation/bulk', quotationController.generateBulkQuotations);
 
+// Stored quotations with versions and customer responses
+router.get('/quotations', quotationController.listQuotations);
+router.post('/quotations', quotationController.createQuotation);
+router.get('/quotations/:quotationId', quotationController.getQuotation);
+router.post('/quotations/:quotationId/revise', quotationController.reviseQuotation);
+router.get('/quotations/:quotationId/diff', quotationController.diffQuotationVersions);
+router.post('/quotations/:quotationId/send', quotationController.sendQuotation);
+router.post('/quotations/:quotationId/respond', quotationController.recordQuotationResponse);
+router.get('/quotations/:quotationId/pdf', quotationController.downloadQuotationPdf);
+router.get('/quotations/:quotationId/scenarios', quotationController.listScenarios);
+router.post('/quotations/:quotationId/scenarios', quotationController.simulateQuotation);
+router.delete('/quotations/:quotationId/scenarios/:scenarioId', quotationController.deleteScenario);
+
+// Customer-facing quotation links (no login)
+router.get('/quotes/:token', quotationController.getPublicQuotation);
+router.post('/quotes/:token/respond', quotationController.respondToPublicQuotation);
+router.get('/quotes/:token/pdf', quotationController.downloadPublicQuotationPdf);
+
+// === ORDER ENDPOINTS ===
+
+router.get('/orders', orderController.listOrders);
+router.get('/orders/:orderId', orderController.getOrder);
+router.patch('/orders/:orderId/status', orderController.updateOrderStatus);
+
+// === CONTACT BOOK ENDPOINTS ===
+
+router.get('/contacts', contactController.listContacts);
+router.post('/contacts', contactController.createContact);
+router.get('/contacts/tags', contactController.listContactTags);
+router.post(
+  '/contacts/import',
+  (req, res, next) => {
+    req.uploadLimitMB = CONTACT_IMPORT_LIMIT_MB;
+    next();
+  },
+  contactUpload.single('file'),
+  handleMulterError,
+  contactController.importContacts
+);
+router.post('/contacts/segment/preview', contactController.previewSegment);
+router.get('/contacts/:contactId', contactController.getContact);
+router.put('/contacts/:contactId', contactController.updateContact);
+router.delete('/contacts/:contactId', contactController.deleteContact);
+router.post('/contacts/:contactId/consent', contactController.updateContactConsent);
+
+// === INVENTORY ENDPOINTS ===
+
+router.get('/inventory', inventoryController.listInventory);
+router.get('/inventory/:productId', inventoryController.getProductInventory);
+router.post('/inventory/:productId/movements', inventoryController.recordInventoryMovement);
+router.post('/inventory/:productId/reconcile', inventoryController.reconcileInventory);
+
 // === FACEBOOK MARKETING ENDPOINTS ===
 
 router.get('/facebook/status', facebookController.getFacebookStatus);
@@ -273,6 +427,45 @@ router.post(
   }
 );
 
+// === LONG-AUDIO TRANSCRIPTION JOBS ===
+
+// Upload a long recording; responds 202 with a job id
+router.post(
+  "/transcriptions",
+  (req, res, next) => {
+    req.uploadLimitMB = LONG_AUDIO_LIMIT_MB;
+    next();
+  },
+  longAudioUpload.single("audio"),
+  handleMulterError,
+  async (req, res, next) => {
+    try {
+      console.log(`🎧 [${req.correlationId}] Long-audio transcription job`);
+      await transcriptionController.createTranscriptionJob(req, res);
+    } catch (error) {
+      console.error(`❌ [${req.correlationId}] transcriptions error:`, error);
+      next(error);
+    }
+  }
+);
+
+router.get("/transcriptions/:jobId", async (req, res, next) => {
+  try {
+    await transcriptionController.getTranscriptionJob(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Server-Sent Events stream of job progress and the merged transcript
+router.get("/transcriptions/:jobId/events", async (req, res, next) => {
+  try {
+    await transcriptionController.streamTranscriptionJob(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // === LEGACY/COMPATIBILITY ENDPOINTS ===
 
 // Image upload and Vision AI analysis
@@ -302,6 +495,12 @@ router.post("/ai/process", async (req, res, next) => {
   }
 });
 
+// Product catalog: search, pagination and CRUD (DELETE archives)
+router.get("/products", productController.listProducts);
+router.post("/products", productController.createProduct);
+router.patch("/products/:id", productController.updateProduct);
+router.delete("/products/:id", productController.deleteProduct);
+
 // Product management
 router.get("/products/:id", async (req, res, next) => {
   try {
@@ -322,6 +521,43 @@ router.post("/products/:id/approve", async (req, res, next) => {
 });
 
 // Session management for multi-step flow
+
+// Artisan's saved sessions, newest first (drafts by default)
+router.get("/sessions", async (req, res, next) => {
+  try {
+    await businessController.listSessions(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/session/:sessionId/archive", async (req, res, next) => {
+  try {
+    console.log(`🗄️ [${req.correlationId}] Archive session ${req.params.sessionId}`);
+    await businessController.archiveSession(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/session/:sessionId/restore", async (req, res, next) => {
+  try {
+    console.log(`♻️ [${req.correlationId}] Restore session ${req.params.sessionId}`);
+    await businessController.restoreSession(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/session/:sessionId", async (req, res, next) => {
+  try {
+    console.log(`🗑️ [${req.correlationId}] Discard session ${req.params.sessionId}`);
+    await businessController.discardSession(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.get("/session/:sessionId", async (req, res, next) => {
   try {
     console.log(`💾 [${req.correlationId}] Get session ${req.params.sessionId}`);
@@ -331,6 +567,17 @@ router.get("/session/:sessionId", async (req, res, next) => {
   }
 });
 
+// Validated edits per wizard stage (summary, product, recommendations)
+router.patch("/session/:sessionId/:stage", async (req, res, next) => {
+  try {
+    console.log(`💾 [${req.correlationId}] Patch session ${req.params.sessionId} (${req.params.stage})`);
+    await businessController.patchSession(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Legacy form of the stage patch: body = { stage, changes }
 router.post("/session/:sessionId/update", async (req, res, next) => {
   try {
     console.log(`💾 [${req.correlationId}] Update session ${req.params.sessionId}`);
@@ -340,6 +587,14 @@ router.post("/session/:sessionId/update", async (req, res, next) => {
   }
 });
 
+router.get("/session/:sessionId/history", async (req, res, next) => {
+  try {
+    await businessController.getSessionHistory(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // === COMPREHENSIVE STATUS ENDPOINT ===
 
 router.get('/status/all', async (req, res) => {
@@ -401,9 +656,9 @@ router.get('/status/all', async (req, res) => {
         shopify: shopifyStatus.status === 'fulfilled' ? shopifyStatus.value : { error: shopifyStatus.reason }
       },
       capabilities: {
-        voiceToText: !!process.env.GOOGLE_PROJECT_ID,
-        aiAnalysis: !!process.env.GOOGLE_PROJECT_ID,
-        imageEnhancement: !!process.env.GOOGLE_PROJECT_ID,
+        voiceToText: speech.isAvailable(),
+        aiAnalysis: ai.isAvailable(),
+        imageEnhancement: ai.isAvailable(),
         whatsappMessaging: true, // Always available (preview mode minimum)
         facebookPosting: !!process.env.FACEBOOK_ACCESS_TOKEN,
         shopifyIntegration: !!process.env.SHOPIFY_ACCESS_TOKEN,
@@ -474,9 +729,13 @@ router.use('*', (req, res) => {
     correlationId: req.correlationId,
     availableEndpoints: {
       health: 'GET /api/health',
+      auth: 'POST /api/auth/request-otp, /api/auth/verify-otp',
       whatsapp: 'POST /api/whatsapp/preview, /api/whatsapp/send',
       enhancer: 'POST /api/enhance/product',
-      quotation: 'POST /api/quotation/generate',
+      quotation: 'POST /api/quotation/generate, /api/quotations',
+      orders: 'GET /api/orders',
+      contacts: 'GET /api/contacts',
+      inventory: 'GET /api/inventory',
       facebook: 'POST /api/facebook/create-post',
       shopify: 'POST /api/shopify/create-product',
       core: 'POST /api/analyze-business'
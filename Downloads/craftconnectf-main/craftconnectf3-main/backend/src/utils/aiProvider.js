@@ -0,0 +1,275 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { createRateLimiter } = require('./concurrency');
+
+// Lazy import VertexAI so the mock / OpenAI backends work without Google credentials
+let VertexAI = null;
+try {
+  VertexAI = require('@google-cloud/vertexai').VertexAI;
+} catch (e) {
+  VertexAI = null;
+}
+
+const DEFAULT_VERTEX_MODEL = 'gemini-2.5-flash';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/* ---------------------------
+   Vertex AI backend
+   --------------------------- */
+function createVertexBackend() {
+  const model = process.env.VERTEX_MODEL || DEFAULT_VERTEX_MODEL;
+  let generativeModel = null;
+
+  try {
+    if (VertexAI && process.env.GOOGLE_PROJECT_ID) {
+      const vertexAI = new VertexAI({
+        project: process.env.GOOGLE_PROJECT_ID,
+        location: process.env.GOOGLE_LOCATION || 'us-central1',
+      });
+      generativeModel = vertexAI.getGenerativeModel({ model });
+    }
+  } catch (error) {
+    console.error('❌ AI provider - Vertex AI initialization failed:', error.message);
+    generativeModel = null;
+  }
+
+  return {
+    name: 'vertex',
+    model,
+    available: !!generativeModel,
+
+    async generate({ prompt, schema, images, generationConfig }) {
+      if (!generativeModel) throw new Error('Vertex AI not initialized');
+
+      const parts = images.map(image => ({
+        inlineData: { mimeType: image.mimeType, data: image.data }
+      }));
+      parts.push({ text: prompt });
+
+      const result = await generativeModel.generateContent({
+        contents: [{ role: 'user', parts }],
+        generationConfig: {
+          ...generationConfig,
+          ...(schema && { responseMimeType: 'application/json' })
+        }
+      });
+
+      // Extract response text with multiple fallbacks
+      const response = result?.response;
+      if (response?.candidates?.[0]?.content?.parts?.[0]?.text) {
+        return response.candidates[0].content.parts[0].text;
+      }
+      if (typeof response?.text === 'function') return response.text();
+      if (typeof response?.text === 'string') return response.text;
+      throw new Error('No valid response text found in Vertex AI result');
+    }
+  };
+}
+
+/* ---------------------------
+   OpenAI-compatible backend (OpenAI, Ollama, vLLM, LM Studio, ...)
+   --------------------------- */
+function createOpenAIBackend() {
+  const model = process.env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL;
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/$/, '');
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  return {
+    name: 'openai',
+    model,
+    available: !!(apiKey || process.env.OPENAI_BASE_URL),
+
+    async generate({ prompt, schema, images, generationConfig }) {
+      const content = images.length > 0
+        ? [
+          { type: 'text', text: prompt },
+          ...images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+          }))
+        ]
+        : prompt;
+
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        {
+          model,
+          messages: [{ role: 'user', content }],
+          temperature: generationConfig.temperature,
+          top_p: generationConfig.topP,
+          max_tokens: generationConfig.maxOutputTokens,
+          ...(schema && { response_format: { type: 'json_object' } })
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+          },
+          timeout: Number(process.env.OPENAI_TIMEOUT_MS) || 60000
+        }
+      );
+
+      const text = response.data?.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('No valid response text found in OpenAI-compatible result');
+      }
+      return text;
+    }
+  };
+}
+
+/* ---------------------------
+   Deterministic local mock backend (offline development and CI)
+   --------------------------- */
+
+/**
+ * Build a deterministic sample value that satisfies a JSON schema
+ * @param {Object} schema - JSON schema (subset: type, properties, items, enum, minimum, minItems)
+ * @param {string} seed - Seed used to vary string values between prompts
+ * @param {string} path - Property path, used in generated strings
+ * @returns {*} - Sample value
+ */
+function sampleFromSchema(schema = {}, seed = '', path = 'value') {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  if (schema.default !== undefined) return schema.default;
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+  switch (type) {
+    case 'object': {
+      const out = {};
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        out[key] = sampleFromSchema(child, seed, key);
+      }
+      return out;
+    }
+    case 'array': {
+      const count = Math.max(schema.minItems || 0, 1);
+      return Array.from({ length: count }, (_, i) => sampleFromSchema(schema.items || {}, seed, `${path}${i + 1}`));
+    }
+    case 'number':
+    case 'integer':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return `mock ${path} ${seed}`.trim();
+  }
+}
+
+function createMockBackend() {
+  return {
+    name: 'mock',
+    model: 'local-mock',
+    available: true,
+
+    async generate({ prompt, schema }) {
+      const seed = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8);
+
+      if (schema) {
+        return JSON.stringify(sampleFromSchema(schema, seed));
+      }
+
+      const firstLine = prompt.split('\n').find(line => line.trim()) || '';
+      return `[mock ${seed}] ${firstLine.trim().substring(0, 160)}`;
+    }
+  };
+}
+
+/* ---------------------------
+   Provider selection
+   --------------------------- */
+const BACKENDS = {
+  vertex: createVertexBackend,
+  openai: createOpenAIBackend,
+  mock: createMockBackend
+};
+
+let backend = null;
+
+// Shared across all callers so bulk jobs stay under the model's requests-per-minute quota
+const limiter = createRateLimiter({ perMinute: Number(process.env.AI_REQUESTS_PER_MINUTE) || 0 });
+
+function getBackend() {
+  if (backend) return backend;
+
+  const requested = (process.env.AI_PROVIDER || 'vertex').toLowerCase();
+  const factory = BACKENDS[requested];
+
+  if (!factory) {
+    console.error(`❌ Unknown AI_PROVIDER "${requested}". Supported: ${Object.keys(BACKENDS).join(', ')}`);
+    backend = { name: requested, model: null, available: false, generate: async () => { throw new Error(`Unknown AI provider: ${requested}`); } };
+    return backend;
+  }
+
+  backend = factory();
+  console.log(`${backend.available ? '✅' : '⚠️'} AI provider: ${backend.name} (${backend.model}) ${backend.available ? 'ready' : 'not configured'}`);
+  return backend;
+}
+
+/**
+ * Generate content with the configured AI provider
+ * @param {Object} options
+ * @param {string} options.prompt - Prompt text
+ * @param {Object} [options.schema] - JSON schema the response should follow (requests JSON output)
+ * @param {Array<{data: (Buffer|string), mimeType: string}>} [options.images] - Images to attach
+ * @param {Object} [options.generationConfig] - temperature, topP, maxOutputTokens
+ * @returns {Promise<{text: string, provider: string, model: string}>}
+ */
+async function generate({ prompt, schema = null, images = [], generationConfig = {} } = {}) {
+  if (!prompt || typeof prompt !== 'string') {
+    throw new Error('Prompt text is required');
+  }
+
+  const active = getBackend();
+  if (!active.available) {
+    throw new Error(`AI provider "${active.name}" not available`);
+  }
+
+  const normalizedImages = images.map(image => ({
+    mimeType: image.mimeType || 'image/jpeg',
+    data: Buffer.isBuffer(image.data) ? image.data.toString('base64') : image.data
+  }));
+
+  await limiter.acquire();
+  const text = await active.generate({
+    prompt,
+    schema,
+    images: normalizedImages,
+    generationConfig
+  });
+
+  return { text: String(text).trim(), provider: active.name, model: active.model };
+}
+
+/**
+ * Whether the configured provider can serve requests
+ * @returns {boolean}
+ */
+function isAvailable() {
+  return getBackend().available;
+}
+
+/**
+ * Provider status for health and status endpoints
+ * @returns {{provider: string, model: string, available: boolean, requestsPerMinute: number}}
+ */
+function getStatus() {
+  const active = getBackend();
+  return {
+    provider: active.name,
+    model: active.model,
+    available: active.available,
+    requestsPerMinute: limiter.perMinute || null
+  };
+}
+
+module.exports = {
+  generate,
+  isAvailable,
+  getStatus,
+  sampleFromSchema
+};
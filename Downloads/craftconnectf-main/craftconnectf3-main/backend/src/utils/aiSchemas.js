@@ -0,0 +1,259 @@
+// JSON schemas and default templates for every structured LLM response.
+// Schemas mirror the shapes stored on BusinessSession and returned by the controllers.
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+/* ---------------------------
+   Business summary (Step 1)
+   --------------------------- */
+const businessSummary = {
+  schema: {
+    type: 'object',
+    properties: {
+      businessType: { type: 'string' },
+      businessName: { type: 'string' },
+      experience: { type: 'string' },
+      location: { type: 'string' },
+      mainChallenges: stringArray,
+      currentStatus: { type: 'string' },
+      goals: stringArray,
+      hasOnlinePresence: { type: ['boolean', 'string'] },
+      targetMarket: { type: 'string' },
+      keyStrengths: stringArray
+    },
+    required: ['businessType', 'mainChallenges', 'goals'],
+    additionalProperties: true
+  },
+  defaults: {
+    businessType: 'Craft Business',
+    businessName: '',
+    experience: '',
+    location: '',
+    mainChallenges: ['Limited online presence'],
+    currentStatus: '',
+    goals: ['Reach more customers online'],
+    hasOnlinePresence: false,
+    targetMarket: '',
+    keyStrengths: ['Handmade quality']
+  }
+};
+
+/* ---------------------------
+   Product analysis (Step 3)
+   --------------------------- */
+const productAnalysis = {
+  schema: {
+    type: 'object',
+    properties: {
+      productSummary: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          category: { type: 'string' },
+          materials: stringArray,
+          techniques: stringArray,
+          uniqueFeatures: stringArray,
+          qualityLevel: { type: 'string' },
+          timeToMake: { type: 'string' }
+        },
+        required: ['name', 'category'],
+        additionalProperties: true
+      },
+      marketingInsights: {
+        type: 'object',
+        properties: {
+          targetAudience: stringArray,
+          pricingRange: { type: 'string' },
+          sellingPoints: stringArray,
+          competitiveAdvantage: stringArray
+        },
+        additionalProperties: true
+      },
+      recommendations: {
+        type: 'object',
+        properties: {
+          immediate: stringArray,
+          shortTerm: stringArray,
+          longTerm: stringArray
+        },
+        additionalProperties: true
+      }
+    },
+    required: ['productSummary', 'marketingInsights', 'recommendations'],
+    additionalProperties: true
+  },
+  defaults: {
+    productSummary: {
+      name: 'Handmade Product',
+      category: 'craft',
+      materials: [],
+      techniques: [],
+      uniqueFeatures: [],
+      qualityLevel: '',
+      timeToMake: ''
+    },
+    marketingInsights: {
+      targetAudience: [],
+      pricingRange: '',
+      sellingPoints: ['Authentic handmade quality'],
+      competitiveAdvantage: []
+    },
+    recommendations: {
+      immediate: ['Take clear photos in natural light'],
+      shortTerm: ['Share the product on WhatsApp with existing customers'],
+      longTerm: ['Build an online storefront']
+    }
+  }
+};
+
+/* ---------------------------
+   Final recommendations (Step 4)
+   --------------------------- */
+const recommendations = {
+  schema: {
+    type: 'object',
+    properties: {
+      primaryRecommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            platform: { type: 'string' },
+            priority: { type: 'number' },
+            reason: { type: 'string' },
+            implementation: { type: 'string' },
+            expectedOutcome: { type: 'string' }
+          },
+          required: ['platform', 'reason'],
+          additionalProperties: true
+        }
+      },
+      contentStrategy: {
+        type: 'object',
+        properties: {
+          focusAreas: stringArray,
+          contentTypes: stringArray,
+          postingFrequency: { type: 'string' }
+        },
+        additionalProperties: true
+      },
+      marketingMessages: {
+        type: 'object',
+        properties: {
+          whatsapp: { type: 'string' },
+          instagram: { type: 'string' },
+          general: { type: 'string' }
+        },
+        additionalProperties: true
+      },
+      nextSteps: stringArray
+    },
+    required: ['primaryRecommendations', 'nextSteps'],
+    additionalProperties: true
+  },
+  defaults: {
+    primaryRecommendations: [
+      {
+        platform: 'whatsapp',
+        priority: 1,
+        reason: 'Direct conversations build trust quickly',
+        implementation: 'Set up WhatsApp Business with a product catalog',
+        expectedOutcome: 'More repeat orders from existing customers'
+      }
+    ],
+    contentStrategy: {
+      focusAreas: ['Craft process', 'Finished products'],
+      contentTypes: ['Photos', 'Short videos'],
+      postingFrequency: '3 times per week'
+    },
+    marketingMessages: {
+      whatsapp: '',
+      instagram: '',
+      general: ''
+    },
+    nextSteps: ['Photograph your best products', 'Share them with your customer list']
+  }
+};
+
+/* ---------------------------
+   Quotation market positioning
+   (prices come from utils/pricingEngine; the model only picks a tier and explains it)
+   --------------------------- */
+const pricePositioning = {
+  schema: {
+    type: 'object',
+    properties: {
+      positioning: { type: 'string', enum: ['budget', 'mid-range', 'premium', 'luxury'] },
+      rationale: { type: 'string' },
+      marketComparison: {
+        type: 'object',
+        properties: {
+          localMarket: { type: 'string' },
+          onlineMarket: { type: 'string' },
+          premiumJustification: { type: 'string' }
+        },
+        additionalProperties: true
+      },
+      confidence: { type: 'number', minimum: 0, maximum: 100 }
+    },
+    required: ['positioning', 'rationale'],
+    additionalProperties: true
+  },
+  // Controllers pass a complexity-based positioning as defaults
+  defaults: null
+};
+
+/* ---------------------------
+   Smart enhancer image analysis
+   --------------------------- */
+const enhancement = {
+  schema: {
+    type: 'object',
+    properties: {
+      productType: { type: 'string' },
+      currentQuality: {
+        type: 'object',
+        properties: {
+          lighting: { type: 'string' },
+          background: { type: 'string' },
+          composition: { type: 'string' },
+          focus: { type: 'string' }
+        },
+        additionalProperties: true
+      },
+      enhancementActions: stringArray,
+      technicalImprovements: {
+        type: 'object',
+        properties: {
+          backgroundRemoval: { type: 'boolean' },
+          lightingAdjustment: { type: 'string', enum: ['none', 'subtle', 'moderate', 'significant'] },
+          colorCorrection: { type: 'boolean' },
+          sharpening: { type: 'boolean' }
+        },
+        additionalProperties: true
+      },
+      marketplaceOptimization: {
+        type: 'object',
+        properties: {
+          suggestedAngles: stringArray,
+          additionalPhotos: { type: 'string' }
+        },
+        additionalProperties: true
+      },
+      qualityScore: { type: 'number', minimum: 0, maximum: 100 },
+      readyForMarketplace: { type: 'boolean' }
+    },
+    required: ['productType', 'enhancementActions', 'technicalImprovements', 'qualityScore'],
+    additionalProperties: true
+  },
+  // Controllers pass a vision-based fallback enhancement as defaults
+  defaults: null
+};
+
+module.exports = {
+  businessSummary,
+  productAnalysis,
+  recommendations,
+  pricePositioning,
+  enhancement
+};
@@ -0,0 +1,378 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Canonical recognition format: 16kHz mono 16-bit PCM WAV
+const CANONICAL_SAMPLE_RATE = 16000;
+const CANONICAL_BYTES_PER_SECOND = CANONICAL_SAMPLE_RATE * 2;
+const WAV_HEADER_BYTES = 44;
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// Cached ffmpeg probe so concurrent requests share one check
+let ffmpegProbe = null;
+
+function ffmpegPath() {
+  return process.env.FFMPEG_PATH || 'ffmpeg';
+}
+
+/**
+ * Run a callback with a private temp directory that is always removed afterwards
+ */
+async function withTempDir(callback) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'craftconnect-audio-'));
+  try {
+    return await callback(workDir);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Whether an ffmpeg binary can be executed
+ * @returns {Promise<boolean>}
+ */
+function isFfmpegAvailable() {
+  if (!ffmpegProbe) {
+    ffmpegProbe = execFileAsync(ffmpegPath(), ['-version'], { timeout: 10000 })
+      .then(() => true)
+      .catch(() => {
+        console.warn('⚠️ ffmpeg not found - audio will only be accepted in natively supported formats');
+        return false;
+      });
+  }
+  return ffmpegProbe;
+}
+
+/**
+ * Duration in seconds of a canonical 16kHz mono 16-bit WAV buffer
+ * @param {Buffer} wavBuffer
+ * @returns {number}
+ */
+function wavDurationSeconds(wavBuffer) {
+  return Math.max(0, wavBuffer.length - WAV_HEADER_BYTES) / CANONICAL_BYTES_PER_SECOND;
+}
+
+/* ---------------------------
+   Container / codec sniffing
+   --------------------------- */
+
+// Sample rates Google Speech accepts for OGG_OPUS / WEBM_OPUS
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000]   // MPEG-2.5
+};
+
+function startsWith(buffer, signature, offset = 0) {
+  return buffer.length >= offset + signature.length &&
+    buffer.toString('latin1', offset, offset + signature.length) === signature;
+}
+
+function includesWithin(buffer, text, limit = 8192) {
+  return buffer.subarray(0, limit).includes(Buffer.from(text, 'latin1'));
+}
+
+function sniffWav(buffer) {
+  const format = { container: 'wav', codec: 'unknown', mimeType: 'audio/wav' };
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+
+    if (id === 'fmt ' && offset + 24 <= buffer.length) {
+      const audioFormat = buffer.readUInt16LE(offset + 8);
+      const bitsPerSample = buffer.readUInt16LE(offset + 22);
+      format.channels = buffer.readUInt16LE(offset + 10);
+      format.sampleRateHertz = buffer.readUInt32LE(offset + 12);
+      format.bitsPerSample = bitsPerSample;
+
+      // 1 = PCM, 0xFFFE = WAVE_FORMAT_EXTENSIBLE (PCM in practice), 3 = float, 7 = mu-law
+      if ((audioFormat === 1 || audioFormat === 0xFFFE) && bitsPerSample === 16) {
+        format.codec = 'pcm_s16le';
+        format.googleEncoding = 'LINEAR16';
+      } else if (audioFormat === 7) {
+        format.codec = 'mulaw';
+        format.googleEncoding = 'MULAW';
+      } else {
+        format.codec = audioFormat === 3 ? 'pcm_float' : `pcm_${bitsPerSample}bit`;
+      }
+      return format;
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  return format;
+}
+
+function sniffOgg(buffer) {
+  const segments = buffer[26] || 0;
+  const payloadOffset = 27 + segments;
+
+  if (startsWith(buffer, 'OpusHead', payloadOffset)) {
+    const inputRate = buffer.length >= payloadOffset + 16 ? buffer.readUInt32LE(payloadOffset + 12) : 0;
+    return {
+      container: 'ogg',
+      codec: 'opus',
+      mimeType: 'audio/ogg',
+      channels: buffer[payloadOffset + 9],
+      sampleRateHertz: OPUS_SAMPLE_RATES.includes(inputRate) ? inputRate : 48000,
+      googleEncoding: 'OGG_OPUS'
+    };
+  }
+
+  const codec = startsWith(buffer, '\x01vorbis', payloadOffset) ? 'vorbis'
+    : startsWith(buffer, 'Speex', payloadOffset) ? 'speex'
+      : startsWith(buffer, '\x7FFLAC', payloadOffset) ? 'flac'
+        : 'unknown';
+
+  return { container: 'ogg', codec, mimeType: 'audio/ogg' };
+}
+
+function sniffMatroska(buffer) {
+  const container = includesWithin(buffer, 'webm', 64) ? 'webm' : 'matroska';
+  const mimeType = container === 'webm' ? 'audio/webm' : 'audio/x-matroska';
+
+  if (includesWithin(buffer, 'A_OPUS')) {
+    // Browser MediaRecorder encodes Opus at 48kHz
+    return { container, codec: 'opus', mimeType, sampleRateHertz: 48000, googleEncoding: 'WEBM_OPUS' };
+  }
+  if (includesWithin(buffer, 'A_VORBIS')) return { container, codec: 'vorbis', mimeType };
+  if (includesWithin(buffer, 'A_AAC')) return { container, codec: 'aac', mimeType };
+  return { container, codec: 'unknown', mimeType };
+}
+
+function sniffMp4(buffer) {
+  const brand = buffer.toString('latin1', 8, 12);
+  const is3gp = brand.startsWith('3g');
+  const container = is3gp ? '3gp' : 'mp4';
+  const mimeType = is3gp ? 'audio/3gpp' : 'audio/mp4';
+
+  const codec = includesWithin(buffer, 'mp4a', 65536) ? 'aac'
+    : includesWithin(buffer, 'alac', 65536) ? 'alac'
+      : includesWithin(buffer, 'samr', 65536) ? 'amr_nb'
+        : includesWithin(buffer, 'sawb', 65536) ? 'amr_wb'
+          : 'unknown';
+
+  // The moov atom may sit at the end of the file, so an unknown codec is still most likely AAC
+  return { container, codec, mimeType, brand: brand.trim() };
+}
+
+function sniffMpegAudio(buffer) {
+  let offset = 0;
+
+  // Skip an ID3v2 tag (size is a 28-bit syncsafe integer)
+  if (startsWith(buffer, 'ID3') && buffer.length >= 10) {
+    offset = 10 + ((buffer[6] & 0x7f) << 21 | (buffer[7] & 0x7f) << 14 | (buffer[8] & 0x7f) << 7 | (buffer[9] & 0x7f));
+  }
+
+  // Scan a little for the first frame sync in case of padding
+  const limit = Math.min(buffer.length - 4, offset + 4096);
+  for (let i = offset; i <= limit; i++) {
+    if (buffer[i] !== 0xff || (buffer[i + 1] & 0xe0) !== 0xe0) continue;
+
+    const version = (buffer[i + 1] >> 3) & 0x03;
+    const layer = (buffer[i + 1] >> 1) & 0x03;
+
+    if (layer === 0) {
+      // ADTS header: layer bits are always zero for AAC
+      return { container: 'adts', codec: 'aac', mimeType: 'audio/aac' };
+    }
+
+    const rateIndex = (buffer[i + 2] >> 2) & 0x03;
+    if (version === 1 || rateIndex === 3) continue;
+
+    return {
+      container: 'mp3',
+      codec: 'mp3',
+      mimeType: 'audio/mpeg',
+      sampleRateHertz: MP3_SAMPLE_RATES[version][rateIndex],
+      // MP3 is a beta-only encoding in the Speech v1 API, so it is always transcoded
+      channels: ((buffer[i + 3] >> 6) & 0x03) === 3 ? 1 : 2
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Detect the container and codec of an audio buffer from its magic bytes
+ * @param {Buffer} buffer - Uploaded audio
+ * @returns {{container: string, codec: string, mimeType: string, sampleRateHertz?: number, channels?: number, googleEncoding?: string}}
+ *   googleEncoding is set only when Google Speech can decode the buffer as-is
+ */
+function detectAudioFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return { container: 'unknown', codec: 'unknown', mimeType: 'application/octet-stream' };
+  }
+
+  if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WAVE', 8)) return sniffWav(buffer);
+  if (startsWith(buffer, 'OggS')) return sniffOgg(buffer);
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return sniffMatroska(buffer);
+  if (startsWith(buffer, 'ftyp', 4)) return sniffMp4(buffer);
+
+  if (startsWith(buffer, 'fLaC') && buffer.length >= 22) {
+    return {
+      container: 'flac',
+      codec: 'flac',
+      mimeType: 'audio/flac',
+      sampleRateHertz: (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4),
+      channels: ((buffer[20] >> 1) & 0x07) + 1,
+      googleEncoding: 'FLAC'
+    };
+  }
+
+  if (startsWith(buffer, '#!AMR-WB\n')) {
+    return { container: 'amr', codec: 'amr_wb', mimeType: 'audio/amr-wb', sampleRateHertz: 16000, channels: 1, googleEncoding: 'AMR_WB' };
+  }
+  if (startsWith(buffer, '#!AMR\n')) {
+    return { container: 'amr', codec: 'amr_nb', mimeType: 'audio/amr', sampleRateHertz: 8000, channels: 1, googleEncoding: 'AMR' };
+  }
+
+  // Apple Core Audio Format (some iOS voice memo exports)
+  if (startsWith(buffer, 'caff')) return { container: 'caf', codec: 'unknown', mimeType: 'audio/x-caf' };
+
+  return sniffMpegAudio(buffer) || { container: 'unknown', codec: 'unknown', mimeType: 'application/octet-stream' };
+}
+
+/**
+ * Whether a buffer is already canonical 16kHz mono 16-bit WAV
+ */
+function isCanonicalWav(format) {
+  return format.container === 'wav' &&
+    format.codec === 'pcm_s16le' &&
+    format.sampleRateHertz === CANONICAL_SAMPLE_RATE &&
+    format.channels === 1;
+}
+
+/**
+ * Convert an audio file on disk to canonical WAV
+ * @param {string} inputPath - Source audio path
+ * @param {string} outputPath - Destination WAV path
+ * @param {number} [timeout] - Milliseconds before ffmpeg is killed
+ */
+async function convertFileToWav(inputPath, outputPath, timeout = DEFAULT_TIMEOUT_MS) {
+  await execFileAsync(ffmpegPath(), [
+    '-y', '-loglevel', 'error',
+    '-i', inputPath,
+    '-ar', String(CANONICAL_SAMPLE_RATE), '-ac', '1', '-c:a', 'pcm_s16le',
+    outputPath
+  ], { timeout });
+}
+
+/**
+ * Transcode an audio buffer to canonical WAV
+ * @param {Buffer} audioBuffer
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds before ffmpeg is killed
+ * @returns {Promise<Buffer>}
+ */
+async function transcodeToWav(audioBuffer, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  return withTempDir(async (workDir) => {
+    const inputPath = path.join(workDir, 'input');
+    const outputPath = path.join(workDir, 'output.wav');
+    await fs.writeFile(inputPath, audioBuffer);
+    await convertFileToWav(inputPath, outputPath, timeout);
+    return fs.readFile(outputPath);
+  });
+}
+
+/**
+ * Prepare uploaded audio for recognition in a single attempt
+ * Canonical WAV when ffmpeg is present; otherwise the sniffed native encoding if Google can decode it.
+ * @param {Buffer} audioBuffer
+ * @returns {Promise<{buffer: Buffer, encoding: string, sampleRateHertz: number, sourceFormat: Object, transcoded: boolean}>}
+ */
+async function prepareForRecognition(audioBuffer) {
+  const sourceFormat = detectAudioFormat(audioBuffer);
+  const canonical = { encoding: 'LINEAR16', sampleRateHertz: CANONICAL_SAMPLE_RATE };
+
+  if (isCanonicalWav(sourceFormat)) {
+    return { buffer: audioBuffer, ...canonical, sourceFormat, transcoded: false };
+  }
+
+  if (await isFfmpegAvailable()) {
+    const buffer = await transcodeToWav(audioBuffer);
+    return { buffer, ...canonical, sourceFormat, transcoded: true };
+  }
+
+  if (sourceFormat.googleEncoding) {
+    return {
+      buffer: audioBuffer,
+      encoding: sourceFormat.googleEncoding,
+      sampleRateHertz: sourceFormat.sampleRateHertz,
+      sourceFormat,
+      transcoded: false
+    };
+  }
+
+  const error = new Error(`Unsupported audio format (${sourceFormat.container}/${sourceFormat.codec}). Install ffmpeg to transcode it.`);
+  error.code = 'UNSUPPORTED_AUDIO_FORMAT';
+  throw error;
+}
+
+/**
+ * Split audio into canonical WAV chunks of at most chunkSeconds each
+ * @param {Buffer} audioBuffer - Uploaded audio in any container ffmpeg understands
+ * @param {Object} [options]
+ * @param {number} [options.chunkSeconds] - Maximum chunk length
+ * @param {number} [options.timeout] - Milliseconds before ffmpeg is killed
+ * @returns {Promise<Array<{index: number, startTime: number, endTime: number, buffer: Buffer}>>}
+ */
+async function splitAudio(audioBuffer, { chunkSeconds = 50, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  return withTempDir(async (workDir) => {
+    const inputPath = path.join(workDir, 'input');
+    await fs.writeFile(inputPath, audioBuffer);
+
+    await execFileAsync(ffmpegPath(), [
+      '-y', '-loglevel', 'error',
+      '-i', inputPath,
+      '-ar', String(CANONICAL_SAMPLE_RATE), '-ac', '1', '-c:a', 'pcm_s16le',
+      '-f', 'segment', '-segment_time', String(chunkSeconds), '-reset_timestamps', '1',
+      path.join(workDir, 'chunk_%04d.wav')
+    ], { timeout });
+
+    const files = (await fs.readdir(workDir))
+      .filter(name => /^chunk_\d+\.wav$/.test(name))
+      .sort();
+
+    const chunks = [];
+    let offset = 0;
+    for (const [index, name] of files.entries()) {
+      const buffer = await fs.readFile(path.join(workDir, name));
+      const duration = wavDurationSeconds(buffer);
+      if (duration <= 0) continue;
+
+      chunks.push({
+        index,
+        startTime: Number(offset.toFixed(3)),
+        endTime: Number((offset + duration).toFixed(3)),
+        buffer
+      });
+      offset += duration;
+    }
+
+    return chunks;
+  });
+}
+
+module.exports = {
+  CANONICAL_SAMPLE_RATE,
+  detectAudioFormat,
+  isCanonicalWav,
+  isFfmpegAvailable,
+  convertFileToWav,
+  transcodeToWav,
+  prepareForRecognition,
+  splitAudio,
+  wavDurationSeconds,
+  withTempDir
+};
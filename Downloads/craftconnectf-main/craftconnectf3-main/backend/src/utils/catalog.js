@@ -0,0 +1,337 @@
+/**
+ * Product catalog helpers: build a listing from an approved wizard session, validate artisan edits
+ * and map variants to Shopify and quotations.
+ */
+const mongoose = require('mongoose');
+
+// Listing fields an artisan can set; re-approving a session skips the ones they edited
+const CATALOG_FIELDS = ['name', 'description', 'category', 'materials', 'tags', 'price', 'images', 'variants', 'lowStockThreshold'];
+const EDITABLE_STATUSES = ['draft', 'approved', 'published'];
+const MAX_TAGS = 20;
+const MAX_IMAGES = 10;
+
+// Variant options in Shopify order (Shopify allows at most three options and 100 variants)
+const VARIANT_OPTIONS = ['size', 'color', 'material'];
+const OPTION_LABELS = { size: 'Size', color: 'Colour', material: 'Material' };
+const MAX_VARIANTS = 100;
+
+const cleanList = (values = []) => [...new Set(values
+  .filter(value => typeof value === 'string')
+  .map(value => value.trim())
+  .filter(Boolean))];
+
+const normalizeTags = (values) => cleanList(values.map(tag => (typeof tag === 'string' ? tag.replace(/^#/, '').toLowerCase() : tag)))
+  .slice(0, MAX_TAGS);
+
+/**
+ * Midpoint of a free-text range such as "₹800 - ₹1,200"
+ */
+function parsePriceRange(text) {
+  const numbers = String(text || '').replace(/,/g, '').match(/\d+(\.\d+)?/g);
+  if (!numbers) return undefined;
+  const values = numbers.map(Number).filter(value => value > 0).slice(0, 2);
+  if (values.length === 0) return undefined;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Validate image entries given as URLs or { url, kind, alt }
+ */
+function readImages(images, errors, path = 'images') {
+  if (!Array.isArray(images) || images.length > MAX_IMAGES) {
+    errors.push({ path, message: `must be an array of at most ${MAX_IMAGES} image URLs` });
+    return undefined;
+  }
+  return images.map((image, index) => {
+    const entry = typeof image === 'string' ? { url: image } : image || {};
+    if (typeof entry.url !== 'string' || !/^https?:\/\//.test(entry.url)) {
+      errors.push({ path: `${path}[${index}].url`, message: 'must be an http(s) URL' });
+    }
+    if (entry.kind !== undefined && !['original', 'enhanced'].includes(entry.kind)) {
+      errors.push({ path: `${path}[${index}].kind`, message: 'must be original or enhanced' });
+    }
+    return {
+      url: entry.url,
+      kind: entry.kind || 'original',
+      ...(typeof entry.alt === 'string' && { alt: entry.alt.trim().slice(0, 200) })
+    };
+  });
+}
+
+/**
+ * "Large / Indigo" style label for a variant's option values
+ */
+function variantLabel(options = {}) {
+  return VARIANT_OPTIONS.map(key => options[key]).filter(Boolean).join(' / ');
+}
+
+/**
+ * Default SKU from the product name and option values, e.g. BLUEVASE-L-INDIGO
+ */
+function skuFor(productName, options = {}) {
+  const code = (text, length) => String(text || '').toUpperCase().replace(/[^A-Z0-9]+/g, '').slice(0, length);
+  return [code(productName, 12) || 'ITEM', ...VARIANT_OPTIONS.map(key => code(options[key], 8)).filter(Boolean)].join('-');
+}
+
+/**
+ * Whole number ≥ 0, or undefined when not sent
+ */
+function readCount(value, errors, path) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const count = Number(value);
+  if (!(Number.isInteger(count) && count >= 0)) {
+    errors.push({ path, message: 'must be a whole number ≥ 0' });
+    return undefined;
+  }
+  return count;
+}
+
+/**
+ * Validate variants; every variant must set the same options and each combination appears once
+ */
+function readVariants(variants, errors) {
+  if (!Array.isArray(variants) || variants.length > MAX_VARIANTS) {
+    errors.push({ path: 'variants', message: `must be an array of at most ${MAX_VARIANTS} variants` });
+    return undefined;
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+  let optionKeys = null;
+  const result = variants.map((variant, index) => {
+    const path = `variants[${index}]`;
+    const entry = variant || {};
+    const options = {};
+    for (const [key, value] of Object.entries(entry.options || {})) {
+      if (!VARIANT_OPTIONS.includes(key)) {
+        errors.push({ path: `${path}.options.${key}`, message: `is not an option; use ${VARIANT_OPTIONS.join(', ')}` });
+      } else if (typeof value === 'string' && value.trim()) {
+        options[key] = value.trim().slice(0, 50);
+      }
+    }
+
+    const keys = VARIANT_OPTIONS.filter(key => options[key]).join(',');
+    if (!keys) errors.push({ path: `${path}.options`, message: 'must set at least one of size, color, material' });
+    optionKeys = optionKeys ?? keys;
+    if (keys !== optionKeys) errors.push({ path: `${path}.options`, message: `must set the same options as the first variant (${optionKeys})` });
+    const combination = variantLabel(options).toLowerCase();
+    if (combinations.has(combination)) errors.push({ path: `${path}.options`, message: `duplicates another variant (${variantLabel(options)})` });
+    combinations.add(combination);
+
+    const parsed = { options };
+    if (entry.id !== undefined) {
+      if (mongoose.Types.ObjectId.isValid(entry.id)) parsed._id = entry.id;
+      else errors.push({ path: `${path}.id`, message: 'is not a valid variant id' });
+    }
+    if (entry.sku !== undefined && entry.sku !== '') {
+      const sku = String(entry.sku).trim().toUpperCase().slice(0, 64);
+      if (skus.has(sku)) errors.push({ path: `${path}.sku`, message: `duplicates another variant (${sku})` });
+      skus.add(sku);
+      parsed.sku = sku;
+    }
+    if (entry.price !== undefined && entry.price !== null && entry.price !== '') {
+      const price = Number(entry.price);
+      if (!(Number.isFinite(price) && price >= 0)) errors.push({ path: `${path}.price`, message: 'must be a number ≥ 0' });
+      else parsed.price = Math.round(price * 100) / 100;
+    }
+    // Stock left out keeps the current count (new variants start at 0)
+    const stock = readCount(entry.stock, errors, `${path}.stock`);
+    if (stock !== undefined) parsed.stock = stock;
+    const threshold = readCount(entry.lowStockThreshold, errors, `${path}.lowStockThreshold`);
+    if (threshold !== undefined) parsed.lowStockThreshold = threshold;
+    if (entry.weightKg !== undefined) {
+      const weightKg = Number(entry.weightKg);
+      if (!(Number.isFinite(weightKg) && weightKg > 0)) errors.push({ path: `${path}.weightKg`, message: 'must be a number > 0' });
+      else parsed.weightKg = weightKg;
+    }
+    if (entry.images !== undefined) parsed.images = readImages(entry.images, errors, `${path}.images`);
+    return parsed;
+  });
+  return result;
+}
+
+/**
+ * Validate catalog fields from a create or update request
+ * @param {Object} body - Request body
+ * @param {Object} [options] - { partial: true } for updates, where every field is optional
+ * @returns {{fields: Object, errors: Array<{path: string, message: string}>}}
+ */
+function pickProductFields(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) errors.push({ path: 'name', message: 'is required' });
+    else fields.name = body.name.trim().slice(0, 200);
+  }
+  for (const field of ['description', 'category']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'string') errors.push({ path: field, message: 'must be a string' });
+    else fields[field] = body[field].trim();
+  }
+  for (const field of ['materials', 'tags']) {
+    if (body[field] === undefined) continue;
+    if (!Array.isArray(body[field])) errors.push({ path: field, message: 'must be an array of strings' });
+    else fields[field] = field === 'tags' ? normalizeTags(body[field]) : cleanList(body[field]);
+  }
+  if (body.price !== undefined) {
+    const price = Number(body.price);
+    if (!(Number.isFinite(price) && price >= 0)) errors.push({ path: 'price', message: 'must be a number ≥ 0' });
+    else fields.price = Math.round(price * 100) / 100;
+  }
+  if (body.lowStockThreshold !== undefined) {
+    const threshold = readCount(body.lowStockThreshold, errors, 'lowStockThreshold');
+    if (threshold !== undefined) fields.lowStockThreshold = threshold;
+  }
+  if (body.images !== undefined) fields.images = readImages(body.images, errors);
+  if (body.variants !== undefined) fields.variants = readVariants(body.variants, errors);
+  if (body.status !== undefined) {
+    if (!EDITABLE_STATUSES.includes(body.status)) errors.push({ path: 'status', message: `must be one of ${EDITABLE_STATUSES.join(', ')}` });
+    else fields.status = body.status;
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * Catalog listing for an approved wizard session
+ * @param {Object} session - BusinessSession document
+ * @param {Object} [options]
+ * @param {Object} [options.quote] - Latest stored quotation for the session; its quoted price wins
+ * @param {Array} [options.images] - Extra images sent with the approval (e.g. enhanced photos)
+ * @returns {{fields: Object, ai: Object, errors: Array}}
+ */
+function catalogFromSession(session, { quote, images = [] } = {}) {
+  const errors = [];
+  const analysis = session.productAnalysis || {};
+  const summary = analysis.productSummary || {};
+  const insights = analysis.marketingInsights || {};
+  const digital = analysis.digitalMarketingStrategy || {};
+
+  const name = summary.name || 'Handmade product';
+  const category = summary.category || session.businessSummary?.businessType;
+  const materials = cleanList(summary.materials);
+  const techniques = cleanList(summary.techniques);
+  const description = [
+    `Handmade ${category || 'craft'}${materials.length ? ` in ${materials.join(', ')}` : ''}${techniques.length ? `, made using ${techniques.join(', ')}` : ''}.`,
+    ...cleanList(summary.uniqueFeatures).map(feature => (/[.!?]$/.test(feature) ? feature : `${feature}.`))
+  ].join(' ');
+  const tags = normalizeTags([...(digital.instagramHashtags || []), ...(digital.keywordFocus || []), category, ...materials]);
+
+  const analysisPrice = parsePriceRange(insights.pricingRange);
+  const quotedPrice = quote?.latestVersion().terms.unitPrice;
+  const extraImages = images.length > 0 ? readImages(images, errors) || [] : [];
+  const sessionImages = (session.productImages || [])
+    .filter(image => image.url)
+    .map(image => ({ url: image.url, kind: 'original' }));
+
+  const ai = {
+    productName: name,
+    description,
+    bulletPoints: cleanList(insights.sellingPoints),
+    priceSuggestion: analysisPrice,
+    tags,
+    category
+  };
+  return {
+    errors,
+    ai,
+    fields: {
+      name,
+      description,
+      category,
+      materials,
+      tags,
+      ...(quotedPrice !== undefined
+        ? { price: quotedPrice, priceSource: 'quotation' }
+        : analysisPrice !== undefined && { price: analysisPrice, priceSource: 'analysis' }),
+      images: [...sessionImages, ...extraImages]
+        .filter((image, index, all) => all.findIndex(other => other.url === image.url) === index)
+        .slice(0, MAX_IMAGES)
+    }
+  };
+}
+
+/**
+ * Shopify REST listing parts for a catalog product: options, variants and images
+ * Without variants this is the single "Default Title" variant Shopify expects.
+ * @param {Object} product - Catalog product (or plain object with the same fields)
+ * @param {Object} [defaults] - { price, inventory, weightKg } used where the product has no value
+ * @returns {{options: Array, variants: Array, images: Array, variantImages: Array<{variantIndex: number, imageIndex: number}>}}
+ */
+function shopifyListing(product, { price, inventory = 10, weightKg = 0.5 } = {}) {
+  const basePrice = product.price ?? price ?? 0;
+  const images = (product.images || []).map(image => ({ src: image.url, ...(image.alt && { alt: image.alt }) }));
+  const shared = { inventory_management: 'shopify', inventory_policy: 'deny', requires_shipping: true, weight_unit: 'kg' };
+
+  const variants = product.variants || [];
+  if (variants.length === 0) {
+    return {
+      options: [{ name: 'Title', values: ['Default Title'] }],
+      variants: [{ ...shared, price: String(basePrice), inventory_quantity: inventory, weight: weightKg }],
+      images,
+      variantImages: []
+    };
+  }
+
+  const keys = VARIANT_OPTIONS.filter(key => variants[0].options?.[key]);
+  const variantImages = [];
+  const listed = variants.map((variant, variantIndex) => {
+    // Each variant's first photo is added to the product images and linked after creation
+    const photo = variant.images?.[0];
+    if (photo) {
+      let imageIndex = images.findIndex(image => image.src === photo.url);
+      if (imageIndex === -1) imageIndex = images.push({ src: photo.url, ...(photo.alt && { alt: photo.alt }) }) - 1;
+      variantImages.push({ variantIndex, imageIndex });
+    }
+    return {
+      ...shared,
+      ...Object.fromEntries(keys.map((key, index) => [`option${index + 1}`, variant.options[key]])),
+      price: String(variant.price ?? basePrice),
+      sku: variant.sku || skuFor(product.name, variant.options),
+      inventory_quantity: Math.max(0, (variant.stock ?? 0) - (variant.reserved ?? 0)),
+      weight: variant.weightKg ?? weightKg
+    };
+  });
+
+  return {
+    options: keys.map(key => ({ name: OPTION_LABELS[key], values: [...new Set(variants.map(variant => variant.options[key]))] })),
+    variants: listed,
+    images,
+    variantImages
+  };
+}
+
+/**
+ * Variant surcharges for quotation customizationPricing, relative to the product's base price
+ * @returns {Array<Object>|undefined} Undefined when the product has no variants
+ */
+function variantPricingFor(product) {
+  const variants = product?.variants || [];
+  if (variants.length === 0) return undefined;
+
+  const prices = variants.map(variant => variant.price).filter(price => price !== undefined && price !== null);
+  const basePrice = product.price ?? (prices.length > 0 ? Math.min(...prices) : 0);
+  return variants.map(variant => ({
+    id: variant._id,
+    label: variantLabel(variant.options),
+    options: variant.options,
+    sku: variant.sku,
+    surcharge: Math.round(((variant.price ?? basePrice) - basePrice) * 100) / 100,
+    inStock: (variant.stock ?? 0) - (variant.reserved ?? 0) > 0
+  }));
+}
+
+module.exports = {
+  CATALOG_FIELDS,
+  EDITABLE_STATUSES,
+  VARIANT_OPTIONS,
+  OPTION_LABELS,
+  variantLabel,
+  skuFor,
+  shopifyListing,
+  variantPricingFor,
+  parsePriceRange,
+  pickProductFields,
+  catalogFromSession
+};
@@ -0,0 +1,88 @@
+/**
+ * Small concurrency helpers: a request-rate limiter and a bounded worker pool with retries.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Space calls evenly so no more than `perMinute` start in any minute (0 = unlimited)
+ * @param {Object} options - { perMinute }
+ * @returns {{acquire: function(): Promise<void>, perMinute: number}}
+ */
+function createRateLimiter({ perMinute = 0 } = {}) {
+  if (!(perMinute > 0)) {
+    return { perMinute: 0, acquire: async () => {} };
+  }
+
+  const intervalMs = 60000 / perMinute;
+  let nextSlot = 0;
+  return {
+    perMinute,
+    async acquire() {
+      const now = Date.now();
+      const wait = Math.max(0, nextSlot - now);
+      nextSlot = Math.max(now, nextSlot) + intervalMs;
+      if (wait > 0) await sleep(wait);
+    }
+  };
+}
+
+/**
+ * Run a worker over items with at most `concurrency` in flight, retrying failed items with exponential backoff
+ * @param {Array} items
+ * @param {function(*, number, number): Promise<*>} worker - (item, index, attempt) => value
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Items processed at once
+ * @param {number} [options.retries] - Extra attempts per item after a failure
+ * @param {number} [options.backoffMs] - Delay before the first retry, doubled on each further retry
+ * @param {function(Error): boolean} [options.shouldRetry] - Return false for errors that will not go away
+ * @param {function(Object): void} [options.onSettled] - Called with each item's result as soon as it finishes
+ * @param {AbortSignal} [options.signal] - Stops scheduling new items once aborted
+ * @returns {Promise<Array<{index: number, ok: boolean, value?: *, error?: Error, attempts: number}>>} Results in input order
+ */
+async function runPool(items, worker, {
+  concurrency = 4,
+  retries = 0,
+  backoffMs = 1000,
+  shouldRetry = () => true,
+  onSettled,
+  signal
+} = {}) {
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  async function lane() {
+    while (cursor < items.length && !signal?.aborted) {
+      const index = cursor++;
+      let attempts = 0;
+      let result;
+
+      for (;;) {
+        attempts++;
+        try {
+          result = { index, ok: true, value: await worker(items[index], index, attempts), attempts };
+          break;
+        } catch (error) {
+          if (attempts > retries || !shouldRetry(error) || signal?.aborted) {
+            result = { index, ok: false, error, attempts };
+            break;
+          }
+          await sleep(backoffMs * 2 ** (attempts - 1));
+        }
+      }
+
+      results[index] = result;
+      if (onSettled) onSettled(result);
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+module.exports = {
+  sleep,
+  createRateLimiter,
+  runPool
+};
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, runPool, sleep } = require('./concurrency');
+
+test('runPool keeps at most `concurrency` workers in flight and returns results in input order', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await runPool([30, 5, 20, 1, 10], async (ms, index) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return index * 10;
+  }, { concurrency: 2 });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(results.map(result => result.value), [0, 10, 20, 30, 40]);
+  assert.ok(results.every(result => result.ok && result.attempts === 1));
+});
+
+test('runPool retries failures with doubling backoff and reports the attempts', async () => {
+  const calls = [];
+  const results = await runPool(['flaky', 'broken'], async (item, index, attempt) => {
+    calls.push({ item, attempt, at: Date.now() });
+    if (item === 'flaky' && attempt < 3) throw new Error('timeout');
+    if (item === 'broken') throw new Error('bad number');
+    return 'sent';
+  }, { concurrency: 1, retries: 2, backoffMs: 20, shouldRetry: error => error.message === 'timeout' });
+
+  assert.deepEqual(results[0], { index: 0, ok: true, value: 'sent', attempts: 3 });
+  assert.equal(results[1].ok, false);
+  assert.equal(results[1].attempts, 1);
+  assert.equal(results[1].error.message, 'bad number');
+
+  const flaky = calls.filter(call => call.item === 'flaky');
+  assert.ok(flaky[1].at - flaky[0].at >= 15);
+  assert.ok(flaky[2].at - flaky[1].at >= 35);
+});
+
+test('runPool reports each result as it settles and stops scheduling once aborted', async () => {
+  const controller = new AbortController();
+  const settled = [];
+  const results = await runPool([1, 2, 3, 4], async item => {
+    if (item === 2) controller.abort();
+    return item;
+  }, {
+    concurrency: 1,
+    signal: controller.signal,
+    onSettled: result => settled.push(result.index)
+  });
+
+  assert.deepEqual(settled, [0, 1]);
+  assert.equal(results.length, 4);
+  assert.equal(results[2], undefined);
+});
+
+test('runPool handles an empty list', async () => {
+  assert.deepEqual(await runPool([], async () => assert.fail('worker called')), []);
+});
+
+test('createRateLimiter spaces calls evenly and is a no-op when unlimited', async () => {
+  const unlimited = createRateLimiter();
+  assert.equal(unlimited.perMinute, 0);
+  await unlimited.acquire();
+
+  const limiter = createRateLimiter({ perMinute: 1200 });
+  const started = Date.now();
+  for (let i = 0; i < 3; i++) await limiter.acquire();
+  assert.ok(Date.now() - started >= 95);
+});
@@ -0,0 +1,344 @@
+/**
+ * Contact book helpers: field validation, CSV/vCard import parsing, segment filters and purchase history.
+ */
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const Product = require('../models/Product');
+const { parseCsv } = require('./listingImporter');
+const { normalizeLanguage, AUTO_DETECT } = require('./languages');
+
+// Local 10-digit numbers are stored with this country code so imports and orders match the same contact
+const DEFAULT_COUNTRY_CODE = String(process.env.CONTACTS_DEFAULT_COUNTRY_CODE || '91').replace(/\D/g, '');
+const MAX_TAGS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Replies (or template quick-reply buttons) customers use to stop or restart marketing messages
+const OPT_OUT_KEYWORDS = ['stop', 'unsubscribe', 'stop all', 'stop promotions', 'opt out', 'optout'];
+const OPT_IN_KEYWORDS = ['start', 'subscribe', 'opt in', 'optin', 'unstop'];
+
+// Spreadsheet exports name their columns in many ways
+const CSV_COLUMNS = {
+  name: ['name', 'full name', 'customer', 'customer name', 'contact'],
+  phone: ['phone', 'mobile', 'whatsapp', 'phone number', 'mobile number', 'whatsapp number', 'number'],
+  email: ['email', 'e-mail', 'email address'],
+  tags: ['tags', 'labels', 'groups', 'categories'],
+  language: ['language', 'lang'],
+  consent: ['consent', 'opt in', 'opt-in', 'optin', 'whatsapp opt in', 'subscribed'],
+  notes: ['notes', 'note', 'comments']
+};
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Digits-only phone with country code, or null when it cannot be a WhatsApp number
+ */
+function normalizePhone(value) {
+  let digits = String(value ?? '').trim().replace(/^\+/, '').replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+  if (digits.length === 10 && DEFAULT_COUNTRY_CODE) digits = `${DEFAULT_COUNTRY_CODE}${digits}`;
+  return digits.length >= 10 && digits.length <= 15 ? digits : null;
+}
+
+/**
+ * Lowercased, de-duplicated tags from an array or a comma/semicolon separated string
+ */
+function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(/[,;|]/);
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Read a consent cell ("yes", "opted_in", "STOP", ...) as a consent status; undefined when blank or unclear
+ */
+function parseConsent(value) {
+  const text = String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (['opted_in', 'opt_in', 'optin', 'yes', 'y', 'true', '1', 'subscribed'].includes(text)) return 'opted_in';
+  if (['opted_out', 'opt_out', 'optout', 'no', 'n', 'false', '0', 'stop', 'unsubscribed'].includes(text)) return 'opted_out';
+  if (text === 'unknown') return 'unknown';
+  return undefined;
+}
+
+/**
+ * Validate contact fields from a request body (consent is changed through its own endpoint)
+ * @returns {{fields: Object, errors: Array<{path: string, message: string}>}}
+ */
+function pickContactFields(body = {}, { partial = false } = {}) {
+  const fields = {};
+  const errors = [];
+  const has = key => body[key] !== undefined;
+
+  if (has('phone') || !partial) {
+    const phone = normalizePhone(body.phone);
+    if (!phone) errors.push({ path: 'phone', message: 'must be 10-15 digits' });
+    else fields.phone = phone;
+  }
+  for (const [key, max] of [['name', 100], ['email', 200], ['notes', 1000]]) {
+    if (!has(key)) continue;
+    if (body[key] !== null && (typeof body[key] !== 'string' || body[key].length > max)) {
+      errors.push({ path: key, message: `must be text of at most ${max} characters` });
+    } else fields[key] = body[key]?.trim() || undefined;
+  }
+  if (fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+    errors.push({ path: 'email', message: 'must be an email address' });
+  }
+  if (has('tags')) {
+    const tags = normalizeTags(body.tags);
+    if (tags.length > MAX_TAGS || tags.some(tag => tag.length > 40)) {
+      errors.push({ path: 'tags', message: `at most ${MAX_TAGS} tags of up to 40 characters` });
+    } else fields.tags = tags;
+  }
+  if (has('language')) {
+    const language = body.language === null ? null : normalizeLanguage(body.language);
+    if (language === AUTO_DETECT || (body.language !== null && !language)) {
+      errors.push({ path: 'language', message: 'must be a supported language such as hi-IN or Tamil' });
+    } else fields.language = language || undefined;
+  }
+  return { fields, errors };
+}
+
+/**
+ * Map one CSV row to contact fields using the column aliases
+ */
+function contactFromCsvRow(row) {
+  const columns = Object.keys(row).reduce((found, column) => {
+    const key = column.trim().toLowerCase().replace(/_/g, ' ');
+    const field = Object.keys(CSV_COLUMNS).find(name => CSV_COLUMNS[name].includes(key));
+    if (field && found[field] === undefined) found[field] = row[column];
+    return found;
+  }, {});
+  return { ...columns, ...(columns.tags !== undefined && { tags: normalizeTags(columns.tags) }) };
+}
+
+const unescapeVCard = value => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Parse vCard 2.1/3.0/4.0 text (one or many cards) into contact fields
+ * @param {string} text
+ * @returns {Object[]}
+ */
+function parseVCards(text) {
+  // Folded lines continue with a leading space or tab
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const cards = [];
+  let card = null;
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator < 0) continue;
+    const [property, ...params] = line.slice(0, separator).split(';');
+    const name = property.replace(/^[\w-]+\./, '').toUpperCase(); // drop item1. style groups
+    const value = line.slice(separator + 1).trim();
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+      card = { tags: [] };
+    } else if (name === 'END' && card) {
+      cards.push(card);
+      card = null;
+    } else if (card) {
+      const types = params.join(';').toLowerCase();
+      switch (name) {
+        case 'FN':
+          card.name = unescapeVCard(value);
+          break;
+        case 'N':
+          if (!card.name) {
+            const [family, given] = value.split(';').map(unescapeVCard);
+            card.fallbackName = [given, family].filter(Boolean).join(' ');
+          }
+          break;
+        case 'TEL':
+          // Prefer a number marked as mobile, cell or preferred
+          if (!card.phone || /cell|mobile|pref|whatsapp/.test(types)) card.phone = value.replace(/^tel:/i, '');
+          break;
+        case 'EMAIL':
+          if (!card.email) card.email = value;
+          break;
+        case 'CATEGORIES':
+          card.tags.push(...normalizeTags(value.split(/(?<!\\),/).map(unescapeVCard)));
+          break;
+        case 'LANG':
+          if (!card.language) card.language = value;
+          break;
+        case 'NOTE':
+          card.notes = unescapeVCard(value);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return cards.map(({ fallbackName, ...fields }) => ({ ...fields, name: fields.name || fallbackName }));
+}
+
+/**
+ * Read an uploaded contact file; vCards are recognised by extension, type or content, anything else is CSV
+ * @returns {{format: string, rows: Object[]}}
+ */
+function parseContactFile(text, { filename = '', mimetype = '' } = {}) {
+  const isVCard = /\.vcf$/i.test(filename) || /vcard/i.test(mimetype) || /^\s*BEGIN:VCARD/i.test(text.replace(/^\uFEFF/, ''));
+  return isVCard
+    ? { format: 'vcard', rows: parseVCards(text) }
+    : { format: 'csv', rows: parseCsv(text).map(contactFromCsvRow) };
+}
+
+const toList = value => (Array.isArray(value) ? value : String(value ?? '').split(',')).map(item => String(item).trim()).filter(Boolean);
+
+/**
+ * Build the Mongo filter for a segment; opted-out contacts are excluded unless includeOptedOut is set
+ * @param {string} ownerId
+ * @param {Object} segment - { tags, anyTags, language, purchasedCategory, purchasedProductId, purchasedWithinDays, minTotalSpent, optedInOnly, search, includeOptedOut }
+ * @returns {{filter: Object, errors: Array<{path: string, message: string}>}}
+ */
+function segmentFilter(ownerId, segment = {}, { includeOptedOut = false } = {}) {
+  const errors = [];
+  const filter = { owner: ownerId };
+  const flag = value => value === true || value === 'true';
+
+  if (segment.tags !== undefined && segment.tags !== '') {
+    const tags = normalizeTags(segment.tags);
+    if (tags.length > 0) filter.tags = flag(segment.anyTags) ? { $in: tags } : { $all: tags };
+  }
+  if (segment.language) {
+    const language = normalizeLanguage(segment.language);
+    if (!language || language === AUTO_DETECT) errors.push({ path: 'language', message: 'must be a supported language' });
+    else filter.language = language;
+  }
+
+  // "Bought pottery in the last 90 days": one purchase has to match every purchase condition
+  const purchase = {};
+  if (segment.purchasedCategory) {
+    purchase.category = new RegExp(escapeRegex(String(segment.purchasedCategory).trim().toLowerCase()));
+  }
+  if (segment.purchasedProductId) {
+    const ids = toList(segment.purchasedProductId);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      errors.push({ path: 'purchasedProductId', message: 'must be product ids' });
+    } else purchase.product = { $in: ids.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+  if (segment.purchasedWithinDays !== undefined && segment.purchasedWithinDays !== '') {
+    const days = Number(segment.purchasedWithinDays);
+    if (!Number.isFinite(days) || days <= 0 || days > 3650) {
+      errors.push({ path: 'purchasedWithinDays', message: 'must be between 1 and 3650 days' });
+    } else purchase.at = { $gte: new Date(Date.now() - days * DAY_MS) };
+  }
+  if (Object.keys(purchase).length > 0) filter.purchases = { $elemMatch: purchase };
+
+  if (segment.minTotalSpent !== undefined && segment.minTotalSpent !== '') {
+    const amount = Number(segment.minTotalSpent);
+    if (!Number.isFinite(amount) || amount < 0) errors.push({ path: 'minTotalSpent', message: 'must be a positive amount' });
+    else filter.totalSpent = { $gte: amount };
+  }
+  if (segment.search) {
+    const pattern = new RegExp(escapeRegex(String(segment.search).trim()), 'i');
+    filter.$or = [{ name: pattern }, { phone: pattern }, { email: pattern }];
+  }
+
+  if (flag(segment.optedInOnly)) filter['consent.status'] = 'opted_in';
+  else if (!includeOptedOut) filter['consent.status'] = { $ne: 'opted_out' };
+
+  return { filter, errors };
+}
+
+/**
+ * Split bulk recipients into those who may be messaged and those whose contact opted out
+ * @param {string} ownerId
+ * @param {Array<{phone: string}>} recipients - digits-only phones
+ * @returns {Promise<{allowed: Object[], optedOut: Object[]}>}
+ */
+async function excludeOptedOut(ownerId, recipients) {
+  const keys = recipients.map(recipient => normalizePhone(recipient.phone) || recipient.phone);
+  const optedOut = await Contact.optedOutPhones(ownerId, [...new Set(keys)]);
+  return {
+    allowed: recipients.filter((recipient, index) => !optedOut.has(keys[index])),
+    optedOut: recipients.filter((recipient, index) => optedOut.has(keys[index]))
+  };
+}
+
+/**
+ * Opt a customer in or out from a WhatsApp keyword ("STOP", "START"); creates the contact when needed
+ * @returns {Promise<string|null>} New consent status, or null when the text is not a keyword
+ */
+async function applyConsentKeyword(ownerId, phone, text, name) {
+  const keyword = String(text || '').trim().toLowerCase().replace(/[.!]+$/, '');
+  const status = OPT_OUT_KEYWORDS.includes(keyword) ? 'opted_out' : OPT_IN_KEYWORDS.includes(keyword) ? 'opted_in' : null;
+  if (!ownerId || !status) return null;
+
+  await Contact.updateOne(
+    { owner: ownerId, phone: normalizePhone(phone) || phone },
+    {
+      $set: { consent: { status, source: 'whatsapp', at: new Date(), note: `Replied "${String(text).trim().slice(0, 50)}"` } },
+      $setOnInsert: { ...(name && { name: name.slice(0, 100) }) }
+    },
+    { upsert: true }
+  );
+  return status;
+}
+
+/**
+ * Add an order to its customer's purchase history, creating the contact on a first order
+ * @param {Object} order - Order document
+ * @returns {Promise<Object|null>} Contact, or null when the order has no usable phone
+ */
+async function recordOrderPurchase(order) {
+  const phone = normalizePhone(order.customer?.phone);
+  if (!phone) return null;
+
+  const productIds = order.items.map(item => item.product).filter(Boolean);
+  const products = productIds.length > 0 ? await Product.find({ _id: { $in: productIds } }).select('category').lean() : [];
+  const at = order.createdAt || new Date();
+  const purchases = order.items.map(item => ({
+    order: order._id,
+    product: item.product,
+    productName: item.productName,
+    category: products.find(product => product._id.equals(item.product))?.category?.toLowerCase(),
+    amount: item.total,
+    currency: order.currency,
+    at
+  }));
+
+  return Contact.findOneAndUpdate(
+    { owner: order.owner, phone },
+    {
+      $push: { purchases: { $each: purchases, $slice: -Contact.MAX_PURCHASES } },
+      $inc: { purchaseCount: 1, totalSpent: order.total },
+      $max: { lastPurchaseAt: at },
+      $setOnInsert: {
+        ...(order.customer.name && { name: order.customer.name.slice(0, 100) }),
+        ...(order.customer.email && { email: order.customer.email.toLowerCase() })
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Take a cancelled or returned order back out of its customer's purchase history
+ */
+async function removeOrderPurchase(order) {
+  const contact = await Contact.findOne({ owner: order.owner, 'purchases.order': order._id });
+  if (!contact) return null;
+
+  contact.purchases = contact.purchases.filter(purchase => !purchase.order?.equals(order._id));
+  contact.purchaseCount = Math.max(contact.purchaseCount - 1, 0);
+  contact.totalSpent = Math.max(contact.totalSpent - order.total, 0);
+  contact.lastPurchaseAt = contact.purchases.reduce((latest, purchase) => (!latest || purchase.at > latest ? purchase.at : latest), undefined);
+  return contact.save();
+}
+
+module.exports = {
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  normalizePhone,
+  normalizeTags,
+  parseConsent,
+  pickContactFields,
+  parseVCards,
+  parseContactFile,
+  segmentFilter,
+  excludeOptedOut,
+  applyConsentKeyword,
+  recordOrderPurchase,
+  removeOrderPurchase
+};
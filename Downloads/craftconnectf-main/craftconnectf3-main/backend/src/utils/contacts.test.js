@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CONTACTS_DEFAULT_COUNTRY_CODE = '91';
+const mongoose = require('mongoose');
+const { normalizePhone, normalizeTags, parseVCards, parseContactFile, segmentFilter } = require('./contacts');
+
+const ownerId = new mongoose.Types.ObjectId();
+
+test('normalizePhone stores every way of typing a number as digits with country code', () => {
+  for (const typed of ['+91 98765 43210', '0091-98765-43210', '098765 43210', '9876543210', '(91) 98765.43210']) {
+    assert.equal(normalizePhone(typed), '919876543210', typed);
+  }
+  assert.equal(normalizePhone('+44 20 7946 0958'), '442079460958');
+});
+
+test('normalizePhone rejects values that cannot be a WhatsApp number', () => {
+  for (const value of [undefined, null, '', 'call me', '12345', '1234567890123456']) {
+    assert.equal(normalizePhone(value), null, String(value));
+  }
+});
+
+test('normalizeTags lowercases, splits and de-duplicates', () => {
+  assert.deepEqual(normalizeTags('Diwali; Wholesale, diwali |  '), ['diwali', 'wholesale']);
+  assert.deepEqual(normalizeTags([' VIP ', 'vip', 'Pottery']), ['vip', 'pottery']);
+});
+
+test('parseVCards reads several cards with folded lines, escapes and preferred numbers', () => {
+  const cards = parseVCards([
+    '\uFEFFBEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Asha\\, Potter',
+    'TEL;TYPE=HOME:+91 11 2345 6789',
+    'TEL;TYPE=CELL:+91 98765 43210',
+    'EMAIL:asha@example.com',
+    'CATEGORIES:Diwali Fair,Wholesale',
+    'NOTE:Prefers blue\\nglaze; ships to ',
+    ' Jaipur',
+    'END:VCARD',
+    'BEGIN:VCARD',
+    'VERSION:2.1',
+    'N:Khan;Imran;;;',
+    'item1.TEL:tel:+919812345678',
+    'LANG:hi',
+    'END:VCARD'
+  ].join('\r\n'));
+
+  assert.deepEqual(cards, [
+    {
+      tags: ['diwali fair', 'wholesale'],
+      name: 'Asha, Potter',
+      phone: '+91 98765 43210',
+      email: 'asha@example.com',
+      notes: 'Prefers blue\nglaze; ships to Jaipur'
+    },
+    { tags: [], name: 'Imran Khan', phone: '+919812345678', language: 'hi' }
+  ]);
+});
+
+test('parseContactFile recognises vCards and maps CSV column aliases', () => {
+  assert.equal(parseContactFile('BEGIN:VCARD\nFN:A\nEND:VCARD').format, 'vcard');
+  assert.equal(parseContactFile('', { filename: 'phone.VCF' }).format, 'vcard');
+
+  const { format, rows } = parseContactFile('Customer Name,WhatsApp Number,Labels\nRavi,98765 43210,"VIP, repeat"\n');
+  assert.equal(format, 'csv');
+  assert.deepEqual(rows, [{ name: 'Ravi', phone: '98765 43210', tags: ['vip', 'repeat'] }]);
+});
+
+test('segmentFilter leaves out opted-out contacts unless asked', () => {
+  assert.deepEqual(segmentFilter(ownerId).filter, { owner: ownerId, 'consent.status': { $ne: 'opted_out' } });
+  assert.deepEqual(segmentFilter(ownerId, {}, { includeOptedOut: true }).filter, { owner: ownerId });
+  assert.equal(segmentFilter(ownerId, { optedInOnly: 'true' }).filter['consent.status'], 'opted_in');
+});
+
+test('segmentFilter matches all tags by default and any tag on request', () => {
+  assert.deepEqual(segmentFilter(ownerId, { tags: 'VIP, Diwali' }).filter.tags, { $all: ['vip', 'diwali'] });
+  assert.deepEqual(segmentFilter(ownerId, { tags: ['vip'], anyTags: true }).filter.tags, { $in: ['vip'] });
+});
+
+test('segmentFilter puts every purchase condition on the same purchase', () => {
+  const productId = new mongoose.Types.ObjectId();
+  const before = Date.now();
+  const { filter, errors } = segmentFilter(ownerId, {
+    purchasedCategory: 'Pottery (Blue)',
+    purchasedProductId: String(productId),
+    purchasedWithinDays: '90',
+    minTotalSpent: 500,
+    language: 'Tamil'
+  });
+  assert.deepEqual(errors, []);
+
+  const purchase = filter.purchases.$elemMatch;
+  assert.equal(purchase.category.source, 'pottery \\(blue\\)');
+  assert.ok(purchase.product.$in[0].equals(productId));
+  assert.ok(Math.abs(before - 90 * 24 * 60 * 60 * 1000 - purchase.at.$gte.getTime()) < 1000);
+  assert.deepEqual(filter.totalSpent, { $gte: 500 });
+  assert.equal(filter.language, 'ta-IN');
+});
+
+test('segmentFilter escapes search text and reports invalid conditions by path', () => {
+  const { filter } = segmentFilter(ownerId, { search: '+91 (98' });
+  assert.ok(filter.$or.every(condition => Object.values(condition)[0].test('Ravi +91 (98765)')));
+
+  const { errors } = segmentFilter(ownerId, {
+    language: 'auto',
+    purchasedProductId: 'not-an-id',
+    purchasedWithinDays: 0,
+    minTotalSpent: -1
+  });
+  assert.deepEqual(errors.map(error => error.path), ['language', 'purchasedProductId', 'purchasedWithinDays', 'minTotalSpent']);
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const BASE_CURRENCY = 'INR';
+const STATIC_RATES_PATH = path.join(__dirname, '../../data/exchange-rates.json');
+
+/**
+ * Convert a rates table to "units of currency per 1 INR"
+ */
+function rebaseToInr(base, rates) {
+  const upperBase = String(base || '').toUpperCase();
+  if (upperBase === BASE_CURRENCY) return { ...rates, [BASE_CURRENCY]: 1 };
+  const inrPerBase = rates[BASE_CURRENCY];
+  if (!(inrPerBase > 0)) throw new Error(`Rates based on ${upperBase} do not include ${BASE_CURRENCY}`);
+  const rebased = Object.fromEntries(Object.entries(rates).map(([code, rate]) => [code, rate / inrPerBase]));
+  return { ...rebased, [upperBase]: 1 / inrPerBase, [BASE_CURRENCY]: 1 };
+}
+
+/* ---------------------------
+   Static rates file (offline)
+   --------------------------- */
+function createStaticBackend() {
+  const filePath = process.env.EXCHANGE_RATES_FILE || STATIC_RATES_PATH;
+  let cached = null;
+
+  return {
+    name: 'static',
+    available: fs.existsSync(filePath),
+
+    async fetchRates() {
+      if (cached) return cached;
+      const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      cached = {
+        rates: rebaseToInr(file.base, file.rates),
+        asOf: file.asOf || null,
+        source: `static:${path.basename(filePath)}`
+      };
+      return cached;
+    }
+  };
+}
+
+/* ---------------------------
+   HTTP JSON endpoint ({ base | base_code, rates }), e.g. open.er-api.com/v6/latest/INR
+   --------------------------- */
+function createHttpBackend() {
+  const url = process.env.EXCHANGE_RATES_URL;
+  const ttlMs = (Number(process.env.EXCHANGE_RATES_TTL_MINUTES) || 360) * 60 * 1000;
+  let cached = null;
+
+  return {
+    name: 'http',
+    available: !!url,
+
+    async fetchRates() {
+      if (cached && Date.now() - cached.fetchedAt < ttlMs) return cached;
+      const response = await axios.get(url, { timeout: 10000 });
+      const data = response.data || {};
+      if (!data.rates || typeof data.rates !== 'object') throw new Error('Exchange rate response has no rates');
+
+      cached = {
+        rates: rebaseToInr(data.base || data.base_code, data.rates),
+        asOf: data.date || data.time_last_update_utc || new Date().toISOString(),
+        source: `http:${new URL(url).host}`,
+        fetchedAt: Date.now()
+      };
+      return cached;
+    }
+  };
+}
+
+/* ---------------------------
+   Provider selection
+   --------------------------- */
+const BACKENDS = {
+  static: createStaticBackend,
+  http: createHttpBackend
+};
+
+let backend = null;
+let fallback = null;
+
+function getBackend() {
+  if (backend) return backend;
+
+  const requested = (process.env.EXCHANGE_RATES_PROVIDER || 'static').toLowerCase();
+  const factory = BACKENDS[requested];
+
+  if (!factory) {
+    console.error(`❌ Unknown EXCHANGE_RATES_PROVIDER "${requested}". Supported: ${Object.keys(BACKENDS).join(', ')}`);
+    backend = createStaticBackend();
+    return backend;
+  }
+
+  backend = factory();
+  console.log(`${backend.available ? '✅' : '⚠️'} Exchange rates: ${backend.name} ${backend.available ? 'ready' : 'not configured'}`);
+  return backend;
+}
+
+/**
+ * Current rates as units of each currency per 1 INR; a failing live source falls back to the static file
+ * @returns {Promise<{rates: Object<string, number>, asOf: string, source: string, stale?: boolean}>}
+ */
+async function getRates() {
+  const active = getBackend();
+  if (active.available) {
+    try {
+      return await active.fetchRates();
+    } catch (error) {
+      if (active.name === 'static') throw error;
+      console.warn(`⚠️ Exchange rates from ${active.name} failed, using static file:`, error.message);
+    }
+  }
+  fallback = fallback || createStaticBackend();
+  return { ...(await fallback.fetchRates()), stale: true };
+}
+
+/**
+ * Number of minor-unit digits for a currency (JPY 0, USD 2, ...)
+ */
+function currencyDigits(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return 2;
+  }
+}
+
+/**
+ * Convert an INR amount with a rates table, rounded to the currency's minor unit
+ */
+function convertFromInr(amountInr, currency, rates) {
+  const rate = rates[currency];
+  if (!(rate > 0)) throw new Error(`No exchange rate for ${currency}`);
+  const factor = 10 ** currencyDigits(currency);
+  return Math.round(amountInr * rate * factor) / factor;
+}
+
+/**
+ * Provider status for health and status endpoints
+ */
+function getStatus() {
+  const active = getBackend();
+  return { provider: active.name, available: active.available, baseCurrency: BASE_CURRENCY };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  rebaseToInr,
+  getRates,
+  convertFromInr,
+  currencyDigits,
+  getStatus
+};
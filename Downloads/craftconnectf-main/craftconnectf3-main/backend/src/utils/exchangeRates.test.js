@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A USD-based table, as most rate APIs publish, read through the static backend
+const ratesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+const ratesFile = path.join(ratesDir, 'rates.json');
+fs.writeFileSync(ratesFile, JSON.stringify({ base: 'USD', asOf: '2026-10-01', rates: { USD: 1, INR: 80, EUR: 0.9, JPY: 150 } }));
+process.env.EXCHANGE_RATES_PROVIDER = 'static';
+process.env.EXCHANGE_RATES_FILE = ratesFile;
+
+const { rebaseToInr, convertFromInr, currencyDigits, getRates } = require('./exchangeRates');
+
+test.after(() => fs.rmSync(ratesDir, { recursive: true, force: true }));
+
+test('rebaseToInr leaves INR-based tables as they are', () => {
+  assert.deepEqual(rebaseToInr('inr', { USD: 0.012, EUR: 0.01 }), { USD: 0.012, EUR: 0.01, INR: 1 });
+});
+
+test('rebaseToInr turns any base into units per 1 INR', () => {
+  const rates = rebaseToInr('usd', { INR: 80, EUR: 0.9, JPY: 150 });
+  assert.equal(rates.INR, 1);
+  assert.equal(rates.USD, 1 / 80);
+  assert.equal(rates.EUR, 0.9 / 80);
+  assert.equal(rates.JPY, 150 / 80);
+});
+
+test('rebaseToInr refuses a table without an INR rate', () => {
+  assert.throws(() => rebaseToInr('USD', { EUR: 0.9 }), /do not include INR/);
+  assert.throws(() => rebaseToInr('USD', { INR: 0 }), /do not include INR/);
+});
+
+test('convertFromInr rounds to each currency minor unit', () => {
+  const rates = { USD: 0.011904, JPY: 1.7749, KWD: 0.0036612 };
+  assert.equal(currencyDigits('USD'), 2);
+  assert.equal(currencyDigits('JPY'), 0);
+  assert.equal(currencyDigits('KWD'), 3);
+  assert.equal(convertFromInr(1000, 'USD', rates), 11.9);
+  assert.equal(convertFromInr(1000, 'JPY', rates), 1775);
+  assert.equal(convertFromInr(1000, 'KWD', rates), 3.661);
+});
+
+test('convertFromInr refuses currencies without a rate', () => {
+  assert.throws(() => convertFromInr(100, 'XYZ', { USD: 0.012 }), /No exchange rate for XYZ/);
+});
+
+test('getRates serves the static file rebased to INR', async () => {
+  const { rates, asOf, source } = await getRates();
+  assert.equal(rates.INR, 1);
+  assert.equal(rates.USD, 1 / 80);
+  assert.equal(asOf, '2026-10-01');
+  assert.equal(source, 'static:rates.json');
+  assert.equal(convertFromInr(8000, 'EUR', rates), 90);
+});
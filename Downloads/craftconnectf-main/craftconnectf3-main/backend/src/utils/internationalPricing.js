@@ -0,0 +1,141 @@
+/**
+ * Destination-aware pricing: currency conversion, destination tax and parcel shipping estimates.
+ * Prices are always computed in INR by the pricing engine; this module adds what an overseas buyer pays.
+ */
+const path = require('path');
+const { BASE_CURRENCY, getRates, convertFromInr } = require('./exchangeRates');
+
+const DOMESTIC = 'IN';
+const DEFAULT_WEIGHT_KG = 1;
+const { destinations: DESTINATIONS } = require(path.join(__dirname, '../../data/destinations.json'));
+
+/**
+ * Validate destination, currency and shipping options from a quotation request
+ * @param {Object} body - { destination, currency, shipping: { weightKg }, includeDestinationTax }
+ * @param {Object<string, number>} rates - Exchange rates used to check the currency
+ * @returns {{trade?: Object, errors: Array<{path: string, message: string}>, assumptions: string[]}}
+ */
+function normalizeTradeInput(body = {}, rates) {
+  const errors = [];
+  const assumptions = [];
+
+  const destination = String(body.destination || DOMESTIC).trim().toUpperCase();
+  const country = DESTINATIONS[destination];
+  if (!country) {
+    errors.push({ path: 'destination', message: `must be one of ${Object.keys(DESTINATIONS).join(', ')}` });
+  }
+
+  const currency = String(body.currency || country?.currency || BASE_CURRENCY).trim().toUpperCase();
+  if (!(rates[currency] > 0)) {
+    errors.push({ path: 'currency', message: `no exchange rate for ${currency}; supported: ${Object.keys(rates).join(', ')}` });
+  }
+
+  let weightKg = body.shipping?.weightKg;
+  if (weightKg === undefined || weightKg === null || weightKg === '') {
+    weightKg = DEFAULT_WEIGHT_KG;
+    if (destination !== DOMESTIC) assumptions.push(`Shipping estimated for a ${DEFAULT_WEIGHT_KG} kg parcel per piece`);
+  } else {
+    weightKg = Number(weightKg);
+    if (!(Number.isFinite(weightKg) && weightKg > 0 && weightKg <= 30)) {
+      errors.push({ path: 'shipping.weightKg', message: 'must be a number between 0 and 30' });
+    }
+  }
+
+  if (body.includeDestinationTax !== undefined && typeof body.includeDestinationTax !== 'boolean') {
+    errors.push({ path: 'includeDestinationTax', message: 'must be a boolean' });
+  }
+
+  if (errors.length > 0) return { errors, assumptions };
+  return {
+    errors,
+    assumptions,
+    trade: {
+      destination,
+      currency,
+      weightKg,
+      includeDestinationTax: body.includeDestinationTax === true
+    }
+  };
+}
+
+function isExport(destination) {
+  return String(destination || DOMESTIC).trim().toUpperCase() !== DOMESTIC;
+}
+
+/**
+ * Shipping for a parcel: the base rate covers the first 0.5 kg, then perKg in 0.5 kg steps
+ */
+function shippingEstimate(country, weightKg) {
+  const chargeableKg = Math.max(0.5, Math.ceil(weightKg * 2) / 2);
+  return {
+    chargeableKg,
+    amountInr: Math.round(country.shipping.baseInr + country.shipping.perKgInr * (chargeableKg - 0.5)),
+    days: country.shipping.days
+  };
+}
+
+/**
+ * What a buyer in the destination pays for an order, in INR and in their currency
+ * @param {Object} options
+ * @param {number} options.priceInr - Goods value in INR (already includes GST for domestic orders)
+ * @param {number} [options.quantity] - Pieces, used for the parcel weight
+ * @param {Object} options.trade - normalizeTradeInput().trade
+ * @param {Object} [options.exchange] - getRates() result, fetched when omitted
+ */
+async function quoteForDestination({ priceInr, quantity = 1, trade, exchange }) {
+  const { rates, asOf, source, stale } = exchange || await getRates();
+  const country = DESTINATIONS[trade.destination];
+  const shipping = shippingEstimate(country, trade.weightKg * quantity);
+
+  // Imports are taxed on the goods plus shipping; domestic GST is already in the price
+  const exported = isExport(trade.destination);
+  const taxRate = exported ? country.tax.rate || 0 : 0;
+  const taxInr = Math.round((priceInr + shipping.amountInr) * taxRate) / 100;
+  const taxIncluded = exported && trade.includeDestinationTax;
+  const totalInr = Math.round((priceInr + shipping.amountInr + (taxIncluded ? taxInr : 0)) * 100) / 100;
+
+  const convert = (amount) => convertFromInr(amount, trade.currency, rates);
+  return {
+    destination: { code: trade.destination, name: country.name },
+    export: exported,
+    currency: trade.currency,
+    exchangeRate: rates[trade.currency],
+    rateSource: source,
+    ratesAsOf: asOf,
+    ...(stale && { staleRates: true }),
+    shipping: { ...shipping, amount: convert(shipping.amountInr) },
+    destinationTax: {
+      type: exported ? country.tax.type : 'GST',
+      rate: exported ? taxRate : null,
+      amountInr: exported ? taxInr : 0,
+      amount: exported ? convert(taxInr) : 0,
+      included: taxIncluded,
+      paidBy: !exported ? 'included in price' : taxIncluded ? 'seller (delivered duty paid)' : 'buyer on import',
+      ...(country.tax.note && { note: country.tax.note })
+    },
+    goods: { amountInr: priceInr, amount: convert(priceInr) },
+    totalInr,
+    total: convert(totalInr)
+  };
+}
+
+/**
+ * Supported destinations for pickers and status endpoints
+ */
+function listDestinations() {
+  return Object.entries(DESTINATIONS).map(([code, country]) => ({
+    code,
+    name: country.name,
+    currency: country.currency,
+    tax: country.tax,
+    shippingDays: country.shipping.days
+  }));
+}
+
+module.exports = {
+  DOMESTIC,
+  normalizeTradeInput,
+  isExport,
+  quoteForDestination,
+  listDestinations
+};
@@ -0,0 +1,555 @@
+/**
+ * Stock ledger for catalog products. Every change is an InventoryMovement applied with an atomic
+ * update, so sales arriving from several channels at once cannot take stock below zero; after each
+ * change the new available quantity is pushed to the other channels (Shopify).
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const { variantLabel, skuFor } = require('./catalog');
+const shopifyInventory = require('./shopifyInventory');
+
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 2;
+const MAX_MOVEMENT_QUANTITY = 10000;
+
+// Change per piece to on-hand and reserved counts; 'adjusted' takes a signed quantity
+const EFFECTS = {
+  made: { onHand: 1, reserved: 0 },
+  sold: { onHand: -1, reserved: 0 },
+  reserved: { onHand: 0, reserved: 1 },
+  released: { onHand: 0, reserved: -1 },
+  returned: { onHand: 1, reserved: 0 },
+  adjusted: { onHand: 1, reserved: 0 }
+};
+
+/**
+ * Validate a movement sent by the artisan
+ * @param {Object} body - { type, quantity, variantId, channel, externalId, note }
+ * @returns {{movement?: Object, errors: Array<{path: string, message: string}>}}
+ */
+function normalizeMovement(body = {}) {
+  const errors = [];
+  const { type } = body;
+  if (!InventoryMovement.TYPES.includes(type)) {
+    errors.push({ path: 'type', message: `must be one of ${InventoryMovement.TYPES.join(', ')}` });
+  }
+
+  const quantity = Number(body.quantity);
+  const signed = type === 'adjusted';
+  if (!(Number.isInteger(quantity) && quantity !== 0 && Math.abs(quantity) <= MAX_MOVEMENT_QUANTITY && (signed || quantity > 0))) {
+    errors.push({
+      path: 'quantity',
+      message: signed
+        ? `must be a whole number between -${MAX_MOVEMENT_QUANTITY} and ${MAX_MOVEMENT_QUANTITY}, not 0`
+        : `must be a whole number between 1 and ${MAX_MOVEMENT_QUANTITY}`
+    });
+  }
+
+  const channel = body.channel ?? 'manual';
+  if (!InventoryMovement.CHANNELS.includes(channel)) {
+    errors.push({ path: 'channel', message: `must be one of ${InventoryMovement.CHANNELS.join(', ')}` });
+  }
+  if (body.variantId !== undefined && !mongoose.Types.ObjectId.isValid(body.variantId)) {
+    errors.push({ path: 'variantId', message: 'is not a valid variant id' });
+  }
+  if (body.externalId !== undefined && !(typeof body.externalId === 'string' && body.externalId.trim() && body.externalId.length <= 100)) {
+    errors.push({ path: 'externalId', message: 'must be a string of at most 100 characters' });
+  }
+  if (body.note !== undefined && typeof body.note !== 'string') {
+    errors.push({ path: 'note', message: 'must be a string' });
+  }
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors,
+    movement: {
+      type,
+      quantity,
+      channel,
+      ...(body.variantId !== undefined && { variantId: String(body.variantId) }),
+      ...(body.externalId !== undefined && { externalId: body.externalId.trim() }),
+      ...(body.note && { note: body.note.trim().slice(0, 500) })
+    }
+  };
+}
+
+/**
+ * The variant (or the product itself) whose counts a movement changes
+ * @returns {{variant?: Object, error?: string}}
+ */
+function stockTarget(product, variantId) {
+  if (product.variants.length === 0) {
+    return variantId ? { error: 'This product has no variants' } : {};
+  }
+  if (!variantId) return { error: 'variantId is required for a product with variants' };
+  const variant = product.variants.id(variantId);
+  return variant ? { variant } : { error: 'Variant not found' };
+}
+
+/**
+ * Stock level of a product without variants, or of one variant
+ */
+function levelOf(product, variant) {
+  const source = variant || product;
+  const onHand = source.stock || 0;
+  const reserved = source.reserved || 0;
+  const threshold = variant?.lowStockThreshold ?? product.lowStockThreshold ?? LOW_STOCK_THRESHOLD;
+  return {
+    productId: product._id,
+    ...(variant && { variantId: variant._id, label: variantLabel(variant.options) }),
+    sku: variant?.sku,
+    onHand,
+    reserved,
+    available: onHand - reserved,
+    threshold,
+    low: onHand - reserved <= threshold
+  };
+}
+
+/**
+ * Levels for every stock-keeping unit of a product
+ */
+function stockLevels(product) {
+  return product.variants.length > 0
+    ? product.variants.map(variant => levelOf(product, variant))
+    : [levelOf(product)];
+}
+
+function shopifyVariantIdOf(product, variant) {
+  return variant ? variant.shopifyVariantId : product.channels?.shopify?.shopifyVariantId;
+}
+
+/**
+ * Push a new available quantity to Shopify; failures are reported, never thrown
+ */
+async function syncChannels(product, variant, level) {
+  const shopifyVariantId = shopifyVariantIdOf(product, variant);
+  if (!shopifyVariantId) return { shopify: 'not_linked' };
+  if (!shopifyInventory.isConfigured()) return { shopify: 'not_configured' };
+  try {
+    await shopifyInventory.setAvailable(shopifyVariantId, level.available);
+    return { shopify: 'updated' };
+  } catch (error) {
+    console.warn(`⚠️ Shopify stock update failed for ${level.sku || product.name}:`, error.response?.data?.errors || error.message);
+    return { shopify: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Push every stock-keeping unit's available quantity to the linked channels, e.g. right after listing
+ * @returns {Promise<Array<Object>>} One level per unit with its sync outcome
+ */
+async function syncStockLevels(product) {
+  const units = product.variants.length > 0 ? product.variants : [null];
+  const results = [];
+  for (const variant of units) {
+    const level = levelOf(product, variant);
+    results.push({ ...level, sync: await syncChannels(product, variant, level) });
+  }
+  return results;
+}
+
+/**
+ * Apply a movement to a product's stock and record it in the ledger
+ * @param {Object} product - Product document
+ * @param {Object} movement - normalizeMovement().movement; { fromReservation } also takes pieces out of reserved on a sale
+ * @param {Object} [options]
+ * @param {string} [options.by] - User id, 'shopify' or 'system'
+ * @param {string} [options.order] - Order the movement belongs to
+ * @param {boolean} [options.madeToOrder] - Record a 'made' movement for any shortfall instead of refusing a sale
+ * @returns {Promise<{movement?: Object, level?: Object, sync?: Object, duplicate?: boolean, error?: string, status?: number}>}
+ */
+async function recordMovement(product, movement, { by, order, madeToOrder = false } = {}) {
+  const target = stockTarget(product, movement.variantId);
+  if (target.error) return { error: target.error, status: 400 };
+  const { variant } = target;
+  const { type, quantity, channel = 'manual' } = movement;
+
+  if (movement.externalId) {
+    const existing = await InventoryMovement.findOne({
+      owner: product.userId, channel, externalId: movement.externalId, type,
+      product: product._id, variant: variant?._id ?? null
+    });
+    if (existing) return { movement: existing, level: levelOf(product, variant), duplicate: true };
+  }
+
+  const onHandChange = EFFECTS[type].onHand * quantity;
+  const reservedChange = type === 'sold' && movement.fromReservation
+    ? -Math.min(movement.fromReservation, quantity)
+    : EFFECTS[type].reserved * quantity;
+
+  const current = levelOf(product, variant);
+  if (madeToOrder && onHandChange < 0 && current.onHand < -onHandChange) {
+    const made = await recordMovement(product, {
+      type: 'made',
+      quantity: -onHandChange - current.onHand,
+      variantId: movement.variantId,
+      channel,
+      note: 'Made to order'
+    }, { by, order });
+    if (made.error) return made;
+  }
+
+  // Guards make the update a no-op when the counts would drop below zero
+  const guards = {
+    ...(onHandChange < 0 && { stock: { $gte: -onHandChange } }),
+    ...(reservedChange < 0 && { reserved: { $gte: -reservedChange } })
+  };
+  const filter = variant
+    ? { _id: product._id, variants: { $elemMatch: { _id: variant._id, ...guards } } }
+    : { _id: product._id, ...guards };
+  const prefix = variant ? 'variants.$.' : '';
+  const updated = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { [`${prefix}stock`]: onHandChange, [`${prefix}reserved`]: reservedChange } },
+    { new: true }
+  );
+
+  if (!updated) {
+    const fresh = await Product.findById(product._id);
+    const freshVariant = variant && fresh?.variants.id(variant._id);
+    return {
+      error: onHandChange < 0 ? 'Not enough stock' : 'Not enough reserved stock',
+      status: 409,
+      level: fresh ? levelOf(fresh, freshVariant) : current
+    };
+  }
+
+  const updatedVariant = variant && updated.variants.id(variant._id);
+  const level = levelOf(updated, updatedVariant);
+  const entry = await InventoryMovement.create({
+    owner: product.userId,
+    product: product._id,
+    variant: variant?._id,
+    sku: level.sku,
+    type,
+    quantity,
+    channel,
+    onHandChange,
+    reservedChange,
+    balance: { onHand: level.onHand, reserved: level.reserved },
+    order,
+    externalId: movement.externalId,
+    note: movement.note,
+    createdBy: by ? String(by) : undefined
+  });
+
+  // Keep the caller's document current for follow-up movements
+  if (variant) Object.assign(variant, { stock: level.onHand, reserved: level.reserved });
+  else Object.assign(product, { stock: level.onHand, reserved: level.reserved });
+
+  const label = level.label ? `${updated.name} (${level.label})` : updated.name;
+  console.log(`📦 ${type} ${quantity} × ${label} via ${channel}: ${level.onHand} on hand, ${level.available} available`);
+  if (level.low) console.log(`⚠️ Low stock: ${label} has ${level.available} available (threshold ${level.threshold})`);
+
+  // Shopify already counted its own sales
+  const sync = channel === 'shopify' ? { shopify: 'source' } : await syncChannels(updated, updatedVariant, level);
+  return { movement: entry, level, sync };
+}
+
+/**
+ * Ledger entries for stock set directly on the product (catalog edits), without changing the counts again
+ * @param {Object} product - Saved product document
+ * @param {Map<string, number>} before - Variant id (or 'product') → on-hand count before the edit
+ */
+async function logStockEdits(product, before, { by, note = 'Edited in catalog' } = {}) {
+  const entries = (product.variants.length > 0 ? product.variants : [null])
+    .map(variant => {
+      const level = levelOf(product, variant);
+      const change = level.onHand - (before.get(variant ? String(variant._id) : 'product') || 0);
+      return change === 0 ? null : {
+        owner: product.userId,
+        product: product._id,
+        variant: variant?._id,
+        sku: level.sku,
+        type: 'adjusted',
+        quantity: change,
+        onHandChange: change,
+        balance: { onHand: level.onHand, reserved: level.reserved },
+        note,
+        createdBy: by ? String(by) : undefined
+      };
+    })
+    .filter(Boolean);
+  // Variants removed in the edit take their stock with them
+  const remaining = new Set(product.variants.map(variant => String(variant._id)));
+  for (const [key, stock] of before) {
+    if (key === 'product' || remaining.has(key) || !stock) continue;
+    entries.push({
+      owner: product.userId,
+      product: product._id,
+      variant: key,
+      type: 'adjusted',
+      quantity: -stock,
+      onHandChange: -stock,
+      balance: { onHand: 0, reserved: 0 },
+      note: 'Variant removed',
+      createdBy: by ? String(by) : undefined
+    });
+  }
+  if (entries.length > 0) await InventoryMovement.insertMany(entries);
+  return entries.length;
+}
+
+// Catalog fields of a variant; stock and reserved only change through movements
+const VARIANT_FIELDS = ['options', 'sku', 'price', 'lowStockThreshold', 'weightKg', 'images'];
+
+/**
+ * Apply a catalog edit of a product's variant list without writing stock counts from a stale copy.
+ * Removed variants are pulled, kept ones get their catalog fields set in place and new ones are pushed
+ * at zero; requested stock counts are then reached with 'adjusted' movements, so ledger changes that
+ * land meanwhile (sales, reservations, Shopify) are never overwritten.
+ * @param {Object} product - Product document as loaded for the edit
+ * @param {Object[]} variants - pickProductFields().fields.variants
+ * @returns {Promise<{product: Object, stockErrors: Array<{variantId: string, error: string}>}>}
+ */
+async function applyVariantEdits(product, variants, { by } = {}) {
+  const entries = variants.map(variant => ({
+    ...variant,
+    sku: variant.sku || skuFor(product.name, variant.options),
+    _id: variant._id && product.variants.id(variant._id) ? String(variant._id) : new mongoose.Types.ObjectId(),
+    isNew: !(variant._id && product.variants.id(variant._id))
+  }));
+  const keep = new Set(entries.filter(entry => !entry.isNew).map(entry => entry._id));
+  const removedIds = product.variants.filter(variant => !keep.has(String(variant._id))).map(variant => variant._id);
+
+  if (removedIds.length > 0) {
+    const before = await Product.findOneAndUpdate(
+      { _id: product._id },
+      { $pull: { variants: { _id: { $in: removedIds } } } }
+    );
+    // Variants removed in the edit take their stock with them
+    const removed = (before?.variants || []).filter(variant => removedIds.some(id => id.equals(variant._id)) && variant.stock > 0);
+    if (removed.length > 0) {
+      await InventoryMovement.insertMany(removed.map(variant => ({
+        owner: product.userId,
+        product: product._id,
+        variant: variant._id,
+        sku: variant.sku,
+        type: 'adjusted',
+        quantity: -variant.stock,
+        onHandChange: -variant.stock,
+        balance: { onHand: 0, reserved: 0 },
+        note: 'Variant removed',
+        createdBy: by ? String(by) : undefined
+      })));
+    }
+  }
+
+  const kept = entries.filter(entry => !entry.isNew);
+  if (kept.length > 0) {
+    const $set = {};
+    const $unset = {};
+    kept.forEach((entry, index) => {
+      for (const field of VARIANT_FIELDS) {
+        const path = `variants.$[v${index}].${field}`;
+        // Fields left out are cleared, except photos, which stay unless new ones are sent
+        if (entry[field] !== undefined) $set[path] = entry[field];
+        else if (field !== 'images') $unset[path] = '';
+      }
+    });
+    await Product.updateOne(
+      { _id: product._id },
+      { $set, ...(Object.keys($unset).length > 0 && { $unset }) },
+      { arrayFilters: kept.map((entry, index) => ({ [`v${index}._id`]: new mongoose.Types.ObjectId(entry._id) })), runValidators: true }
+    );
+  }
+
+  const added = entries.filter(entry => entry.isNew);
+  if (added.length > 0) {
+    await Product.updateOne(
+      { _id: product._id },
+      {
+        $push: {
+          variants: {
+            $each: added.map(entry => ({
+              _id: entry._id,
+              ...Object.fromEntries(VARIANT_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]])),
+              stock: 0,
+              reserved: 0
+            }))
+          }
+        }
+      },
+      { runValidators: true }
+    );
+  }
+
+  // Stock left out keeps the current count; a sent count is reached through the ledger
+  let fresh = await Product.findById(product._id);
+  const stockErrors = [];
+  for (const entry of entries.filter(item => item.stock !== undefined)) {
+    const variant = fresh.variants.id(entry._id);
+    const change = variant ? entry.stock - variant.stock : 0;
+    if (change === 0) continue;
+    const result = await recordMovement(fresh, {
+      type: 'adjusted',
+      quantity: change,
+      variantId: String(entry._id),
+      channel: 'manual',
+      note: entry.isNew ? 'Opening stock' : 'Edited in catalog'
+    }, { by });
+    if (result.error) stockErrors.push({ variantId: String(entry._id), error: result.error });
+  }
+  if (stockErrors.length > 0) fresh = await Product.findById(product._id);
+  return { product: fresh, stockErrors };
+}
+
+/**
+ * Pieces still reserved for an order and pieces sold (less returns), per product and variant
+ */
+async function heldForOrder(order) {
+  const rows = await InventoryMovement.aggregate([
+    { $match: { order: order._id } },
+    {
+      $group: {
+        _id: { product: '$product', variant: '$variant' },
+        reserved: { $sum: '$reservedChange' },
+        sold: {
+          $sum: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$type', 'sold'] }, then: '$quantity' },
+                { case: { $eq: ['$type', 'returned'] }, then: { $multiply: ['$quantity', -1] } }
+              ],
+              default: 0
+            }
+          }
+        }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [`${row._id.product}:${row._id.variant || ''}`, { reserved: row.reserved, sold: row.sold }]));
+}
+
+/**
+ * Run one movement per order item that has a catalog product
+ */
+async function forOrderItems(order, build) {
+  const results = [];
+  const held = await heldForOrder(order);
+  for (const item of order.items) {
+    if (!item.product) continue;
+    const product = await Product.findOne({ _id: item.product, userId: order.owner });
+    if (!product) continue;
+    if (product.variants.length > 0 && !item.variant) {
+      results.push({ product: product._id, skipped: 'Order item has no variant; record the movement by hand' });
+      continue;
+    }
+    const key = `${product._id}:${item.variant || ''}`;
+    const movement = build(item, held.get(key) || { reserved: 0, sold: 0 });
+    if (!movement) continue;
+    const result = await recordMovement(product, {
+      ...movement,
+      ...(item.variant && { variantId: String(item.variant) }),
+      channel: order.source === 'quotation' ? 'quotation' : 'manual',
+      externalId: order.orderNumber
+    }, { by: 'system', order: order._id, madeToOrder: movement.type === 'sold' });
+    results.push({ product: product._id, variant: item.variant, type: movement.type, ...(result.error ? { error: result.error } : { level: result.level }) });
+  }
+  return results;
+}
+
+/**
+ * Hold stock for a new order; handmade orders may reserve more than is on hand (made to order)
+ */
+function reserveForOrder(order) {
+  return forOrderItems(order, item => ({ type: 'reserved', quantity: item.quantity }));
+}
+
+/**
+ * Turn an order's reservation into a sale once it ships
+ */
+function fulfilOrder(order) {
+  return forOrderItems(order, (item, { reserved }) => ({ type: 'sold', quantity: item.quantity, fromReservation: reserved }));
+}
+
+/**
+ * Give back what a cancelled order still holds
+ */
+function releaseOrder(order) {
+  return forOrderItems(order, (item, { reserved }) => (reserved > 0 ? { type: 'released', quantity: reserved } : null));
+}
+
+/**
+ * Put a returned order's sold pieces back on hand
+ */
+function returnOrder(order) {
+  return forOrderItems(order, (item, { sold }) => (sold > 0 ? { type: 'returned', quantity: sold } : null));
+}
+
+/**
+ * Compare local stock with Shopify. Shopify holding less means it sold pieces we have not recorded
+ * (recorded as Shopify sales); holding more means a local change never reached it (pushed again).
+ * @param {Object} product - Product document linked to Shopify
+ * @param {Object} [options] - { apply: false } only reports the differences
+ */
+async function reconcileWithShopify(product, { apply = false, by } = {}) {
+  const shopifyProductId = product.channels?.shopify?.shopifyProductId;
+  if (!shopifyProductId) return { error: 'Product is not listed on Shopify', status: 409 };
+  if (!shopifyInventory.isConfigured()) return { error: 'Shopify not configured', status: 503 };
+
+  const shopifyLevels = await shopifyInventory.getProductLevels(shopifyProductId);
+  const lines = [];
+  for (const variant of product.variants.length > 0 ? product.variants : [null]) {
+    const level = levelOf(product, variant);
+    const shopifyVariantId = shopifyVariantIdOf(product, variant);
+    const shopify = shopifyLevels.get(String(shopifyVariantId));
+    const line = { ...level, shopifyVariantId, shopify: shopify ?? null };
+    if (shopify === undefined) {
+      lines.push({ ...line, action: 'not_on_shopify' });
+      continue;
+    }
+
+    const difference = level.available - shopify;
+    line.difference = difference;
+    if (difference === 0) {
+      lines.push({ ...line, action: 'in_sync' });
+    } else if (difference > 0) {
+      // Never record more than is on hand; the push below corrects any oversold remainder
+      const sold = Math.min(difference, level.onHand);
+      if (!apply) {
+        lines.push({ ...line, action: 'record_shopify_sale', quantity: sold });
+        continue;
+      }
+      const result = sold > 0
+        ? await recordMovement(product, {
+          type: 'sold', quantity: sold, channel: 'shopify', variantId: variant && String(variant._id), note: 'Found in Shopify reconciliation'
+        }, { by })
+        : {};
+      const after = result.level || levelOf(product, variant);
+      if (after.available !== shopify) await syncChannels(product, variant, after);
+      lines.push({ ...line, action: 'recorded_shopify_sale', quantity: sold, ...(result.error && { error: result.error }), after });
+    } else {
+      if (!apply) {
+        lines.push({ ...line, action: 'push_local' });
+        continue;
+      }
+      const sync = await syncChannels(product, variant, level);
+      lines.push({ ...line, action: 'pushed_local', sync });
+    }
+  }
+
+  return {
+    applied: apply,
+    inSync: lines.every(line => line.action === 'in_sync'),
+    lines
+  };
+}
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  normalizeMovement,
+  stockTarget,
+  levelOf,
+  stockLevels,
+  syncStockLevels,
+  recordMovement,
+  logStockEdits,
+  applyVariantEdits,
+  reserveForOrder,
+  fulfilOrder,
+  releaseOrder,
+  returnOrder,
+  reconcileWithShopify
+};
@@ -0,0 +1,108 @@
+// Languages supported by the voice wizard, keyed by BCP-47 code
+const SUPPORTED_LANGUAGES = {
+  'en-IN': { name: 'English', nativeName: 'English' },
+  'hi-IN': { name: 'Hindi', nativeName: 'हिन्दी' },
+  'bn-IN': { name: 'Bengali', nativeName: 'বাংলা' },
+  'ta-IN': { name: 'Tamil', nativeName: 'தமிழ்' },
+  'te-IN': { name: 'Telugu', nativeName: 'తెలుగు' },
+  'kn-IN': { name: 'Kannada', nativeName: 'ಕನ್ನಡ' },
+  'mr-IN': { name: 'Marathi', nativeName: 'मराठी' },
+  'gu-IN': { name: 'Gujarati', nativeName: 'ગુજરાતી' },
+  'ml-IN': { name: 'Malayalam', nativeName: 'മലയാളം' },
+  'pa-IN': { name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ' },
+  'ur-IN': { name: 'Urdu', nativeName: 'اردو' }
+};
+
+const DEFAULT_LANGUAGE = 'en-IN';
+const AUTO_DETECT = 'auto';
+
+// Google Speech accepts at most three alternative languages per request
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+
+/**
+ * Normalize a language code, short code ("hi") or English name ("Hindi") to a supported code
+ * @param {string} input
+ * @returns {(string|null)} Supported BCP-47 code, "auto", or null when unsupported
+ */
+function normalizeLanguage(input) {
+  if (!input || typeof input !== 'string') return null;
+  const value = input.trim().toLowerCase();
+  if (value === AUTO_DETECT) return AUTO_DETECT;
+
+  for (const [code, language] of Object.entries(SUPPORTED_LANGUAGES)) {
+    if (code.toLowerCase() === value || code.split('-')[0] === value || language.name.toLowerCase() === value) {
+      return code;
+    }
+  }
+
+  // Regional English variants (en-US, en-GB, ...) all map to Indian English
+  if (value.startsWith('en')) return DEFAULT_LANGUAGE;
+  return null;
+}
+
+/**
+ * Speech recognition options for a requested language
+ * @param {string} requested - Normalized language code or "auto"
+ * @param {string[]} [hints] - Extra languages to prefer during auto-detection
+ * @returns {{languageCode: string, alternativeLanguageCodes: string[], autoDetect: boolean}}
+ */
+function recognitionOptions(requested, hints = []) {
+  if (requested && requested !== AUTO_DETECT && SUPPORTED_LANGUAGES[requested]) {
+    // Artisans often mix English words into their own language
+    return {
+      languageCode: requested,
+      alternativeLanguageCodes: requested === DEFAULT_LANGUAGE ? ['hi-IN'] : [DEFAULT_LANGUAGE],
+      autoDetect: false
+    };
+  }
+
+  const candidates = [...new Set([...hints, 'hi-IN', 'ta-IN', 'te-IN', 'bn-IN'])]
+    .filter(code => code !== DEFAULT_LANGUAGE && SUPPORTED_LANGUAGES[code]);
+
+  return {
+    languageCode: DEFAULT_LANGUAGE,
+    alternativeLanguageCodes: candidates.slice(0, MAX_ALTERNATIVE_LANGUAGES),
+    autoDetect: true
+  };
+}
+
+/**
+ * Language descriptor stored on sessions and returned to clients
+ * @param {string} code - Language code reported by recognition or requested by the client
+ * @param {boolean} [detected] - Whether the language was auto-detected
+ * @returns {{code: string, name: string, nativeName: string, detected: boolean}}
+ */
+function describeLanguage(code, detected = false) {
+  const normalized = normalizeLanguage(code);
+  const resolved = normalized && normalized !== AUTO_DETECT ? normalized : DEFAULT_LANGUAGE;
+  return {
+    code: resolved,
+    ...SUPPORTED_LANGUAGES[resolved],
+    detected
+  };
+}
+
+function isEnglish(code) {
+  return !code || code.toLowerCase().startsWith('en');
+}
+
+/**
+ * Prompt instruction asking the model to write user-facing text in the artisan's language
+ * @param {{code: string, name: string}} language
+ * @returns {string} Empty for English
+ */
+function responseLanguageInstruction(language) {
+  if (!language || isEnglish(language.code)) return '';
+  return `\n\nWrite every user-facing text value in ${language.name} (${language.nativeName}) using its native script. Keep JSON keys, platform ids and numbers in English.`;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  AUTO_DETECT,
+  normalizeLanguage,
+  recognitionOptions,
+  describeLanguage,
+  isEnglish,
+  responseLanguageInstruction
+};
@@ -0,0 +1,173 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const ComparableListing = require('../models/ComparableListing');
+
+const REQUIRED_COLUMNS = ['title', 'category', 'price'];
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, escaped quotes, CRLF) into objects keyed by the header row
+ * @param {string} text
+ * @returns {Object[]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map(key => key.trim());
+  return records.map(record => Object.fromEntries(keys.map((key, index) => [key, (record[index] ?? '').trim()])));
+}
+
+/**
+ * Split a materials cell ("cotton; silk" or ["Cotton"]) into normalized names
+ */
+function normalizeMaterials(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[;,|/]/);
+  return [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Validate and normalize one raw listing (CSV row or snapshot entry)
+ * @returns {{listing?: Object, error?: string}}
+ */
+function normalizeListing(raw, { source: defaultSource, batchId } = {}) {
+  const missing = REQUIRED_COLUMNS.filter(column => raw[column] === undefined || raw[column] === '');
+  if (missing.length > 0) return { error: `missing ${missing.join(', ')}` };
+
+  const price = Number(String(raw.price).replace(/[₹,\s]/g, ''));
+  if (!Number.isFinite(price) || price <= 0) return { error: `invalid price "${raw.price}"` };
+
+  const source = String(raw.source || defaultSource || '').trim().toLowerCase();
+  if (!source) return { error: 'missing source' };
+
+  const currency = String(raw.currency || 'INR').toUpperCase();
+  if (currency !== 'INR') return { error: `unsupported currency ${currency}` };
+
+  const capturedAt = raw.capturedAt ? new Date(raw.capturedAt) : new Date();
+  if (Number.isNaN(capturedAt.getTime())) return { error: `invalid capturedAt "${raw.capturedAt}"` };
+
+  // Listings without a marketplace id are keyed by their content so re-imports stay idempotent
+  const externalId = String(raw.externalId || raw.id || '').trim() ||
+    crypto.createHash('sha1').update(`${raw.title}|${raw.url || ''}|${price}`).digest('hex').slice(0, 16);
+
+  return {
+    listing: {
+      source,
+      externalId,
+      title: String(raw.title).trim(),
+      url: raw.url || undefined,
+      category: String(raw.category).trim().toLowerCase(),
+      materials: normalizeMaterials(raw.materials),
+      region: raw.region ? String(raw.region).trim().toLowerCase() : undefined,
+      price,
+      currency,
+      capturedAt,
+      importBatch: batchId
+    }
+  };
+}
+
+/**
+ * Upsert listings keyed by (source, externalId)
+ * @param {Object[]} rawListings - CSV rows or snapshot entries
+ * @param {Object} [options] - { source } default source for rows without one
+ * @returns {Promise<{batchId: string, received: number, upserted: number, updated: number, rejected: Array}>}
+ */
+async function importListings(rawListings, options = {}) {
+  const batchId = options.batchId || `import_${Date.now()}`;
+  const rejected = [];
+  const operations = [];
+
+  rawListings.forEach((raw, index) => {
+    const { listing, error } = normalizeListing(raw, { ...options, batchId });
+    if (error) {
+      rejected.push({ row: index + 1, error });
+      return;
+    }
+    operations.push({
+      updateOne: {
+        filter: { source: listing.source, externalId: listing.externalId },
+        update: { $set: listing },
+        upsert: true
+      }
+    });
+  });
+
+  let upserted = 0;
+  let updated = 0;
+  if (operations.length > 0) {
+    const result = await ComparableListing.bulkWrite(operations, { ordered: false });
+    upserted = result.upsertedCount;
+    updated = result.modifiedCount;
+  }
+
+  console.log(`📥 Listings import ${batchId}: ${upserted} new, ${updated} updated, ${rejected.length} rejected`);
+  return { batchId, received: rawListings.length, upserted, updated, rejected };
+}
+
+/**
+ * Import a CSV export or a JSON scraped snapshot ({ source, capturedAt, listings: [] } or an array)
+ * @param {string} filePath
+ * @param {Object} [options] - { source }
+ */
+async function importFile(filePath, options = {}) {
+  const text = await fs.readFile(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const snapshot = JSON.parse(text);
+    const listings = Array.isArray(snapshot) ? snapshot : snapshot.listings;
+    if (!Array.isArray(listings)) throw new Error('Snapshot must be an array or contain a "listings" array');
+    const capturedAt = Array.isArray(snapshot) ? undefined : snapshot.capturedAt;
+    return importListings(
+      listings.map(listing => ({ capturedAt, ...listing })),
+      { ...options, source: options.source || snapshot.source }
+    );
+  }
+
+  return importListings(parseCsv(text), options);
+}
+
+module.exports = {
+  FIXTURE_PATH: path.join(__dirname, '../../data/comparable-listings.fixture.csv'),
+  parseCsv,
+  normalizeMaterials,
+  normalizeListing,
+  importListings,
+  importFile
+};
@@ -0,0 +1,112 @@
+const ComparableListing = require('../models/ComparableListing');
+const { normalizeMaterials } = require('./listingImporter');
+
+// Fewer comparables than this and the match is widened to the next, looser level
+const MIN_COMPARABLES = Number(process.env.MARKET_MIN_COMPARABLES) || 5;
+const MAX_COMPARABLES = 1000;
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+/**
+ * Percentile by linear interpolation between closest ranks
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - 0..100
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  return Math.round(value);
+}
+
+function summarize(prices) {
+  const sorted = [...prices].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    min: sorted[0] ?? null,
+    max: sorted[sorted.length - 1] ?? null,
+    mean: sorted.length ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+    ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)]))
+  };
+}
+
+/**
+ * Share of comparables priced at or below a price (0-100)
+ */
+function percentileRank(prices, price) {
+  if (prices.length === 0) return null;
+  const below = prices.filter(value => value < price).length;
+  const equal = prices.filter(value => value === price).length;
+  return Math.round(((below + equal / 2) / prices.length) * 100);
+}
+
+/**
+ * Match levels from strictest to loosest; levels missing a requested attribute are skipped
+ */
+function matchLevels({ category, materials, region }) {
+  const levels = [
+    { matchedOn: ['category', 'material', 'region'], filter: { category, materials: { $in: materials }, region } },
+    { matchedOn: ['category', 'material'], filter: { category, materials: { $in: materials } } },
+    { matchedOn: ['category', 'region'], filter: { category, region } },
+    { matchedOn: ['category'], filter: { category } }
+  ];
+  return levels.filter(level =>
+    (!level.matchedOn.includes('material') || materials.length > 0) &&
+    (!level.matchedOn.includes('region') || region)
+  );
+}
+
+/**
+ * Price distribution of similar listings, widening the match until enough comparables are found
+ * @param {Object} query - { category, materials, region, price }
+ * @returns {Promise<Object>} Comparison with percentiles, per-source stats and the match level used
+ */
+async function compareWithMarket({ category, materials, region, price }) {
+  const criteria = {
+    category: String(category || '').trim().toLowerCase(),
+    materials: normalizeMaterials(materials),
+    region: region ? String(region).trim().toLowerCase() : undefined
+  };
+  if (!criteria.category) throw new Error('Category is required for market comparison');
+
+  let listings = [];
+  let matchedOn = [];
+  for (const level of matchLevels(criteria)) {
+    listings = await ComparableListing.find(level.filter)
+      .sort({ capturedAt: -1 })
+      .limit(MAX_COMPARABLES)
+      .select('source price capturedAt')
+      .lean();
+    matchedOn = level.matchedOn;
+    if (listings.length >= MIN_COMPARABLES) break;
+  }
+
+  const prices = listings.map(listing => listing.price);
+  const bySource = {};
+  for (const listing of listings) {
+    (bySource[listing.source] = bySource[listing.source] || []).push(listing.price);
+  }
+
+  const capturedDates = listings.map(listing => listing.capturedAt).filter(Boolean).sort((a, b) => a - b);
+
+  return {
+    criteria,
+    matchedOn,
+    comparablesUsed: listings.length,
+    sufficient: listings.length >= MIN_COMPARABLES,
+    overall: summarize(prices),
+    bySource: Object.fromEntries(Object.entries(bySource).map(([source, values]) => [source, summarize(values)])),
+    pricePercentile: Number.isFinite(price) ? percentileRank(prices, price) : null,
+    dataRange: capturedDates.length
+      ? { from: capturedDates[0], to: capturedDates[capturedDates.length - 1] }
+      : null
+  };
+}
+
+module.exports = {
+  MIN_COMPARABLES,
+  percentile,
+  percentileRank,
+  compareWithMarket
+};
@@ -0,0 +1,54 @@
+/**
+ * Order lifecycle: which status an order may move to next.
+ * Stock follows the status, so an order only cancels before it ships; afterwards it comes back as a return.
+ */
+const ORDER_STATUSES = ['pending', 'confirmed', 'in_production', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+const TRANSITIONS = {
+  pending: ['confirmed', 'in_production', 'shipped', 'cancelled'],
+  confirmed: ['in_production', 'shipped', 'cancelled'],
+  in_production: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+/**
+ * Check whether an order may move to a status
+ * @returns {{ok: boolean, currentStatus: string, allowedNextStatuses: string[], message?: string}}
+ */
+function checkStatusChange(order, to) {
+  const currentStatus = order.status;
+  const allowed = TRANSITIONS[currentStatus] || [];
+  if (allowed.includes(to)) {
+    return { ok: true, currentStatus, allowedNextStatuses: allowed };
+  }
+  const hint = to === 'cancelled' && allowed.includes('returned') ? '; it has shipped, so record a return instead' : '';
+  return {
+    ok: false,
+    currentStatus,
+    allowedNextStatuses: allowed,
+    message: `Cannot move order from "${currentStatus}" to "${to}"${hint}`
+  };
+}
+
+/**
+ * Standard 409 body for a rejected status change
+ */
+function statusConflict(res, result) {
+  return res.status(409).json({
+    success: false,
+    error: 'Invalid order status change',
+    message: result.message,
+    currentStatus: result.currentStatus,
+    allowedNextStatuses: result.allowedNextStatuses
+  });
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  checkStatusChange,
+  statusConflict
+};
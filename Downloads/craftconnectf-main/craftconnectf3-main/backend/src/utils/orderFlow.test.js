@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ORDER_STATUSES, TRANSITIONS, checkStatusChange } = require('./orderFlow');
+
+test('every order status has an entry in the transition table', () => {
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...ORDER_STATUSES].sort());
+  Object.values(TRANSITIONS).flat().forEach(status => assert.ok(ORDER_STATUSES.includes(status)));
+});
+
+test('orders move forward and never back to an earlier status', () => {
+  assert.equal(checkStatusChange({ status: 'pending' }, 'shipped').ok, true);
+  assert.equal(checkStatusChange({ status: 'shipped' }, 'delivered').ok, true);
+  for (const to of ['pending', 'confirmed', 'in_production']) {
+    assert.equal(checkStatusChange({ status: 'shipped' }, to).ok, false, `shipped -> ${to}`);
+  }
+});
+
+test('a shipped order cannot be cancelled and is returned instead', () => {
+  const result = checkStatusChange({ status: 'shipped' }, 'cancelled');
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.allowedNextStatuses, ['delivered', 'returned']);
+  assert.match(result.message, /record a return/);
+  assert.equal(checkStatusChange({ status: 'delivered' }, 'returned').ok, true);
+  assert.equal(checkStatusChange({ status: 'in_production' }, 'returned').ok, false);
+});
+
+test('cancelled and returned orders are closed', () => {
+  for (const status of ['cancelled', 'returned']) {
+    assert.deepEqual(TRANSITIONS[status], []);
+    assert.equal(checkStatusChange({ status }, 'pending').ok, false);
+  }
+});
@@ -0,0 +1,123 @@
+const axios = require('axios');
+
+/* ---------------------------
+   Local stub backend (development)
+   --------------------------- */
+function createLocalBackend() {
+  // Echoing codes to the client lets anyone sign in as any number, so it is an explicit opt-in for local setups
+  const exposesCode = process.env.OTP_EXPOSE_CODE === 'true';
+  if (exposesCode) console.warn('⚠️ OTP_EXPOSE_CODE=true: login codes are returned to the client. Never enable this on a public deployment');
+  return {
+    name: 'local',
+    available: true,
+    exposesCode,
+
+    async send(phone, code) {
+      console.log(`🔐 [local OTP] ${phone}: ${code}`);
+      return { delivered: false };
+    }
+  };
+}
+
+/* ---------------------------
+   Twilio SMS backend
+   --------------------------- */
+function createTwilioBackend() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+
+  return {
+    name: 'twilio',
+    available: !!(accountSid && authToken && from),
+    exposesCode: false,
+
+    async send(phone, code) {
+      const body = new URLSearchParams({
+        To: phone,
+        From: from,
+        Body: `${code} is your CraftConnect login code. It expires in ${Math.round(otpTtlSeconds() / 60)} minutes.`
+      });
+
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        body.toString(),
+        {
+          auth: { username: accountSid, password: authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 15000
+        }
+      );
+
+      return { delivered: true, messageId: response.data?.sid };
+    }
+  };
+}
+
+/* ---------------------------
+   Provider selection
+   --------------------------- */
+const BACKENDS = {
+  local: createLocalBackend,
+  twilio: createTwilioBackend
+};
+
+let backend = null;
+
+function getBackend() {
+  if (backend) return backend;
+
+  const requested = (process.env.OTP_PROVIDER || 'local').toLowerCase();
+  const factory = BACKENDS[requested];
+
+  if (!factory) {
+    console.error(`❌ Unknown OTP_PROVIDER "${requested}". Supported: ${Object.keys(BACKENDS).join(', ')}`);
+    backend = { name: requested, available: false, exposesCode: false, send: async () => { throw new Error(`Unknown OTP provider: ${requested}`); } };
+    return backend;
+  }
+
+  backend = factory();
+  console.log(`${backend.available ? '✅' : '⚠️'} OTP provider: ${backend.name} ${backend.available ? 'ready' : 'not configured'}`);
+  return backend;
+}
+
+function otpTtlSeconds() {
+  return Number(process.env.OTP_TTL_SECONDS) || 300;
+}
+
+/**
+ * Deliver a login code to a phone number
+ * @param {string} phone - E.164 phone number
+ * @param {string} code - One-time code
+ * @returns {Promise<{delivered: boolean, messageId?: string, devCode?: string}>}
+ */
+async function sendOtp(phone, code) {
+  const active = getBackend();
+  if (!active.available) {
+    throw new Error(`OTP provider "${active.name}" not available`);
+  }
+
+  const result = await active.send(phone, code);
+  return {
+    ...result,
+    ...(active.exposesCode && { devCode: code })
+  };
+}
+
+/**
+ * OTP provider status for health and status endpoints
+ * @returns {{provider: string, available: boolean}}
+ */
+function getStatus() {
+  const active = getBackend();
+  return {
+    provider: active.name,
+    available: active.available
+  };
+}
+
+module.exports = {
+  sendOtp,
+  getStatus,
+  otpTtlSeconds
+};
@@ -0,0 +1,163 @@
+/**
+ * "What if I charge ₹100 more?" simulations over a priced costing.
+ * Demand follows a constant-elasticity curve around the artisan's expected monthly volume,
+ * and every price point is evaluated at full price and at each bulk discount tier.
+ */
+
+const MAX_PRICE_POINTS = 10;
+const DEFAULT_ELASTICITY = -1.2; // handmade goods: a 10% price rise loses roughly 12% of buyers
+const DEFAULT_STEPS_PERCENT = [-20, -10, 0, 10, 20];
+
+// Minimum quantity for each bulkDiscounts tier produced by the pricing engine
+const DISCOUNT_TIERS = [
+  { key: 'quantity5', minQuantity: 5 },
+  { key: 'quantity10', minQuantity: 10 },
+  { key: 'quantity25', minQuantity: 25 }
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function readNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return Number(value);
+}
+
+/**
+ * Validate a simulation request
+ * @param {Object} body - { pricePoints, priceChanges, monthlyVolume, elasticity, fixedMonthlyCosts }
+ * @returns {{input?: Object, errors: Array<{path: string, message: string}>, assumptions: string[]}}
+ */
+function normalizeSimulationInput(body = {}) {
+  const errors = [];
+  const assumptions = [];
+
+  const readList = (field) => {
+    const list = body[field];
+    if (list === undefined) return undefined;
+    if (!Array.isArray(list) || list.length === 0 || list.length > MAX_PRICE_POINTS) {
+      errors.push({ path: field, message: `must be an array of 1 to ${MAX_PRICE_POINTS} numbers` });
+      return undefined;
+    }
+    const values = list.map(Number);
+    values.forEach((value, index) => {
+      if (!Number.isFinite(value)) errors.push({ path: `${field}[${index}]`, message: 'must be a number' });
+    });
+    return values;
+  };
+  const pricePoints = readList('pricePoints');
+  const priceChanges = readList('priceChanges');
+  pricePoints?.forEach((value, index) => {
+    if (value <= 0) errors.push({ path: `pricePoints[${index}]`, message: 'must be greater than 0' });
+  });
+
+  const monthlyVolume = readNumber(body.monthlyVolume);
+  if (!(Number.isFinite(monthlyVolume) && monthlyVolume >= 0 && monthlyVolume <= 100000)) {
+    errors.push({ path: 'monthlyVolume', message: 'expected pieces sold per month at the quoted price, 0 to 100000' });
+  }
+
+  let elasticity = readNumber(body.elasticity);
+  if (elasticity === undefined) {
+    elasticity = DEFAULT_ELASTICITY;
+    assumptions.push(`Price elasticity ${DEFAULT_ELASTICITY}: each 1% price rise loses about ${-DEFAULT_ELASTICITY}% of monthly sales`);
+  } else if (!(Number.isFinite(elasticity) && elasticity >= -5 && elasticity <= 0)) {
+    errors.push({ path: 'elasticity', message: 'must be a number between -5 and 0' });
+  }
+
+  const fixedMonthlyCosts = readNumber(body.fixedMonthlyCosts) ?? 0;
+  if (!(Number.isFinite(fixedMonthlyCosts) && fixedMonthlyCosts >= 0)) {
+    errors.push({ path: 'fixedMonthlyCosts', message: 'must be a number ≥ 0 (rent, stall fees, equipment per month)' });
+  }
+
+  if (errors.length > 0) return { errors, assumptions };
+  return { errors, assumptions, input: { pricePoints, priceChanges, monthlyVolume, elasticity, fixedMonthlyCosts } };
+}
+
+/**
+ * Per-piece economics at a customer price (GST inclusive)
+ */
+function unitEconomics(price, costing) {
+  const { inputs, subtotals, lineItems } = costing;
+  const amountOf = (key) => lineItems.find(item => item.key === key)?.amount || 0;
+
+  const preTaxPrice = price / (1 + inputs.gstRate / 100);
+  const platformFees = preTaxPrice * inputs.platform.feePercent / 100 + inputs.platform.fixedFee;
+  const margin = preTaxPrice - platformFees - subtotals.productionCost;
+  return {
+    price: round2(price),
+    gst: round2(price - preTaxPrice),
+    platformFees: round2(platformFees),
+    productionCost: subtotals.productionCost,
+    margin: round2(margin),
+    marginPercent: preTaxPrice > 0 ? round2(margin / preTaxPrice * 100) : 0,
+    // What the artisan's own making time earns once the margin is added back
+    earningsPerHour: inputs.labor.hours > 0 ? round2((amountOf('labor') + margin) / inputs.labor.hours) : null
+  };
+}
+
+/**
+ * Evaluate price points against expected demand, fixed costs and discount tiers
+ * @param {Object} costing - calculateCost() output for the product
+ * @param {Object} options
+ * @param {Object} options.input - normalizeSimulationInput().input
+ * @param {number} options.referencePrice - Price the monthly volume estimate refers to
+ * @param {number} options.breakEvenPrice - Lowest price that covers costs with zero profit
+ * @param {Object} [options.bulkDiscounts] - { quantity5, quantity10, quantity25 } percentages
+ * @returns {{referencePrice: number, points: Array<Object>, best: Object|null}}
+ */
+function simulatePrices(costing, { input, referencePrice, breakEvenPrice, bulkDiscounts = {} }) {
+  const step = costing.inputs.roundTo > 0 ? costing.inputs.roundTo : 1;
+  const prices = input.pricePoints || (input.priceChanges || []).map(change => referencePrice + change);
+  const candidates = prices.length > 0
+    ? prices
+    : DEFAULT_STEPS_PERCENT.map(percent => Math.round(referencePrice * (1 + percent / 100) / step) * step);
+
+  const points = [...new Set(candidates.map(round2))]
+    .filter(price => price > 0)
+    .sort((a, b) => a - b)
+    .map(price => {
+      const unit = unitEconomics(price, costing);
+      const volume = referencePrice > 0 ? input.monthlyVolume * (price / referencePrice) ** input.elasticity : 0;
+      const expectedVolume = Math.round(volume * 10) / 10;
+
+      return {
+        ...unit,
+        changeFromQuote: round2(price - referencePrice),
+        changePercent: referencePrice > 0 ? round2((price - referencePrice) / referencePrice * 100) : null,
+        belowBreakEven: price < breakEvenPrice,
+        expectedMonthlyVolume: expectedVolume,
+        monthlyRevenue: round2(expectedVolume * price),
+        monthlyMargin: round2(expectedVolume * unit.margin - input.fixedMonthlyCosts),
+        // Pieces a month needed to cover fixed costs at this price
+        breakEvenQuantity: unit.margin > 0 ? Math.ceil(input.fixedMonthlyCosts / unit.margin) : null,
+        discountTiers: DISCOUNT_TIERS
+          .filter(({ key }) => bulkDiscounts[key] > 0)
+          .map(({ key, minQuantity }) => {
+            const discounted = unitEconomics(price * (1 - bulkDiscounts[key] / 100), costing);
+            return {
+              minQuantity,
+              discountPercent: bulkDiscounts[key],
+              unitPrice: discounted.price,
+              margin: discounted.margin,
+              marginPercent: discounted.marginPercent,
+              orderMargin: round2(discounted.margin * minQuantity),
+              belowBreakEven: discounted.price < breakEvenPrice
+            };
+          })
+      };
+    });
+
+  const viable = points.filter(point => !point.belowBreakEven);
+  const best = viable.reduce((top, point) => (!top || point.monthlyMargin > top.monthlyMargin ? point : top), null);
+  return {
+    referencePrice,
+    points,
+    best: best && { price: best.price, monthlyMargin: best.monthlyMargin, expectedMonthlyVolume: best.expectedMonthlyVolume }
+  };
+}
+
+module.exports = {
+  MAX_PRICE_POINTS,
+  DEFAULT_ELASTICITY,
+  normalizeSimulationInput,
+  simulatePrices
+};
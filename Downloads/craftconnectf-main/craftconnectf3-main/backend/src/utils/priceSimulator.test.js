@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_PRICE_POINTS, DEFAULT_ELASTICITY, normalizeSimulationInput, simulatePrices } = require('./priceSimulator');
+
+// Untaxed, fee-free product: ₹500 to make, of which ₹300 is two hours of labor
+function costing({ gstRate = 0, feePercent = 0, fixedFee = 0 } = {}) {
+  return {
+    inputs: { gstRate, platform: { feePercent, fixedFee }, labor: { hours: 2 }, roundTo: 10 },
+    subtotals: { productionCost: 500 },
+    lineItems: [{ key: 'labor', amount: 300 }]
+  };
+}
+
+function simulate(body, options = {}) {
+  const { input, errors } = normalizeSimulationInput(body);
+  assert.deepEqual(errors, []);
+  return simulatePrices(options.costing || costing(), { input, referencePrice: 1000, breakEvenPrice: 600, ...options });
+}
+
+test('normalizeSimulationInput assumes the default elasticity and validates each field', () => {
+  const { input, assumptions } = normalizeSimulationInput({ monthlyVolume: '12' });
+  assert.equal(input.monthlyVolume, 12);
+  assert.equal(input.elasticity, DEFAULT_ELASTICITY);
+  assert.equal(input.fixedMonthlyCosts, 0);
+  assert.equal(assumptions.length, 1);
+
+  const { input: rejected, errors } = normalizeSimulationInput({
+    pricePoints: [100, 0, 'x'],
+    priceChanges: new Array(MAX_PRICE_POINTS + 1).fill(10),
+    elasticity: 1,
+    fixedMonthlyCosts: -5
+  });
+  assert.equal(rejected, undefined);
+  assert.deepEqual(errors.map(error => error.path), [
+    'pricePoints[2]',
+    'priceChanges',
+    'pricePoints[1]',
+    'monthlyVolume',
+    'elasticity',
+    'fixedMonthlyCosts'
+  ]);
+});
+
+test('without price points the simulation steps 20% either side of the quote', () => {
+  const { points } = simulate({ monthlyVolume: 10 });
+  assert.deepEqual(points.map(point => point.price), [800, 900, 1000, 1100, 1200]);
+  assert.deepEqual(points.map(point => point.changePercent), [-20, -10, 0, 10, 20]);
+});
+
+test('unit economics split the price into tax, fees, cost and margin', () => {
+  const [point] = simulate({ monthlyVolume: 10, pricePoints: [1000] }).points;
+  assert.equal(point.margin, 500);
+  assert.equal(point.marginPercent, 50);
+  assert.equal(point.earningsPerHour, 400);
+
+  const [taxed] = simulate({ monthlyVolume: 10, pricePoints: [1180] }, { costing: costing({ gstRate: 18, feePercent: 10, fixedFee: 20 }) }).points;
+  assert.equal(taxed.gst, 180);
+  assert.equal(taxed.platformFees, 120);
+  assert.equal(taxed.margin, 380);
+});
+
+test('demand follows the elasticity curve and fixed costs come out of the monthly margin', () => {
+  const { points, best } = simulate(
+    { monthlyVolume: 10, elasticity: -1, fixedMonthlyCosts: 1000, priceChanges: [-500, 0, 1000] }
+  );
+  const byPrice = Object.fromEntries(points.map(point => [point.price, point]));
+  assert.equal(byPrice[1000].expectedMonthlyVolume, 10);
+  assert.equal(byPrice[2000].expectedMonthlyVolume, 5);
+  assert.equal(byPrice[1000].monthlyMargin, 4000);
+  assert.equal(byPrice[2000].monthlyMargin, 6500);
+  assert.equal(byPrice[1000].breakEvenQuantity, 2);
+
+  // ₹500 is below break-even, so it is never recommended even though it sells the most
+  assert.equal(byPrice[500].belowBreakEven, true);
+  assert.equal(byPrice[500].breakEvenQuantity, null);
+  assert.deepEqual(best, { price: 2000, monthlyMargin: 6500, expectedMonthlyVolume: 5 });
+});
+
+test('each bulk discount tier is evaluated at the discounted price', () => {
+  const [point] = simulate(
+    { monthlyVolume: 10, pricePoints: [1000] },
+    { bulkDiscounts: { quantity5: 10, quantity10: 0, quantity25: 50 } }
+  ).points;
+  assert.deepEqual(point.discountTiers.map(({ minQuantity, unitPrice, margin, orderMargin, belowBreakEven }) => (
+    { minQuantity, unitPrice, margin, orderMargin, belowBreakEven }
+  )), [
+    { minQuantity: 5, unitPrice: 900, margin: 400, orderMargin: 2000, belowBreakEven: false },
+    { minQuantity: 25, unitPrice: 500, margin: 0, orderMargin: 0, belowBreakEven: true }
+  ]);
+});
@@ -0,0 +1,260 @@
+/**
+ * Deterministic cost-plus pricing for handmade products.
+ * All arithmetic is done in paise so the breakdown always sums exactly to the price.
+ */
+
+const DEFAULTS = {
+  hourlyRate: Number(process.env.PRICING_DEFAULT_HOURLY_RATE) || 150,
+  overheadPercent: Number(process.env.PRICING_DEFAULT_OVERHEAD_PERCENT ?? 10),
+  profitMarginPercent: Number(process.env.PRICING_DEFAULT_MARGIN_PERCENT ?? 20),
+  gstRate: Number(process.env.PRICING_DEFAULT_GST_RATE ?? 12)
+};
+
+// Recommended selling range relative to the cost-based price for each market positioning
+const POSITIONING_TIERS = {
+  budget: { min: 1.0, max: 1.1, label: 'Budget' },
+  'mid-range': { min: 1.0, max: 1.25, label: 'Mid-range' },
+  premium: { min: 1.15, max: 1.5, label: 'Premium' },
+  luxury: { min: 1.3, max: 2.0, label: 'Luxury' }
+};
+
+const GST_RATES = [0, 5, 12, 18, 28];
+const MAX_BOM_ITEMS = 50;
+
+const toPaise = (rupees) => Math.round(rupees * 100);
+const toRupees = (paise) => Math.round(paise) / 100;
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function readNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return typeof value === 'string' ? Number(value) : value;
+}
+
+/**
+ * Validate a costing request and fill configured defaults
+ * @param {Object} body - Request body
+ * @returns {{input?: Object, errors: Array<{path: string, message: string}>, assumptions: string[]}}
+ */
+function normalizeCostInput(body = {}) {
+  const errors = [];
+  const assumptions = [];
+
+  const bom = body.billOfMaterials;
+  if (!Array.isArray(bom) || bom.length === 0) {
+    errors.push({ path: 'billOfMaterials', message: 'must be a non-empty array of { material, quantity, unitCost }' });
+  } else if (bom.length > MAX_BOM_ITEMS) {
+    errors.push({ path: 'billOfMaterials', message: `must have at most ${MAX_BOM_ITEMS} items` });
+  }
+
+  const billOfMaterials = (Array.isArray(bom) ? bom : []).slice(0, MAX_BOM_ITEMS).map((item, index) => {
+    const path = `billOfMaterials[${index}]`;
+    const quantity = readNumber(item?.quantity);
+    const unitCost = readNumber(item?.unitCost);
+    if (!item || typeof item.material !== 'string' || !item.material.trim()) {
+      errors.push({ path: `${path}.material`, message: 'is required' });
+    }
+    if (!isNonNegative(quantity)) errors.push({ path: `${path}.quantity`, message: 'must be a number ≥ 0' });
+    if (!isNonNegative(unitCost)) errors.push({ path: `${path}.unitCost`, message: 'must be a number ≥ 0' });
+    return {
+      material: String(item?.material || '').trim(),
+      quantity,
+      unit: typeof item?.unit === 'string' ? item.unit.trim() : undefined,
+      unitCost
+    };
+  });
+
+  const hours = readNumber(body.labor?.hours);
+  if (!isNonNegative(hours)) errors.push({ path: 'labor.hours', message: 'must be a number ≥ 0' });
+
+  let hourlyRate = readNumber(body.labor?.hourlyRate);
+  if (hourlyRate === undefined) {
+    hourlyRate = DEFAULTS.hourlyRate;
+    assumptions.push(`Labor valued at the default ₹${hourlyRate}/hour`);
+  } else if (!isNonNegative(hourlyRate)) {
+    errors.push({ path: 'labor.hourlyRate', message: 'must be a number ≥ 0' });
+  }
+
+  const overheadAmount = readNumber(body.overhead?.amount);
+  let overheadPercent = readNumber(body.overhead?.percent);
+  if (overheadAmount !== undefined && !isNonNegative(overheadAmount)) {
+    errors.push({ path: 'overhead.amount', message: 'must be a number ≥ 0' });
+  }
+  if (overheadAmount === undefined && overheadPercent === undefined) {
+    overheadPercent = DEFAULTS.overheadPercent;
+    assumptions.push(`Overhead (tools, power, workspace) at the default ${overheadPercent}% of materials and labor`);
+  } else if (overheadPercent !== undefined && !(isNonNegative(overheadPercent) && overheadPercent <= 100)) {
+    errors.push({ path: 'overhead.percent', message: 'must be between 0 and 100' });
+  }
+
+  const packaging = readNumber(body.packaging) ?? 0;
+  if (!isNonNegative(packaging)) errors.push({ path: 'packaging', message: 'must be a number ≥ 0' });
+
+  const platformFeePercent = readNumber(body.platform?.feePercent) ?? 0;
+  const platformFixedFee = readNumber(body.platform?.fixedFee) ?? 0;
+  if (!(isNonNegative(platformFeePercent) && platformFeePercent < 100)) {
+    errors.push({ path: 'platform.feePercent', message: 'must be between 0 and 99' });
+  }
+  if (!isNonNegative(platformFixedFee)) errors.push({ path: 'platform.fixedFee', message: 'must be a number ≥ 0' });
+
+  let profitMarginPercent = readNumber(body.profitMarginPercent);
+  if (profitMarginPercent === undefined) {
+    profitMarginPercent = DEFAULTS.profitMarginPercent;
+    assumptions.push(`Profit margin at the default ${profitMarginPercent}% of production cost`);
+  } else if (!(isNonNegative(profitMarginPercent) && profitMarginPercent <= 500)) {
+    errors.push({ path: 'profitMarginPercent', message: 'must be between 0 and 500' });
+  }
+
+  let gstRate = readNumber(body.gstRate);
+  if (gstRate === undefined) {
+    gstRate = DEFAULTS.gstRate;
+    assumptions.push(`GST at the default ${gstRate}% rate`);
+  } else if (!GST_RATES.includes(gstRate)) {
+    errors.push({ path: 'gstRate', message: `must be one of ${GST_RATES.join(', ')}` });
+  }
+
+  const roundTo = readNumber(body.roundTo) ?? 1;
+  if (!(isNonNegative(roundTo) && roundTo <= 1000)) errors.push({ path: 'roundTo', message: 'must be between 0 and 1000' });
+
+  if (errors.length > 0) return { errors, assumptions };
+
+  return {
+    errors,
+    assumptions,
+    input: {
+      billOfMaterials,
+      labor: { hours, hourlyRate },
+      overhead: overheadAmount !== undefined ? { amount: overheadAmount } : { percent: overheadPercent },
+      packaging,
+      platform: { name: body.platform?.name, feePercent: platformFeePercent, fixedFee: platformFixedFee },
+      profitMarginPercent,
+      gstRate,
+      roundTo
+    }
+  };
+}
+
+/**
+ * Cost-plus price with an itemized breakdown that sums exactly to the total
+ * @param {Object} input - Output of normalizeCostInput().input
+ * @returns {Object} Costing with lineItems (rupees), subtotals and total
+ */
+function calculateCost(input) {
+  const materials = input.billOfMaterials.map(item => ({
+    ...item,
+    amountPaise: Math.round(item.quantity * toPaise(item.unitCost))
+  }));
+  const materialsPaise = materials.reduce((sum, item) => sum + item.amountPaise, 0);
+  const laborPaise = Math.round(input.labor.hours * toPaise(input.labor.hourlyRate));
+
+  const overheadPaise = input.overhead.amount !== undefined
+    ? toPaise(input.overhead.amount)
+    : Math.round((materialsPaise + laborPaise) * input.overhead.percent / 100);
+  const packagingPaise = toPaise(input.packaging);
+
+  const productionPaise = materialsPaise + laborPaise + overheadPaise + packagingPaise;
+  const profitPaise = Math.round(productionPaise * input.profitMarginPercent / 100);
+
+  // Platform commission is charged on the pre-tax selling price, so gross up and let the fee absorb paisa rounding
+  const fixedFeePaise = toPaise(input.platform.fixedFee);
+  const netPaise = productionPaise + profitPaise + fixedFeePaise;
+  const preTaxPaise = Math.ceil(netPaise / (1 - input.platform.feePercent / 100));
+  const platformFeePaise = preTaxPaise - productionPaise - profitPaise;
+
+  const gstPaise = Math.round(preTaxPaise * input.gstRate / 100);
+  const exactPaise = preTaxPaise + gstPaise;
+
+  // Round the customer price up to a clean figure; the difference is shown as its own line
+  const stepPaise = toPaise(input.roundTo);
+  const totalPaise = stepPaise > 0 ? Math.ceil(exactPaise / stepPaise) * stepPaise : exactPaise;
+  const roundingPaise = totalPaise - exactPaise;
+
+  const lineItems = [
+    { key: 'materials', label: 'Materials', amount: toRupees(materialsPaise) },
+    { key: 'labor', label: `Labor (${input.labor.hours} h × ₹${input.labor.hourlyRate})`, amount: toRupees(laborPaise) },
+    { key: 'overhead', label: input.overhead.amount !== undefined ? 'Overhead' : `Overhead (${input.overhead.percent}%)`, amount: toRupees(overheadPaise) },
+    { key: 'packaging', label: 'Packaging', amount: toRupees(packagingPaise) },
+    { key: 'profit', label: `Profit (${input.profitMarginPercent}%)`, amount: toRupees(profitPaise) },
+    { key: 'platformFees', label: input.platform.name ? `${input.platform.name} fees` : 'Platform fees', amount: toRupees(platformFeePaise) },
+    { key: 'gst', label: `GST (${input.gstRate}%)`, amount: toRupees(gstPaise) },
+    { key: 'rounding', label: 'Rounding', amount: toRupees(roundingPaise) }
+  ];
+
+  return {
+    currency: 'INR',
+    materials: materials.map(({ amountPaise, ...item }) => ({ ...item, amount: toRupees(amountPaise) })),
+    lineItems,
+    subtotals: {
+      productionCost: toRupees(productionPaise),
+      preTaxPrice: toRupees(preTaxPaise),
+      gst: toRupees(gstPaise)
+    },
+    // Lowest price that still covers costs, fees and tax with zero profit
+    breakEvenPrice: toRupees(Math.ceil((productionPaise + fixedFeePaise) / (1 - input.platform.feePercent / 100) * (1 + input.gstRate / 100))),
+    total: toRupees(totalPaise),
+    inputs: input
+  };
+}
+
+/**
+ * Recommended selling range for a positioning tier, never below the cost-based price
+ */
+function priceRangeFor(costing, positioning) {
+  const tier = POSITIONING_TIERS[positioning] || POSITIONING_TIERS['mid-range'];
+  const step = costing.inputs.roundTo > 0 ? costing.inputs.roundTo : 1;
+  const roundUp = (value) => Math.ceil(value / step) * step;
+  return {
+    min: Math.max(costing.total, roundUp(costing.total * tier.min)),
+    max: roundUp(costing.total * tier.max)
+  };
+}
+
+/**
+ * Extras derived from the same cost inputs (absolute ₹ add-ons and bulk discount %)
+ */
+function derivedPricing(costing) {
+  const { inputs, subtotals, total } = costing;
+  const rate = inputs.labor.hourlyRate;
+  const withTax = (amount) => Math.round(amount * (1 + inputs.gstRate / 100));
+  const materialsAndLabor = subtotals.productionCost - inputs.packaging;
+
+  // Bulk discounts give away a share of the profit only, so a bulk order never sells below cost
+  const profit = costing.lineItems.find(item => item.key === 'profit').amount;
+  const profitShare = total > 0 ? (profit * (1 + inputs.gstRate / 100)) / total * 100 : 0;
+  const discount = (share) => Math.floor(profitShare * share * 10) / 10;
+
+  return {
+    customizationPricing: {
+      colorVariation: withTax(rate * 0.5),
+      sizeIncrease: withTax(materialsAndLabor * 0.25),
+      personalEngraving: withTax(rate),
+      rushDelivery: Math.round(total * 0.2)
+    },
+    bulkDiscounts: {
+      quantity5: discount(0.25),
+      quantity10: discount(0.4),
+      quantity25: discount(0.6)
+    }
+  };
+}
+
+/**
+ * Positioning used when the AI provider cannot suggest one
+ */
+function defaultPositioning(complexity) {
+  const byComplexity = { simple: 'budget', moderate: 'mid-range', complex: 'premium', intricate: 'luxury' };
+  return byComplexity[String(complexity || '').toLowerCase()] || 'mid-range';
+}
+
+module.exports = {
+  DEFAULTS,
+  POSITIONING_TIERS,
+  GST_RATES,
+  normalizeCostInput,
+  calculateCost,
+  priceRangeFor,
+  derivedPricing,
+  defaultPositioning
+};
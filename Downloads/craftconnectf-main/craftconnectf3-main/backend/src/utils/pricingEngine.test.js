@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULTS, normalizeCostInput, calculateCost, priceRangeFor, derivedPricing } = require('./pricingEngine');
+
+const paise = (rupees) => Math.round(rupees * 100);
+
+function costFor(body) {
+  const { input, errors } = normalizeCostInput(body);
+  assert.deepEqual(errors, []);
+  return calculateCost(input);
+}
+
+const vase = {
+  billOfMaterials: [
+    { material: 'Clay', quantity: 2, unit: 'kg', unitCost: 150 },
+    { material: 'Glaze', quantity: 0.5, unit: 'l', unitCost: 80 }
+  ],
+  labor: { hours: 3, hourlyRate: 200 },
+  overhead: { percent: 10 },
+  packaging: 25,
+  platform: { name: 'Etsy', feePercent: 5, fixedFee: 10 },
+  profitMarginPercent: 20,
+  gstRate: 12,
+  roundTo: 10
+};
+
+test('normalizeCostInput fills configured defaults and lists them as assumptions', () => {
+  const { input, errors, assumptions } = normalizeCostInput({
+    billOfMaterials: [{ material: 'Cotton', quantity: '3', unitCost: '40' }],
+    labor: { hours: 2 }
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(input.billOfMaterials[0].quantity, 3);
+  assert.equal(input.labor.hourlyRate, DEFAULTS.hourlyRate);
+  assert.deepEqual(input.overhead, { percent: DEFAULTS.overheadPercent });
+  assert.equal(input.profitMarginPercent, DEFAULTS.profitMarginPercent);
+  assert.equal(input.gstRate, DEFAULTS.gstRate);
+  assert.equal(assumptions.length, 4);
+});
+
+test('normalizeCostInput reports each invalid field by path', () => {
+  const { input, errors } = normalizeCostInput({
+    billOfMaterials: [{ material: '', quantity: -1, unitCost: 'abc' }],
+    labor: {},
+    gstRate: 7,
+    platform: { feePercent: 100 }
+  });
+  assert.equal(input, undefined);
+  assert.deepEqual(errors.map(error => error.path).sort(), [
+    'billOfMaterials[0].material',
+    'billOfMaterials[0].quantity',
+    'billOfMaterials[0].unitCost',
+    'gstRate',
+    'labor.hours',
+    'platform.feePercent'
+  ]);
+});
+
+test('calculateCost itemizes a known product exactly', () => {
+  const costing = costFor(vase);
+  const amounts = Object.fromEntries(costing.lineItems.map(item => [item.key, item.amount]));
+  assert.deepEqual(amounts, {
+    materials: 340,
+    labor: 600,
+    overhead: 94,
+    packaging: 25,
+    profit: 211.8,
+    platformFees: 77.42,
+    gst: 161.79,
+    rounding: 9.99
+  });
+  assert.equal(costing.subtotals.productionCost, 1059);
+  assert.equal(costing.subtotals.preTaxPrice, 1348.22);
+  assert.equal(costing.total, 1520);
+});
+
+test('calculateCost line items always sum to the total', () => {
+  const cases = [
+    vase,
+    { ...vase, roundTo: 0 },
+    { ...vase, billOfMaterials: [{ material: 'Silk', quantity: 1.333, unitCost: 99.99 }], roundTo: 1 },
+    { ...vase, platform: { feePercent: 17.5, fixedFee: 3.33 }, gstRate: 18, profitMarginPercent: 37 },
+    { ...vase, overhead: { amount: 12.34 }, gstRate: 0, packaging: 0 }
+  ];
+  for (const body of cases) {
+    const costing = costFor(body);
+    const sum = costing.lineItems.reduce((total, item) => total + paise(item.amount), 0);
+    assert.equal(sum, paise(costing.total));
+  }
+});
+
+test('calculateCost rounds the customer price up to the roundTo step', () => {
+  const exact = costFor({ ...vase, roundTo: 0 });
+  assert.equal(exact.lineItems.find(item => item.key === 'rounding').amount, 0);
+  assert.equal(exact.total, 1510.01);
+
+  for (const roundTo of [1, 5, 50, 100]) {
+    const rounded = costFor({ ...vase, roundTo });
+    assert.equal(paise(rounded.total) % paise(roundTo), 0);
+    assert.ok(rounded.total >= exact.total);
+    assert.ok(rounded.total - exact.total < roundTo);
+  }
+});
+
+test('calculateCost grosses up platform fees so the artisan keeps cost plus profit', () => {
+  const costing = costFor(vase);
+  const fee = costing.lineItems.find(item => item.key === 'platformFees').amount;
+  const charged = costing.subtotals.preTaxPrice * vase.platform.feePercent / 100 + vase.platform.fixedFee;
+  assert.ok(fee >= charged - 0.01);
+  assert.ok(costing.breakEvenPrice < costing.total);
+});
+
+test('priceRangeFor never recommends less than the cost-based price', () => {
+  const costing = costFor(vase);
+  for (const positioning of ['budget', 'mid-range', 'premium', 'luxury', 'unknown']) {
+    const range = priceRangeFor(costing, positioning);
+    assert.ok(range.min >= costing.total);
+    assert.ok(range.max >= range.min);
+    assert.equal(range.max % vase.roundTo, 0);
+  }
+});
+
+test('derivedPricing bulk discounts only give away profit', () => {
+  const costing = costFor(vase);
+  const { bulkDiscounts } = derivedPricing(costing);
+  assert.ok(bulkDiscounts.quantity5 < bulkDiscounts.quantity10);
+  assert.ok(bulkDiscounts.quantity10 < bulkDiscounts.quantity25);
+  assert.ok(costing.total * (1 - bulkDiscounts.quantity25 / 100) > costing.breakEvenPrice);
+});
@@ -0,0 +1,183 @@
+/**
+ * Stored quotation lifecycle: statuses, customer terms and version diffs.
+ * Revising a quote appends a version and reopens it as a draft; accepted quotes are final.
+ */
+const QUOTATION_STATUSES = ['draft', 'sent', 'accepted', 'rejected', 'expired'];
+
+const TRANSITIONS = {
+  draft: ['sent', 'expired'],
+  sent: ['accepted', 'rejected', 'expired'],
+  accepted: [],
+  rejected: [],
+  expired: []
+};
+
+// Statuses a quote may be revised from (the revision returns it to draft)
+const REVISABLE = ['draft', 'sent', 'rejected', 'expired'];
+
+const VALIDITY_DAYS = Number(process.env.QUOTATION_VALIDITY_DAYS) || 15;
+const MAX_VALIDITY_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum quantity for each bulkDiscounts tier produced by the pricing engine
+const BULK_TIERS = [
+  { key: 'quantity25', minQuantity: 25 },
+  { key: 'quantity10', minQuantity: 10 },
+  { key: 'quantity5', minQuantity: 5 }
+];
+
+/**
+ * Validity end date for a quote issued now
+ * @param {number} [days] - Requested validity, clamped to 1..MAX_VALIDITY_DAYS
+ */
+function validUntilFrom(days, now = new Date()) {
+  const requested = Number(days);
+  const validity = Number.isFinite(requested) && requested > 0
+    ? Math.min(Math.ceil(requested), MAX_VALIDITY_DAYS)
+    : VALIDITY_DAYS;
+  return new Date(now.getTime() + validity * DAY_MS);
+}
+
+/**
+ * Check whether a quote may move to a status
+ * @returns {{ok: boolean, currentStatus: string, allowedNextStatuses: string[], message?: string}}
+ */
+function checkStatusChange(quotation, to) {
+  const currentStatus = quotation.status;
+  const allowed = TRANSITIONS[currentStatus] || [];
+  if (allowed.includes(to)) {
+    return { ok: true, currentStatus, allowedNextStatuses: allowed };
+  }
+  return {
+    ok: false,
+    currentStatus,
+    allowedNextStatuses: allowed,
+    message: `Cannot move quotation from "${currentStatus}" to "${to}"`
+  };
+}
+
+/**
+ * Move a quote to a status and record it (not saved)
+ * @param {Object} quotation - Quotation document
+ * @param {string} to - Target status
+ * @param {string} by - User id, 'customer' or 'system'
+ */
+function applyStatus(quotation, to, by) {
+  const check = checkStatusChange(quotation, to);
+  if (!check.ok) return check;
+
+  quotation.statusHistory.push({ from: quotation.status, to, at: new Date(), by: by ? String(by) : undefined });
+  quotation.status = to;
+  return { ok: true, currentStatus: to, allowedNextStatuses: TRANSITIONS[to] };
+}
+
+/**
+ * Customer terms for a priced quotation: agreed unit price, quantity and bulk discount
+ * @param {Object} quotation - buildQuotation() output
+ * @param {Object} [options] - { quotedPrice, quantity }
+ * @returns {{terms?: Object, errors: Array<{path: string, message: string}>}}
+ */
+function termsFor(quotation, { quotedPrice, quantity } = {}) {
+  const errors = [];
+  const units = quantity === undefined ? 1 : Number(quantity);
+  if (!(Number.isInteger(units) && units >= 1 && units <= 10000)) {
+    errors.push({ path: 'quantity', message: 'must be a whole number between 1 and 10000' });
+  }
+
+  const unitPrice = quotedPrice === undefined ? quotation.basePrice : Number(quotedPrice);
+  if (!Number.isFinite(unitPrice)) {
+    errors.push({ path: 'quotedPrice', message: 'must be a number' });
+  } else if (unitPrice < quotation.breakEvenPrice) {
+    errors.push({ path: 'quotedPrice', message: `must be at least the break-even price ₹${quotation.breakEvenPrice}` });
+  }
+  if (errors.length > 0) return { errors };
+
+  const tier = BULK_TIERS.find(({ minQuantity }) => units >= minQuantity);
+  const discountPercent = tier ? quotation.bulkDiscounts?.[tier.key] || 0 : 0;
+  return {
+    errors,
+    terms: {
+      unitPrice,
+      quantity: units,
+      discountPercent,
+      total: Math.round(unitPrice * units * (1 - discountPercent / 100) * 100) / 100
+    }
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function flatten(value, prefix, acc) {
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) flatten(child, prefix ? `${prefix}.${key}` : key, acc);
+  } else {
+    acc[prefix] = value;
+  }
+  return acc;
+}
+
+/**
+ * Field-level changes between two versions (arrays such as the bill of materials compare whole)
+ * @returns {Array<{path: string, from: *, to: *}>}
+ */
+function diffVersions(from, to) {
+  const comparable = (stored) => {
+    // Versions may be subdocuments or plain objects
+    const version = JSON.parse(JSON.stringify(stored));
+    return flatten({
+      request: version.request,
+      terms: version.terms,
+      quotation: {
+        basePrice: version.quotation.basePrice,
+        priceRange: version.quotation.priceRange,
+        breakdown: version.quotation.breakdown,
+        breakEvenPrice: version.quotation.breakEvenPrice,
+        positioning: version.quotation.positioning
+      },
+      ...(version.international && {
+        international: {
+          currency: version.international.currency,
+          exchangeRate: version.international.exchangeRate,
+          shipping: version.international.shipping?.amountInr,
+          destinationTax: version.international.destinationTax?.amountInr,
+          total: version.international.total
+        }
+      })
+    }, '', {});
+  };
+
+  const before = comparable(from);
+  const after = comparable(to);
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return paths
+    .filter(path => JSON.stringify(before[path]) !== JSON.stringify(after[path]))
+    .map(path => ({ path, from: before[path] ?? null, to: after[path] ?? null }));
+}
+
+/**
+ * Standard 409 body for a rejected status change
+ */
+function statusConflict(res, result) {
+  return res.status(409).json({
+    success: false,
+    error: 'Invalid quotation status change',
+    message: result.message,
+    currentStatus: result.currentStatus,
+    allowedNextStatuses: result.allowedNextStatuses
+  });
+}
+
+module.exports = {
+  QUOTATION_STATUSES,
+  TRANSITIONS,
+  REVISABLE,
+  VALIDITY_DAYS,
+  validUntilFrom,
+  checkStatusChange,
+  applyStatus,
+  termsFor,
+  diffVersions,
+  statusConflict
+};
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  QUOTATION_STATUSES,
+  TRANSITIONS,
+  checkStatusChange,
+  applyStatus,
+  termsFor,
+  diffVersions
+} = require('./quotationFlow');
+
+const priced = {
+  basePrice: 1200,
+  breakEvenPrice: 900,
+  priceRange: { min: 1200, max: 1500 },
+  breakdown: [{ key: 'materials', amount: 400 }],
+  positioning: 'mid-range',
+  bulkDiscounts: { quantity5: 3, quantity10: 5, quantity25: 8 }
+};
+
+function version(overrides = {}) {
+  return {
+    version: 1,
+    request: { productName: 'Vase', labor: { hours: 3 }, billOfMaterials: [{ material: 'Clay', quantity: 2, unitCost: 150 }] },
+    quotation: priced,
+    terms: { unitPrice: 1200, quantity: 1, discountPercent: 0, total: 1200 },
+    ...overrides
+  };
+}
+
+test('checkStatusChange follows the transition table for every status pair', () => {
+  for (const from of QUOTATION_STATUSES) {
+    for (const to of QUOTATION_STATUSES) {
+      const result = checkStatusChange({ status: from }, to);
+      assert.equal(result.ok, TRANSITIONS[from].includes(to), `${from} -> ${to}`);
+      assert.equal(result.currentStatus, from);
+      assert.deepEqual(result.allowedNextStatuses, TRANSITIONS[from]);
+    }
+  }
+});
+
+test('accepted, rejected and expired quotations are final', () => {
+  for (const status of ['accepted', 'rejected', 'expired']) {
+    const result = checkStatusChange({ status }, 'sent');
+    assert.equal(result.ok, false);
+    assert.match(result.message, new RegExp(`"${status}" to "sent"`));
+  }
+});
+
+test('applyStatus records the change and leaves refused changes untouched', () => {
+  const quote = { status: 'draft', statusHistory: [] };
+  assert.equal(applyStatus(quote, 'accepted', 'user-1').ok, false);
+  assert.equal(quote.status, 'draft');
+  assert.equal(quote.statusHistory.length, 0);
+
+  const result = applyStatus(quote, 'sent', 'user-1');
+  assert.deepEqual(result, { ok: true, currentStatus: 'sent', allowedNextStatuses: TRANSITIONS.sent });
+  assert.equal(quote.status, 'sent');
+  assert.deepEqual(
+    quote.statusHistory.map(({ from, to, by }) => ({ from, to, by })),
+    [{ from: 'draft', to: 'sent', by: 'user-1' }]
+  );
+});
+
+test('termsFor applies the bulk discount tier for the quantity', () => {
+  assert.deepEqual(termsFor(priced).terms, { unitPrice: 1200, quantity: 1, discountPercent: 0, total: 1200 });
+  assert.equal(termsFor(priced, { quantity: 4 }).terms.discountPercent, 0);
+  assert.equal(termsFor(priced, { quantity: 5 }).terms.discountPercent, 3);
+  assert.equal(termsFor(priced, { quantity: 24 }).terms.discountPercent, 5);
+  assert.deepEqual(termsFor(priced, { quantity: 25, quotedPrice: '1000' }).terms, {
+    unitPrice: 1000,
+    quantity: 25,
+    discountPercent: 8,
+    total: 23000
+  });
+});
+
+test('termsFor refuses prices below break-even and invalid quantities', () => {
+  const { terms, errors } = termsFor(priced, { quotedPrice: 899, quantity: 0 });
+  assert.equal(terms, undefined);
+  assert.deepEqual(errors.map(error => error.path), ['quantity', 'quotedPrice']);
+  assert.deepEqual(termsFor(priced, { quotedPrice: 'abc' }).errors.map(error => error.path), ['quotedPrice']);
+});
+
+test('diffVersions lists only the fields that changed, by path', () => {
+  const changes = diffVersions(version(), version({
+    version: 2,
+    request: { productName: 'Vase', labor: { hours: 4 }, billOfMaterials: [{ material: 'Clay', quantity: 3, unitCost: 150 }] },
+    terms: { unitPrice: 1300, quantity: 1, discountPercent: 0, total: 1300 }
+  }));
+  assert.deepEqual(changes, [
+    { path: 'request.labor.hours', from: 3, to: 4 },
+    { path: 'request.billOfMaterials', from: [{ material: 'Clay', quantity: 2, unitCost: 150 }], to: [{ material: 'Clay', quantity: 3, unitCost: 150 }] },
+    { path: 'terms.unitPrice', from: 1200, to: 1300 },
+    { path: 'terms.total', from: 1200, to: 1300 }
+  ]);
+});
+
+test('diffVersions reports added international pricing and ignores identical versions', () => {
+  assert.deepEqual(diffVersions(version(), version({ version: 2 })), []);
+
+  const changes = diffVersions(version(), version({
+    international: { currency: 'USD', exchangeRate: 0.012, shipping: { amountInr: 800 }, total: 24 }
+  }));
+  assert.deepEqual(changes.map(change => change.path), [
+    'international.currency',
+    'international.exchangeRate',
+    'international.shipping',
+    'international.total'
+  ]);
+  assert.ok(changes.every(change => change.from === null));
+});
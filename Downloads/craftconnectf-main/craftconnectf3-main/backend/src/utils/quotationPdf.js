@@ -0,0 +1,211 @@
+/**
+ * Branded PDF rendering for stored quotations (quotation or proforma invoice).
+ * The built-in Helvetica only covers Latin-1, so ₹ prints as "Rs." unless a Unicode
+ * TTF is configured with QUOTATION_PDF_FONT (e.g. Noto Sans, which also covers Indic names).
+ */
+const PDFDocument = require('pdfkit');
+
+const BRAND_COLOR = '#ec6d13';
+const MUTED_COLOR = '#897261';
+const TEXT_COLOR = '#181411';
+
+const PDF_TYPES = ['quotation', 'proforma'];
+const DEFAULT_PAYMENT_TERMS = process.env.QUOTATION_PAYMENT_TERMS ||
+  '50% advance to confirm the order, balance before dispatch.';
+
+const CUSTOMIZATION_LABELS = {
+  colorVariation: 'Colour variation',
+  sizeIncrease: 'Larger size',
+  personalEngraving: 'Personal engraving',
+  rushDelivery: 'Rush delivery'
+};
+
+function setupFonts(doc) {
+  const regular = process.env.QUOTATION_PDF_FONT;
+  if (!regular) return { regular: 'Helvetica', bold: 'Helvetica-Bold', unicode: false };
+  doc.registerFont('Body', regular);
+  doc.registerFont('Body-Bold', process.env.QUOTATION_PDF_FONT_BOLD || regular);
+  return { regular: 'Body', bold: 'Body-Bold', unicode: true };
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Render a quotation document to a PDF buffer
+ * @param {Object} quote - Quotation document
+ * @param {Object} [options] - { type: 'quotation'|'proforma', artisan: { name, businessName, phone } }
+ * @returns {Promise<Buffer>}
+ */
+function renderQuotationPdf(quote, { type = 'quotation', artisan = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${quote.quoteNumber} - ${quote.productName}`, Author: 'Craft Connect' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const fonts = setupFonts(doc);
+    const clean = (value) => {
+      const text = String(value ?? '');
+      // Latin-1 plus the WinAnsi punctuation the standard fonts can encode
+      return fonts.unicode ? text : text.replace(/₹\s?/g, 'Rs. ').replace(/[^\x20-\xFF\n\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/g, '?');
+    };
+    const money = (amount) => {
+      const digits = Number.isInteger(Number(amount)) ? 0 : 2;
+      return clean(`₹${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: digits, maximumFractionDigits: 2 })}`);
+    };
+
+    const foreign = (amount, currency) => clean(Number(amount).toLocaleString('en-IN', { style: 'currency', currency }));
+
+    const { quotation, terms, request, international } = quote.latestVersion();
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const width = right - left;
+
+    const row = (label, value, { bold = false, color = TEXT_COLOR } = {}) => {
+      const y = doc.y;
+      doc.font(bold ? fonts.bold : fonts.regular).fontSize(10).fillColor(color);
+      doc.text(clean(label), left, y, { width: width - 120 });
+      const labelBottom = doc.y;
+      doc.text(value, right - 120, y, { width: 120, align: 'right' });
+      doc.y = Math.max(labelBottom, doc.y) + 4;
+    };
+    const heading = (text) => {
+      doc.moveDown(0.8);
+      doc.font(fonts.bold).fontSize(12).fillColor(BRAND_COLOR).text(clean(text), left);
+      doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).strokeColor('#e6e0db').stroke();
+      doc.moveDown(0.5);
+    };
+
+    // Header: artisan and document details
+    const isProforma = type === 'proforma';
+    doc.font(fonts.bold).fontSize(20).fillColor(BRAND_COLOR).text(clean(artisan.businessName || artisan.name || 'Craft Connect artisan'), left, 50);
+    if (artisan.businessName && artisan.name) doc.font(fonts.regular).fontSize(10).fillColor(MUTED_COLOR).text(clean(artisan.name));
+    if (artisan.phone) doc.font(fonts.regular).fontSize(10).fillColor(MUTED_COLOR).text(artisan.phone);
+
+    doc.font(fonts.bold).fontSize(16).fillColor(TEXT_COLOR)
+      .text(isProforma ? 'PROFORMA INVOICE' : 'QUOTATION', left, 50, { width, align: 'right' });
+    doc.font(fonts.regular).fontSize(10).fillColor(MUTED_COLOR)
+      .text(isProforma ? `No. PI-${quote.quoteNumber.replace(/^Q-/, '')}` : `No. ${quote.quoteNumber}`, { width, align: 'right' })
+      .text(`Version ${quote.currentVersion}`, { width, align: 'right' })
+      .text(`Date ${formatDate(quote.sentAt || quote.updatedAt || new Date())}`, { width, align: 'right' })
+      .text(`Valid until ${formatDate(quote.validUntil)}`, { width, align: 'right' });
+    if (quote.status === 'draft') doc.font(fonts.bold).fillColor(BRAND_COLOR).text('DRAFT', { width, align: 'right' });
+
+    doc.y = Math.max(doc.y, 140);
+    if (quote.customer?.name || quote.customer?.phone || quote.customer?.email) {
+      doc.font(fonts.bold).fontSize(10).fillColor(TEXT_COLOR).text('Prepared for', left);
+      doc.font(fonts.regular).fillColor(TEXT_COLOR);
+      [quote.customer.name, quote.customer.phone, quote.customer.email].filter(Boolean).forEach(line => doc.text(clean(line)));
+    }
+
+    // Product
+    heading(quote.productName);
+    if (request.description) {
+      doc.font(fonts.regular).fontSize(10).fillColor(MUTED_COLOR).text(clean(request.description), left, doc.y, { width });
+      doc.moveDown(0.5);
+    }
+
+    heading('Price breakdown (per piece)');
+    quotation.lineItems
+      .filter(item => item.amount !== 0)
+      .forEach(item => row(item.label, money(item.amount)));
+    row('Price per piece (incl. GST)', money(quotation.basePrice), { bold: true });
+
+    heading('Order');
+    if (terms.unitPrice !== quotation.basePrice) row('Quoted price per piece', money(terms.unitPrice));
+    row('Quantity', String(terms.quantity));
+    if (terms.discountPercent > 0) row(`Bulk discount (${terms.discountPercent}%)`, `- ${money(terms.unitPrice * terms.quantity - terms.total)}`);
+    if (isProforma && quotation.subtotals?.preTaxPrice > 0) {
+      // Same GST rate as the breakdown, applied to the order total
+      const rate = Math.round(quotation.subtotals.gst / quotation.subtotals.preTaxPrice * 100);
+      const taxable = Math.round(terms.total / (1 + rate / 100) * 100) / 100;
+      row('Taxable value', money(taxable));
+      row(`GST (${rate}%)`, money(Math.round((terms.total - taxable) * 100) / 100));
+    }
+    row('Total payable', money(terms.total), { bold: true, color: BRAND_COLOR });
+
+    // Overseas buyers: shipping, import tax and the total in their currency
+    if (international) {
+      const { destination, currency, shipping, destinationTax } = international;
+      heading(`Delivery to ${destination.name}`);
+      row(`Shipping (${shipping.chargeableKg} kg, ${shipping.days[0]}-${shipping.days[1]} days)`, money(shipping.amountInr));
+      if (destinationTax.amountInr > 0) {
+        row(`${destinationTax.type} ${destinationTax.rate}% (${destinationTax.included ? 'included' : 'paid by buyer on import, estimate'})`, money(destinationTax.amountInr));
+      }
+      row('Total with delivery', money(international.totalInr), { bold: true });
+      if (currency !== 'INR') {
+        row(`Total in ${currency}`, foreign(international.total, currency), { bold: true, color: BRAND_COLOR });
+        doc.font(fonts.regular).fontSize(8).fillColor(MUTED_COLOR)
+          .text(`1 INR = ${international.exchangeRate} ${currency} (${international.rateSource}${international.ratesAsOf ? `, ${international.ratesAsOf}` : ''}). Payment is due in INR unless agreed otherwise.`, left, doc.y, { width });
+      }
+    }
+
+    // Optional extras
+    const customization = Object.entries(quotation.customizationPricing || {}).filter(([, amount]) => amount > 0);
+    if (customization.length > 0) {
+      heading('Optional add-ons (per piece)');
+      customization.forEach(([key, amount]) => row(CUSTOMIZATION_LABELS[key] || key, money(amount)));
+    }
+
+    // Size, colour and material choices, priced against the quoted piece
+    const variants = quotation.customizationPricing?.variants || [];
+    if (variants.length > 0) {
+      heading('Available options (per piece)');
+      variants.forEach(variant => row(
+        `${variant.label}${variant.inStock ? '' : ' (made to order)'}`,
+        variant.surcharge > 0 ? `+ ${money(variant.surcharge)}` : variant.surcharge < 0 ? `- ${money(-variant.surcharge)}` : 'Included'
+      ));
+    }
+
+    const discounts = quotation.bulkDiscounts || {};
+    if (Object.values(discounts).some(value => value > 0)) {
+      heading('Bulk order discounts');
+      [['5 pieces or more', discounts.quantity5], ['10 pieces or more', discounts.quantity10], ['25 pieces or more', discounts.quantity25]]
+        .filter(([, percent]) => percent > 0)
+        .forEach(([label, percent]) => row(label, `${percent}% off`));
+    }
+
+    heading('Terms');
+    doc.font(fonts.regular).fontSize(10).fillColor(TEXT_COLOR)
+      .text(`Payment: ${clean(quote.paymentTerms || DEFAULT_PAYMENT_TERMS)}`, left, doc.y, { width })
+      .text(`This ${isProforma ? 'proforma invoice' : 'quotation'} is valid until ${formatDate(quote.validUntil)}. ${international?.export && !(quotation.subtotals?.gst > 0) ? 'Export supply, zero-rated for GST; import duties and taxes follow the destination rules.' : 'Prices include GST.'}`, { width });
+    if (isProforma) doc.text('This is a proforma invoice and not a tax invoice.', { width });
+
+    doc.moveDown(2);
+    doc.font(fonts.regular).fontSize(8).fillColor(MUTED_COLOR).text('Prepared with Craft Connect', left, doc.y, { width, align: 'center' });
+
+    doc.end();
+  });
+}
+
+/**
+ * File name used for downloads and message attachments
+ */
+function pdfFileName(quote, type = 'quotation') {
+  const prefix = type === 'proforma' ? `PI-${quote.quoteNumber.replace(/^Q-/, '')}` : quote.quoteNumber;
+  return `${prefix}-v${quote.currentVersion}.pdf`;
+}
+
+/**
+ * Public PDF links for a sent quote, usable as WhatsApp document links or email attachments
+ */
+function documentLinks(quote, req) {
+  if (!quote.publicToken) return null;
+  const base = (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return Object.fromEntries(PDF_TYPES.map(type => [type, {
+    url: `${base}/api/quotes/${quote.publicToken}/pdf?type=${type}`,
+    filename: pdfFileName(quote, type),
+    mimeType: 'application/pdf'
+  }]));
+}
+
+module.exports = {
+  PDF_TYPES,
+  DEFAULT_PAYMENT_TERMS,
+  renderQuotationPdf,
+  pdfFileName,
+  documentLinks
+};
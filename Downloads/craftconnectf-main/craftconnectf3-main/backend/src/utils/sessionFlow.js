@@ -0,0 +1,151 @@
+/**
+ * BusinessSession wizard state machine.
+ * Each step lists the steps it may move to; self-loops allow re-running a stage
+ * (re-validating the summary, re-analyzing the product, regenerating recommendations).
+ */
+const INITIAL_STEP = 'business_overview_complete';
+const FINAL_STEP = 'complete';
+
+const TRANSITIONS = {
+  business_overview_complete: ['ready_for_product_analysis'],
+  ready_for_product_analysis: ['ready_for_product_analysis', 'product_analysis_complete'],
+  product_analysis_complete: ['product_analysis_complete', 'ready_for_recommendations', 'product_needs_revision'],
+  product_needs_revision: ['product_analysis_complete'],
+  ready_for_recommendations: ['complete'],
+  complete: ['complete']
+};
+
+// Data that must exist on the session before it may enter a step
+const GUARDS = {
+  ready_for_product_analysis: session => session.businessSummaryApproved === true,
+  product_analysis_complete: session => !!session.productAnalysis?.productSummary?.name,
+  ready_for_recommendations: session => session.productApproved === true,
+  complete: session => !!(session.finalRecommendations?.primaryRecommendations?.length || session.finalRecommendations?.nextSteps?.length)
+};
+
+const STEPS = Object.keys(TRANSITIONS);
+
+/**
+ * Number of transitions on the shortest path between two steps (Infinity when unreachable)
+ */
+function distance(from, to) {
+  if (from === to) return 0;
+  const seen = new Set([from]);
+  let frontier = [from];
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const next = [];
+    for (const step of frontier) {
+      for (const target of TRANSITIONS[step] || []) {
+        if (target === to) return depth;
+        if (!seen.has(target)) {
+          seen.add(target);
+          next.push(target);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return Infinity;
+}
+
+/**
+ * Percentage of the shortest route from the first to the final step that a session has covered
+ */
+function completionRate(step) {
+  const done = distance(INITIAL_STEP, step);
+  const remaining = distance(step, FINAL_STEP);
+  if (!Number.isFinite(done) || !Number.isFinite(remaining)) return 0;
+  return Math.round(100 * done / (done + remaining));
+}
+
+function allowedNextSteps(step) {
+  return TRANSITIONS[step] || [];
+}
+
+/**
+ * Check whether a session may move to a step (table only; data guards run in applyTransition)
+ * @returns {{ok: boolean, currentStep: string, allowedNextSteps: string[], message?: string}}
+ */
+function checkTransition(session, to) {
+  const currentStep = session.step;
+  const allowed = allowedNextSteps(currentStep);
+  if (session.isActive === false) {
+    return { ok: false, currentStep, allowedNextSteps: [], message: 'Session is archived; restore it to continue' };
+  }
+  if (allowed.includes(to)) {
+    return { ok: true, currentStep, allowedNextSteps: allowed };
+  }
+  return {
+    ok: false,
+    currentStep,
+    allowedNextSteps: allowed,
+    message: `Cannot move session from "${currentStep}" to "${to}"`
+  };
+}
+
+/**
+ * Move a session to a step and record the transition (not saved)
+ * @param {Object} session - BusinessSession document
+ * @param {string} to - Target step
+ * @param {Object} [meta] - { by } user who triggered the transition
+ * @returns {{ok: boolean, currentStep: string, allowedNextSteps: string[], message?: string}}
+ */
+function applyTransition(session, to, meta = {}) {
+  const check = checkTransition(session, to);
+  if (!check.ok) return check;
+
+  const guard = GUARDS[to];
+  if (guard && !guard(session)) {
+    return { ...check, ok: false, message: `Session is missing the data required for "${to}"` };
+  }
+
+  const now = new Date();
+  const last = session.transitions.length > 0
+    ? session.transitions[session.transitions.length - 1].at
+    : session.createdAt;
+
+  session.transitions.push({
+    from: session.step,
+    to,
+    at: now,
+    by: meta.by,
+    secondsInPreviousStep: Math.max(0, Math.round((now - last) / 1000))
+  });
+  session.step = to;
+  return { ok: true, currentStep: to, allowedNextSteps: allowedNextSteps(to) };
+}
+
+/**
+ * Seconds from session creation to its latest transition
+ */
+function timeSpentSeconds(session) {
+  const transitions = session.transitions || [];
+  if (transitions.length === 0 || !session.createdAt) return 0;
+  return Math.max(0, Math.round((transitions[transitions.length - 1].at - session.createdAt) / 1000));
+}
+
+/**
+ * Standard 409 body for a rejected transition
+ */
+function transitionConflict(res, result) {
+  return res.status(409).json({
+    success: false,
+    error: 'Invalid step transition',
+    message: result.message,
+    currentStep: result.currentStep,
+    allowedNextSteps: result.allowedNextSteps
+  });
+}
+
+module.exports = {
+  STEPS,
+  INITIAL_STEP,
+  FINAL_STEP,
+  TRANSITIONS,
+  allowedNextSteps,
+  checkTransition,
+  applyTransition,
+  completionRate,
+  timeSpentSeconds,
+  transitionConflict
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STEPS,
+  INITIAL_STEP,
+  FINAL_STEP,
+  TRANSITIONS,
+  checkTransition,
+  applyTransition,
+  completionRate,
+  timeSpentSeconds
+} = require('./sessionFlow');
+
+function sessionAt(step, fields = {}) {
+  return { step, transitions: [], createdAt: new Date(Date.now() - 60 * 1000), ...fields };
+}
+
+test('every transition targets a known step and the final step is reachable from all of them', () => {
+  for (const [step, targets] of Object.entries(TRANSITIONS)) {
+    targets.forEach(target => assert.ok(STEPS.includes(target), `${step} -> ${target}`));
+    assert.ok(completionRate(step) >= 0);
+  }
+  assert.equal(completionRate(INITIAL_STEP), 0);
+  assert.equal(completionRate(FINAL_STEP), 100);
+  assert.equal(completionRate('product_analysis_complete'), 50);
+  assert.equal(completionRate('unknown_step'), 0);
+});
+
+test('checkTransition allows table moves and lists the alternatives when refusing', () => {
+  assert.equal(checkTransition(sessionAt(INITIAL_STEP), 'ready_for_product_analysis').ok, true);
+
+  const refused = checkTransition(sessionAt(INITIAL_STEP), 'complete');
+  assert.equal(refused.ok, false);
+  assert.equal(refused.currentStep, INITIAL_STEP);
+  assert.deepEqual(refused.allowedNextSteps, ['ready_for_product_analysis']);
+  assert.match(refused.message, /Cannot move session/);
+});
+
+test('checkTransition refuses any move on an archived session', () => {
+  const result = checkTransition(sessionAt(INITIAL_STEP, { isActive: false }), 'ready_for_product_analysis');
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.allowedNextSteps, []);
+  assert.match(result.message, /archived/);
+});
+
+test('applyTransition enforces the data guards before moving', () => {
+  const session = sessionAt(INITIAL_STEP);
+  const blocked = applyTransition(session, 'ready_for_product_analysis');
+  assert.equal(blocked.ok, false);
+  assert.equal(session.step, INITIAL_STEP);
+  assert.equal(session.transitions.length, 0);
+
+  session.businessSummaryApproved = true;
+  const moved = applyTransition(session, 'ready_for_product_analysis', { by: 'user-1' });
+  assert.equal(moved.ok, true);
+  assert.equal(session.step, 'ready_for_product_analysis');
+  assert.deepEqual(moved.allowedNextSteps, TRANSITIONS.ready_for_product_analysis);
+});
+
+test('applyTransition records who moved the session and how long the previous step took', () => {
+  const session = sessionAt('ready_for_product_analysis', {
+    productAnalysis: { productSummary: { name: 'Blue pottery vase' } }
+  });
+  applyTransition(session, 'product_analysis_complete', { by: 'user-1' });
+
+  const [transition] = session.transitions;
+  assert.equal(transition.from, 'ready_for_product_analysis');
+  assert.equal(transition.to, 'product_analysis_complete');
+  assert.equal(transition.by, 'user-1');
+  assert.ok(transition.secondsInPreviousStep >= 59);
+  assert.equal(timeSpentSeconds(session), transition.secondsInPreviousStep);
+});
+
+test('a rejected product goes back through analysis before recommendations', () => {
+  const session = sessionAt('product_analysis_complete', {
+    productAnalysis: { productSummary: { name: 'Brass lamp' } }
+  });
+  assert.equal(applyTransition(session, 'product_needs_revision').ok, true);
+  assert.equal(checkTransition(session, 'ready_for_recommendations').ok, false);
+  assert.equal(applyTransition(session, 'product_analysis_complete').ok, true);
+  assert.equal(applyTransition(session, 'ready_for_recommendations').ok, false);
+
+  session.productApproved = true;
+  assert.equal(applyTransition(session, 'ready_for_recommendations').ok, true);
+  assert.equal(timeSpentSeconds({ transitions: [] }), 0);
+});
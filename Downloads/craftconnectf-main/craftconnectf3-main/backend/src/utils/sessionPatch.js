@@ -0,0 +1,179 @@
+const BusinessSession = require('../models/BusinessSession');
+
+/**
+ * Fields the artisan may edit in each wizard stage, and the steps in which that stage is open.
+ * Entries ending in ".*" allow every leaf field of that sub-document.
+ * Flow fields (step, completionRate, approvals), transcripts, language and ownership are never patchable.
+ */
+const PATCH_STAGES = {
+  summary: {
+    steps: ['business_overview_complete', 'ready_for_product_analysis'],
+    fields: ['businessSummary.*']
+  },
+  product: {
+    steps: ['product_analysis_complete', 'product_needs_revision', 'ready_for_recommendations'],
+    fields: [
+      'productAnalysis.productSummary.*',
+      'productAnalysis.marketingInsights.*',
+      'productAnalysis.digitalMarketingStrategy.instagramHashtags',
+      'productAnalysis.digitalMarketingStrategy.keywordFocus',
+      'productAnalysis.digitalMarketingStrategy.contentAngles',
+      'productFeedback'
+    ]
+  },
+  recommendations: {
+    steps: ['complete'],
+    fields: [
+      'finalRecommendations.marketingMessages.*',
+      'finalRecommendations.contentStrategy.*',
+      'finalRecommendations.nextSteps'
+    ]
+  }
+};
+
+const MAX_STRING_LENGTH = 5000;
+const MAX_ARRAY_ITEMS = 50;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten a nested patch ({ businessSummary: { location } }) into dot paths; arrays are leaf values
+ */
+function flattenPatch(patch, prefix = '') {
+  return Object.entries(patch).reduce((acc, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && !BusinessSession.schema.path(path)) {
+      Object.assign(acc, flattenPatch(value, path));
+    } else {
+      acc[path] = value;
+    }
+    return acc;
+  }, {});
+}
+
+function isAllowed(stage, path) {
+  return PATCH_STAGES[stage].fields.some(field => field.endsWith('.*')
+    ? path.startsWith(field.slice(0, -1))
+    : path === field
+  );
+}
+
+/**
+ * Check a value against the schema type of its path without Mongoose's lenient casting
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkType(schemaType, value) {
+  switch (schemaType.instance) {
+    case 'String':
+      if (typeof value !== 'string') return 'must be a string';
+      if (value.length > MAX_STRING_LENGTH) return `must be at most ${MAX_STRING_LENGTH} characters`;
+      return null;
+    case 'Number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'Boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    case 'Array': {
+      if (!Array.isArray(value)) return 'must be an array';
+      if (value.length > MAX_ARRAY_ITEMS) return `must have at most ${MAX_ARRAY_ITEMS} items`;
+      const itemType = schemaType.caster?.instance;
+      if (itemType === 'String' && !value.every(item => typeof item === 'string' && item.length <= MAX_STRING_LENGTH)) {
+        return 'must be an array of strings';
+      }
+      if (itemType && itemType !== 'String') return 'cannot be edited directly';
+      return null;
+    }
+    case 'Mixed':
+      return ['string', 'boolean', 'number'].includes(typeof value) ? null : 'must be a string, number or boolean';
+    default:
+      return 'cannot be edited directly';
+  }
+}
+
+function snapshot(value) {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Validate a stage patch and apply it to a session document (not saved)
+ * @param {Object} session - BusinessSession document
+ * @param {string} stage - Key of PATCH_STAGES
+ * @param {Object} patch - Nested object or dot-path map of changes
+ * @param {Object} [audit] - { by, source } recorded with the edit
+ * @returns {{ok: boolean, status?: number, error?: string, details?: Array, changes?: Array}}
+ */
+function applySessionPatch(session, stage, patch, audit = {}) {
+  const definition = PATCH_STAGES[stage];
+  if (!definition) {
+    return { ok: false, status: 400, error: 'Unknown stage', details: [{ message: `Stage must be one of: ${Object.keys(PATCH_STAGES).join(', ')}` }] };
+  }
+  if (session.isActive === false) {
+    return { ok: false, status: 409, error: 'Session archived', details: [{ message: 'Restore the session before editing it' }] };
+  }
+  if (!definition.steps.includes(session.step)) {
+    return {
+      ok: false,
+      status: 409,
+      error: 'Stage not editable',
+      details: [{ message: `"${stage}" can only be edited while the session is in: ${definition.steps.join(', ')} (current: ${session.step})` }]
+    };
+  }
+  if (!isPlainObject(patch) || Object.keys(patch).length === 0) {
+    return { ok: false, status: 400, error: 'Invalid session patch', details: [{ message: 'Request body must contain at least one field to change' }] };
+  }
+
+  const flat = flattenPatch(patch);
+  const details = [];
+
+  for (const [path, value] of Object.entries(flat)) {
+    const schemaType = BusinessSession.schema.path(path);
+    if (!schemaType || !isAllowed(stage, path)) {
+      details.push({ path, message: `not editable in the "${stage}" stage` });
+      continue;
+    }
+    const typeError = checkType(schemaType, value);
+    if (typeError) details.push({ path, message: typeError });
+  }
+
+  if (details.length > 0) {
+    return { ok: false, status: 400, error: 'Invalid session patch', details };
+  }
+
+  const changes = [];
+  for (const [path, value] of Object.entries(flat)) {
+    const from = snapshot(session.get(path));
+    if (JSON.stringify(from) === JSON.stringify(value)) continue;
+    session.set(path, value);
+    changes.push({ path, from, to: value });
+  }
+
+  const validationError = session.validateSync(Object.keys(flat));
+  if (validationError) {
+    return {
+      ok: false,
+      status: 400,
+      error: 'Invalid session patch',
+      details: Object.values(validationError.errors).map(err => ({ path: err.path, message: err.message }))
+    };
+  }
+
+  if (changes.length > 0) {
+    session.editHistory.push({
+      at: new Date(),
+      by: audit.by,
+      source: audit.source || 'patch',
+      stage,
+      step: session.step,
+      changes
+    });
+  }
+
+  return { ok: true, changes };
+}
+
+module.exports = {
+  PATCH_STAGES,
+  applySessionPatch
+};
@@ -0,0 +1,68 @@
+/**
+ * Shopify inventory levels for catalog products linked to a Shopify listing.
+ * Uses the same SHOPIFY_STORE_URL / SHOPIFY_ACCESS_TOKEN as the listing controller;
+ * SHOPIFY_LOCATION_ID picks the stock location, otherwise the store's first active one is used.
+ */
+const axios = require('axios');
+
+const API_VERSION = '2023-10';
+
+let cachedLocationId = null;
+
+function isConfigured() {
+  return !!(process.env.SHOPIFY_STORE_URL && process.env.SHOPIFY_ACCESS_TOKEN);
+}
+
+async function shopifyRequest(method, path, data) {
+  const response = await axios({
+    method,
+    url: `https://${process.env.SHOPIFY_STORE_URL}/admin/api/${API_VERSION}${path}`,
+    data,
+    headers: {
+      'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
+      'Content-Type': 'application/json'
+    },
+    timeout: 15000
+  });
+  return response.data;
+}
+
+async function locationId() {
+  if (process.env.SHOPIFY_LOCATION_ID) return Number(process.env.SHOPIFY_LOCATION_ID);
+  if (!cachedLocationId) {
+    const { locations = [] } = await shopifyRequest('get', '/locations.json');
+    const location = locations.find(entry => entry.active) || locations[0];
+    if (!location) throw new Error('Shopify store has no stock location');
+    cachedLocationId = location.id;
+  }
+  return cachedLocationId;
+}
+
+/**
+ * Set the pieces available to sell for one Shopify variant
+ * @param {string} shopifyVariantId
+ * @param {number} available - Never below 0 on Shopify
+ */
+async function setAvailable(shopifyVariantId, available) {
+  const { variant } = await shopifyRequest('get', `/variants/${shopifyVariantId}.json`);
+  await shopifyRequest('post', '/inventory_levels/set.json', {
+    location_id: await locationId(),
+    inventory_item_id: variant.inventory_item_id,
+    available: Math.max(0, Math.floor(available))
+  });
+}
+
+/**
+ * Current Shopify stock for every variant of a product
+ * @returns {Promise<Map<string, number>>} Shopify variant id → inventory quantity
+ */
+async function getProductLevels(shopifyProductId) {
+  const { product } = await shopifyRequest('get', `/products/${shopifyProductId}.json?fields=id,variants`);
+  return new Map(product.variants.map(variant => [String(variant.id), variant.inventory_quantity]));
+}
+
+module.exports = {
+  isConfigured,
+  setAvailable,
+  getProductLevels
+};
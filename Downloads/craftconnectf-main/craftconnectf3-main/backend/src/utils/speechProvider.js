@@ -0,0 +1,413 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const {
+  convertFileToWav,
+  detectAudioFormat,
+  isCanonicalWav,
+  prepareForRecognition,
+  withTempDir
+} = require('./audioProcessing');
+
+const execFileAsync = promisify(execFile);
+
+// Lazy import SpeechClient so the local / mock backends work without Google credentials
+let SpeechClient = null;
+try {
+  SpeechClient = require('@google-cloud/speech').SpeechClient;
+} catch (e) {
+  SpeechClient = null;
+}
+
+// Vocabulary hints shared by every backend that supports them
+const CRAFT_PHRASES = [
+  'business', 'craft', 'artisan', 'pottery', 'textile', 'jewelry',
+  'marketplace', 'customers', 'products', 'pricing', 'handmade',
+  'traditional', 'online', 'website', 'social media', 'WhatsApp'
+];
+
+/**
+ * Normalize a word timing entry to {word, startTime, endTime, confidence} in seconds
+ */
+function normalizeWord(word, startTime, endTime, confidence) {
+  return {
+    word: String(word || '').trim(),
+    startTime: Number((Number(startTime) || 0).toFixed(3)),
+    endTime: Number((Number(endTime) || 0).toFixed(3)),
+    confidence: typeof confidence === 'number' ? Number(confidence.toFixed(3)) : null
+  };
+}
+
+/* ---------------------------
+   Google Cloud Speech backend
+   --------------------------- */
+function createGoogleBackend() {
+  let speechClient = null;
+
+  try {
+    if (SpeechClient && process.env.GOOGLE_PROJECT_ID) {
+      speechClient = new SpeechClient({
+        projectId: process.env.GOOGLE_PROJECT_ID,
+        keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS || undefined
+      });
+    }
+  } catch (error) {
+    console.error('❌ Speech provider - Google Speech initialization failed:', error.message);
+    speechClient = null;
+  }
+
+  return {
+    name: 'google',
+    engine: 'cloud-speech',
+    available: !!speechClient,
+
+    async transcribe(audioBuffer, { languageCode, alternativeLanguageCodes, phrases, minLength, encoding: knownEncoding, sampleRateHertz: knownRate, longRunning }) {
+      if (!speechClient) throw new Error('Google Speech client not initialized');
+
+      // A known encoding (e.g. canonical WAV chunks) skips sniffing and transcoding
+      const prepared = knownEncoding
+        ? { buffer: audioBuffer, encoding: knownEncoding, sampleRateHertz: knownRate, sourceFormat: detectAudioFormat(audioBuffer) }
+        : await prepareForRecognition(audioBuffer);
+      const { encoding, sampleRateHertz, sourceFormat } = prepared;
+
+      console.log(`🔄 Transcribing ${sourceFormat.container}/${sourceFormat.codec} as ${encoding} @ ${sampleRateHertz}Hz${longRunning ? ' (long-running)' : ''}`);
+
+      const request = {
+        audio: { content: prepared.buffer.toString('base64') },
+        config: {
+          encoding,
+          sampleRateHertz,
+          languageCode,
+          alternativeLanguageCodes,
+          enableAutomaticPunctuation: true,
+          model: 'latest_long',
+          speechContexts: [{ phrases, boost: 15.0 }],
+          enableWordConfidence: true,
+          enableWordTimeOffsets: true,
+          // Untranscoded multi-channel audio must declare its channel count
+          ...(!prepared.transcoded && sourceFormat.channels > 1 && { audioChannelCount: sourceFormat.channels })
+        }
+      };
+
+      // The synchronous API caps audio at about a minute; long recordings need the operation API
+      let response;
+      if (longRunning) {
+        const [operation] = await speechClient.longRunningRecognize(request);
+        [response] = await operation.promise();
+      } else {
+        [response] = await speechClient.recognize(request);
+      }
+
+      const results = response.results || [];
+      const text = results
+        .map(result => result.alternatives?.[0]?.transcript || '')
+        .join(' ')
+        .trim();
+
+      if (text.length < minLength) {
+        throw new Error('No speech detected in audio');
+      }
+
+      const avgConfidence = results.reduce((acc, result) => {
+        return acc + (result.alternatives?.[0]?.confidence || 0.8);
+      }, 0) / results.length;
+
+      const toSeconds = (offset) => Number(offset?.seconds || 0) + (offset?.nanos || 0) / 1e9;
+      const words = results
+        .flatMap(result => result.alternatives?.[0]?.words || [])
+        .map(w => normalizeWord(w.word, toSeconds(w.startTime), toSeconds(w.endTime), w.confidence));
+
+      // With alternative languages Google reports which one it recognized per result
+      const detectedLanguage = results.find(result => result.languageCode)?.languageCode || languageCode;
+
+      return {
+        text,
+        confidence: Math.round(avgConfidence * 100),
+        encoding,
+        words,
+        languageCode: detectedLanguage,
+        sourceFormat
+      };
+    }
+  };
+}
+
+/* ---------------------------
+   Local subprocess backend (whisper.cpp or any CLI engine such as vosk)
+   --------------------------- */
+
+/**
+ * Parse whisper.cpp "--output-json-full" output into text and average token probability
+ */
+function parseWhisperJson(json) {
+  const segments = json.transcription || [];
+  const text = segments.map(segment => segment.text || '').join(' ').replace(/\s+/g, ' ').trim();
+
+  // Skip special tokens like [_BEG_] and [_TT_150] when averaging
+  const probabilities = segments
+    .flatMap(segment => segment.tokens || [])
+    .filter(token => typeof token.p === 'number' && !/^\[_/.test(token.text || ''))
+    .map(token => token.p);
+
+  const confidence = probabilities.length > 0
+    ? probabilities.reduce((acc, p) => acc + p, 0) / probabilities.length
+    : 0.8;
+
+  // Tokens are sub-word pieces; a leading space starts a new word
+  const words = [];
+  for (const token of segments.flatMap(segment => segment.tokens || [])) {
+    if (!token.text || /^\[_/.test(token.text) || !token.offsets) continue;
+    const startTime = token.offsets.from / 1000;
+    const endTime = token.offsets.to / 1000;
+    const previous = words[words.length - 1];
+
+    if (previous && !token.text.startsWith(' ')) {
+      previous.word += token.text;
+      previous.endTime = endTime;
+    } else {
+      words.push({ word: token.text.trim(), startTime, endTime, confidence: token.p });
+    }
+  }
+
+  return {
+    text,
+    confidence,
+    words: words.filter(w => w.word).map(w => normalizeWord(w.word, w.startTime, w.endTime, w.confidence)),
+    languageCode: json.result?.language || null
+  };
+}
+
+/**
+ * Parse generic engine stdout: either JSON ({text, confidence, words} or vosk {result, text}) or plain text
+ */
+function parseCommandOutput(stdout) {
+  const trimmed = stdout.trim();
+
+  try {
+    const json = JSON.parse(trimmed);
+    const words = Array.isArray(json.result) ? json.result : [];
+    const wordConfidence = words.length > 0
+      ? words.reduce((acc, word) => acc + (word.conf || 0), 0) / words.length
+      : null;
+
+    const timedWords = words.length > 0
+      ? words.map(w => normalizeWord(w.word, w.start, w.end, w.conf))
+      : (Array.isArray(json.words) ? json.words.map(w => normalizeWord(w.word, w.startTime, w.endTime, w.confidence)) : []);
+
+    return {
+      text: String(json.text || '').trim(),
+      confidence: typeof json.confidence === 'number' ? json.confidence : (wordConfidence ?? 0.8),
+      words: timedWords,
+      languageCode: json.language || json.languageCode || null
+    };
+  } catch (e) {
+    return { text: trimmed, confidence: 0.8, words: [], languageCode: null };
+  }
+}
+
+function createLocalBackend() {
+  const engine = (process.env.LOCAL_STT_ENGINE || 'whisper').toLowerCase();
+  const binary = process.env.LOCAL_STT_BINARY || (engine === 'whisper' ? 'whisper-cli' : null);
+  const model = process.env.LOCAL_STT_MODEL;
+  const timeout = Number(process.env.LOCAL_STT_TIMEOUT_MS) || 120000;
+
+  // whisper.cpp needs a model file; a generic command only needs the binary
+  const available = engine === 'whisper' ? !!(binary && model) : !!binary;
+
+  return {
+    name: 'local',
+    engine,
+    available,
+
+    async transcribe(audioBuffer, { languageCode, autoDetect, minLength }) {
+      return withTempDir(async (workDir) => {
+        const inputPath = path.join(workDir, 'input');
+        const wavPath = path.join(workDir, 'audio.wav');
+        const sourceFormat = detectAudioFormat(audioBuffer);
+
+        // Local engines only read 16kHz mono WAV
+        if (isCanonicalWav(sourceFormat)) {
+          await fs.writeFile(wavPath, audioBuffer);
+        } else {
+          await fs.writeFile(inputPath, audioBuffer);
+          await convertFileToWav(inputPath, wavPath, timeout);
+        }
+
+        let parsed;
+        if (engine === 'whisper') {
+          const outputBase = path.join(workDir, 'transcript');
+          await execFileAsync(binary, [
+            '-m', model,
+            '-f', wavPath,
+            '-l', autoDetect ? 'auto' : (languageCode || 'en').split('-')[0],
+            '-ojf', '-of', outputBase,
+            '-np'
+          ], { timeout, maxBuffer: 10 * 1024 * 1024 });
+
+          const json = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+          parsed = parseWhisperJson(json);
+        } else {
+          // LOCAL_STT_ARGS uses {input}, {model} and {language} placeholders, e.g. "transcribe.py {input} {model}"
+          const args = (process.env.LOCAL_STT_ARGS || '{input}')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(arg => arg
+              .replace('{input}', wavPath)
+              .replace('{model}', model || '')
+              .replace('{language}', autoDetect ? 'auto' : (languageCode || 'en-US')));
+
+          const { stdout } = await execFileAsync(binary, args, { timeout, maxBuffer: 10 * 1024 * 1024 });
+          parsed = parseCommandOutput(stdout);
+        }
+
+        if (parsed.text.length < minLength) {
+          throw new Error('No speech detected in audio');
+        }
+
+        return {
+          text: parsed.text,
+          confidence: Math.round(Math.min(1, Math.max(0, parsed.confidence)) * 100),
+          encoding: 'LINEAR16',
+          words: parsed.words,
+          languageCode: parsed.languageCode || languageCode,
+          sourceFormat
+        };
+      });
+    }
+  };
+}
+
+/* ---------------------------
+   Deterministic mock backend (offline development and CI)
+   --------------------------- */
+function createMockBackend() {
+  return {
+    name: 'mock',
+    engine: 'local-mock',
+    available: true,
+
+    async transcribe(audioBuffer, { languageCode }) {
+      const seed = crypto.createHash('sha1').update(audioBuffer).digest('hex').slice(0, 8);
+      const text = `I make handmade pottery in my village workshop and sell to local customers. I want to reach more buyers online. (mock ${seed})`;
+      return {
+        text,
+        confidence: 90,
+        encoding: 'MOCK',
+        words: text.split(' ').map((word, i) => normalizeWord(word, i * 0.4, (i + 1) * 0.4, 0.9)),
+        languageCode,
+        sourceFormat: detectAudioFormat(audioBuffer)
+      };
+    }
+  };
+}
+
+/* ---------------------------
+   Provider selection
+   --------------------------- */
+const BACKENDS = {
+  google: createGoogleBackend,
+  local: createLocalBackend,
+  mock: createMockBackend
+};
+
+let backend = null;
+
+function getBackend() {
+  if (backend) return backend;
+
+  const requested = (process.env.SPEECH_PROVIDER || 'google').toLowerCase();
+  const factory = BACKENDS[requested];
+
+  if (!factory) {
+    console.error(`❌ Unknown SPEECH_PROVIDER "${requested}". Supported: ${Object.keys(BACKENDS).join(', ')}`);
+    backend = { name: requested, engine: null, available: false, transcribe: async () => { throw new Error(`Unknown speech provider: ${requested}`); } };
+    return backend;
+  }
+
+  backend = factory();
+  console.log(`${backend.available ? '✅' : '⚠️'} Speech provider: ${backend.name} (${backend.engine}) ${backend.available ? 'ready' : 'not configured'}`);
+  return backend;
+}
+
+/**
+ * Transcribe an audio buffer with the configured speech provider
+ * @param {Buffer} audioBuffer - Uploaded audio
+ * @param {Object} [options]
+ * @param {string} [options.languageCode] - BCP-47 language code
+ * @param {string[]} [options.alternativeLanguageCodes] - Extra languages the speaker may use
+ * @param {boolean} [options.autoDetect] - Let the engine pick the spoken language
+ * @param {string[]} [options.phrases] - Vocabulary hints
+ * @param {number} [options.minLength] - Minimum transcript length treated as a success
+ * @param {string} [options.encoding] - Known encoding (skips format guessing), e.g. LINEAR16
+ * @param {number} [options.sampleRateHertz] - Sample rate for a known encoding
+ * @param {boolean} [options.longRunning] - Use long-running recognition where the backend supports it
+ * @returns {Promise<{success: boolean, text?: string, confidence?: number, encoding?: string, words?: Array, languageCode?: string, sourceFormat?: Object, provider: string, error?: string}>}
+ */
+async function transcribe(audioBuffer, {
+  languageCode = 'en-US',
+  alternativeLanguageCodes = ['hi-IN', 'en-IN'],
+  autoDetect = false,
+  phrases = CRAFT_PHRASES,
+  minLength = 1,
+  encoding = null,
+  sampleRateHertz = null,
+  longRunning = false
+} = {}) {
+  const active = getBackend();
+
+  if (!Buffer.isBuffer(audioBuffer) || audioBuffer.length === 0) {
+    return { success: false, provider: active.name, error: 'Audio buffer is empty' };
+  }
+
+  if (!active.available) {
+    return { success: false, provider: active.name, error: `Speech provider "${active.name}" not available` };
+  }
+
+  try {
+    const result = await active.transcribe(audioBuffer, {
+      languageCode,
+      alternativeLanguageCodes,
+      autoDetect,
+      phrases,
+      minLength,
+      encoding,
+      sampleRateHertz,
+      longRunning
+    });
+    console.log(`✅ Transcription successful with ${active.name} (${result.encoding})`);
+    return { success: true, provider: active.name, ...result };
+  } catch (error) {
+    console.error(`❌ Transcription failed with ${active.name}:`, error.message);
+    return { success: false, provider: active.name, error: error.message };
+  }
+}
+
+/**
+ * Whether the configured speech provider can serve requests
+ * @returns {boolean}
+ */
+function isAvailable() {
+  return getBackend().available;
+}
+
+/**
+ * Speech provider status for health and status endpoints
+ * @returns {{provider: string, engine: string, available: boolean}}
+ */
+function getStatus() {
+  const active = getBackend();
+  return {
+    provider: active.name,
+    engine: active.engine,
+    available: active.available
+  };
+}
+
+module.exports = {
+  transcribe,
+  isAvailable,
+  getStatus,
+  CRAFT_PHRASES
+};
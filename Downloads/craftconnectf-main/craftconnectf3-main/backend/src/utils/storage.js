@@ -30,6 +30,13 @@ function configureCloudinary() {
   console.log('✅ Cloudinary configured successfully');
 }
 
+/**
+ * Whether Cloudinary credentials are set, so optional uploads can be skipped quietly
+ */
+function isStorageConfigured() {
+  return !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+}
+
 /**
  * Upload image buffer to Cloudinary
  * @param {Buffer} buffer - Image buffer from multer
@@ -148,6 +155,7 @@ function generateFilename(originalName, prefix = 'img') {
 }
 
 module.exports = {
+  isStorageConfigured,
   uploadImage,
   uploadBase64Image,
   downloadImageAsBuffer,
@@ -0,0 +1,298 @@
+// Shared structured-output pipeline for LLM JSON responses:
+// sanitize -> parse -> repair -> validate (Ajv) -> retry with feedback -> defaults.
+
+const Ajv = require("ajv");
+const ai = require("./aiProvider");
+const SCHEMAS = require("./aiSchemas");
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new Map();
+
+/* ---------------------------
+   Sanitizer: extract likely JSON chunk
+   --------------------------- */
+function sanitizeRawText(raw) {
+  if (!raw) return "";
+
+  let s = String(raw);
+
+  // If there's a fenced block, pick its content
+  const fenceMatch = s.match(/```(?:json|js|text|txt)?\s*([\s\S]*?)\s*```/i);
+  if (fenceMatch && fenceMatch[1]) {
+    s = fenceMatch[1].trim();
+  }
+
+  // Remove common leading phrases
+  s = s.replace(
+    /^[\s\n\r\t]*(?:here is the json|here's the json|here is the json requested|output:|answer:|here is the output)[:\s-]*/i,
+    ""
+  );
+
+  // Remove leading backticks if any remain and trailing backticks
+  s = s.replace(/^[`]+/, "").replace(/[`]+$/, "");
+
+  // Remove everything before the first { or [
+  const firstBrace = s.indexOf("{");
+  const firstBracket = s.indexOf("[");
+  let startPos = -1;
+  if (firstBrace !== -1 && firstBracket !== -1)
+    startPos = Math.min(firstBrace, firstBracket);
+  else startPos = Math.max(firstBrace, firstBracket);
+
+  if (startPos > 0) s = s.slice(startPos);
+
+  // Remove leading "json:" words
+  s = s.replace(/^[\s\n\r\t]*json[:\s-]*/i, "");
+
+  s = s.trim();
+
+  // If there's still a long block with JSON later, attempt to extract the longest balanced JSON chunk
+  function extractLongestBalanced(text) {
+    let best = null;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] !== "{" && text[i] !== "[") continue;
+      const openChar = text[i];
+      const closeChar = openChar === "{" ? "}" : "]";
+      let depth = 0;
+      for (let j = i; j < text.length; j++) {
+        if (text[j] === openChar) depth++;
+        else if (text[j] === closeChar) depth--;
+        if (depth === 0) {
+          const cand = text.slice(i, j + 1);
+          if (!best || cand.length > best.length) best = cand;
+          break;
+        }
+      }
+    }
+    return best;
+  }
+
+  const candidate = extractLongestBalanced(s);
+  if (candidate) s = candidate.trim();
+
+  return s.trim();
+}
+
+/* ---------------------------
+   Aggressive JSON repair
+   --------------------------- */
+function aggressivelyRepairRawJson(raw) {
+  if (typeof raw !== "string") raw = String(raw || "");
+  let s = raw.replace(/[\u0000-\u001F]+/g, "").trim();
+
+  // Trim leading non-json characters (defensive)
+  const firstBrace = s.indexOf("{");
+  const firstBracket = s.indexOf("[");
+  if (firstBrace > 0 || firstBracket > 0) {
+    const startPos =
+      firstBrace === -1
+        ? firstBracket
+        : firstBracket === -1
+        ? firstBrace
+        : Math.min(firstBrace, firstBracket);
+    if (startPos > 0) s = s.slice(startPos);
+  }
+
+  let prev = null;
+  const maxPasses = 8;
+  let pass = 0;
+  while (s !== prev && pass < maxPasses) {
+    prev = s;
+
+    // keys with missing values -> provide empty string
+    s = s.replace(/"([A-Za-z0-9 _-]+)"\s*:\s*(?=[}\]])/g, '"$1": ""');
+    s = s.replace(/"([A-Za-z0-9 _-]+)"\s*:\s*,/g, '"$1": "" ,');
+    s = s.replace(/:\s*,\s*,+/g, ': "" ,');
+
+    // trailing commas
+    s = s.replace(/,\s*([}\]])/g, "$1");
+
+    // remove dangling open string
+    s = s.replace(/"[^"]*$/g, "");
+
+    pass++;
+  }
+
+  // Balance braces & brackets
+  const openCurly = (s.match(/{/g) || []).length;
+  const closeCurly = (s.match(/}/g) || []).length;
+  if (openCurly > closeCurly) s += "}".repeat(openCurly - closeCurly);
+
+  const openSq = (s.match(/\[/g) || []).length;
+  const closeSq = (s.match(/]/g) || []).length;
+  if (openSq > closeSq) s += "]".repeat(openSq - closeSq);
+
+  return s.trim();
+}
+
+/* ---------------------------
+   Fill missing fields from template
+   --------------------------- */
+function fillMissingWithTemplate(target, template) {
+  if (!template || typeof template !== "object") return target;
+  if (!target || typeof target !== "object")
+    return JSON.parse(JSON.stringify(template));
+  const out = JSON.parse(JSON.stringify(template));
+  for (const k of Object.keys(target)) {
+    if (k in out) {
+      if (Array.isArray(out[k])) {
+        out[k] = Array.isArray(target[k]) ? target[k] : out[k];
+      } else if (typeof out[k] === "object" && out[k] !== null) {
+        out[k] = fillMissingWithTemplate(target[k] || {}, out[k]);
+      } else {
+        out[k] = target[k];
+      }
+    } else {
+      out[k] = target[k];
+    }
+  }
+  return out;
+}
+
+/* ---------------------------
+   Validation helpers
+   --------------------------- */
+function getValidator(schema) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+  return validators.get(schema);
+}
+
+function formatErrors(errors) {
+  return (errors || [])
+    .slice(0, 10)
+    .map((e) => `${e.instancePath || "/"} ${e.message}`);
+}
+
+function parseCandidate(rawText) {
+  const sanitized = sanitizeRawText(rawText);
+  try {
+    return { parsed: JSON.parse(sanitized), repaired: false };
+  } catch (e1) {
+    try {
+      return { parsed: JSON.parse(aggressivelyRepairRawJson(sanitized)), repaired: true };
+    } catch (e2) {
+      return { parsed: null, repaired: false };
+    }
+  }
+}
+
+function buildRetryPrompt(prompt, schema, problems) {
+  return `${prompt}
+
+Your previous response did not match the required JSON schema.
+Problems: ${problems.join("; ")}
+
+Required JSON schema:
+${JSON.stringify(schema)}
+
+Return ONLY a corrected JSON object. No explanations, no markdown.`;
+}
+
+/* ---------------------------
+   Main entry point
+   --------------------------- */
+
+/**
+ * Generate a schema-validated JSON response with repair-and-retry
+ * @param {Object} options
+ * @param {string} options.prompt - Prompt text
+ * @param {(string|Object)} options.schema - Schema name from aiSchemas or a raw JSON schema
+ * @param {Object} [options.defaults] - Fallback object (overrides the schema's default template)
+ * @param {Array} [options.images] - Images forwarded to the AI provider
+ * @param {Object} [options.generationConfig] - temperature, topP, maxOutputTokens
+ * @param {number} [options.maxRetries] - Extra attempts after a validation failure
+ * @returns {Promise<{data: Object, status: string, attempts: number, errors: string[], raw: (string|null)}>}
+ *   status is "validated", "repaired" or "defaulted"
+ */
+async function generateStructured({
+  prompt,
+  schema,
+  defaults = null,
+  images = [],
+  generationConfig = {},
+  maxRetries = Number(process.env.AI_JSON_MAX_RETRIES) || 2,
+}) {
+  const definition =
+    typeof schema === "string" ? SCHEMAS[schema] : { schema, defaults: null };
+  if (!definition) {
+    throw new Error(`Unknown structured output schema: ${schema}`);
+  }
+
+  const jsonSchema = definition.schema;
+  const fallback = defaults || definition.defaults;
+  const validate = getValidator(jsonSchema);
+  const errors = [];
+  let attempts = 0;
+  let raw = null;
+  let currentPrompt = prompt;
+
+  const outcome = (data, status) => ({ data, status, attempts, errors, raw });
+
+  if (!ai.isAvailable()) {
+    errors.push("AI provider not available");
+    return outcome(fallback ? JSON.parse(JSON.stringify(fallback)) : null, "defaulted");
+  }
+
+  while (attempts <= maxRetries) {
+    attempts++;
+
+    try {
+      ({ text: raw } = await ai.generate({
+        prompt: currentPrompt,
+        schema: jsonSchema,
+        images,
+        generationConfig,
+      }));
+    } catch (err) {
+      errors.push(`attempt ${attempts}: ${err.message}`);
+      continue;
+    }
+
+    const { parsed, repaired } = parseCandidate(raw);
+
+    if (parsed && validate(parsed)) {
+      return outcome(parsed, repaired ? "repaired" : "validated");
+    }
+
+    const problems = parsed
+      ? formatErrors(validate.errors)
+      : ["response was not valid JSON"];
+
+    // Missing fields can be filled from the template without another round-trip
+    if (parsed && fallback) {
+      const filled = fillMissingWithTemplate(parsed, fallback);
+      if (validate(filled)) {
+        return outcome(filled, "repaired");
+      }
+    }
+
+    errors.push(`attempt ${attempts}: ${problems.join("; ")}`);
+    currentPrompt = buildRetryPrompt(prompt, jsonSchema, problems);
+  }
+
+  console.warn(`⚠️ Structured output fell back to defaults after ${attempts} attempts`);
+  return outcome(fallback ? JSON.parse(JSON.stringify(fallback)) : null, "defaulted");
+}
+
+/**
+ * Compact description of a structured output result for API responses
+ * @param {Object} result - Result from generateStructured
+ * @returns {{status: string, attempts: number, errors: string[]}}
+ */
+function summarizeOutcome(result) {
+  return {
+    status: result.status,
+    attempts: result.attempts,
+    errors: result.errors,
+  };
+}
+
+module.exports = {
+  generateStructured,
+  summarizeOutcome,
+  sanitizeRawText,
+  aggressivelyRepairRawJson,
+  fillMissingWithTemplate,
+};
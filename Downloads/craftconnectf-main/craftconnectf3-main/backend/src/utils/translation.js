@@ -0,0 +1,48 @@
+const ai = require('./aiProvider');
+const { describeLanguage, isEnglish } = require('./languages');
+
+const TRANSLATION_GENERATION_CONFIG = {
+  temperature: 0.1,
+  topP: 0.9,
+  maxOutputTokens: 4096,
+};
+
+/**
+ * Translate an artisan transcript to English for analysis and storage
+ * @param {string} text - Transcript in the original language
+ * @param {string} languageCode - Language of the transcript
+ * @returns {Promise<{text: (string|null), status: string}>}
+ *   status is "original" (already English), "translated" or "unavailable"
+ */
+async function translateToEnglish(text, languageCode) {
+  if (!text || isEnglish(languageCode)) {
+    return { text, status: 'original' };
+  }
+
+  if (!ai.isAvailable()) {
+    return { text: null, status: 'unavailable' };
+  }
+
+  const language = describeLanguage(languageCode);
+
+  try {
+    const { text: translated } = await ai.generate({
+      prompt: `Translate this ${language.name} speech transcript from an Indian artisan into natural English.
+Keep names of people, places, crafts and materials as they are (transliterate if needed).
+Return only the English translation, with no notes or quotation marks.
+
+Transcript:
+${text}`,
+      generationConfig: TRANSLATION_GENERATION_CONFIG
+    });
+
+    return { text: translated, status: 'translated' };
+  } catch (error) {
+    console.error(`❌ Translation from ${language.name} failed:`, error.message);
+    return { text: null, status: 'unavailable' };
+  }
+}
+
+module.exports = {
+  translateToEnglish
+};
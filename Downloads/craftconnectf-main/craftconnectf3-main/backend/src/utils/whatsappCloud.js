@@ -0,0 +1,203 @@
+/**
+ * WhatsApp Cloud API: outbound sends, webhook signature checks and webhook payload parsing.
+ * Sending uses FACEBOOK_ACCESS_TOKEN and WHATSAPP_PHONE_ID like the message controller;
+ * webhooks are verified with WHATSAPP_VERIFY_TOKEN (subscription) and WHATSAPP_APP_SECRET (payload signature).
+ * Message templates live on the WhatsApp Business Account (WHATSAPP_BUSINESS_ACCOUNT_ID).
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+
+const WHATSAPP_API_URL = 'https://graph.facebook.com/v18.0';
+
+function isConfigured() {
+  return !!(process.env.FACEBOOK_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_ID);
+}
+
+function canManageTemplates() {
+  return !!(process.env.FACEBOOK_ACCESS_TOKEN && process.env.WHATSAPP_BUSINESS_ACCOUNT_ID);
+}
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${process.env.FACEBOOK_ACCESS_TOKEN}`,
+  'Content-Type': 'application/json'
+});
+
+/**
+ * Digits only, as WhatsApp reports them (country code, no +)
+ */
+function normalizePhone(phone) {
+  return String(phone || '').replace(/[^\d]/g, '');
+}
+
+/**
+ * Send one message
+ * @param {string} to - Recipient phone number
+ * @param {Object} content - Message body, e.g. { type: 'text', text: { body } }
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendMessage(to, content) {
+  const response = await axios.post(
+    `${WHATSAPP_API_URL}/${process.env.WHATSAPP_PHONE_ID}/messages`,
+    { messaging_product: 'whatsapp', recipient_type: 'individual', to: normalizePhone(to), ...content },
+    { headers: authHeaders(), timeout: 10000 }
+  );
+  return { messageId: response.data.messages[0].id };
+}
+
+/**
+ * Submit a template for review
+ * @param {Object} template - { name, language, category, components }
+ * @returns {Promise<{id: string, status: string}>}
+ */
+async function createTemplate(template) {
+  const response = await axios.post(
+    `${WHATSAPP_API_URL}/${process.env.WHATSAPP_BUSINESS_ACCOUNT_ID}/message_templates`,
+    template,
+    { headers: authHeaders(), timeout: 15000 }
+  );
+  return { id: response.data.id, status: response.data.status };
+}
+
+/**
+ * Every template on the business account with its review status
+ */
+async function listTemplates() {
+  const templates = [];
+  let url = `${WHATSAPP_API_URL}/${process.env.WHATSAPP_BUSINESS_ACCOUNT_ID}/message_templates`;
+  let params = { fields: 'id,name,language,status,category,components,rejected_reason', limit: 100 };
+  while (url) {
+    const response = await axios.get(url, { headers: authHeaders(), params, timeout: 15000 });
+    templates.push(...(response.data.data || []));
+    url = response.data.paging?.next; // already carries the query
+    params = undefined;
+  }
+  return templates;
+}
+
+/**
+ * Readable error from a failed Cloud API call
+ */
+function apiError(error) {
+  const details = error.response?.data?.error;
+  return details
+    ? { code: details.code, title: details.message, details: details.error_data?.details }
+    : { title: error.message };
+}
+
+/**
+ * Check the X-Hub-Signature-256 header against the raw request body
+ * Without WHATSAPP_APP_SECRET payloads are rejected unless WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS=true (local testing).
+ * @returns {{ok: boolean, reason?: string}}
+ */
+function verifySignature(rawBody, header) {
+  const secret = process.env.WHATSAPP_APP_SECRET;
+  if (!secret) {
+    return process.env.WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS === 'true'
+      ? { ok: true, reason: 'unsigned (WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS)' }
+      : { ok: false, reason: 'WHATSAPP_APP_SECRET is not configured' };
+  }
+  if (!rawBody || typeof header !== 'string' || !header.startsWith('sha256=')) {
+    return { ok: false, reason: 'Missing signature' };
+  }
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const received = Buffer.from(header);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+    ? { ok: true }
+    : { ok: false, reason: 'Signature mismatch' };
+}
+
+/**
+ * Text shown in the inbox for an inbound message of any type
+ */
+function messageText(message) {
+  switch (message.type) {
+    case 'text': return message.text?.body;
+    case 'button': return message.button?.text;
+    case 'interactive':
+      return message.interactive?.button_reply?.title || message.interactive?.list_reply?.title;
+    case 'image':
+    case 'video':
+    case 'document':
+      return message[message.type]?.caption || message.document?.filename;
+    case 'location': {
+      const { latitude, longitude, name } = message.location || {};
+      return `📍 ${name ? `${name} ` : ''}(${latitude}, ${longitude})`;
+    }
+    case 'reaction': return message.reaction?.emoji;
+    case 'contacts': return (message.contacts || []).map(contact => contact.name?.formatted_name).filter(Boolean).join(', ');
+    default: return undefined;
+  }
+}
+
+function messageMedia(message) {
+  const media = message[message.type];
+  if (!['image', 'video', 'audio', 'document', 'sticker'].includes(message.type) || !media?.id) return undefined;
+  return { id: media.id, mimeType: media.mime_type, filename: media.filename, caption: media.caption };
+}
+
+/**
+ * Inbound messages, delivery statuses and template review results from a webhook payload
+ * @returns {{messages: Array<Object>, statuses: Array<Object>, templateStatuses: Array<Object>}}
+ */
+function parseWebhook(body = {}) {
+  const messages = [];
+  const statuses = [];
+  const templateStatuses = [];
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change.field === 'message_template_status_update') {
+        const value = change.value || {};
+        templateStatuses.push({
+          waTemplateId: value.message_template_id && String(value.message_template_id),
+          name: value.message_template_name,
+          language: value.message_template_language,
+          event: value.event,
+          reason: value.reason && value.reason !== 'NONE' ? value.reason : undefined
+        });
+        continue;
+      }
+      if (change.field !== 'messages') continue;
+      const value = change.value || {};
+      const phoneNumberId = value.metadata?.phone_number_id;
+      const names = new Map((value.contacts || []).map(contact => [contact.wa_id, contact.profile?.name]));
+
+      for (const message of value.messages || []) {
+        messages.push({
+          phoneNumberId,
+          from: normalizePhone(message.from),
+          name: names.get(message.from),
+          waMessageId: message.id,
+          type: message.type,
+          text: messageText(message),
+          media: messageMedia(message),
+          replyTo: message.context?.id,
+          at: message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date()
+        });
+      }
+      for (const status of value.statuses || []) {
+        const error = status.errors?.[0];
+        statuses.push({
+          waMessageId: status.id,
+          status: status.status,
+          recipient: normalizePhone(status.recipient_id),
+          at: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date(),
+          ...(error && { error: { code: error.code, title: error.title || error.message, details: error.error_data?.details } })
+        });
+      }
+    }
+  }
+  return { messages, statuses, templateStatuses };
+}
+
+module.exports = {
+  WHATSAPP_API_URL,
+  isConfigured,
+  canManageTemplates,
+  normalizePhone,
+  sendMessage,
+  createTemplate,
+  listTemplates,
+  apiError,
+  verifySignature,
+  parseWebhook
+};
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifySignature, parseWebhook } = require('./whatsappCloud');
+
+const body = Buffer.from(JSON.stringify({ object: 'whatsapp_business_account', entry: [] }));
+const sign = (secret, raw = body) => `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  try {
+    return fn();
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+}
+
+test('verifySignature accepts only the HMAC of the raw body under the app secret', () => {
+  withEnv({ WHATSAPP_APP_SECRET: 'app-secret', WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS: undefined }, () => {
+    assert.deepEqual(verifySignature(body, sign('app-secret')), { ok: true });
+    assert.deepEqual(verifySignature(body, sign('other-secret')), { ok: false, reason: 'Signature mismatch' });
+    assert.deepEqual(verifySignature(Buffer.from(`${body} `), sign('app-secret')), { ok: false, reason: 'Signature mismatch' });
+    assert.deepEqual(verifySignature(body, 'sha256=abc'), { ok: false, reason: 'Signature mismatch' });
+  });
+});
+
+test('verifySignature rejects requests without a signature header', () => {
+  withEnv({ WHATSAPP_APP_SECRET: 'app-secret', WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS: 'true' }, () => {
+    for (const header of [undefined, '', sign('app-secret').slice('sha256='.length)]) {
+      assert.deepEqual(verifySignature(body, header), { ok: false, reason: 'Missing signature' }, String(header));
+    }
+    assert.equal(verifySignature(undefined, sign('app-secret')).ok, false);
+  });
+});
+
+test('without an app secret, webhooks are refused unless unsigned ones are explicitly allowed', () => {
+  withEnv({ WHATSAPP_APP_SECRET: undefined, WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS: undefined }, () => {
+    assert.deepEqual(verifySignature(body, sign('anything')), { ok: false, reason: 'WHATSAPP_APP_SECRET is not configured' });
+  });
+  withEnv({ WHATSAPP_APP_SECRET: undefined, WHATSAPP_ALLOW_UNSIGNED_WEBHOOKS: 'true' }, () => {
+    assert.equal(verifySignature(body).ok, true);
+  });
+});
+
+test('parseWebhook reads inbound messages with sender names, text and media', () => {
+  const { messages, statuses, templateStatuses } = parseWebhook({
+    entry: [{
+      changes: [{
+        field: 'messages',
+        value: {
+          metadata: { phone_number_id: '1055' },
+          contacts: [{ wa_id: '919876543210', profile: { name: 'Ravi' } }],
+          messages: [
+            { from: '919876543210', id: 'wamid.1', type: 'text', text: { body: 'Is the blue vase available?' }, timestamp: '1760000000' },
+            {
+              from: '919876543210',
+              id: 'wamid.2',
+              type: 'image',
+              image: { id: 'media-1', mime_type: 'image/jpeg', caption: 'Like this one' },
+              context: { id: 'wamid.0' },
+              timestamp: '1760000060'
+            },
+            { from: '919876543210', id: 'wamid.3', type: 'interactive', interactive: { button_reply: { title: 'Yes' } } }
+          ]
+        }
+      }]
+    }]
+  });
+
+  assert.deepEqual(statuses, []);
+  assert.deepEqual(templateStatuses, []);
+  assert.deepEqual(messages.slice(0, 2), [
+    {
+      phoneNumberId: '1055',
+      from: '919876543210',
+      name: 'Ravi',
+      waMessageId: 'wamid.1',
+      type: 'text',
+      text: 'Is the blue vase available?',
+      media: undefined,
+      replyTo: undefined,
+      at: new Date(1760000000 * 1000)
+    },
+    {
+      phoneNumberId: '1055',
+      from: '919876543210',
+      name: 'Ravi',
+      waMessageId: 'wamid.2',
+      type: 'image',
+      text: 'Like this one',
+      media: { id: 'media-1', mimeType: 'image/jpeg', filename: undefined, caption: 'Like this one' },
+      replyTo: 'wamid.0',
+      at: new Date(1760000060 * 1000)
+    }
+  ]);
+  assert.equal(messages[2].text, 'Yes');
+  assert.ok(messages[2].at instanceof Date);
+});
+
+test('parseWebhook reads delivery statuses, failures and template review results', () => {
+  const { messages, statuses, templateStatuses } = parseWebhook({
+    entry: [{
+      changes: [
+        {
+          field: 'messages',
+          value: {
+            statuses: [
+              { id: 'wamid.1', status: 'delivered', recipient_id: '919876543210', timestamp: '1760000000' },
+              {
+                id: 'wamid.2',
+                status: 'failed',
+                recipient_id: '919812345678',
+                timestamp: '1760000010',
+                errors: [{ code: 131026, message: 'Message undeliverable', error_data: { details: 'Not on WhatsApp' } }]
+              }
+            ]
+          }
+        },
+        {
+          field: 'message_template_status_update',
+          value: { message_template_id: 987, message_template_name: 'diwali_offer', message_template_language: 'en', event: 'REJECTED', reason: 'INVALID_FORMAT' }
+        },
+        {
+          field: 'message_template_status_update',
+          value: { message_template_id: 988, message_template_name: 'restock', message_template_language: 'hi', event: 'APPROVED', reason: 'NONE' }
+        },
+        { field: 'account_update', value: { messages: [{ from: '1', id: 'ignored' }] } }
+      ]
+    }]
+  });
+
+  assert.deepEqual(messages, []);
+  assert.deepEqual(statuses, [
+    { waMessageId: 'wamid.1', status: 'delivered', recipient: '919876543210', at: new Date(1760000000 * 1000) },
+    {
+      waMessageId: 'wamid.2',
+      status: 'failed',
+      recipient: '919812345678',
+      at: new Date(1760000010 * 1000),
+      error: { code: 131026, title: 'Message undeliverable', details: 'Not on WhatsApp' }
+    }
+  ]);
+  assert.deepEqual(templateStatuses, [
+    { waTemplateId: '987', name: 'diwali_offer', language: 'en', event: 'REJECTED', reason: 'INVALID_FORMAT' },
+    { waTemplateId: '988', name: 'restock', language: 'hi', event: 'APPROVED', reason: undefined }
+  ]);
+});
+
+test('parseWebhook tolerates empty payloads', () => {
+  assert.deepEqual(parseWebhook(), { messages: [], statuses: [], templateStatuses: [] });
+  assert.deepEqual(parseWebhook({ entry: [{}] }), { messages: [], statuses: [], templateStatuses: [] });
+});
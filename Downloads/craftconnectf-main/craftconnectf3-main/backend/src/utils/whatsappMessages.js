@@ -0,0 +1,238 @@
+/**
+ * Rich WhatsApp messages: product photos with captions, reply buttons, product lists and quotation PDFs.
+ * Like plain text these are free-form messages, so they only go out inside the customer's 24-hour window.
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Quotation = require('../models/Quotation');
+const { PDF_TYPES, documentLinks } = require('./quotationPdf');
+const { formatPrice } = require('./whatsappTemplates');
+
+const MESSAGE_TYPES = ['text', 'image', 'buttons', 'list', 'document'];
+
+// Cloud API limits for interactive messages
+const MAX_BODY = 1024;
+const MAX_CAPTION = 1024;
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE = 20;
+const MAX_LIST_ROWS = 10;
+const MAX_ROW_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+
+// Reply ids carry the product so inbound button taps can be traced back to it
+const REPLY_BUTTONS = [
+  { id: 'order_now', title: 'Order now' },
+  { id: 'ask_price', title: 'Ask price' },
+  { id: 'see_more', title: 'See more' }
+];
+
+const clip = (text, max) => {
+  const value = String(text || '').trim();
+  return value.length > max ? `${value.slice(0, max - 1).trimEnd()}…` : value;
+};
+const oneLine = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Best photo of a product: the Smart Enhancer version when there is one
+ */
+function productImageUrl(product) {
+  const images = product.images || [];
+  return (images.find(image => image.kind === 'enhanced') || images[0])?.url
+    || product.enhancedImageUrl
+    || product.originalImageUrl;
+}
+
+/**
+ * Name, price and a short description, formatted for a WhatsApp caption
+ */
+function productCaption(product, text) {
+  return clip([
+    `*${oneLine(product.name)}*`,
+    formatPrice(product.price, product.currency),
+    product.description && clip(oneLine(product.description), 300),
+    text
+  ].filter(Boolean).join('\n'), MAX_CAPTION);
+}
+
+function imageMessage({ link, caption }) {
+  return {
+    kind: 'image',
+    content: { type: 'image', image: { link, ...(caption && { caption: clip(caption, MAX_CAPTION) }) } },
+    text: caption,
+    media: { url: link, caption }
+  };
+}
+
+function buttonsMessage({ body, buttons = REPLY_BUTTONS, imageLink, footer, ref }) {
+  return {
+    kind: 'interactive',
+    content: {
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        ...(imageLink && { header: { type: 'image', image: { link: imageLink } } }),
+        body: { text: clip(body, MAX_BODY) },
+        ...(footer && { footer: { text: clip(footer, 60) } }),
+        action: {
+          buttons: buttons.slice(0, MAX_BUTTONS).map(button => ({
+            type: 'reply',
+            reply: { id: ref ? `${button.id}:${ref}` : button.id, title: clip(button.title, MAX_BUTTON_TITLE) }
+          }))
+        }
+      }
+    },
+    text: `${body}\n[${buttons.slice(0, MAX_BUTTONS).map(button => button.title).join('] [')}]`,
+    ...(imageLink && { media: { url: imageLink } })
+  };
+}
+
+function listMessage({ body, buttonText = 'View products', sectionTitle = 'Products', products }) {
+  const rows = products.slice(0, MAX_LIST_ROWS).map(product => ({
+    id: `product:${product._id}`,
+    title: clip(oneLine(product.name), MAX_ROW_TITLE),
+    description: clip([formatPrice(product.price, product.currency), oneLine(product.category)].filter(Boolean).join(' · '), MAX_ROW_DESCRIPTION)
+  }));
+  return {
+    kind: 'interactive',
+    content: {
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        body: { text: clip(body, MAX_BODY) },
+        action: { button: clip(buttonText, MAX_BUTTON_TITLE), sections: [{ title: clip(sectionTitle, MAX_ROW_TITLE), rows }] }
+      }
+    },
+    text: `${body}\n${rows.map(row => `• ${row.title}${row.description ? ` (${row.description})` : ''}`).join('\n')}`
+  };
+}
+
+function documentMessage({ link, filename, caption }) {
+  return {
+    kind: 'document',
+    content: { type: 'document', document: { link, filename, ...(caption && { caption: clip(caption, MAX_CAPTION) }) } },
+    text: caption || filename,
+    media: { url: link, filename, mimeType: 'application/pdf', caption }
+  };
+}
+
+/**
+ * Read custom button titles from a request; ids are derived from the titles
+ */
+function readButtons(buttons, errors) {
+  if (buttons === undefined) return REPLY_BUTTONS;
+  if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > MAX_BUTTONS) {
+    errors.push({ path: 'buttons', message: `must be 1 to ${MAX_BUTTONS} button titles` });
+    return undefined;
+  }
+  return buttons.map((button, index) => {
+    const title = oneLine(typeof button === 'string' ? button : button?.title);
+    if (!title || title.length > MAX_BUTTON_TITLE) {
+      errors.push({ path: `buttons[${index}]`, message: `must be 1 to ${MAX_BUTTON_TITLE} characters` });
+    }
+    return { id: title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || `option_${index + 1}`, title };
+  });
+}
+
+/**
+ * Build a rich message from send-endpoint options
+ * @param {string} ownerId
+ * @param {Object} options - { messageType, text, caption, imageUrl, productId, productIds, buttons, quotationId, documentType }
+ * @param {Object} req - Request, for the public base URL of quotation PDFs
+ * @returns {Promise<{message: Object|null}|{status: number, error: string, details?: *}>} message is null for plain text
+ */
+async function buildRichMessage(ownerId, options = {}, req) {
+  const { messageType = 'text', text, caption, imageUrl, productId, productIds, quotationId, documentType = 'quotation' } = options;
+  if (!MESSAGE_TYPES.includes(messageType)) {
+    return { status: 400, error: 'Invalid messageType', details: `Use one of: ${MESSAGE_TYPES.join(', ')}` };
+  }
+  if (messageType === 'text') return { message: null };
+
+  const errors = [];
+  const product = productId ? await Product.findOwned(productId, ownerId) : null;
+  if (productId && !product) return { status: 404, error: 'Product not found' };
+
+  switch (messageType) {
+    case 'image': {
+      const link = imageUrl || (product && productImageUrl(product));
+      if (!/^https?:\/\//.test(link || '')) {
+        return { status: 400, error: 'Image required', details: 'Pass a productId with photos or a public imageUrl' };
+      }
+      return { message: imageMessage({ link, caption: caption || (product ? productCaption(product, text) : text) }) };
+    }
+
+    case 'buttons': {
+      const buttons = readButtons(options.buttons, errors);
+      const body = text || (product && productCaption(product));
+      if (!body) errors.push({ path: 'text', message: 'required unless a productId is given' });
+      if (errors.length > 0) return { status: 400, error: 'Invalid buttons message', details: errors };
+      const imageLink = imageUrl || (product && productImageUrl(product));
+      return {
+        message: buttonsMessage({
+          body,
+          buttons,
+          imageLink: /^https?:\/\//.test(imageLink || '') ? imageLink : undefined,
+          ref: product?._id
+        })
+      };
+    }
+
+    case 'list': {
+      const ids = Array.isArray(productIds) ? productIds.filter(id => mongoose.Types.ObjectId.isValid(id)) : [];
+      if (productIds !== undefined && (ids.length === 0 || ids.length !== productIds.length || ids.length > MAX_LIST_ROWS)) {
+        return { status: 400, error: 'Invalid productIds', details: `1 to ${MAX_LIST_ROWS} product ids` };
+      }
+      // Without ids, offer the artisan's newest listed products
+      const products = ids.length > 0
+        ? await Product.find({ _id: { $in: ids }, userId: ownerId, status: { $ne: 'archived' } })
+        : await Product.find({ userId: ownerId, status: { $in: ['approved', 'published'] } }).sort({ updatedAt: -1 }).limit(MAX_LIST_ROWS);
+      if (products.length === 0) return { status: 404, error: 'No products to list' };
+      const ordered = ids.length > 0 ? ids.map(id => products.find(entry => entry._id.equals(id))).filter(Boolean) : products;
+      return { message: listMessage({ body: text || 'Here are some pieces you might like. Tap to see one.', products: ordered }) };
+    }
+
+    case 'document': {
+      if (!PDF_TYPES.includes(documentType)) {
+        return { status: 400, error: 'Invalid documentType', details: `Use one of: ${PDF_TYPES.join(', ')}` };
+      }
+      let quote = await Quotation.findOwned(quotationId, ownerId);
+      if (!quote) return { status: 404, error: 'Quotation not found' };
+      // WhatsApp fetches the customer link, which serves the same statuses as the PDF endpoints
+      await Quotation.expireDue({ _id: quote._id });
+      quote = await Quotation.findById(quote._id);
+      const links = documentLinks(quote, req);
+      if (!links || quote.status === 'draft') {
+        return { status: 409, error: 'Quotation not sent yet', details: 'Send the quotation (again, after a revision) so the PDF has an active customer link' };
+      }
+      if (documentType === 'proforma' && !['sent', 'accepted'].includes(quote.status)) {
+        return {
+          status: 409,
+          error: 'Proforma invoice not available',
+          details: `A proforma invoice can be issued once the quotation has been sent or accepted; this one is ${quote.status}`
+        };
+      }
+      const document = links[documentType];
+      return {
+        message: documentMessage({
+          link: document.url,
+          filename: document.filename,
+          caption: caption || text || `${documentType === 'proforma' ? 'Proforma invoice' : 'Quotation'} ${quote.quoteNumber}`
+        })
+      };
+    }
+
+    default:
+      return { message: null };
+  }
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  REPLY_BUTTONS,
+  productImageUrl,
+  productCaption,
+  imageMessage,
+  buttonsMessage,
+  listMessage,
+  documentMessage,
+  buildRichMessage
+};
@@ -0,0 +1,316 @@
+/**
+ * WhatsApp message templates: validate registry entries, fill {{n}} placeholders from wizard sessions and
+ * catalog products, and pick template vs free-form text by the 24-hour customer service window.
+ */
+const BusinessSession = require('../models/BusinessSession');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+
+// Free-form messages are only allowed this long after the customer's last message
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Stop sending free-form a little early so a queued send does not land just after the window closes
+const WINDOW_MARGIN_MS = 5 * 60 * 1000;
+
+const formatPrice = (amount, currency = 'INR') => (Number.isFinite(Number(amount)) && amount !== null && amount !== ''
+  ? Number(amount).toLocaleString('en-IN', { style: 'currency', currency, maximumFractionDigits: 0 })
+  : undefined);
+
+// Values a template variable can be mapped to
+const TEMPLATE_SOURCES = {
+  'customer.name': { label: 'Customer name', read: ctx => ctx.customer?.name },
+  'artisan.name': { label: 'Your name', read: ctx => ctx.user?.name },
+  'business.name': { label: 'Business name', read: ctx => ctx.session?.businessSummary?.businessName || ctx.businessData?.businessName },
+  'business.type': { label: 'Business type', read: ctx => ctx.session?.businessSummary?.businessType || ctx.businessData?.businessType },
+  'business.location': { label: 'Business location', read: ctx => ctx.session?.businessSummary?.location || ctx.businessData?.location },
+  'product.name': {
+    label: 'Product name',
+    read: ctx => ctx.product?.name || ctx.productData?.name || ctx.session?.productAnalysis?.productSummary?.name
+  },
+  'product.category': {
+    label: 'Product category',
+    read: ctx => ctx.product?.category || ctx.productData?.category || ctx.session?.productAnalysis?.productSummary?.category
+  },
+  'product.price': {
+    label: 'Product price',
+    read: ctx => formatPrice(ctx.product?.price ?? ctx.productData?.price, ctx.product?.currency)
+  },
+  'product.description': {
+    label: 'Product description',
+    read: ctx => (ctx.product?.description || ctx.productData?.description || '').slice(0, 200)
+  },
+  static: { label: 'Fixed text', read: (ctx, variable) => variable.value }
+};
+
+const NAME_PATTERN = /^[a-z0-9_]{1,512}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(_[A-Z]{2})?$/;
+const PLACEHOLDER = /\{\{\s*(\d+)\s*\}\}/g;
+
+/**
+ * Placeholder numbers used in a text, in order of first use
+ */
+function placeholderIndexes(text) {
+  return [...new Set([...String(text || '').matchAll(PLACEHOLDER)].map(match => Number(match[1])))];
+}
+
+/**
+ * Validate template fields from a request body
+ * @param {Object} body
+ * @param {Object} [options] - { partial, existing } where existing supplies fields the body leaves out
+ * @returns {{fields: Object, errors: Array<{path: string, message: string}>}}
+ */
+function pickTemplateFields(body = {}, { partial = false, existing = {} } = {}) {
+  const fields = {};
+  const errors = [];
+  const has = key => body[key] !== undefined;
+
+  if (has('name') || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!NAME_PATTERN.test(name)) errors.push({ path: 'name', message: 'lowercase letters, digits and underscores only' });
+    else fields.name = name;
+  }
+  if (has('language')) {
+    if (!LANGUAGE_PATTERN.test(body.language)) errors.push({ path: 'language', message: 'must be a WhatsApp locale such as en, en_US or hi' });
+    else fields.language = body.language;
+  }
+  if (has('category')) {
+    if (!WhatsAppTemplate.CATEGORIES.includes(body.category)) {
+      errors.push({ path: 'category', message: `must be one of ${WhatsAppTemplate.CATEGORIES.join(', ')}` });
+    } else fields.category = body.category;
+  }
+  for (const [key, max] of [['headerText', 60], ['footerText', 60]]) {
+    if (!has(key)) continue;
+    if (body[key] !== null && (typeof body[key] !== 'string' || body[key].length > max)) {
+      errors.push({ path: key, message: `must be text of at most ${max} characters` });
+    } else if (placeholderIndexes(body[key]).length > 0) {
+      errors.push({ path: key, message: 'variables are only supported in the body' });
+    } else fields[key] = body[key] || undefined;
+  }
+  if (has('isDefault')) {
+    if (typeof body.isDefault !== 'boolean') errors.push({ path: 'isDefault', message: 'must be true or false' });
+    else fields.isDefault = body.isDefault;
+  }
+
+  if (has('bodyText') || !partial) {
+    const text = typeof body.bodyText === 'string' ? body.bodyText.trim() : '';
+    const indexes = placeholderIndexes(text);
+    if (!text || text.length > 1024) {
+      errors.push({ path: 'bodyText', message: 'required, at most 1024 characters' });
+    } else if (indexes.some((index, position) => index !== position + 1)) {
+      errors.push({ path: 'bodyText', message: 'variables must be numbered {{1}}, {{2}}, ... in order' });
+    } else if (/^\{\{\s*\d+\s*\}\}|\{\{\s*\d+\s*\}\}[.!?]?$/.test(text)) {
+      // Meta rejects templates that start or end with a variable
+      errors.push({ path: 'bodyText', message: 'cannot start or end with a variable' });
+    } else fields.bodyText = text;
+  }
+
+  // Every placeholder needs a mapping; re-check old mappings when only the body changes
+  if (has('variables') || fields.bodyText !== undefined) {
+    const variables = has('variables') ? body.variables : existing.variables || [];
+    const indexes = placeholderIndexes(fields.bodyText ?? existing.bodyText);
+    if (!Array.isArray(variables)) {
+      errors.push({ path: 'variables', message: 'must be an array of { index, source }' });
+    } else {
+      const mapped = variables.map((variable, position) => {
+        const path = `variables[${position}]`;
+        const entry = {
+          index: Number(variable?.index),
+          source: variable?.source,
+          ...(variable?.value && { value: String(variable.value).trim() }),
+          ...(variable?.fallback && { fallback: String(variable.fallback).trim() }),
+          ...(variable?.example && { example: String(variable.example).trim() })
+        };
+        if (!indexes.includes(entry.index)) errors.push({ path: `${path}.index`, message: 'does not match a {{n}} in the body' });
+        if (!TEMPLATE_SOURCES[entry.source]) {
+          errors.push({ path: `${path}.source`, message: `must be one of ${Object.keys(TEMPLATE_SOURCES).join(', ')}` });
+        }
+        if (entry.source === 'static' && !entry.value) errors.push({ path: `${path}.value`, message: 'required for fixed text' });
+        return entry;
+      });
+      const missing = indexes.filter(index => !mapped.some(entry => entry.index === index));
+      if (missing.length > 0) errors.push({ path: 'variables', message: `map {{${missing.join('}}, {{')}}}` });
+      fields.variables = mapped.sort((a, b) => a.index - b.index);
+    }
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * Template in the shape Meta's message_templates endpoint expects
+ */
+function metaTemplatePayload(template) {
+  const examples = template.variables.map(variable => variable.example || variable.fallback || variable.value || TEMPLATE_SOURCES[variable.source]?.label);
+  return {
+    name: template.name,
+    language: template.language,
+    category: template.category,
+    components: [
+      ...(template.headerText ? [{ type: 'HEADER', format: 'TEXT', text: template.headerText }] : []),
+      { type: 'BODY', text: template.bodyText, ...(examples.length > 0 && { example: { body_text: [examples] } }) },
+      ...(template.footerText ? [{ type: 'FOOTER', text: template.footerText }] : [])
+    ]
+  };
+}
+
+/**
+ * Registry status for a Meta review status or webhook event (APPROVED, IN_APPEAL, ...)
+ */
+function fromMetaStatus(status) {
+  switch (String(status || '').toUpperCase()) {
+    case 'APPROVED': return 'approved';
+    case 'REJECTED': return 'rejected';
+    case 'PAUSED': return 'paused';
+    case 'DISABLED':
+    case 'DELETED':
+    case 'PENDING_DELETION': return 'disabled';
+    default: return 'pending';
+  }
+}
+
+/**
+ * Registry fields for a template fetched from Meta
+ */
+function fromMetaTemplate(remote) {
+  const text = type => remote.components?.find(component => component.type === type)?.text;
+  return {
+    name: remote.name,
+    language: remote.language,
+    category: WhatsAppTemplate.CATEGORIES.includes(remote.category) ? remote.category : 'MARKETING',
+    headerText: text('HEADER'),
+    bodyText: text('BODY'),
+    footerText: text('FOOTER'),
+    status: fromMetaStatus(remote.status),
+    waTemplateId: remote.id,
+    rejectedReason: remote.rejected_reason && remote.rejected_reason !== 'NONE' ? remote.rejected_reason : undefined
+  };
+}
+
+/**
+ * Everything template variables can read: the owner's wizard session and catalog product, plus request data
+ * @param {string} ownerId
+ * @param {Object} [options] - { sessionId, productId, customerName, businessData, productData }
+ */
+async function loadTemplateContext(ownerId, { sessionId, productId, customerName, businessData, productData } = {}) {
+  const [session, product, user] = await Promise.all([
+    sessionId ? BusinessSession.findOwned(sessionId, ownerId) : null,
+    productId ? Product.findOwned(productId, ownerId) : null,
+    User.findById(ownerId).select('name')
+  ]);
+  return {
+    session,
+    product,
+    user,
+    customer: { name: customerName },
+    businessData: businessData || {},
+    productData: productData || {}
+  };
+}
+
+/**
+ * Ordered {{n}} values for a template
+ * @returns {{parameters: Array<string>, missing: Array<string>}} missing lists sources with no value and no fallback
+ */
+function resolveParameters(template, context) {
+  const missing = [];
+  const parameters = placeholderIndexes(template.bodyText).map(index => {
+    const variable = template.variables.find(entry => entry.index === index);
+    const source = variable && TEMPLATE_SOURCES[variable.source];
+    const value = source && String(source.read(context, variable) ?? '').replace(/\s+/g, ' ').trim();
+    if (value) return value;
+    if (variable?.fallback) return variable.fallback;
+    missing.push(variable ? variable.source : `{{${index}}}`);
+    return '';
+  });
+  return { parameters, missing };
+}
+
+/**
+ * Body text with its placeholders filled, as the customer sees it
+ */
+function renderTemplate(template, parameters) {
+  return [template.headerText, template.bodyText.replace(PLACEHOLDER, (match, index) => parameters[Number(index) - 1] ?? match), template.footerText]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Cloud API message content for a template send
+ */
+function templateContent(template, parameters) {
+  return {
+    type: 'template',
+    template: {
+      name: template.name,
+      language: { code: template.language },
+      ...(parameters.length > 0 && {
+        components: [{ type: 'body', parameters: parameters.map(text => ({ type: 'text', text })) }]
+      })
+    }
+  };
+}
+
+/**
+ * Whether the customer messaged the business number recently enough for free-form text
+ */
+async function serviceWindowOpen(phone) {
+  const conversation = await Conversation.findOne({ customerPhone: phone, lastInboundAt: { $ne: null } })
+    .sort({ lastInboundAt: -1 })
+    .select('lastInboundAt');
+  return !!conversation && Date.now() - conversation.lastInboundAt.getTime() < SERVICE_WINDOW_MS - WINDOW_MARGIN_MS;
+}
+
+/**
+ * The template to send with: the one asked for, otherwise the owner's approved default
+ * @returns {Promise<{template: Object|null, error?: string}>}
+ */
+async function resolveTemplate(ownerId, templateId) {
+  if (!templateId) {
+    return { template: await WhatsAppTemplate.findOne({ owner: ownerId, isDefault: true, status: 'approved' }) };
+  }
+  const template = await WhatsAppTemplate.findOwned(templateId, ownerId);
+  if (!template) return { template: null, error: 'Template not found' };
+  if (template.status !== 'approved') return { template: null, error: `Template is ${template.status}, not approved` };
+  return { template };
+}
+
+/**
+ * Choose how to message a customer: an explicitly chosen template always wins, otherwise free-form text or a
+ * rich message inside the 24-hour window and the template (if any) outside it
+ * @param {Object} options - { windowOpen, text, rich, template, parameters, forceTemplate } where rich is a
+ *   whatsappMessages result ({ kind, content, text, media })
+ * @returns {{kind: string, content: Object, text: string, media?: Object}|{kind: null, reason: string}}
+ *   kind is the message type: text, image, interactive, document or template
+ */
+function outboundMessage({ windowOpen, text, rich, template, parameters, forceTemplate = false }) {
+  if (!forceTemplate && windowOpen && rich) return rich;
+  if (!forceTemplate && windowOpen && text) {
+    return { kind: 'text', content: { type: 'text', text: { body: text } }, text };
+  }
+  if (!template) {
+    return { kind: null, reason: 'The customer has not messaged you in the last 24 hours, so WhatsApp only allows an approved template' };
+  }
+  if (!parameters) {
+    return { kind: null, reason: `Template "${template.name}" is missing variable values` };
+  }
+  return { kind: 'template', content: templateContent(template, parameters), text: renderTemplate(template, parameters) };
+}
+
+module.exports = {
+  SERVICE_WINDOW_MS,
+  formatPrice,
+  TEMPLATE_SOURCES,
+  placeholderIndexes,
+  pickTemplateFields,
+  metaTemplatePayload,
+  fromMetaStatus,
+  fromMetaTemplate,
+  loadTemplateContext,
+  resolveParameters,
+  renderTemplate,
+  templateContent,
+  serviceWindowOpen,
+  resolveTemplate,
+  outboundMessage
+};
@@ -15,6 +15,14 @@ import BusinessOverviewPage from "./pages/BusinessOverviewPage";
 import BusinessSummaryPage from "./pages/BusinessSummaryPage";
 import ProductAnalysisPage from "./pages/ProductAnalysisPage";
 import FacebookPostPage from "./pages/FacebookPostPage";
+import LoginPage from "./pages/LoginPage";
+import DraftsPage from "./pages/DraftsPage";
+import PublicQuotePage from "./pages/PublicQuotePage";
+import PriceSimulatorPage from "./pages/PriceSimulatorPage";
+import ProductsPage from "./pages/ProductsPage";
+import InventoryPage from "./pages/InventoryPage";
+import InboxPage from "./pages/InboxPage";
+import ContactsPage from "./pages/ContactsPage";
 import Layout from "./components/Layout";
 
 function App() {
@@ -27,7 +35,15 @@ function App() {
     >
       <Layout>
         <Routes>
+          <Route path="/login" element={<LoginPage />} />
+
           {/* Wizard flow */}
+          <Route path="/drafts" element={<DraftsPage />} />
+          <Route path="/products" element={<ProductsPage />} />
+          <Route path="/inventory" element={<InventoryPage />} />
+          <Route path="/inbox" element={<InboxPage />} />
+          <Route path="/contacts" element={<ContactsPage />} />
+          <Route path="/quote/:token" element={<PublicQuotePage />} />
           <Route path="/business-overview" element={<BusinessOverviewPage />} />
           <Route path="/business-summary" element={<BusinessSummaryPage />} />
           <Route path="/product-analysis" element={<ProductAnalysisPage />} />
@@ -46,6 +62,7 @@ function App() {
           <Route path="/hub" element={<ArtisanHubPage />} />
           <Route path="/enhancer" element={<SmartProductEnhancerPage />} />
           <Route path="/quotation" element={<QuotationResultPage />} />
+          <Route path="/quotations/:quotationId/simulator" element={<PriceSimulatorPage />} />
           <Route path="/whatsapp-send" element={<WhatsAppSendPage />} />
           <Route path="/shopify-launch" element={<ShopifyLaunchPage />} />
         </Routes>
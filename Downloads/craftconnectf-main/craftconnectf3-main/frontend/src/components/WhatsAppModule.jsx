@@ -1,4 +1,5 @@
 import React, { useState } from "react";
+import { authHeaders } from "../services/api";
 
 const WhatsAppModule = ({ analysisData }) => {
   const [selectedImage, setSelectedImage] = useState(null);
@@ -24,6 +25,7 @@ const WhatsAppModule = ({ analysisData }) => {
 
       const response = await fetch("/api/generate-whatsapp-message", {
         method: "POST",
+        headers: authHeaders(),
         body: formData,
       });
 
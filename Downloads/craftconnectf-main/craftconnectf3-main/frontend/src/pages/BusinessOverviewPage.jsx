@@ -1,6 +1,23 @@
 import React, { useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Mic, MicOff, Play, Square, Loader2, ArrowRight } from 'lucide-react';
+import { Mic, MicOff, Play, Square, Loader2, ArrowRight, Globe } from 'lucide-react';
+import { authHeaders } from '../services/api';
+
+// Languages the artisan can speak in; 'auto' lets the server detect it
+const LANGUAGE_OPTIONS = [
+  { code: 'auto', label: 'Detect automatically' },
+  { code: 'en-IN', label: 'English' },
+  { code: 'hi-IN', label: 'हिन्दी (Hindi)' },
+  { code: 'bn-IN', label: 'বাংলা (Bengali)' },
+  { code: 'ta-IN', label: 'தமிழ் (Tamil)' },
+  { code: 'te-IN', label: 'తెలుగు (Telugu)' },
+  { code: 'kn-IN', label: 'ಕನ್ನಡ (Kannada)' },
+  { code: 'mr-IN', label: 'मराठी (Marathi)' },
+  { code: 'gu-IN', label: 'ગુજરાતી (Gujarati)' },
+  { code: 'ml-IN', label: 'മലയാളം (Malayalam)' },
+  { code: 'pa-IN', label: 'ਪੰਜਾਬੀ (Punjabi)' },
+  { code: 'ur-IN', label: 'اردو (Urdu)' }
+];
 
 const BusinessOverviewPage = () => {
   const navigate = useNavigate();
@@ -9,6 +26,7 @@ const BusinessOverviewPage = () => {
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [recordingDuration, setRecordingDuration] = useState(0);
   const [error, setError] = useState('');
+  const [language, setLanguage] = useState('auto');
   
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
@@ -90,9 +108,11 @@ const BusinessOverviewPage = () => {
     try {
       const formData = new FormData();
       formData.append('audio', recordedAudio, 'business-overview.webm');
+      formData.append('language', language);
 
       const response = await fetch(`${import.meta.env.VITE_API_URL}/api/business/analyze-overview`, {
         method: 'POST',
+        headers: authHeaders(),
         body: formData,
       });
 
@@ -108,6 +128,8 @@ const BusinessOverviewPage = () => {
           sessionId: data.sessionId,
           businessSummary: data.businessSummary,
           transcript: data.transcript,
+          transcriptEnglish: data.transcriptEnglish,
+          language: data.language,
           step: 'business_overview_complete'
         }));
         
@@ -169,6 +191,22 @@ const BusinessOverviewPage = () => {
             )}
           </div>
 
+          <div className="flex items-center justify-center mb-6">
+            <Globe className="w-5 h-5 text-gray-500 mr-2" />
+            <label htmlFor="language" className="text-gray-700 mr-3">I will speak in</label>
+            <select
+              id="language"
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              disabled={isRecording || isAnalyzing}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {LANGUAGE_OPTIONS.map(option => (
+                <option key={option.code} value={option.code}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
           <div className="flex flex-col items-center space-y-4">
             {!isRecording && !recordedAudio && (
               <button
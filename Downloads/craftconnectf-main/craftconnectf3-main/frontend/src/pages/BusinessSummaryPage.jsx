@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Check, Edit3, ArrowRight, ArrowLeft, Loader2 } from 'lucide-react';
+import { authHeaders } from '../services/api';
 
 const BusinessSummaryPage = () => {
   const navigate = useNavigate();
@@ -71,9 +72,9 @@ const BusinessSummaryPage = () => {
     try {
       const response = await fetch(`${import.meta.env.VITE_API_URL}/api/business/validate-summary`, {
         method: 'POST',
-        headers: {
+        headers: authHeaders({
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({
           sessionId: sessionData.sessionId,
           corrections: editedSummary,
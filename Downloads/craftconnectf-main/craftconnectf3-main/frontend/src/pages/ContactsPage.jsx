@@ -0,0 +1,209 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Card, PrimaryButton, SecondaryButton } from "../components/ui";
+import {
+  listContacts,
+  listContactTags,
+  createContact,
+  setContactConsent,
+  deleteContact,
+  importContacts,
+  previewSegment,
+  sendBulkWhatsApp
+} from "../services/api";
+
+const CONSENT_LABELS = { opted_in: "Opted in", opted_out: "Opted out", unknown: "Not asked" };
+
+const inputClass = "rounded-xl border border-[#e6e0db] px-4 py-2";
+
+// Buyers the artisan can message, with segments for bulk WhatsApp sends
+const ContactsPage = () => {
+  const [contacts, setContacts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [tags, setTags] = useState([]);
+  const [filters, setFilters] = useState({ search: "", tags: "", consent: "" });
+  const [form, setForm] = useState({ name: "", phone: "", tags: "", consent: "" });
+  const [upload, setUpload] = useState({ file: null, tags: "", optedIn: false });
+  const [importResult, setImportResult] = useState(null);
+  const [segment, setSegment] = useState({ tags: "", purchasedCategory: "", purchasedWithinDays: "90", optedInOnly: false });
+  const [preview, setPreview] = useState(null);
+  const [sendResult, setSendResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+    const [result, tagResult] = await Promise.all([listContacts(params), listContactTags()]);
+    if (!result.success) return setError(result.error);
+    setContacts(result.data.contacts);
+    setTotal(result.data.pagination.total);
+    if (tagResult.success) setTags(tagResult.data.tags);
+  }, [filters]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const addContact = async () => {
+    setError("");
+    const result = await createContact({
+      name: form.name,
+      phone: form.phone,
+      tags: form.tags,
+      ...(form.consent && { consent: form.consent })
+    });
+    if (!result.success) return setError(result.details?.map((detail) => `${detail.path} ${detail.message}`).join(", ") || result.error);
+    setForm({ name: "", phone: "", tags: "", consent: "" });
+    load();
+  };
+
+  const runImport = async () => {
+    setError("");
+    const result = await importContacts(upload.file, { tags: upload.tags, ...(upload.optedIn && { consent: "opted_in" }) });
+    if (!result.success) return setError(result.error);
+    setImportResult(result.data);
+    setUpload({ file: null, tags: "", optedIn: false });
+    load();
+  };
+
+  const changeConsent = async (contact, status) => {
+    const result = await setContactConsent(contact.id, status);
+    if (!result.success) return setError(result.error);
+    load();
+  };
+
+  const remove = async (contact) => {
+    const result = await deleteContact(contact.id);
+    if (!result.success) return setError(result.error);
+    load();
+  };
+
+  const segmentQuery = () => Object.fromEntries(Object.entries(segment).filter(([, value]) => value !== "" && value !== false));
+
+  const runPreview = async () => {
+    setError("");
+    setSendResult(null);
+    const result = await previewSegment(segmentQuery());
+    if (!result.success) return setError(result.details?.map((detail) => `${detail.path} ${detail.message}`).join(", ") || result.error);
+    setPreview(result.data);
+  };
+
+  const sendToSegment = async () => {
+    setError("");
+    const result = await sendBulkWhatsApp({ segment: segmentQuery() });
+    if (!result.success) return setError(result.error);
+    setSendResult(result.data);
+  };
+
+  return (
+    <div className="mx-auto max-w-5xl px-4 py-12 space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Contacts</h1>
+        <p className="text-[#897261]">{total} buyer{total === 1 ? "" : "s"} · opted-out contacts are never included in bulk sends</p>
+      </div>
+
+      {error && <p className="text-red-600">{error}</p>}
+
+      <Card className="p-6 space-y-4">
+        <h2 className="font-semibold">Send to a segment</h2>
+        <div className="grid gap-3 sm:grid-cols-4">
+          <input value={segment.tags} onChange={(e) => setSegment({ ...segment, tags: e.target.value })} placeholder="Tags (comma separated)" className={inputClass} />
+          <input value={segment.purchasedCategory} onChange={(e) => setSegment({ ...segment, purchasedCategory: e.target.value })} placeholder="Bought category, e.g. pottery" className={inputClass} />
+          <input type="number" value={segment.purchasedWithinDays} onChange={(e) => setSegment({ ...segment, purchasedWithinDays: e.target.value })} placeholder="In the last N days" className={inputClass} />
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={segment.optedInOnly} onChange={(e) => setSegment({ ...segment, optedInOnly: e.target.checked })} />
+            Opted-in only
+          </label>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          <SecondaryButton onClick={runPreview}>Preview</SecondaryButton>
+          {preview && preview.matched > 0 && <PrimaryButton onClick={sendToSegment}>Send to {preview.matched}</PrimaryButton>}
+        </div>
+        {preview && (
+          <p className="text-sm text-[#897261]">
+            {preview.matched} match{preview.excluded > 0 && `, ${preview.excluded} left out by consent`}
+            {preview.sample.length > 0 && `: ${preview.sample.map((contact) => contact.name || contact.phone).join(", ")}${preview.matched > preview.sample.length ? ", …" : ""}`}
+          </p>
+        )}
+        {sendResult && (
+          <p className="text-sm">
+            {sendResult.mode === "production"
+              ? `Queued ${sendResult.summary.queued} message(s)`
+              : `${sendResult.summary.successful} WhatsApp link(s) ready`}
+            {sendResult.summary.optedOut > 0 && ` · ${sendResult.summary.optedOut} opted out`}
+          </p>
+        )}
+      </Card>
+
+      <Card className="p-6 space-y-4">
+        <h2 className="font-semibold">Import from CSV or phone contacts (.vcf)</h2>
+        <div className="grid gap-3 sm:grid-cols-3">
+          <input type="file" accept=".csv,.vcf,text/csv,text/vcard" onChange={(e) => setUpload({ ...upload, file: e.target.files[0] || null })} className="text-sm" />
+          <input value={upload.tags} onChange={(e) => setUpload({ ...upload, tags: e.target.value })} placeholder="Tag everyone, e.g. diwali-fair" className={inputClass} />
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={upload.optedIn} onChange={(e) => setUpload({ ...upload, optedIn: e.target.checked })} />
+            These buyers agreed to WhatsApp messages
+          </label>
+        </div>
+        <PrimaryButton onClick={runImport} disabled={!upload.file}>Import</PrimaryButton>
+        {importResult && (
+          <p className="text-sm text-[#897261]">
+            {importResult.created} added, {importResult.updated} updated, {importResult.skipped} skipped
+            {importResult.skippedRows.length > 0 && ` (${importResult.skippedRows.map((row) => `#${row.entry} ${row.error}`).join("; ")})`}
+            {importResult.note && ` · ${importResult.note}`}
+          </p>
+        )}
+      </Card>
+
+      <Card className="p-6 space-y-4">
+        <h2 className="font-semibold">Add a contact</h2>
+        <div className="grid gap-3 sm:grid-cols-4">
+          <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Name" className={inputClass} />
+          <input value={form.phone} onChange={(e) => setForm({ ...form, phone: e.target.value })} placeholder="WhatsApp number" className={inputClass} />
+          <input value={form.tags} onChange={(e) => setForm({ ...form, tags: e.target.value })} placeholder="Tags" className={inputClass} />
+          <select value={form.consent} onChange={(e) => setForm({ ...form, consent: e.target.value })} className={inputClass}>
+            <option value="">Consent not asked</option>
+            <option value="opted_in">Agreed to messages</option>
+            <option value="opted_out">Does not want messages</option>
+          </select>
+        </div>
+        <PrimaryButton onClick={addContact} disabled={!form.phone}>Add</PrimaryButton>
+      </Card>
+
+      <Card className="p-6 space-y-4 overflow-x-auto">
+        <div className="grid gap-3 sm:grid-cols-3">
+          <input value={filters.search} onChange={(e) => setFilters({ ...filters, search: e.target.value })} placeholder="Search name, phone or email" className={inputClass} />
+          <select value={filters.tags} onChange={(e) => setFilters({ ...filters, tags: e.target.value })} className={inputClass}>
+            <option value="">All tags</option>
+            {tags.map(({ tag, count }) => <option key={tag} value={tag}>{tag} ({count})</option>)}
+          </select>
+          <select value={filters.consent} onChange={(e) => setFilters({ ...filters, consent: e.target.value })} className={inputClass}>
+            <option value="">Any consent</option>
+            {Object.entries(CONSENT_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </div>
+        <table className="w-full text-sm">
+          <thead className="text-left text-[#897261]">
+            <tr><th className="py-2">Name</th><th>Phone</th><th>Tags</th><th>Orders</th><th>Consent</th><th /></tr>
+          </thead>
+          <tbody>
+            {contacts.map((contact) => (
+              <tr key={contact.id} className="border-t border-[#f4f2f0]">
+                <td className="py-2">{contact.name || "–"}</td>
+                <td>{contact.phone}</td>
+                <td>{contact.tags.join(", ") || "–"}</td>
+                <td>{contact.purchaseCount}{contact.lastPurchaseAt && <span className="text-[#897261]"> · last {new Date(contact.lastPurchaseAt).toLocaleDateString()}</span>}</td>
+                <td className={contact.consent?.status === "opted_out" ? "text-red-600" : ""}>{CONSENT_LABELS[contact.consent?.status || "unknown"]}</td>
+                <td className="flex gap-2 py-2">
+                  {contact.consent?.status === "opted_out"
+                    ? <SecondaryButton className="px-4 py-1" onClick={() => changeConsent(contact, "opted_in")}>Opt in</SecondaryButton>
+                    : <SecondaryButton className="px-4 py-1" onClick={() => changeConsent(contact, "opted_out")}>Opt out</SecondaryButton>}
+                  {contact.consent?.status !== "opted_out" && <SecondaryButton className="px-4 py-1" onClick={() => remove(contact)}>Delete</SecondaryButton>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {contacts.length === 0 && <p className="text-[#897261]">No contacts yet. Import a CSV or vCard, or contacts are added as orders come in.</p>}
+      </Card>
+    </div>
+  );
+};
+
+export default ContactsPage;
@@ -0,0 +1,143 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { PrimaryButton, SecondaryButton } from "../components/ui";
+import { listSessions, getSession, archiveSession, restoreSession, discardSession } from "../services/api";
+
+const TABS = [
+  { id: "in_progress", label: "In progress" },
+  { id: "completed", label: "Completed" },
+  { id: "archived", label: "Archived" }
+];
+
+// Wizard page that continues each step
+const RESUME_ROUTES = {
+  business_overview_complete: "/business-summary",
+  ready_for_product_analysis: "/product-analysis",
+  product_needs_revision: "/product-analysis",
+  product_analysis_complete: "/insights",
+  ready_for_recommendations: "/insights",
+  complete: "/insights"
+};
+
+const STEP_LABELS = {
+  business_overview_complete: "Review your business summary",
+  ready_for_product_analysis: "Describe your product",
+  product_needs_revision: "Revise your product",
+  product_analysis_complete: "Review product insights",
+  ready_for_recommendations: "Get recommendations",
+  complete: "Complete"
+};
+
+// "Continue where you left off": reopen, archive or discard saved sessions
+const DraftsPage = () => {
+  const navigate = useNavigate();
+  const [tab, setTab] = useState("in_progress");
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true); setError("");
+    const result = await listSessions(tab);
+    setLoading(false);
+    if (!result.success) return setError(result.error);
+    setSessions(result.data.sessions);
+  }, [tab]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const resume = async (sessionId) => {
+    const result = await getSession(sessionId);
+    if (!result.success) return setError(result.error);
+    const session = result.data.session;
+
+    // Same shape the wizard pages write as they go
+    sessionStorage.setItem("craftConnectSession", JSON.stringify({
+      sessionId: session._id,
+      businessSummary: session.businessSummary,
+      transcript: session.transcript,
+      transcriptEnglish: session.transcriptEnglish,
+      language: session.language,
+      productAnalysis: session.productAnalysis,
+      productTranscript: session.productTranscript,
+      imageAnalyses: session.imageAnalyses,
+      step: session.step
+    }));
+    navigate(RESUME_ROUTES[session.step] || "/business-overview", { state: { sessionId: session._id } });
+  };
+
+  const runAction = async (action) => {
+    const result = await action();
+    if (!result.success) return setError(result.error);
+    load();
+  };
+
+  const discard = (sessionId) => {
+    if (!window.confirm("Discard this session permanently?")) return;
+    runAction(() => discardSession(sessionId));
+  };
+
+  return (
+    <div className="mx-auto max-w-3xl px-4 py-12">
+      <h1 className="text-3xl font-bold mb-6">Continue where you left off</h1>
+      <div className="flex gap-2 mb-6">
+        {TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setTab(id)}
+            className={`rounded-full px-4 py-2 text-sm font-medium ${tab === id ? "bg-[#ec6d13] text-white" : "bg-[#fef3e9] text-[#181411]"}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+      {loading && <p className="text-[#897261]">Loading...</p>}
+      {!loading && sessions.length === 0 && (
+        <div className="bg-white rounded-2xl shadow-xl border border-[#f4f2f0] p-6">
+          <p className="text-[#897261] mb-4">No sessions here yet.</p>
+          <PrimaryButton onClick={() => navigate("/business-overview")}>Start a new session</PrimaryButton>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {sessions.map((session) => (
+          <div key={session.sessionId} className="bg-white rounded-2xl shadow-xl border border-[#f4f2f0] p-6">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold">{session.businessName || session.businessType || "Untitled business"}</h2>
+                {session.productName && <p className="text-sm text-[#897261]">{session.productName}</p>}
+                <p className="text-sm text-[#897261] mt-1">
+                  {session.isActive ? `Next: ${STEP_LABELS[session.step] || session.step}` : "Archived"} · updated {new Date(session.updatedAt).toLocaleDateString()}
+                </p>
+              </div>
+              <span className="text-sm font-semibold text-[#ec6d13]">{session.completionRate}%</span>
+            </div>
+            <div className="mt-3 h-2 rounded-full bg-[#f4f2f0]">
+              <div className="h-2 rounded-full bg-[#ec6d13]" style={{ width: `${session.completionRate}%` }} />
+            </div>
+            <div className="mt-4 flex flex-wrap gap-3">
+              {session.isActive ? (
+                <>
+                  <PrimaryButton onClick={() => resume(session.sessionId)}>
+                    {session.step === "complete" ? "Open" : "Resume"}
+                  </PrimaryButton>
+                  <SecondaryButton onClick={() => runAction(() => archiveSession(session.sessionId))}>Archive</SecondaryButton>
+                </>
+              ) : (
+                <SecondaryButton onClick={() => runAction(() => restoreSession(session.sessionId))}>Restore</SecondaryButton>
+              )}
+              <SecondaryButton onClick={() => discard(session.sessionId)}>Discard</SecondaryButton>
+            </div>
+            {session.expiresAt && (
+              <p className="mt-3 text-xs text-[#897261]">Kept until {new Date(session.expiresAt).toLocaleDateString()}</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DraftsPage;
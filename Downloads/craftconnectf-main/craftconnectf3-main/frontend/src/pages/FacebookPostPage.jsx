@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { PrimaryButton, SecondaryButton } from "../components/ui";
+import { authHeaders } from "../services/api";
 
 const FacebookPostPage = () => {
   const [loading, setLoading] = useState(false);
@@ -14,7 +15,7 @@ const FacebookPostPage = () => {
 
       const res = await fetch(`${import.meta.env.VITE_API_URL}/api/facebook/post-photo-from-session`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: authHeaders({ "Content-Type": "application/json" }),
         body: JSON.stringify({ sessionId: session.sessionId })
       });
       const json = await res.json();
@@ -35,7 +36,7 @@ const FacebookPostPage = () => {
 
       const res = await fetch(`${import.meta.env.VITE_API_URL}/api/facebook/post-text-from-session`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: authHeaders({ "Content-Type": "application/json" }),
         body: JSON.stringify({ sessionId: session.sessionId })
       });
       const json = await res.json();
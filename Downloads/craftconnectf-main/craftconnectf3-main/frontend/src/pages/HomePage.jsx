@@ -54,6 +54,14 @@ const HomePage = () => {
                 </svg>
                 Start Your Journey
               </button>
+              <div className="mt-4">
+                <button
+                  onClick={() => navigate('/drafts')}
+                  className="text-sm font-medium text-[#897261] underline hover:text-[#ec6d13]"
+                >
+                  Continue where you left off
+                </button>
+              </div>
             </div>
 
             {/* Features Grid */}
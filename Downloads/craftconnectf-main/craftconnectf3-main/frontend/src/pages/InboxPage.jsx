@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from "react";
+import { Card, PrimaryButton, SecondaryButton } from "../components/ui";
+import { listConversations, getConversation, replyToConversation, listTemplates, listProducts } from "../services/api";
+
+const POLL_MS = 15000;
+
+const STATUS_MARKS = { sent: "✓", delivered: "✓✓", read: "✓✓ read", failed: "not delivered" };
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString([], { dateStyle: "short", timeStyle: "short" }) : "");
+
+// Buyer replies on WhatsApp, answered from one place
+const InboxPage = () => {
+  const [conversations, setConversations] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const [thread, setThread] = useState(null);
+  const [reply, setReply] = useState("");
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState("");
+  const [products, setProducts] = useState([]);
+  const [productId, setProductId] = useState("");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadList = async () => {
+    const result = await listConversations();
+    if (!result.success) return setError(result.error);
+    setConversations(result.data.conversations);
+    setUnread(result.data.unread);
+  };
+
+  const loadThread = async (conversationId) => {
+    const result = await getConversation(conversationId);
+    if (!result.success) return setError(result.error);
+    setThread(result.data.conversation);
+  };
+
+  useEffect(() => {
+    listTemplates().then((result) => {
+      if (result.success) setTemplates(result.data.templates.filter((template) => template.status === "approved"));
+    });
+    listProducts({ limit: 50 }).then((result) => {
+      if (result.success) setProducts(result.data.products);
+    });
+  }, []);
+
+  // New messages only arrive through the webhook, so poll while the page is open
+  useEffect(() => {
+    loadList();
+    const timer = setInterval(() => {
+      loadList();
+      if (selectedId) loadThread(selectedId);
+    }, POLL_MS);
+    return () => clearInterval(timer);
+  }, [selectedId]);
+
+  const open = async (conversationId) => {
+    setSelectedId(conversationId);
+    setError("");
+    await loadThread(conversationId);
+    loadList();
+  };
+
+  // Outside the customer's 24-hour window WhatsApp only accepts approved templates
+  const windowOpen = thread?.windowClosesAt && new Date(thread.windowClosesAt) > new Date();
+
+  const deliver = async (payload) => {
+    setSending(true); setError("");
+    const result = await replyToConversation(selectedId, payload);
+    setSending(false);
+    if (!result.success) return setError(result.error);
+    if (result.data.mode === "demo") {
+      window.open(result.data.waLink, "_blank", "noreferrer");
+    } else {
+      setThread(result.data.conversation);
+    }
+    setReply("");
+  };
+
+  const send = () => {
+    if (windowOpen ? !reply.trim() : !templateId) return;
+    deliver(windowOpen ? { text: reply.trim() } : { templateId });
+  };
+
+  // Product photo, photo with Order now / Ask price / See more buttons, or a list of products
+  const share = (messageType) => deliver({
+    messageType,
+    ...(messageType !== "list" && { productId }),
+    ...(reply.trim() && { text: reply.trim() })
+  });
+
+  return (
+    <div className="mx-auto max-w-5xl px-4 py-12">
+      <h1 className="text-3xl font-bold mb-1">WhatsApp inbox</h1>
+      <p className="text-[#897261] mb-6">{unread > 0 ? `${unread} unread` : "All caught up"}</p>
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+
+      <div className="grid gap-4 md:grid-cols-3">
+        <Card className="p-2 md:col-span-1 max-h-[70vh] overflow-y-auto">
+          {conversations.length === 0 && <p className="p-4 text-sm text-[#897261]">No conversations yet. Buyer replies show up here.</p>}
+          {conversations.map((conversation) => (
+            <button
+              key={conversation.id}
+              onClick={() => open(conversation.id)}
+              className={`w-full text-left rounded-xl px-3 py-2 ${conversation.id === selectedId ? "bg-[#f4f2f0]" : "hover:bg-[#faf9f8]"}`}
+            >
+              <div className="flex justify-between gap-2">
+                <span className="font-semibold truncate">{conversation.customerName || `+${conversation.customerPhone}`}</span>
+                {conversation.unreadCount > 0 && <span className="rounded-full bg-[#ec6d13] px-2 text-xs text-white">{conversation.unreadCount}</span>}
+              </div>
+              <p className="text-xs text-[#897261] truncate">
+                {conversation.lastMessage?.direction === "out" && "You: "}{conversation.lastMessage?.text || `[${conversation.lastMessage?.type}]`}
+              </p>
+              <p className="text-xs text-[#897261]">{formatTime(conversation.lastMessageAt)}</p>
+            </button>
+          ))}
+        </Card>
+
+        <Card className="p-4 md:col-span-2 flex flex-col max-h-[70vh]">
+          {!thread && <p className="text-sm text-[#897261]">Choose a conversation.</p>}
+          {thread && (
+            <>
+              <div className="mb-3">
+                <h2 className="font-semibold">{thread.customerName || `+${thread.customerPhone}`}</h2>
+                <p className="text-xs text-[#897261]">+{thread.customerPhone}</p>
+              </div>
+              <div className="flex-1 overflow-y-auto space-y-2 mb-3">
+                {thread.messages.map((message) => (
+                  <div key={message.id} className={`flex ${message.direction === "out" ? "justify-end" : "justify-start"}`}>
+                    <div className={`max-w-[75%] rounded-2xl px-3 py-2 text-sm ${message.direction === "out" ? "bg-[#fde8d9]" : "bg-[#f4f2f0]"}`}>
+                      {message.type === "image" && message.media?.url && (
+                        <img src={message.media.url} alt="" className="mb-1 max-h-48 rounded-xl" />
+                      )}
+                      {message.type === "document" && message.media?.url && (
+                        <a href={message.media.url} target="_blank" rel="noreferrer" className="block underline">📄 {message.media.filename || "Document"}</a>
+                      )}
+                      <p className="whitespace-pre-wrap">{message.text || `[${message.type}]`}</p>
+                      <p className={`mt-1 text-[10px] ${message.status === "failed" ? "text-red-600" : "text-[#897261]"}`}>
+                        {formatTime(message.at)}
+                        {message.direction === "out" && ` · ${STATUS_MARKS[message.status] || message.status}`}
+                        {message.error?.title && ` · ${message.error.title}`}
+                      </p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {!windowOpen && (
+                <p className="mb-2 text-xs text-[#897261]">
+                  No message from this buyer in the last 24 hours, so WhatsApp only allows an approved template.
+                </p>
+              )}
+              <div className="flex gap-2">
+                {windowOpen ? (
+                  <textarea
+                    value={reply}
+                    onChange={(e) => setReply(e.target.value)}
+                    placeholder="Type a reply"
+                    rows={2}
+                    className="flex-1 rounded-xl border border-[#e6e0db] px-4 py-2"
+                  />
+                ) : (
+                  <select value={templateId} onChange={(e) => setTemplateId(e.target.value)} className="flex-1 rounded-xl border border-[#e6e0db] px-4 py-2">
+                    <option value="">{templates.length > 0 ? "Choose a template" : "No approved templates yet"}</option>
+                    {templates.map((template) => <option key={template.id} value={template.id}>{template.name} ({template.language})</option>)}
+                  </select>
+                )}
+                <PrimaryButton onClick={send} disabled={sending || (windowOpen ? !reply.trim() : !templateId)}>{sending ? "Sending..." : "Send"}</PrimaryButton>
+              </div>
+              {windowOpen && products.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-2">
+                  <select value={productId} onChange={(e) => setProductId(e.target.value)} className="rounded-xl border border-[#e6e0db] px-3 py-1 text-sm">
+                    <option value="">Share a product</option>
+                    {products.map((product) => <option key={product.id} value={product.id}>{product.name}</option>)}
+                  </select>
+                  <SecondaryButton className="px-4 py-1" onClick={() => share("image")} disabled={sending || !productId}>Photo</SecondaryButton>
+                  <SecondaryButton className="px-4 py-1" onClick={() => share("buttons")} disabled={sending || !productId}>Photo + order buttons</SecondaryButton>
+                  <SecondaryButton className="px-4 py-1" onClick={() => share("list")} disabled={sending}>Product list</SecondaryButton>
+                </div>
+              )}
+            </>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default InboxPage;
@@ -0,0 +1,170 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Card, PrimaryButton, SecondaryButton } from "../components/ui";
+import { listInventory, getProductInventory, recordStockMovement, reconcileInventory } from "../services/api";
+
+const MOVEMENT_TYPES = [
+  { id: "made", label: "Made" },
+  { id: "sold", label: "Sold" },
+  { id: "reserved", label: "Reserved" },
+  { id: "released", label: "Released" },
+  { id: "returned", label: "Returned" },
+  { id: "adjusted", label: "Count correction (+/-)" }
+];
+
+const CHANNELS = ["manual", "whatsapp", "instagram", "facebook", "market", "shopify"];
+
+const RECONCILE_ACTIONS = {
+  in_sync: "In sync",
+  not_on_shopify: "Not on Shopify",
+  record_shopify_sale: "Shopify sold pieces not recorded here",
+  recorded_shopify_sale: "Recorded Shopify sale",
+  push_local: "Shopify shows more than you have",
+  pushed_local: "Sent your count to Shopify"
+};
+
+// Stock on hand across channels, with the ledger behind each product
+const InventoryPage = () => {
+  const [levels, setLevels] = useState([]);
+  const [lowStockCount, setLowStockCount] = useState(0);
+  const [lowOnly, setLowOnly] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [form, setForm] = useState({ type: "made", quantity: "1", channel: "manual", note: "" });
+  const [reconcile, setReconcile] = useState(null);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    const result = await listInventory(lowOnly ? { lowStock: true } : {});
+    if (!result.success) return setError(result.error);
+    setLevels(result.data.levels);
+    setLowStockCount(result.data.lowStockCount);
+  }, [lowOnly]);
+
+  const loadDetail = async (productId) => {
+    const result = await getProductInventory(productId);
+    if (!result.success) return setError(result.error);
+    setDetail(result.data);
+  };
+
+  useEffect(() => { load(); }, [load]);
+
+  const select = (level) => {
+    setSelected(level);
+    setReconcile(null);
+    setError("");
+    loadDetail(level.productId);
+  };
+
+  const submitMovement = async () => {
+    setError("");
+    const result = await recordStockMovement(selected.productId, {
+      type: form.type,
+      quantity: Number(form.quantity),
+      channel: form.channel,
+      ...(selected.variantId && { variantId: selected.variantId }),
+      ...(form.note && { note: form.note })
+    });
+    if (!result.success) return setError(result.error);
+    setSelected({ ...selected, ...result.data.level });
+    setForm({ ...form, quantity: "1", note: "" });
+    load();
+    loadDetail(selected.productId);
+  };
+
+  const runReconcile = async (apply) => {
+    setError("");
+    const result = await reconcileInventory(selected.productId, apply);
+    if (!result.success) return setError(result.error);
+    setReconcile(result.data);
+    if (apply) { load(); loadDetail(selected.productId); }
+  };
+
+  return (
+    <div className="mx-auto max-w-5xl px-4 py-12 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Inventory</h1>
+          <p className="text-[#897261]">{lowStockCount > 0 ? `${lowStockCount} running low` : "Nothing running low"}</p>
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={lowOnly} onChange={(e) => setLowOnly(e.target.checked)} />
+          Low stock only
+        </label>
+      </div>
+
+      {error && <p className="text-red-600">{error}</p>}
+
+      <Card className="p-6 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-[#897261]">
+            <tr><th className="py-2">Product</th><th>SKU</th><th>On hand</th><th>Reserved</th><th>Available</th><th /></tr>
+          </thead>
+          <tbody>
+            {levels.map((level) => (
+              <tr key={`${level.productId}-${level.variantId || ""}`} className={`border-t border-[#f4f2f0] ${level.low ? "text-red-600" : ""}`}>
+                <td className="py-2">{level.productName}{level.label && <span className="text-[#897261]"> · {level.label}</span>}</td>
+                <td>{level.sku || "–"}</td>
+                <td>{level.onHand}</td>
+                <td>{level.reserved}</td>
+                <td className="font-semibold">{level.available}{level.low && " (low)"}</td>
+                <td><SecondaryButton className="px-4 py-1" onClick={() => select(level)}>Manage</SecondaryButton></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {levels.length === 0 && <p className="text-[#897261]">{lowOnly ? "No products are running low." : "No products in your catalog yet."}</p>}
+      </Card>
+
+      {selected && detail && (
+        <Card className="p-6 space-y-4">
+          <h2 className="font-semibold">
+            {detail.product.name}{selected.label && ` · ${selected.label}`}: {selected.available} available
+          </h2>
+          <div className="grid gap-3 sm:grid-cols-4">
+            <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })} className="rounded-xl border border-[#e6e0db] px-4 py-2">
+              {MOVEMENT_TYPES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            <input type="number" value={form.quantity} onChange={(e) => setForm({ ...form, quantity: e.target.value })} className="rounded-xl border border-[#e6e0db] px-4 py-2" />
+            <select value={form.channel} onChange={(e) => setForm({ ...form, channel: e.target.value })} className="rounded-xl border border-[#e6e0db] px-4 py-2">
+              {CHANNELS.map((channel) => <option key={channel} value={channel}>{channel}</option>)}
+            </select>
+            <input value={form.note} onChange={(e) => setForm({ ...form, note: e.target.value })} placeholder="Note (optional)" className="rounded-xl border border-[#e6e0db] px-4 py-2" />
+          </div>
+          <div className="flex flex-wrap gap-3">
+            <PrimaryButton onClick={submitMovement}>Record</PrimaryButton>
+            <SecondaryButton onClick={() => runReconcile(false)}>Check against Shopify</SecondaryButton>
+            {reconcile && !reconcile.applied && !reconcile.inSync && (
+              <SecondaryButton onClick={() => runReconcile(true)}>Fix differences</SecondaryButton>
+            )}
+          </div>
+
+          {reconcile && (
+            <ul className="text-sm space-y-1">
+              {reconcile.lines.map((line) => (
+                <li key={line.variantId || line.productId}>
+                  {line.label || detail.product.name}: here {line.available}, Shopify {line.shopify ?? "–"} · {RECONCILE_ACTIONS[line.action] || line.action}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div>
+            <h3 className="font-semibold mb-2">History</h3>
+            <ul className="text-sm space-y-1">
+              {detail.movements
+                .filter((movement) => !selected.variantId || movement.variant === selected.variantId)
+                .map((movement) => (
+                  <li key={movement._id} className="flex justify-between gap-3">
+                    <span>{new Date(movement.createdAt).toLocaleString()} · {movement.type} {movement.quantity} via {movement.channel}{movement.note && ` · ${movement.note}`}</span>
+                    <span className="text-[#897261]">{movement.balance?.onHand} on hand</span>
+                  </li>
+                ))}
+            </ul>
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default InventoryPage;
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { PrimaryButton, SecondaryButton } from "../components/ui";
+import { requestOtp, verifyOtp } from "../services/api";
+
+// Phone number + one-time code sign in
+const LoginPage = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [phone, setPhone] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [devCode, setDevCode] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const sendCode = async () => {
+    setLoading(true); setError("");
+    const result = await requestOtp(phone);
+    setLoading(false);
+    if (!result.success) return setError(result.error);
+    setCodeSent(true);
+    setDevCode(result.data.devCode || "");
+  };
+
+  const signIn = async () => {
+    setLoading(true); setError("");
+    const result = await verifyOtp(phone, code);
+    setLoading(false);
+    if (!result.success) return setError(result.error);
+    navigate(location.state?.from || "/business-overview", { replace: true });
+  };
+
+  return (
+    <div className="mx-auto max-w-md px-4 py-12">
+      <h1 className="text-3xl font-bold mb-6">Sign in</h1>
+      <div className="bg-white rounded-2xl shadow-xl border border-[#f4f2f0] p-6 space-y-4">
+        <p className="text-[#897261]">Enter your mobile number and we will send you a login code.</p>
+        <input
+          type="tel"
+          value={phone}
+          onChange={(e) => setPhone(e.target.value)}
+          placeholder="98765 43210"
+          disabled={codeSent}
+          className="w-full rounded-xl border border-[#e6e0db] px-4 py-3"
+        />
+        {codeSent && (
+          <input
+            type="text"
+            inputMode="numeric"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="6-digit code"
+            className="w-full rounded-xl border border-[#e6e0db] px-4 py-3"
+          />
+        )}
+        {devCode && <p className="text-sm text-[#897261]">Development code: {devCode}</p>}
+        {codeSent ? (
+          <div className="flex gap-3">
+            <SecondaryButton onClick={() => { setCodeSent(false); setCode(""); setDevCode(""); }} disabled={loading}>
+              Change number
+            </SecondaryButton>
+            <PrimaryButton onClick={signIn} disabled={loading || !code}>
+              {loading ? "Verifying..." : "Verify & Sign in"}
+            </PrimaryButton>
+          </div>
+        ) : (
+          <PrimaryButton onClick={sendCode} disabled={loading || !phone}>
+            {loading ? "Sending..." : "Send code"}
+          </PrimaryButton>
+        )}
+        {error && <p className="text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { Card, PrimaryButton, SecondaryButton } from "../components/ui";
+import { getQuotation, simulateQuotation, listScenarios, deleteScenario } from "../services/api";
+
+const formatPrice = (amount) => `₹${Number(amount).toLocaleString("en-IN")}`;
+
+// Comma-separated ₹ changes such as "-100, 100, 200"
+const parseChanges = (text) =>
+  text.split(",").map((value) => value.trim()).filter(Boolean).map(Number);
+
+// "What if I charge ₹100 more?" for a saved quotation
+const PriceSimulatorPage = () => {
+  const { quotationId } = useParams();
+  const [quotation, setQuotation] = useState(null);
+  const [scenarios, setScenarios] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState({ name: "", monthlyVolume: "10", priceChanges: "-100, 100, 200", elasticity: "", fixedMonthlyCosts: "" });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    getQuotation(quotationId).then((result) => {
+      if (!result.success) return setError(result.error);
+      setQuotation(result.data.quotation);
+    });
+    listScenarios(quotationId).then((result) => {
+      if (result.success) setScenarios(result.data.scenarios);
+    });
+  }, [quotationId]);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const runScenario = async () => {
+    setLoading(true); setError("");
+    const changes = parseChanges(form.priceChanges);
+    const result = await simulateQuotation(quotationId, {
+      name: form.name || undefined,
+      monthlyVolume: Number(form.monthlyVolume),
+      ...(changes.length > 0 && { priceChanges: changes }),
+      ...(form.elasticity !== "" && { elasticity: Number(form.elasticity) }),
+      ...(form.fixedMonthlyCosts !== "" && { fixedMonthlyCosts: Number(form.fixedMonthlyCosts) })
+    });
+    setLoading(false);
+    if (!result.success) return setError(result.error);
+    setScenarios([result.data.scenario, ...scenarios]);
+    setSelected(result.data.scenario);
+  };
+
+  const removeScenario = async (scenarioId) => {
+    const result = await deleteScenario(quotationId, scenarioId);
+    if (!result.success) return setError(result.error);
+    setScenarios(scenarios.filter((scenario) => scenario.id !== scenarioId));
+    if (selected?.id === scenarioId) setSelected(null);
+  };
+
+  if (!quotation) {
+    return <p className="mx-auto max-w-4xl px-4 py-12 text-[#897261]">{error || "Loading..."}</p>;
+  }
+
+  const { terms } = quotation.latest;
+  return (
+    <div className="mx-auto max-w-5xl px-4 py-12 space-y-6">
+      <div>
+        <p className="text-sm text-[#897261]">Quotation {quotation.quoteNumber} · version {quotation.currentVersion}</p>
+        <h1 className="text-3xl font-bold">Price simulator: {quotation.productName}</h1>
+        <p className="text-[#897261]">
+          Quoted at {formatPrice(terms.unitPrice)} per piece · break-even {formatPrice(quotation.latest.quotation.breakEvenPrice)}
+        </p>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <div className="grid gap-4 sm:grid-cols-2">
+          <label className="text-sm">Scenario name
+            <input value={form.name} onChange={update("name")} placeholder="Diwali pricing" className="mt-1 w-full rounded-xl border border-[#e6e0db] px-4 py-2" />
+          </label>
+          <label className="text-sm">Pieces sold per month at the quoted price
+            <input type="number" min="0" value={form.monthlyVolume} onChange={update("monthlyVolume")} className="mt-1 w-full rounded-xl border border-[#e6e0db] px-4 py-2" />
+          </label>
+          <label className="text-sm">Price changes to try (₹, comma separated)
+            <input value={form.priceChanges} onChange={update("priceChanges")} className="mt-1 w-full rounded-xl border border-[#e6e0db] px-4 py-2" />
+          </label>
+          <label className="text-sm">Fixed monthly costs (₹, optional)
+            <input type="number" min="0" value={form.fixedMonthlyCosts} onChange={update("fixedMonthlyCosts")} placeholder="Stall rent, tools" className="mt-1 w-full rounded-xl border border-[#e6e0db] px-4 py-2" />
+          </label>
+          <label className="text-sm">Price sensitivity (optional, -5 to 0)
+            <input type="number" step="0.1" max="0" min="-5" value={form.elasticity} onChange={update("elasticity")} placeholder="-1.2" className="mt-1 w-full rounded-xl border border-[#e6e0db] px-4 py-2" />
+          </label>
+        </div>
+        {error && <p className="text-red-600">{error}</p>}
+        <PrimaryButton onClick={runScenario} disabled={loading}>{loading ? "Simulating..." : "Simulate and save"}</PrimaryButton>
+      </Card>
+
+      {selected && (
+        <Card className="p-6 overflow-x-auto">
+          <h2 className="font-semibold mb-1">{selected.name}</h2>
+          {selected.best && (
+            <p className="text-sm text-[#897261] mb-4">
+              Best monthly margin at {formatPrice(selected.best.price)}: {formatPrice(selected.best.monthlyMargin)} from about {selected.best.expectedMonthlyVolume} pieces
+            </p>
+          )}
+          <table className="w-full text-sm">
+            <thead className="text-left text-[#897261]">
+              <tr>
+                <th className="py-2">Price</th><th>Margin / piece</th><th>Margin %</th><th>Per hour</th>
+                <th>Pieces / month</th><th>Monthly margin</th><th>Break-even qty</th><th>Bulk tiers (margin / piece)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.result.points.map((point) => (
+                <tr key={point.price} className={`border-t border-[#f4f2f0] ${point.belowBreakEven ? "text-red-600" : ""}`}>
+                  <td className="py-2 font-semibold">
+                    {formatPrice(point.price)}
+                    {point.changeFromQuote !== 0 && <span className="text-xs text-[#897261]"> ({point.changeFromQuote > 0 ? "+" : ""}{point.changeFromQuote})</span>}
+                  </td>
+                  <td>{formatPrice(point.margin)}</td>
+                  <td>{point.marginPercent}%</td>
+                  <td>{point.earningsPerHour !== null ? formatPrice(point.earningsPerHour) : "–"}</td>
+                  <td>{point.expectedMonthlyVolume}</td>
+                  <td>{formatPrice(point.monthlyMargin)}</td>
+                  <td>{point.breakEvenQuantity ?? "–"}</td>
+                  <td>
+                    {point.discountTiers.map((tier) => (
+                      <span key={tier.minQuantity} className={`mr-2 ${tier.belowBreakEven ? "text-red-600" : ""}`}>
+                        {tier.minQuantity}+: {formatPrice(tier.margin)}
+                      </span>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      {scenarios.length > 0 && (
+        <Card className="p-6">
+          <h2 className="font-semibold mb-3">Saved scenarios</h2>
+          <ul className="space-y-2">
+            {scenarios.map((scenario) => (
+              <li key={scenario.id} className="flex items-center justify-between gap-3 text-sm">
+                <span>
+                  {scenario.name} · v{scenario.version} · {new Date(scenario.createdAt).toLocaleDateString()}
+                  {scenario.best && ` · best ${formatPrice(scenario.best.price)}`}
+                </span>
+                <span className="flex gap-2">
+                  <SecondaryButton className="px-4 py-1" onClick={() => setSelected(scenario)} disabled={!scenario.result}>View</SecondaryButton>
+                  <SecondaryButton className="px-4 py-1" onClick={() => removeScenario(scenario.id)}>Delete</SecondaryButton>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default PriceSimulatorPage;
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { Mic, MicOff, Play, Square, Upload, X, Image as ImageIcon, Loader2, ArrowRight, ArrowLeft } from "lucide-react";
+import { authHeaders } from "../services/api";
 
 const ProductAnalysisPage = () => {
   const navigate = useNavigate();
@@ -23,7 +24,7 @@ const ProductAnalysisPage = () => {
     const session = sessionStorage.getItem('craftConnectSession');
     if (session) {
       const data = JSON.parse(session);
-      if (data.step !== 'ready_for_product_analysis') {
+      if (!['ready_for_product_analysis', 'product_analysis_complete', 'product_needs_revision'].includes(data.step)) {
         navigate('/business-overview');
         return;
       }
@@ -165,6 +166,7 @@ const ProductAnalysisPage = () => {
 
       const response = await fetch(`${import.meta.env.VITE_API_URL}/api/products/analyze-comprehensive`, {
         method: 'POST',
+        headers: authHeaders(),
         body: formData,
       });
 
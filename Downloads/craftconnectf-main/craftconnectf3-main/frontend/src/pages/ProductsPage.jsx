@@ -0,0 +1,213 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { PrimaryButton, SecondaryButton } from "../components/ui";
+import { listProducts, createProduct, updateProduct, archiveProduct } from "../services/api";
+
+const PAGE_SIZE = 12;
+
+const SORTS = [
+  { id: "newest", label: "Newest" },
+  { id: "name", label: "Name" },
+  { id: "price_asc", label: "Price: low to high" },
+  { id: "price_desc", label: "Price: high to low" }
+];
+
+const VARIANT_OPTIONS = [
+  { key: "size", label: "Size" },
+  { key: "color", label: "Colour" },
+  { key: "material", label: "Material" }
+];
+
+const emptyVariant = () => ({ size: "", color: "", material: "", price: "", stock: "0", sku: "" });
+
+// Editor rows back to the API shape; blank options are left out
+const variantPayload = (row) => ({
+  ...(row.id && { id: row.id }),
+  options: Object.fromEntries(VARIANT_OPTIONS.map(({ key }) => [key, row[key].trim()]).filter(([, value]) => value)),
+  ...(row.price !== "" && { price: Number(row.price) }),
+  stock: Number(row.stock) || 0,
+  ...(row.sku.trim() && { sku: row.sku.trim() })
+});
+
+const formatPrice = (amount) => (amount === undefined || amount === null ? "No price" : `₹${Number(amount).toLocaleString("en-IN")}`);
+
+// Product catalog: every approved product, plus ones added by hand
+const ProductsPage = () => {
+  const [query, setQuery] = useState("");
+  const [search, setSearch] = useState("");
+  const [sort, setSort] = useState("newest");
+  const [showArchived, setShowArchived] = useState(false);
+  const [page, setPage] = useState(1);
+  const [products, setProducts] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true); setError("");
+    const result = await listProducts({
+      q: search || undefined,
+      sort,
+      page,
+      limit: PAGE_SIZE,
+      ...(showArchived && { status: "archived" })
+    });
+    setLoading(false);
+    if (!result.success) return setError(result.error);
+    setProducts(result.data.products);
+    setPagination(result.data.pagination);
+  }, [search, sort, page, showArchived]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const submitSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(query.trim());
+  };
+
+  const save = async () => {
+    const changes = {
+      name: editing.name,
+      description: editing.description,
+      category: editing.category,
+      tags: editing.tagsText.split(",").map((tag) => tag.trim()).filter(Boolean),
+      ...(editing.price !== "" && { price: Number(editing.price) }),
+      variants: editing.variants.map(variantPayload)
+    };
+    const result = editing.id ? await updateProduct(editing.id, changes) : await createProduct(changes);
+    if (!result.success) return setError(result.error);
+    setEditing(null);
+    load();
+  };
+
+  const runAction = async (action) => {
+    const result = await action();
+    if (!result.success) return setError(result.error);
+    load();
+  };
+
+  const startEdit = (product) => setEditing({
+    id: product?.id,
+    name: product?.name || "",
+    description: product?.description || "",
+    category: product?.category || "",
+    price: product?.price ?? "",
+    tagsText: (product?.tags || []).join(", "),
+    variants: (product?.variants || []).map((variant) => ({
+      id: variant.id,
+      size: variant.options.size || "",
+      color: variant.options.color || "",
+      material: variant.options.material || "",
+      // Variants priced like the product inherit its price, so leave them blank
+      price: variant.price === product.price ? "" : variant.price ?? "",
+      stock: String(variant.stock ?? 0),
+      sku: variant.sku || ""
+    }))
+  });
+
+  const updateVariant = (index, field, value) => setEditing({
+    ...editing,
+    variants: editing.variants.map((row, i) => (i === index ? { ...row, [field]: value } : row))
+  });
+
+  return (
+    <div className="mx-auto max-w-5xl px-4 py-12">
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-3xl font-bold">Your products</h1>
+        <PrimaryButton onClick={() => startEdit(null)}>Add product</PrimaryButton>
+      </div>
+
+      <form onSubmit={submitSearch} className="flex flex-wrap gap-3 mb-6">
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search name, category, tag or material"
+          className="flex-1 min-w-[200px] rounded-xl border border-[#e6e0db] px-4 py-2"
+        />
+        <select value={sort} onChange={(e) => { setSort(e.target.value); setPage(1); }} className="rounded-xl border border-[#e6e0db] px-4 py-2">
+          {SORTS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={showArchived} onChange={(e) => { setShowArchived(e.target.checked); setPage(1); }} />
+          Archived
+        </label>
+        <SecondaryButton type="submit">Search</SecondaryButton>
+      </form>
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+
+      {editing && (
+        <div className="bg-white rounded-2xl shadow-xl border border-[#f4f2f0] p-6 mb-6 space-y-3">
+          <input value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} placeholder="Product name" className="w-full rounded-xl border border-[#e6e0db] px-4 py-2" />
+          <textarea value={editing.description} onChange={(e) => setEditing({ ...editing, description: e.target.value })} placeholder="Description" className="w-full rounded-xl border border-[#e6e0db] px-4 py-2" />
+          <div className="grid gap-3 sm:grid-cols-3">
+            <input value={editing.category} onChange={(e) => setEditing({ ...editing, category: e.target.value })} placeholder="Category" className="rounded-xl border border-[#e6e0db] px-4 py-2" />
+            <input type="number" min="0" value={editing.price} onChange={(e) => setEditing({ ...editing, price: e.target.value })} placeholder="Price (₹)" className="rounded-xl border border-[#e6e0db] px-4 py-2" />
+            <input value={editing.tagsText} onChange={(e) => setEditing({ ...editing, tagsText: e.target.value })} placeholder="Tags, comma separated" className="rounded-xl border border-[#e6e0db] px-4 py-2" />
+          </div>
+          <div className="space-y-2">
+            <p className="text-sm font-semibold">Variants <span className="font-normal text-[#897261]">(use the same options on every row)</span></p>
+            {editing.variants.map((row, index) => (
+              <div key={row.id || index} className="grid gap-2 grid-cols-2 sm:grid-cols-7">
+                {VARIANT_OPTIONS.map(({ key, label }) => (
+                  <input key={key} value={row[key]} onChange={(e) => updateVariant(index, key, e.target.value)} placeholder={label} className="rounded-xl border border-[#e6e0db] px-3 py-1" />
+                ))}
+                <input type="number" min="0" value={row.price} onChange={(e) => updateVariant(index, "price", e.target.value)} placeholder="Price (₹)" className="rounded-xl border border-[#e6e0db] px-3 py-1" />
+                <input type="number" min="0" value={row.stock} onChange={(e) => updateVariant(index, "stock", e.target.value)} placeholder="Stock" className="rounded-xl border border-[#e6e0db] px-3 py-1" />
+                <input value={row.sku} onChange={(e) => updateVariant(index, "sku", e.target.value)} placeholder="SKU (auto)" className="rounded-xl border border-[#e6e0db] px-3 py-1" />
+                <SecondaryButton className="px-3 py-1" onClick={() => setEditing({ ...editing, variants: editing.variants.filter((_, i) => i !== index) })}>Remove</SecondaryButton>
+              </div>
+            ))}
+            <SecondaryButton className="px-4 py-1" onClick={() => setEditing({ ...editing, variants: [...editing.variants, emptyVariant()] })}>Add variant</SecondaryButton>
+          </div>
+          <div className="flex gap-3">
+            <PrimaryButton onClick={save}>{editing.id ? "Save changes" : "Add to catalog"}</PrimaryButton>
+            <SecondaryButton onClick={() => setEditing(null)}>Cancel</SecondaryButton>
+          </div>
+        </div>
+      )}
+
+      {loading && <p className="text-[#897261]">Loading...</p>}
+      {!loading && products.length === 0 && (
+        <p className="text-[#897261]">{search ? "No products match your search." : "No products yet. Approve a product analysis or add one by hand."}</p>
+      )}
+
+      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+        {products.map((product) => (
+          <div key={product.id} className="bg-white rounded-2xl shadow-xl border border-[#f4f2f0] overflow-hidden">
+            {product.images?.[0] && <img src={product.images[0].url} alt={product.images[0].alt || product.name} className="h-40 w-full object-cover" />}
+            <div className="p-4">
+              <h2 className="font-semibold">{product.name}</h2>
+              <p className="text-sm text-[#897261]">{[product.category, formatPrice(product.price)].filter(Boolean).join(" · ")}</p>
+              {product.variants?.length > 0 && (
+                <p className="mt-1 text-xs text-[#897261]">{product.variants.length} variants · {product.totalStock} in stock</p>
+              )}
+              {product.tags?.length > 0 && <p className="mt-1 text-xs text-[#897261]">{product.tags.slice(0, 5).map((tag) => `#${tag}`).join(" ")}</p>}
+              <div className="mt-3 flex gap-2">
+                {product.status === "archived" ? (
+                  <SecondaryButton className="px-4 py-1" onClick={() => runAction(() => updateProduct(product.id, { status: "approved" }))}>Restore</SecondaryButton>
+                ) : (
+                  <>
+                    <SecondaryButton className="px-4 py-1" onClick={() => startEdit(product)}>Edit</SecondaryButton>
+                    <SecondaryButton className="px-4 py-1" onClick={() => runAction(() => archiveProduct(product.id))}>Archive</SecondaryButton>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="mt-6 flex items-center justify-center gap-4">
+          <SecondaryButton onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</SecondaryButton>
+          <span className="text-sm text-[#897261]">Page {pagination.page} of {pagination.pages} · {pagination.total} products</span>
+          <SecondaryButton onClick={() => setPage(page + 1)} disabled={page >= pagination.pages}>Next</SecondaryButton>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductsPage;
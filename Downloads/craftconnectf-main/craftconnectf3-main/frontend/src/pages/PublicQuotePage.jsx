@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { PrimaryButton, SecondaryButton } from "../components/ui";
+import { getPublicQuote, respondToQuote, publicQuotePdfUrl } from "../services/api";
+
+const STATUS_MESSAGES = {
+  accepted: "You accepted this quotation. The artisan will be in touch about your order.",
+  rejected: "You declined this quotation.",
+  expired: "This quotation has expired. Please ask the artisan for a new one."
+};
+
+const formatPrice = (amount) => `₹${Number(amount).toLocaleString("en-IN")}`;
+const formatForeign = (amount, currency) => Number(amount).toLocaleString("en", { style: "currency", currency });
+
+// Quotation a customer opens from the link the artisan sent them
+const PublicQuotePage = () => {
+  const { token } = useParams();
+  const [quote, setQuote] = useState(null);
+  const [note, setNote] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    getPublicQuote(token).then((result) => {
+      setLoading(false);
+      if (!result.success) return setError("This quotation link is not active.");
+      setQuote(result.data.quote);
+    });
+  }, [token]);
+
+  const respond = async (decision) => {
+    setLoading(true); setError("");
+    const result = await respondToQuote(token, decision, note);
+    setLoading(false);
+    if (!result.success) return setError(result.error);
+    setQuote(result.data.quote);
+  };
+
+  if (loading && !quote) return <p className="mx-auto max-w-2xl px-4 py-12 text-[#897261]">Loading...</p>;
+  if (!quote) return <p className="mx-auto max-w-2xl px-4 py-12 text-red-600">{error}</p>;
+
+  const { terms, international } = quote;
+  return (
+    <div className="mx-auto max-w-2xl px-4 py-12">
+      <p className="text-sm text-[#897261]">Quotation {quote.quoteNumber} from {quote.artisan}</p>
+      <h1 className="text-3xl font-bold mb-6">{quote.productName}</h1>
+
+      <div className="bg-white rounded-2xl shadow-xl border border-[#f4f2f0] p-6 space-y-6">
+        {quote.description && <p className="text-[#897261]">{quote.description}</p>}
+
+        <div className="rounded-lg p-6 text-center bg-[#FFF8F0]">
+          <p className="text-sm font-medium uppercase tracking-wider text-[#897261]">{quote.gstIncluded ? "Total (incl. GST)" : "Total (export)"}</p>
+          <p className="mt-2 text-5xl font-extrabold text-[#ec6d13]">{formatPrice(terms.total)}</p>
+          <p className="mt-2 text-sm text-[#897261]">
+            {terms.quantity} × {formatPrice(terms.unitPrice)}{terms.discountPercent > 0 && ` less ${terms.discountPercent}% bulk discount`}
+          </p>
+        </div>
+
+        {international && (
+          <div>
+            <h2 className="font-semibold mb-2">Delivery to {international.destination.name}</h2>
+            <ul className="text-sm space-y-1">
+              <li className="flex justify-between">
+                <span>Shipping ({international.shipping.days[0]}–{international.shipping.days[1]} days)</span>
+                <span>{formatPrice(international.shipping.amountInr)}</span>
+              </li>
+              {international.destinationTax.amountInr > 0 && (
+                <li className="flex justify-between">
+                  <span>
+                    {international.destinationTax.type} {international.destinationTax.rate}%
+                    {international.destinationTax.included ? " (included)" : " (paid on import, estimate)"}
+                  </span>
+                  <span>{formatPrice(international.destinationTax.amountInr)}</span>
+                </li>
+              )}
+              <li className="flex justify-between font-semibold">
+                <span>Total with delivery</span>
+                <span>
+                  {formatPrice(international.totalInr)}
+                  {international.currency !== "INR" && ` ≈ ${formatForeign(international.total, international.currency)}`}
+                </span>
+              </li>
+            </ul>
+          </div>
+        )}
+
+        {quote.customizationPricing && (
+          <div>
+            <h2 className="font-semibold mb-2">Optional add-ons (per piece)</h2>
+            <ul className="text-sm space-y-1">
+              <li className="flex justify-between"><span>Colour variation</span><span>{formatPrice(quote.customizationPricing.colorVariation)}</span></li>
+              <li className="flex justify-between"><span>Larger size</span><span>{formatPrice(quote.customizationPricing.sizeIncrease)}</span></li>
+              <li className="flex justify-between"><span>Personal engraving</span><span>{formatPrice(quote.customizationPricing.personalEngraving)}</span></li>
+              <li className="flex justify-between"><span>Rush delivery</span><span>{formatPrice(quote.customizationPricing.rushDelivery)}</span></li>
+            </ul>
+          </div>
+        )}
+
+        {quote.customizationPricing?.variants?.length > 0 && (
+          <div>
+            <h2 className="font-semibold mb-2">Available options (per piece)</h2>
+            <ul className="text-sm space-y-1">
+              {quote.customizationPricing.variants.map((variant) => (
+                <li key={variant.id || variant.label} className="flex justify-between">
+                  <span>{variant.label}{!variant.inStock && <span className="text-[#897261]"> · made to order</span>}</span>
+                  <span>{variant.surcharge === 0 ? "Included" : `${variant.surcharge > 0 ? "+" : "-"} ${formatPrice(Math.abs(variant.surcharge))}`}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {quote.bulkDiscounts && (
+          <p className="text-sm text-[#897261]">
+            Bulk discounts: {quote.bulkDiscounts.quantity5}% off 5+, {quote.bulkDiscounts.quantity10}% off 10+, {quote.bulkDiscounts.quantity25}% off 25+ pieces
+          </p>
+        )}
+
+        <p className="text-sm text-[#897261]">Valid until {new Date(quote.validUntil).toLocaleDateString()}</p>
+        <div className="flex gap-4 text-sm font-medium text-[#ec6d13]">
+          <a href={publicQuotePdfUrl(token)} target="_blank" rel="noreferrer">Download quotation (PDF)</a>
+          {["sent", "accepted"].includes(quote.status) && (
+            <a href={publicQuotePdfUrl(token, "proforma")} target="_blank" rel="noreferrer">Proforma invoice (PDF)</a>
+          )}
+        </div>
+
+        {error && <p className="text-red-600">{error}</p>}
+
+        {quote.canRespond ? (
+          <div className="space-y-3">
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Message for the artisan (optional)"
+              className="w-full rounded-xl border border-[#e6e0db] px-4 py-3"
+            />
+            <div className="flex gap-3">
+              <PrimaryButton onClick={() => respond("accept")} disabled={loading}>Accept quotation</PrimaryButton>
+              <SecondaryButton onClick={() => respond("reject")} disabled={loading}>Decline</SecondaryButton>
+            </div>
+          </div>
+        ) : (
+          <p className="font-medium">{STATUS_MESSAGES[quote.status]}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PublicQuotePage;
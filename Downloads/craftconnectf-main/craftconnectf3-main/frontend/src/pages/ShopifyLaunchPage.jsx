@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { PrimaryButton } from "../components/ui";
+import { authHeaders } from "../services/api";
 
 // Minimal, non-invasive wiring: call session-based endpoints
 const ShopifyLaunchPage = () => {
@@ -15,7 +16,7 @@ const ShopifyLaunchPage = () => {
 
       const res = await fetch(`${import.meta.env.VITE_API_URL}/api/shopify/publish-from-session`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: authHeaders({ "Content-Type": "application/json" }),
         body: JSON.stringify({ sessionId: session.sessionId })
       });
       const json = await res.json();
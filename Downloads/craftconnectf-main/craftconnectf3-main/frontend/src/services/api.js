@@ -13,9 +13,27 @@ const apiClient = axios.create({
   }
 });
 
-// Request interceptor for debugging
+// Session token from phone OTP login
+const AUTH_TOKEN_KEY = 'craftConnectToken';
+
+export const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) localStorage.setItem(AUTH_TOKEN_KEY, token);
+  else localStorage.removeItem(AUTH_TOKEN_KEY);
+};
+
+// Headers for pages that call the API with fetch directly
+export const authHeaders = (headers = {}) => {
+  const token = getAuthToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+};
+
+// Request interceptor for auth and debugging
 apiClient.interceptors.request.use(
   (config) => {
+    const token = getAuthToken();
+    if (token) config.headers.Authorization = `Bearer ${token}`;
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
     console.log('Request config:', {
       baseURL: config.baseURL,
@@ -49,6 +67,9 @@ apiClient.interceptors.response.use(
       error.userMessage = 'Network error - please check your connection';
     } else if (error.response.status >= 500) {
       error.userMessage = 'Server error - please try again later';
+    } else if (error.response.status === 401) {
+      if (error.response.data?.error === 'Authentication required') setAuthToken(null);
+      error.userMessage = error.response.data?.message || error.response.data?.error || 'Please sign in with your phone number';
     } else if (error.response.status === 404) {
       error.userMessage = 'Service not found - please contact support';
     } else {
@@ -77,17 +98,41 @@ export const checkBackendHealth = async () => {
   }
 };
 
+// Phone OTP login
+export const requestOtp = async (phone) => {
+  try {
+    const response = await apiClient.post('/auth/request-otp', { phone });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const verifyOtp = async (phone, code) => {
+  try {
+    const response = await apiClient.post('/auth/verify-otp', { phone, code });
+    setAuthToken(response.data.token);
+    return { success: true, user: response.data.user };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const logout = () => setAuthToken(null);
+
 // Enhanced API functions with better error handling
 
 export const analyzeBusinessOverview = async (audioBlob, options = {}) => {
   try {
+    const { language, ...requestOptions } = options;
     const formData = new FormData();
     formData.append("audio", audioBlob, "recording.webm");
+    if (language) formData.append("language", language);
     
     console.log('Sending business overview analysis request...');
     const response = await apiClient.post("/business/analyze-overview", formData, {
       headers: { "Content-Type": "multipart/form-data" },
-      ...options,
+      ...requestOptions,
     });
     
     return {
@@ -146,6 +191,70 @@ export const analyzeComprehensive = async (sessionId, audioBlob, images = []) =>
   }
 };
 
+// Long recordings (over a minute) are transcribed as background jobs
+export const createTranscriptionJob = async (audioBlob, { sessionId, languageCode } = {}) => {
+  try {
+    const formData = new FormData();
+    formData.append("audio", audioBlob, "recording.webm");
+    if (sessionId) formData.append("sessionId", sessionId);
+    if (languageCode) formData.append("languageCode", languageCode);
+
+    const response = await apiClient.post("/transcriptions", formData, {
+      headers: { "Content-Type": "multipart/form-data" },
+    });
+
+    return {
+      success: true,
+      data: response.data
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.userMessage || error.message,
+      details: error.response?.data
+    };
+  }
+};
+
+export const getTranscriptionJob = async (jobId) => {
+  try {
+    const response = await apiClient.get(`/transcriptions/${jobId}`);
+    return {
+      success: true,
+      data: response.data
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.userMessage || error.message
+    };
+  }
+};
+
+// Poll a transcription job until it completes or fails
+export const waitForTranscription = async (jobId, { intervalMs = 2000, timeoutMs = 10 * 60 * 1000, onProgress } = {}) => {
+  const startedAt = Date.now();
+
+  while (Date.now() - startedAt < timeoutMs) {
+    const result = await getTranscriptionJob(jobId);
+    if (!result.success) return result;
+
+    const { job } = result.data;
+    if (onProgress) onProgress(job);
+
+    if (job.status === 'completed') {
+      return { success: true, data: job };
+    }
+    if (job.status === 'failed') {
+      return { success: false, error: job.error || 'Transcription failed' };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  return { success: false, error: 'Transcription is taking too long - please try again' };
+};
+
 export const getSession = async (sessionId) => {
   try {
     const response = await apiClient.get(`/session/${sessionId}`);
@@ -161,9 +270,10 @@ export const getSession = async (sessionId) => {
   }
 };
 
-export const updateSession = async (sessionId, updates) => {
+// Edit one wizard stage ('summary', 'product' or 'recommendations'); only whitelisted fields are accepted
+export const updateSession = async (sessionId, stage, changes) => {
   try {
-    const response = await apiClient.post(`/session/${sessionId}/update`, updates);
+    const response = await apiClient.patch(`/session/${sessionId}/${stage}`, changes);
     return {
       success: true,
       data: response.data
@@ -176,6 +286,446 @@ export const updateSession = async (sessionId, updates) => {
   }
 };
 
+// Saved wizard sessions: 'in_progress' (default), 'completed', 'archived' or 'all'
+export const listSessions = async (status = 'in_progress') => {
+  try {
+    const response = await apiClient.get('/sessions', { params: { status } });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const archiveSession = async (sessionId) => {
+  try {
+    const response = await apiClient.post(`/session/${sessionId}/archive`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const restoreSession = async (sessionId) => {
+  try {
+    const response = await apiClient.post(`/session/${sessionId}/restore`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const discardSession = async (sessionId) => {
+  try {
+    const response = await apiClient.delete(`/session/${sessionId}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Product catalog: listProducts({ q, category, tag, status, sort, page, limit }) returns { products, pagination }
+export const listProducts = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/products', { params });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const createProduct = async (product) => {
+  try {
+    const response = await apiClient.post('/products', product);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const updateProduct = async (productId, changes) => {
+  try {
+    const response = await apiClient.patch(`/products/${productId}`, changes);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const archiveProduct = async (productId) => {
+  try {
+    const response = await apiClient.delete(`/products/${productId}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// WhatsApp inbox: buyer replies arrive through the Cloud API webhook
+export const listConversations = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/whatsapp/conversations', { params });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const getConversation = async (conversationId) => {
+  try {
+    const response = await apiClient.get(`/whatsapp/conversations/${conversationId}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Reply with { text } or a rich { messageType, productId, ... }, or with { templateId } once the customer's 24-hour window has closed
+export const replyToConversation = async (conversationId, reply) => {
+  try {
+    const response = await apiClient.post(`/whatsapp/conversations/${conversationId}/reply`, typeof reply === 'string' ? { text: reply } : reply);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// WhatsApp template registry: listTemplates() returns { templates, sources, canSubmit }
+export const listTemplates = async () => {
+  try {
+    const response = await apiClient.get('/whatsapp/templates');
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const createTemplate = async (template) => {
+  try {
+    const response = await apiClient.post('/whatsapp/templates', template);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const updateTemplate = async (templateId, changes) => {
+  try {
+    const response = await apiClient.put(`/whatsapp/templates/${templateId}`, changes);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const syncTemplates = async () => {
+  try {
+    const response = await apiClient.post('/whatsapp/templates/sync');
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Filled-in template text for { sessionId, productId, customerName }
+export const previewTemplate = async (templateId, context = {}) => {
+  try {
+    const response = await apiClient.post(`/whatsapp/templates/${templateId}/preview`, context);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Single WhatsApp send; messageType text|image|buttons|list|document with productId, productIds or quotationId
+export const sendWhatsApp = async (payload) => {
+  try {
+    const response = await apiClient.post('/whatsapp/send', payload);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Bulk WhatsApp send; in production returns { campaignId, progressUrl } and sends in the background.
+// Pass an array of { phone, name }, or { segment } / { contactIds } to target the contact book (opted-out contacts are skipped)
+export const sendBulkWhatsApp = async (recipients, businessData = {}, productData = {}) => {
+  try {
+    const target = Array.isArray(recipients) ? { recipients } : recipients;
+    const response = await apiClient.post('/whatsapp/bulk-send', { ...target, businessData, productData });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const listCampaigns = async () => {
+  try {
+    const response = await apiClient.get('/whatsapp/campaigns');
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Campaign progress with per-recipient status (pending, sent, delivered, read, failed)
+export const getCampaign = async (campaignId) => {
+  try {
+    const response = await apiClient.get(`/whatsapp/campaigns/${campaignId}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const cancelCampaign = async (campaignId) => {
+  try {
+    const response = await apiClient.post(`/whatsapp/campaigns/${campaignId}/cancel`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Contact book: listContacts({ search, tags, consent, purchasedCategory, purchasedWithinDays, page }) returns { contacts, pagination }
+export const listContacts = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/contacts', { params });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const listContactTags = async () => {
+  try {
+    const response = await apiClient.get('/contacts/tags');
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const getContact = async (contactId) => {
+  try {
+    const response = await apiClient.get(`/contacts/${contactId}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const createContact = async (contact) => {
+  try {
+    const response = await apiClient.post('/contacts', contact);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message, details: error.response?.data?.details };
+  }
+};
+
+export const updateContact = async (contactId, changes) => {
+  try {
+    const response = await apiClient.put(`/contacts/${contactId}`, changes);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message, details: error.response?.data?.details };
+  }
+};
+
+export const deleteContact = async (contactId) => {
+  try {
+    const response = await apiClient.delete(`/contacts/${contactId}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// status: opted_in, opted_out or unknown
+export const setContactConsent = async (contactId, status, note) => {
+  try {
+    const response = await apiClient.post(`/contacts/${contactId}/consent`, { status, note });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// CSV or vCard (.vcf) file; tags and consent apply to every imported contact
+export const importContacts = async (file, { tags, consent } = {}) => {
+  try {
+    const formData = new FormData();
+    formData.append("file", file, file.name);
+    if (tags) formData.append("tags", tags);
+    if (consent) formData.append("consent", consent);
+    const response = await apiClient.post('/contacts/import', formData, {
+      headers: { "Content-Type": "multipart/form-data" }
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// { matched, excluded, sample } for a segment such as { tags: 'pottery', purchasedCategory: 'pottery', purchasedWithinDays: 90 }
+export const previewSegment = async (segment) => {
+  try {
+    const response = await apiClient.post('/contacts/segment/preview', { segment });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message, details: error.response?.data?.details };
+  }
+};
+
+// Stock ledger: listInventory({ lowStock }) returns { levels, lowStockCount }
+export const listInventory = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/inventory', { params });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const getProductInventory = async (productId) => {
+  try {
+    const response = await apiClient.get(`/inventory/${productId}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// movement: { type: made | sold | reserved | released | returned | adjusted, quantity, variantId, channel, note }
+export const recordStockMovement = async (productId, movement) => {
+  try {
+    const response = await apiClient.post(`/inventory/${productId}/movements`, movement);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Compare with Shopify; apply: true records Shopify sales and pushes local counts
+export const reconcileInventory = async (productId, apply = false) => {
+  try {
+    const response = await apiClient.post(`/inventory/${productId}/reconcile`, { apply });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Stored quotations: versions are appended by revise, customers answer through the /quote/:token link
+export const createQuotation = async (payload) => {
+  try {
+    const response = await apiClient.post('/quotations', payload);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// Exchange rates and supported destinations; pass { destination, currency, shipping: { weightKg } } when creating a quote
+export const getQuotationCurrencies = async () => {
+  try {
+    const response = await apiClient.get('/quotation/currencies');
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const listQuotations = async (status) => {
+  try {
+    const response = await apiClient.get('/quotations', { params: { status } });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const getQuotation = async (quotationId) => {
+  try {
+    const response = await apiClient.get(`/quotations/${quotationId}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// "What if" pricing: simulate (and by default save) a scenario against the latest version
+export const simulateQuotation = async (quotationId, scenario) => {
+  try {
+    const response = await apiClient.post(`/quotations/${quotationId}/scenarios`, scenario);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const listScenarios = async (quotationId) => {
+  try {
+    const response = await apiClient.get(`/quotations/${quotationId}/scenarios`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const deleteScenario = async (quotationId, scenarioId) => {
+  try {
+    const response = await apiClient.delete(`/quotations/${quotationId}/scenarios/${scenarioId}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const reviseQuotation = async (quotationId, revision) => {
+  try {
+    const response = await apiClient.post(`/quotations/${quotationId}/revise`, revision);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+export const sendQuotation = async (quotationId, customer) => {
+  try {
+    const response = await apiClient.post(`/quotations/${quotationId}/send`, { customer });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// PDF links open in a new tab, so the artisan copy carries the token as a query parameter
+export const quotationPdfUrl = (quotationId, type = 'quotation') =>
+  `${apiClient.defaults.baseURL}/quotations/${quotationId}/pdf?type=${type}&download=1&access_token=${encodeURIComponent(getAuthToken() || '')}`;
+
+export const publicQuotePdfUrl = (token, type = 'quotation') =>
+  `${apiClient.defaults.baseURL}/quotes/${token}/pdf?type=${type}`;
+
+export const getPublicQuote = async (token) => {
+  try {
+    const response = await apiClient.get(`/quotes/${token}`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
+// decision: 'accept' or 'reject'
+export const respondToQuote = async (token, decision, note) => {
+  try {
+    const response = await apiClient.post(`/quotes/${token}/respond`, { decision, note });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return { success: false, error: error.userMessage || error.message };
+  }
+};
+
 export const generateRecommendations = async (sessionId) => {
   try {
     const response = await apiClient.post("/recommendations/generate", { sessionId });